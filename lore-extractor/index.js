@@ -20,6 +20,9 @@ let event_types = {};
 let getRequestHeaders = null;
 let oai_settings = null;
 
+// Valdris Core, when installed - its utility model service handles requests
+let ValdrisCore = null;
+
 // World Info functions
 let createWorldInfoEntry = null;
 let loadWorldInfo = null;
@@ -290,9 +293,21 @@ async function createLoreEntry(lorebook, extraction) {
 
 /**
  * Send a completion request to the AI backend
- * Based on MemoryBooks' sendRawCompletionRequest implementation
+ * Goes through Valdris Core's utility model when it is installed, so the
+ * connection, retries and usage tracking configured there apply.
+ * Otherwise based on MemoryBooks' sendRawCompletionRequest implementation.
  */
 async function sendCompletionRequest(prompt) {
+    if (ValdrisCore?.requestCompletion) {
+        const reply = await ValdrisCore.requestCompletion(prompt, {
+            source: EXTENSION_NAME,
+            temperature: 0.7,
+            maxTokens: 2000,
+            timeoutMs: 120000
+        });
+        return reply.text;
+    }
+
     const url = '/api/backends/chat-completions/generate';
     const headers = getRequestHeaders();
 
@@ -858,6 +873,12 @@ async function init() {
             // Non-fatal - we can work without it
         }
 
+        try {
+            ValdrisCore = await import('../valdris-core/index.js');
+        } catch (e) {
+            console.log(`${LOG_PREFIX} Valdris Core not installed, requesting the chat model directly`);
+        }
+
         // Import world-info functions
         try {
             const worldInfoModule = await import('../../../world-info.js');
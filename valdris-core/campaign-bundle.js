@@ -0,0 +1,531 @@
+/**
+ * Valdris Core - Campaign Bundles
+ *
+ * Export every Valdris key of the current chat into one versioned JSON bundle,
+ * and import a bundle into another chat or branch. Imports can be limited to
+ * some sections, merged by entity id instead of overwriting, and previewed as
+ * a dry-run diff before anything is written.
+ *
+ * Bundle shape:
+ * {
+ *     format: 'valdris-campaign',
+ *     version: 1,
+ *     exportedAt: 1700000000000,
+ *     source: { chatId, character },
+ *     sections: {
+ *         npcs: { metaKey: 'valdris_npc_social', schemaVersion: 1, data: {...} },
+ *         ...
+ *     }
+ * }
+ *
+ * Section shape (registerBundleSection):
+ * {
+ *     id: 'npcs',
+ *     name: 'NPCs & Relationships',
+ *     metaKey: 'valdris_npc_social',       // Chat metadata key, or provide read/write instead
+ *     read: () => data,                    // Optional custom reader
+ *     write: (data) => void,               // Optional custom writer (called on import)
+ *     itemKey: (item) => string            // Optional id for array entries without an `id` field
+ * }
+ *
+ * Import options:
+ * {
+ *     sections: ['npcs', 'factions'],      // Omit to import every section in the bundle
+ *     mode: 'merge',                       // 'merge' (by id) or 'replace' (whole section)
+ *     onConflict: 'imported',              // Same id on both sides: 'imported' | 'existing' | 'both'
+ *     overrides: { npcs: { mode, onConflict } }
+ * }
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getSTContext, writeMetadataKeys, generateId } from './core-state.js';
+import { getSchemaVersion, setSchemaVersion, getTargetVersion, getMigrationKeys, migrateBlob } from './migrations.js';
+
+const LOG_PREFIX = '[ValdrisCore:Bundle]';
+
+// Bundle identification
+export const BUNDLE_FORMAT = 'valdris-campaign';
+export const BUNDLE_VERSION = 1;
+
+// Registered sections, in export order
+const _sections = new Map();
+
+// ============================================================================
+// Sections
+// ============================================================================
+
+/**
+ * Register a bundle section
+ * @param {Object} section - Section definition (see module header)
+ * @returns {boolean} True if registered
+ */
+export function registerBundleSection(section) {
+    if (!section?.id || (!section.metaKey && typeof section.read !== 'function')) {
+        console.error(`${LOG_PREFIX} Bundle section needs an id and a metaKey or read function`, section);
+        return false;
+    }
+
+    _sections.set(section.id, {
+        id: section.id,
+        name: section.name || section.id,
+        metaKey: section.metaKey || null,
+        read: section.read || null,
+        write: section.write || null,
+        itemKey: section.itemKey || null
+    });
+    return true;
+}
+
+/**
+ * Remove a bundle section
+ * @param {string} id - Section id
+ */
+export function unregisterBundleSection(id) {
+    _sections.delete(id);
+}
+
+/**
+ * Get registered bundle sections
+ * @returns {Array<{id: string, name: string, metaKey: string|null}>}
+ */
+export function getBundleSections() {
+    return [..._sections.values()].map(({ id, name, metaKey }) => ({ id, name, metaKey }));
+}
+
+/**
+ * Read a section's current data
+ * @param {Object} section - Section definition
+ * @param {Object} md - Chat metadata
+ * @returns {*} Cloned data, or undefined if nothing is stored
+ */
+function readSection(section, md) {
+    const value = section.read ? section.read() : md?.[section.metaKey];
+    return value === undefined || value === null ? undefined : cloneValue(value);
+}
+
+// Built-in sections: the core blob and each suite extension's own key
+registerBundleSection({ id: 'core', name: 'Core Domains', metaKey: 'valdris_core_v1' });
+registerBundleSection({ id: 'tracker', name: 'Character Tracker (VMT)', metaKey: 'vmaster_tracker_v1' });
+registerBundleSection({ id: 'world', name: 'World State', metaKey: 'valdris_world_state' });
+registerBundleSection({ id: 'npcs', name: 'NPCs & Relationships', metaKey: 'valdris_npc_social' });
+registerBundleSection({ id: 'economy', name: 'Economy', metaKey: 'valdris_economy' });
+registerBundleSection({ id: 'factions', name: 'Factions', metaKey: 'valdris_factions' });
+registerBundleSection({ id: 'vex', name: 'Vex', metaKey: 'valdris_vex' });
+
+// Lore Extractor keeps its history in extension settings rather than chat metadata
+registerBundleSection({
+    id: 'lore',
+    name: 'Lore Extractor History',
+    read: () => getSTContext()?.extensionSettings?.['lore-extractor']?.extractionHistory,
+    write: (data) => {
+        const ctx = getSTContext();
+        const settings = ctx?.extensionSettings;
+        if (!settings) return;
+        settings['lore-extractor'] = settings['lore-extractor'] || {};
+        settings['lore-extractor'].extractionHistory = Array.isArray(data) ? data : [];
+        ctx.saveSettingsDebounced?.();
+    },
+    itemKey: (entry) => `${entry.category}:${entry.name}`
+});
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Serialize every registered section of the current chat
+ * Sections with no stored data are left out.
+ *
+ * @returns {Object|null} Bundle, or null without a chat
+ */
+export function exportCampaign() {
+    const ctx = getSTContext();
+    const md = ctx?.chatMetadata;
+    if (!md) return null;
+
+    const sections = {};
+    for (const section of _sections.values()) {
+        const data = readSection(section, md);
+        if (data === undefined) continue;
+
+        sections[section.id] = {
+            metaKey: section.metaKey,
+            schemaVersion: section.metaKey ? getSchemaVersion(section.metaKey, md) : 0,
+            data
+        };
+    }
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: Date.now(),
+        source: {
+            chatId: ctx.chatId ?? ctx.getCurrentChatId?.() ?? null,
+            character: ctx.name2 || null
+        },
+        sections
+    };
+
+    ValdrisEventBus.emit('campaignExported', { sections: Object.keys(sections) });
+    return bundle;
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Check that a parsed object is a bundle this build can read
+ * @param {*} bundle - Parsed JSON
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateBundle(bundle) {
+    const errors = [];
+
+    if (!bundle || typeof bundle !== 'object') {
+        return ['Not a JSON object'];
+    }
+    if (bundle.format !== BUNDLE_FORMAT) {
+        errors.push(`Not a Valdris campaign bundle (format: ${bundle.format ?? 'missing'})`);
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+        errors.push('Missing bundle version');
+    } else if (bundle.version > BUNDLE_VERSION) {
+        errors.push(`Bundle v${bundle.version} is newer than this build supports (v${BUNDLE_VERSION})`);
+    }
+    if (!isPlainObject(bundle.sections)) {
+        errors.push('Missing sections');
+    }
+
+    return errors;
+}
+
+/**
+ * Work out what an import would change, without writing anything
+ *
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} [options] - Import options (see module header)
+ * @returns {Object} Report: { valid, errors, exportedAt, sections: [{ id, name, included, known, mode, onConflict, status, changes, conflicts, error }] }
+ */
+export function previewImport(bundle, options = {}) {
+    return planImport(bundle, options).report;
+}
+
+/**
+ * Import a bundle into the current chat
+ * Sections from an older schema are upgraded through the registered migrations
+ * before they are merged, and written stamped with the current version.
+ *
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} [options] - Import options (see module header)
+ * @returns {Promise<Object>} The preview report, with `applied` listing the imported section ids
+ */
+export async function importCampaign(bundle, options = {}) {
+    const { report, results } = planImport(bundle, options);
+    report.applied = [];
+
+    if (!report.valid) {
+        console.warn(`${LOG_PREFIX} Import rejected:`, report.errors);
+        return report;
+    }
+
+    const md = getSTContext()?.chatMetadata;
+    if (!md) {
+        report.valid = false;
+        report.errors.push('No chat is open');
+        return report;
+    }
+
+    const metaValues = {};
+    for (const result of results) {
+        if (result.section.metaKey) {
+            metaValues[result.section.metaKey] = result.data;
+            setSchemaVersion(result.section.metaKey, result.schemaVersion, md);
+        } else if (result.section.write) {
+            result.section.write(cloneValue(result.data));
+        }
+        report.applied.push(result.section.id);
+    }
+
+    const keys = await writeMetadataKeys(metaValues);
+
+    console.log(`${LOG_PREFIX} Imported sections:`, report.applied);
+
+    ValdrisEventBus.emit('campaignImported', { sections: report.applied, keys });
+    // Extensions already reload their blobs on stateRestored
+    ValdrisEventBus.emit('stateRestored', { messageId: null, keys });
+
+    return report;
+}
+
+/**
+ * Resolve every section of an import
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} options - Import options
+ * @returns {{report: Object, results: Array}} Preview report and the data to write
+ */
+function planImport(bundle, options) {
+    const errors = validateBundle(bundle);
+    const report = {
+        valid: errors.length === 0,
+        errors,
+        exportedAt: bundle?.exportedAt ?? null,
+        source: bundle?.source ?? null,
+        sections: []
+    };
+    const results = [];
+
+    if (!report.valid) return { report, results };
+
+    const md = getSTContext()?.chatMetadata || {};
+    const wanted = Array.isArray(options.sections) ? new Set(options.sections) : null;
+    const migratable = new Set(getMigrationKeys());
+
+    for (const [id, entry] of Object.entries(bundle.sections)) {
+        const section = _sections.get(id);
+        const override = options.overrides?.[id] || {};
+        const mode = override.mode || options.mode || 'merge';
+        const onConflict = override.onConflict || options.onConflict || 'imported';
+
+        const sectionReport = {
+            id,
+            name: section?.name || id,
+            included: !!section && (!wanted || wanted.has(id)),
+            known: !!section,
+            mode,
+            onConflict,
+            status: 'skipped',
+            changes: [],
+            conflicts: [],
+            error: null
+        };
+        report.sections.push(sectionReport);
+
+        if (!section) {
+            sectionReport.status = 'unknown';
+            continue;
+        }
+        if (!sectionReport.included) continue;
+
+        // Merge like with like: bring the bundle's data up to the current schema first
+        let schemaVersion = Number.isInteger(entry?.schemaVersion) ? entry.schemaVersion : 0;
+        let incoming = cloneValue(entry?.data);
+        if (section.metaKey && migratable.has(section.metaKey) && incoming !== undefined && incoming !== null) {
+            const targetVersion = getTargetVersion(section.metaKey);
+            if (schemaVersion > targetVersion) {
+                sectionReport.status = 'failed';
+                sectionReport.error = `Bundle has schema v${schemaVersion}, newer than this build (v${targetVersion})`;
+                continue;
+            }
+            const migrated = migrateBlob(section.metaKey, incoming, schemaVersion);
+            if (migrated.error) {
+                sectionReport.status = 'failed';
+                sectionReport.error = `Upgrading from v${schemaVersion} failed at ${migrated.error}`;
+                continue;
+            }
+            incoming = migrated.data;
+            schemaVersion = targetVersion;
+        }
+
+        const existing = readSection(section, md);
+        const conflicts = [];
+        const data = mode === 'replace' || existing === undefined
+            ? incoming
+            : mergeValue(existing, incoming, { onConflict, itemKey: section.itemKey, conflicts, path: '' });
+
+        sectionReport.conflicts = conflicts;
+        sectionReport.changes = diffValues(existing, data, section.itemKey);
+        sectionReport.status = existing === undefined
+            ? 'new'
+            : sectionReport.changes.length ? 'changed' : 'unchanged';
+
+        results.push({ section, data, schemaVersion });
+    }
+
+    return { report, results };
+}
+
+// ============================================================================
+// Merge & Diff
+// ============================================================================
+
+/**
+ * Merge imported data into existing data
+ * Objects merge key by key, arrays of entities merge by id, and any other
+ * value is taken from the winning side.
+ *
+ * @param {*} existing - Current value
+ * @param {*} incoming - Imported value
+ * @param {Object} ctx - { onConflict, itemKey, conflicts, path }
+ * @returns {*}
+ */
+function mergeValue(existing, incoming, ctx) {
+    if (incoming === undefined) return existing;
+    if (existing === undefined) return incoming;
+
+    if (isPlainObject(existing) && isPlainObject(incoming)) {
+        const output = { ...existing };
+        for (const key of Object.keys(incoming)) {
+            output[key] = mergeValue(existing[key], incoming[key], { ...ctx, path: joinPath(ctx.path, key) });
+        }
+        return output;
+    }
+
+    if (isEntityList(existing, ctx.itemKey) && isEntityList(incoming, ctx.itemKey)) {
+        return mergeEntityList(existing, incoming, ctx);
+    }
+
+    // An empty list on one side is not a conflict
+    if (Array.isArray(existing) && Array.isArray(incoming) && (existing.length === 0 || incoming.length === 0)) {
+        return existing.length ? existing : incoming;
+    }
+
+    return ctx.onConflict === 'existing' ? existing : incoming;
+}
+
+/**
+ * Merge two arrays of entities by id
+ * @param {Object[]} existing - Current entities
+ * @param {Object[]} incoming - Imported entities
+ * @param {Object} ctx - { onConflict, itemKey, conflicts, path }
+ * @returns {Object[]}
+ */
+function mergeEntityList(existing, incoming, ctx) {
+    const output = [...existing];
+    const indexById = new Map(existing.map((item, index) => [entityKey(item, ctx.itemKey), index]));
+
+    for (const item of incoming) {
+        const key = entityKey(item, ctx.itemKey);
+        if (!indexById.has(key)) {
+            output.push(item);
+            continue;
+        }
+
+        const index = indexById.get(key);
+        if (JSON.stringify(output[index]) === JSON.stringify(item)) continue;
+
+        ctx.conflicts.push({
+            path: `${ctx.path}[${key}]`,
+            id: key,
+            label: item.name || existing[index].name || key,
+            resolution: ctx.onConflict
+        });
+
+        if (ctx.onConflict === 'imported') {
+            output[index] = item;
+        } else if (ctx.onConflict === 'both' && item.id !== undefined) {
+            // Keep both entities; the imported copy gets a fresh id
+            output.push({ ...item, id: generateId('imp') });
+        }
+    }
+
+    return output;
+}
+
+/**
+ * List paths that differ between two values; entity arrays are compared by id
+ * @param {*} before - Current value
+ * @param {*} after - Value after import
+ * @param {Function|null} itemKey - Section item key function
+ * @param {string} [prefix] - Path prefix for recursion
+ * @returns {Array<{path: string, type: string}>}
+ */
+function diffValues(before, after, itemKey, prefix = '') {
+    if (before === undefined && after !== undefined) return [{ path: prefix || '(root)', type: 'added' }];
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const changes = [];
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const path = joinPath(prefix, key);
+            if (!(key in after)) changes.push({ path, type: 'removed' });
+            else if (!(key in before)) changes.push({ path, type: 'added' });
+            else changes.push(...diffValues(before[key], after[key], itemKey, path));
+        }
+        return changes;
+    }
+
+    if (isEntityList(before, itemKey) && isEntityList(after, itemKey)) {
+        const beforeById = new Map(before.map(item => [entityKey(item, itemKey), item]));
+        const afterById = new Map(after.map(item => [entityKey(item, itemKey), item]));
+        const changes = [];
+        for (const [key, item] of afterById) {
+            const path = `${prefix}[${item.name || key}]`;
+            if (!beforeById.has(key)) changes.push({ path, type: 'added' });
+            else if (JSON.stringify(beforeById.get(key)) !== JSON.stringify(item)) changes.push({ path, type: 'changed' });
+        }
+        for (const [key, item] of beforeById) {
+            if (!afterById.has(key)) changes.push({ path: `${prefix}[${item.name || key}]`, type: 'removed' });
+        }
+        return changes;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+        return [{ path: prefix || '(root)', type: 'changed' }];
+    }
+    return [];
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Check whether a value is an array of entities that can be matched by id
+ * @param {*} value - Value to check
+ * @param {Function|null} itemKey - Section item key function
+ * @returns {boolean}
+ */
+function isEntityList(value, itemKey) {
+    return Array.isArray(value) &&
+        value.every(item => isPlainObject(item) && (item.id !== undefined || !!itemKey));
+}
+
+/**
+ * Get the id used to match an entity
+ * @param {Object} item - Entity
+ * @param {Function|null} itemKey - Section item key function
+ * @returns {string}
+ */
+function entityKey(item, itemKey) {
+    return String(item.id !== undefined ? item.id : itemKey(item));
+}
+
+/**
+ * Join a dot path
+ * @param {string} prefix - Parent path
+ * @param {string} key - Child key
+ * @returns {string}
+ */
+function joinPath(prefix, key) {
+    return prefix ? `${prefix}.${key}` : key;
+}
+
+/**
+ * Deep clone a JSON-compatible value
+ * @param {*} value - Value to clone
+ * @returns {*}
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check if value is a plain object
+ * @param {*} item - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(item) {
+    return !!item && typeof item === 'object' && !Array.isArray(item);
+}
+
+export default {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    registerBundleSection,
+    unregisterBundleSection,
+    getBundleSections,
+    exportCampaign,
+    validateBundle,
+    previewImport,
+    importCampaign
+};
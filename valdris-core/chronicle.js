@@ -0,0 +1,466 @@
+/**
+ * Valdris Core - Chronicle
+ *
+ * A persistent per-chat journal of notable in-game events, stamped with the
+ * Valdris calendar date from the time domain. Core records the standard bus
+ * events through registered recorders; extensions can add recorders for their
+ * own events or write entries directly with addChronicleEntry().
+ *
+ * Entry shape:
+ * {
+ *     id: 'chr_...',
+ *     event: 'levelUp',                 // Bus event (or 'custom')
+ *     category: 'character',
+ *     summary: 'Reached level 5',
+ *     date: { year, month, monthName, day, dayOfWeek, hour, minute } | null,
+ *     data: { ... },                    // Small payload for queries
+ *     recordedAt: 1700000000000         // Real-world time
+ * }
+ *
+ * Recorder shape (registerChronicleRecorder):
+ * {
+ *     category: 'world',
+ *     describe: (data) => 'Summary' | null   // null skips the event
+ *     pick: (data) => ({ ... })              // Optional, what to keep in entry.data
+ * }
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getSTContext, getDomainState, registerSnapshotKey } from './core-state.js';
+import { registerBundleSection } from './campaign-bundle.js';
+import { markDirty } from './persistence.js';
+
+const LOG_PREFIX = '[ValdrisCore:Chronicle]';
+
+// Chat metadata key holding the journal
+const CHRONICLE_META_KEY = 'valdris_chronicle_v1';
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 1000;
+
+// Categories shown in the timeline filter
+export const CHRONICLE_CATEGORIES = ['time', 'world', 'celestial', 'character', 'social', 'factions', 'economy', 'custom'];
+
+// Recorders by event name
+const _recorders = new Map();
+
+// Bus unsubscribe functions, by event name
+const _unsubscribers = new Map();
+
+// Chronicle entries roll back with swipes and travel with campaign bundles
+registerSnapshotKey(CHRONICLE_META_KEY);
+registerBundleSection({ id: 'chronicle', name: 'Chronicle', metaKey: CHRONICLE_META_KEY });
+
+// ============================================================================
+// Recorders
+// ============================================================================
+
+/**
+ * Record a bus event in the chronicle
+ * Registering the same event again replaces its recorder.
+ *
+ * @param {string} event - Bus event name
+ * @param {Object} recorder - Recorder definition (see module header)
+ * @returns {boolean} True if registered
+ */
+export function registerChronicleRecorder(event, recorder) {
+    if (!event || typeof recorder?.describe !== 'function') {
+        console.error(`${LOG_PREFIX} Recorder for '${event}' needs a describe function`);
+        return false;
+    }
+
+    _recorders.set(event, {
+        category: recorder.category || 'custom',
+        describe: recorder.describe,
+        pick: recorder.pick || null
+    });
+
+    _unsubscribers.get(event)?.();
+    _unsubscribers.set(event, ValdrisEventBus.on(event, (data) => recordEvent(event, data), { id: 'valdris-chronicle', priority: -100 }));
+    return true;
+}
+
+/**
+ * Stop recording a bus event
+ * @param {string} event - Bus event name
+ */
+export function unregisterChronicleRecorder(event) {
+    _unsubscribers.get(event)?.();
+    _unsubscribers.delete(event);
+    _recorders.delete(event);
+}
+
+/**
+ * Turn a bus event into an entry using its recorder
+ * @param {string} event - Bus event name
+ * @param {*} data - Event payload
+ */
+function recordEvent(event, data) {
+    const recorder = _recorders.get(event);
+    if (!recorder) return;
+
+    let summary;
+    try {
+        summary = recorder.describe(data || {});
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Recorder for '${event}' failed:`, error);
+        return;
+    }
+    if (!summary) return;
+
+    addChronicleEntry({
+        event,
+        category: recorder.category,
+        summary,
+        data: recorder.pick ? recorder.pick(data || {}) : {}
+    });
+}
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+/**
+ * Add an entry to the current chat's chronicle
+ * @param {Object} entry - { summary, category?, event?, data?, date? }
+ * @returns {Object|null} The stored entry, or null without a chat
+ */
+export function addChronicleEntry(entry) {
+    const store = getStore();
+    if (!store || !entry?.summary) return null;
+
+    const stored = {
+        id: `chr_${Date.now().toString(36)}${(store.sequence++).toString(36)}`,
+        event: entry.event || 'custom',
+        category: entry.category || 'custom',
+        summary: String(entry.summary),
+        date: entry.date || getCurrentDate(),
+        data: entry.data || {},
+        recordedAt: Date.now()
+    };
+
+    store.entries.push(stored);
+    if (store.entries.length > MAX_ENTRIES) {
+        store.entries.splice(0, store.entries.length - MAX_ENTRIES);
+    }
+
+    requestSave();
+    ValdrisEventBus.emit('chronicleEntryAdded', { entry: stored });
+    return stored;
+}
+
+/**
+ * Remove an entry from the chronicle
+ * @param {string} id - Entry id
+ * @returns {boolean} True if removed
+ */
+export function removeChronicleEntry(id) {
+    const store = getStore();
+    const index = store?.entries.findIndex(e => e.id === id) ?? -1;
+    if (index < 0) return false;
+
+    store.entries.splice(index, 1);
+    requestSave();
+    return true;
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Get every entry in recorded order
+ * @returns {Object[]}
+ */
+export function getChronicle() {
+    return [...(getStore()?.entries || [])];
+}
+
+/**
+ * Query the chronicle
+ *
+ * @example
+ * // What happened in Harvest 2847?
+ * queryChronicle({ year: 2847, month: 'Harvest' });
+ *
+ * @param {Object} [query] - Filters, all optional
+ * @param {string} [query.text] - Case-insensitive search in summaries
+ * @param {string|string[]} [query.category] - One or more categories
+ * @param {string|string[]} [query.event] - One or more event names
+ * @param {number} [query.year] - Calendar year
+ * @param {number|string} [query.month] - Month number (1-12) or name
+ * @param {number} [query.day] - Day of month
+ * @param {Object} [query.from] - Inclusive start date { year, month, day }
+ * @param {Object} [query.to] - Inclusive end date { year, month, day }
+ * @param {boolean} [query.newestFirst] - Reverse order
+ * @param {number} [query.limit] - Maximum entries returned
+ * @returns {Object[]}
+ */
+export function queryChronicle(query = {}) {
+    const categories = toList(query.category);
+    const events = toList(query.event);
+    const text = query.text?.trim().toLowerCase();
+    const month = query.month;
+
+    let results = getChronicle().filter(entry => {
+        if (categories && !categories.includes(entry.category)) return false;
+        if (events && !events.includes(entry.event)) return false;
+        if (text && !entry.summary.toLowerCase().includes(text)) return false;
+
+        const date = entry.date;
+        if (query.year !== undefined && date?.year !== Number(query.year)) return false;
+        if (month !== undefined && !matchesMonth(date, month)) return false;
+        if (query.day !== undefined && date?.day !== Number(query.day)) return false;
+        if (query.from && (!date || compareDates(date, query.from) < 0)) return false;
+        if (query.to && (!date || compareDates(date, query.to) > 0)) return false;
+        return true;
+    });
+
+    if (query.newestFirst) results.reverse();
+    if (Number.isInteger(query.limit) && query.limit >= 0) results = results.slice(0, query.limit);
+    return results;
+}
+
+/**
+ * Format an entry date for display
+ * @param {Object|null} date - Entry date
+ * @returns {string}
+ */
+export function formatChronicleDate(date) {
+    if (!date) return 'Undated';
+    const time = Number.isInteger(date.hour)
+        ? ` ${String(date.hour).padStart(2, '0')}:${String(date.minute ?? 0).padStart(2, '0')}`
+        : '';
+    return `${date.day} ${date.monthName || `Month ${date.month}`}, ${date.year}${time}`;
+}
+
+// ============================================================================
+// Built-in Recorders
+// ============================================================================
+
+registerChronicleRecorder('newDay', {
+    category: 'time',
+    describe: ({ date }) => date ? `A new day: ${date.dayOfWeek ? `${date.dayOfWeek}, ` : ''}${date.day} ${date.monthName}` : null
+});
+
+registerChronicleRecorder('newMonth', {
+    category: 'time',
+    describe: ({ date }) => date ? `The month of ${date.monthName} begins` : null
+});
+
+registerChronicleRecorder('newYear', {
+    category: 'time',
+    describe: ({ date }) => date ? `The year ${date.year} begins` : null
+});
+
+registerChronicleRecorder('simulationCompleted', {
+    category: 'time',
+    describe: ({ days }) => `${days} day${days === 1 ? '' : 's'} pass`,
+    pick: ({ days, from, to }) => ({ days, from, to })
+});
+
+registerChronicleRecorder('timeAdvanceBlocked', {
+    category: 'time',
+    describe: ({ reason }) => `Time could not pass: ${reason}`
+});
+
+registerChronicleRecorder('weatherChanged', {
+    category: 'world',
+    describe: ({ oldWeather, newWeather }) =>
+        newWeather?.currentName && newWeather.currentName !== oldWeather?.currentName
+            ? `Weather turned ${newWeather.currentName.toLowerCase()}`
+            : null,
+    pick: ({ newWeather }) => ({ condition: newWeather?.current })
+});
+
+registerChronicleRecorder('moonPhaseChanged', {
+    category: 'celestial',
+    describe: ({ moon, newPhase }) => moon && newPhase ? `${capitalize(moon)} entered ${formatLabel(newPhase)}` : null,
+    pick: ({ moon, newPhase }) => ({ moon, phase: newPhase })
+});
+
+registerChronicleRecorder('celestialEvent', {
+    category: 'celestial',
+    describe: ({ event }) => event ? `${event.name || formatLabel(event.id || 'Celestial event')}` : null
+});
+
+registerChronicleRecorder('levelUp', {
+    category: 'character',
+    describe: ({ newLevel }) => `Reached level ${newLevel}`,
+    pick: ({ oldLevel, newLevel }) => ({ oldLevel, newLevel })
+});
+
+registerChronicleRecorder('classUnlocked', {
+    category: 'character',
+    describe: ({ className, classId }) => `Unlocked the ${className || classId} class`
+});
+
+registerChronicleRecorder('woundReceived', {
+    category: 'character',
+    describe: ({ wound }) => wound
+        ? `Suffered a ${[wound.severity, wound.type || wound.name].filter(Boolean).join(' ').toLowerCase() || 'wound'}${wound.location ? ` (${wound.location})` : ''}`
+        : null,
+    pick: ({ wound }) => ({ woundId: wound?.id, severity: wound?.severity })
+});
+
+registerChronicleRecorder('nearDeath', {
+    category: 'character',
+    describe: ({ hpPercent }) => `Brought to the brink of death (${Math.round(hpPercent)}% HP)`
+});
+
+registerChronicleRecorder('questCompleted', {
+    category: 'character',
+    describe: ({ questId, name }) => `Completed quest: ${name || questId}`
+});
+
+registerChronicleRecorder('relationshipChanged', {
+    category: 'social',
+    describe: ({ npcName, description }) => npcName ? `${description || 'Interaction'} - ${npcName}` : null,
+    pick: ({ npcId, npcName, event, changes }) => ({ npcId, npcName, event, changes })
+});
+
+registerChronicleRecorder('reputationChanged', {
+    category: 'factions',
+    describe: ({ factionName, faction, oldValue, newValue }) => {
+        const delta = (newValue ?? 0) - (oldValue ?? 0);
+        if (!delta) return null;
+        return `Standing with ${factionName || faction} ${delta > 0 ? 'rose' : 'fell'} by ${Math.abs(delta)} (now ${newValue})`;
+    },
+    pick: ({ faction, oldValue, newValue }) => ({ faction, oldValue, newValue })
+});
+
+registerChronicleRecorder('factionJoined', {
+    category: 'factions',
+    describe: ({ factionName }) => `Joined ${factionName}`
+});
+
+registerChronicleRecorder('factionLeft', {
+    category: 'factions',
+    describe: ({ factionName }) => `Left ${factionName}`
+});
+
+registerChronicleRecorder('purchaseMade', {
+    category: 'economy',
+    describe: ({ item, quantity, shop }) => item ? `Bought ${quantity > 1 ? `${quantity}x ` : ''}${item}${shop ? ` at ${shop}` : ''}` : null,
+    pick: ({ item, quantity, totalPrice }) => ({ item, quantity, totalPrice })
+});
+
+registerChronicleRecorder('goldChanged', {
+    category: 'economy',
+    describe: ({ delta, newValue }) => delta ? `${delta > 0 ? 'Gained' : 'Spent'} ${Math.abs(delta)} gold (now ${newValue})` : null,
+    pick: ({ delta, newValue }) => ({ delta, newValue })
+});
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Get (and create if needed) the chronicle store in chat metadata
+ * @returns {{entries: Object[], sequence: number}|null}
+ */
+function getStore() {
+    const md = getSTContext()?.chatMetadata;
+    if (!md) return null;
+
+    if (!md[CHRONICLE_META_KEY] || typeof md[CHRONICLE_META_KEY] !== 'object') {
+        md[CHRONICLE_META_KEY] = { entries: [], sequence: 0 };
+    }
+    const store = md[CHRONICLE_META_KEY];
+    if (!Array.isArray(store.entries)) store.entries = [];
+    if (!Number.isInteger(store.sequence)) store.sequence = store.entries.length;
+    return store;
+}
+
+/**
+ * Read the current Valdris date from the time domain
+ * @returns {Object|null}
+ */
+function getCurrentDate() {
+    const time = getDomainState('time');
+    if (!time || !Number.isInteger(time.year)) return null;
+
+    return {
+        year: time.year,
+        month: time.month,
+        monthName: time.monthName || null,
+        day: time.day,
+        dayOfWeek: time.dayOfWeek || null,
+        hour: time.hour,
+        minute: time.minute
+    };
+}
+
+/**
+ * Compare two calendar dates (year, month, day, then hour/minute if both have them)
+ * @param {Object} a - Date
+ * @param {Object} b - Date
+ * @returns {number} Negative, zero or positive
+ */
+function compareDates(a, b) {
+    return (a.year - b.year) ||
+        ((a.month ?? 1) - (b.month ?? 1)) ||
+        ((a.day ?? 1) - (b.day ?? 1)) ||
+        (Number.isInteger(a.hour) && Number.isInteger(b.hour)
+            ? (a.hour - b.hour) || ((a.minute ?? 0) - (b.minute ?? 0))
+            : 0);
+}
+
+/**
+ * Check an entry date against a month number or name
+ * @param {Object|null} date - Entry date
+ * @param {number|string} month - Month number or name
+ * @returns {boolean}
+ */
+function matchesMonth(date, month) {
+    if (!date) return false;
+    if (typeof month === 'number' || /^\d+$/.test(String(month))) return date.month === Number(month);
+    return String(date.monthName || '').toLowerCase() === String(month).trim().toLowerCase();
+}
+
+/**
+ * Normalize a string-or-array filter
+ * @param {string|string[]|undefined} value - Filter value
+ * @returns {string[]|null}
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Turn an identifier such as 'waxing_gibbous' into 'Waxing Gibbous'
+ * @param {string} value - Identifier
+ * @returns {string}
+ */
+function formatLabel(value) {
+    return String(value).split(/[_\s]+/).map(capitalize).join(' ');
+}
+
+/**
+ * Capitalize the first letter
+ * @param {string} value - Text
+ * @returns {string}
+ */
+function capitalize(value) {
+    const text = String(value ?? '');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Mark the chronicle for the next chat save
+ */
+function requestSave() {
+    markDirty(CHRONICLE_META_KEY, 'valdris-chronicle');
+}
+
+export default {
+    CHRONICLE_CATEGORIES,
+    registerChronicleRecorder,
+    unregisterChronicleRecorder,
+    addChronicleEntry,
+    removeChronicleEntry,
+    getChronicle,
+    queryChronicle,
+    formatChronicleDate
+};
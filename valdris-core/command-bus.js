@@ -0,0 +1,259 @@
+/**
+ * Valdris Core - Command Bus
+ *
+ * Only a domain's owner may write it. Other extensions ask the owner to make a
+ * change by dispatching a named command; the owner registers a handler for
+ * each command it accepts in its domain. Every dispatch, accepted or not, is
+ * written to a per-chat audit trail of who asked for what.
+ *
+ *     // VMT (owns 'player')
+ *     registerCommandHandler('player.adjustResource', {
+ *         owner: 'valdris-master-tracker',
+ *         description: 'Change HP, MP, stamina or XP',
+ *         handler: async ({ resource, delta, source }, meta) => ({ current, max })
+ *     });
+ *
+ *     // VWS
+ *     const result = await dispatchCommand('player.adjustResource',
+ *         { resource: 'hp', delta: -4, source: 'Blizzard' },
+ *         { source: 'valdris-world-state' });
+ *     // { ok: true, id, command, result: { current, max } }
+ *     // { ok: false, id, command, error: "Unknown command 'player.heal'" }
+ *
+ * The part of a command name before the first dot is the domain it changes.
+ * Handlers report invalid payloads by throwing; the error text is returned to
+ * the caller as `error`. Each handler runs in a transaction, so a handler that
+ * throws part-way leaves nothing behind, and the command is one undo step.
+ * `meta` is { command, source, id, tx }; handlers pass `meta.tx` to their
+ * writes, and to dispatchCommand for any command they send on. Such a nested
+ * command runs from a savepoint: if it fails, only its own writes are undone
+ * and the outer handler gets { ok: false } and decides whether to carry on.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getSTContext, getDomainOwner, generateId, transaction } from './core-state.js';
+import { markDirty } from './persistence.js';
+
+const LOG_PREFIX = '[ValdrisCore:CommandBus]';
+
+// Chat metadata key holding the audit trail
+const AUDIT_META_KEY = 'valdris_command_audit_v1';
+
+// Oldest audit entries are dropped beyond this
+const MAX_AUDIT_ENTRIES = 200;
+
+// Registered handlers, by command name
+const _handlers = new Map();
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register the handler for a command
+ * Refused when another extension owns the command's domain. Registering the
+ * same command again replaces the previous handler.
+ *
+ * @param {string} command - Command name ('player.adjustResource')
+ * @param {Object} definition - { owner, description, handler(payload, meta) }
+ * @returns {boolean} True if registered
+ */
+export function registerCommandHandler(command, definition) {
+    if (!command || !String(command).includes('.') || typeof definition?.handler !== 'function') {
+        console.error(`${LOG_PREFIX} Command '${command}' needs a 'domain.action' name and a handler`);
+        return false;
+    }
+
+    const domain = getCommandDomain(command);
+    const owner = getDomainOwner(domain);
+    if (owner && definition.owner !== owner) {
+        console.error(`${LOG_PREFIX} ${definition.owner || 'Unknown'} cannot handle '${command}': ${domain} is owned by ${owner}`);
+        return false;
+    }
+
+    _handlers.set(command, {
+        command,
+        domain,
+        owner: definition.owner || null,
+        description: definition.description || '',
+        handler: definition.handler
+    });
+    return true;
+}
+
+/**
+ * Remove a command handler
+ * @param {string} command - Command name
+ */
+export function unregisterCommandHandler(command) {
+    _handlers.delete(command);
+}
+
+/**
+ * Get registered commands
+ * @returns {Array<{command: string, domain: string, owner: string, description: string}>}
+ */
+export function getCommandHandlers() {
+    return [..._handlers.values()].map(({ command, domain, owner, description }) => ({ command, domain, owner, description }));
+}
+
+// ============================================================================
+// Dispatch
+// ============================================================================
+
+/**
+ * Ask a domain's owner to carry out a command
+ * Never throws; failures come back with ok: false.
+ *
+ * @param {string} command - Command name
+ * @param {Object} payload - Command arguments
+ * @param {Object} options - { source: requesting extension id, tx: open transaction to run in }
+ * @returns {Promise<{ok: boolean, id: string, command: string, result?: *, error?: string}>}
+ */
+export async function dispatchCommand(command, payload = {}, options = {}) {
+    const id = generateId('cmd');
+    const source = options.source || 'unknown';
+    const definition = _handlers.get(command);
+
+    let outcome;
+    if (!definition) {
+        outcome = { ok: false, id, command, error: `Unknown command '${command}'` };
+    } else if (getDomainOwner(definition.domain) && getDomainOwner(definition.domain) !== definition.owner) {
+        // The domain changed hands after the handler was registered
+        outcome = { ok: false, id, command, error: `${definition.owner} no longer owns ${definition.domain}` };
+    } else {
+        try {
+            const result = await transaction(
+                (tx) => definition.handler(payload, { command, source, id, tx }),
+                { source, label: command, tx: options.tx }
+            );
+            outcome = { ok: true, id, command, result };
+        } catch (error) {
+            outcome = { ok: false, id, command, error: error?.message || String(error) };
+        }
+    }
+
+    if (!outcome.ok) {
+        console.warn(`${LOG_PREFIX} ${source} -> ${command} failed: ${outcome.error}`);
+    }
+
+    const entry = {
+        id,
+        command,
+        source,
+        owner: definition?.owner || null,
+        payload: toPlain(payload),
+        ok: outcome.ok,
+        result: outcome.ok ? toPlain(outcome.result) : undefined,
+        error: outcome.error,
+        timestamp: Date.now()
+    };
+    appendAudit(entry);
+    ValdrisEventBus.emit('commandDispatched', entry);
+
+    return outcome;
+}
+
+// ============================================================================
+// Audit Trail
+// ============================================================================
+
+/**
+ * Query the current chat's command audit trail
+ * @param {Object} filter - { command, source, owner, failedOnly, limit }
+ * @returns {Object[]} Entries, newest first
+ */
+export function getCommandAudit(filter = {}) {
+    const entries = getAuditStore()?.entries || [];
+
+    const matches = entries.filter(entry =>
+        (!filter.command || entry.command === filter.command) &&
+        (!filter.source || entry.source === filter.source) &&
+        (!filter.owner || entry.owner === filter.owner) &&
+        (!filter.failedOnly || !entry.ok)
+    ).reverse();
+
+    return filter.limit ? matches.slice(0, filter.limit) : matches;
+}
+
+/**
+ * Clear the current chat's command audit trail
+ */
+export function clearCommandAudit() {
+    const store = getAuditStore();
+    if (!store) return;
+    store.entries = [];
+    requestSave();
+}
+
+/**
+ * Add an entry to the audit trail and persist it
+ * @param {Object} entry - Audit entry
+ */
+function appendAudit(entry) {
+    const store = getAuditStore();
+    if (!store) return;
+
+    store.entries.push(entry);
+    if (store.entries.length > MAX_AUDIT_ENTRIES) {
+        store.entries.splice(0, store.entries.length - MAX_AUDIT_ENTRIES);
+    }
+    requestSave();
+}
+
+/**
+ * Get the current chat's audit store
+ * @returns {Object|null} { entries: [] }
+ */
+function getAuditStore() {
+    const md = getSTContext()?.chatMetadata;
+    if (!md) return null;
+
+    if (!Array.isArray(md[AUDIT_META_KEY]?.entries)) {
+        md[AUDIT_META_KEY] = { entries: [] };
+    }
+    return md[AUDIT_META_KEY];
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Domain a command writes to
+ * @param {string} command - Command name
+ * @returns {string}
+ */
+function getCommandDomain(command) {
+    return String(command).split('.')[0];
+}
+
+/**
+ * Copy a value into plain JSON for storage in chat metadata
+ * @param {*} value - Payload or result
+ * @returns {*} Copy, or a string description when it cannot be serialised
+ */
+function toPlain(value) {
+    if (value === undefined) return undefined;
+    try {
+        return JSON.parse(JSON.stringify(value));
+    } catch (error) {
+        return String(value);
+    }
+}
+
+/**
+ * Mark the command audit for the next chat save
+ */
+function requestSave() {
+    markDirty(AUDIT_META_KEY, 'valdris-commands');
+}
+
+export default {
+    registerCommandHandler,
+    unregisterCommandHandler,
+    getCommandHandlers,
+    dispatchCommand,
+    getCommandAudit,
+    clearCommandAudit
+};
@@ -6,7 +6,13 @@
  * into AI prompts, providing the LLM with full world state awareness.
  */
 
-import { getFullState, getDomainState } from './core-state.js';
+import { getFullState } from './core-state.js';
+import {
+    registerContextProvider,
+    getContextProvider,
+    getContextProviders
+} from './context-providers.js';
+import { getDirectiveRules, selectDirectives } from './directive-rules.js';
 
 const LOG_PREFIX = '[ValdrisContext]';
 
@@ -23,10 +29,31 @@ const DEFAULT_SETTINGS = {
     includeNarrativeDirectives: true,
     maxRecentEvents: 3,
     maxNearbyNPCs: 5,
+    directiveRules: null,   // null = shipped default rules
+    tokenBudget: 0,         // 0 = no limit
     customHeader: '',
     customFooter: ''
 };
 
+// Built-in section priorities (0-100); higher-priority sections keep their lines longer under a budget
+const SECTION_PRIORITIES = {
+    player: 90,
+    time: 85,
+    directives: 75,
+    world: 70,
+    npcs: 60,
+    factions: 50,
+    economy: 40,
+    vex: 30
+};
+
+// How much recency (0-1) adds to a line's score
+const RECENCY_WEIGHT = 15;
+
+// Optional external token counter and a cache of counted strings
+let _tokenCounter = null;
+const _tokenCache = new Map();
+
 /**
  * Build the complete context block for AI injection
  * This gets prepended to prompts (hidden from user)
@@ -35,105 +62,282 @@ const DEFAULT_SETTINGS = {
  * @returns {string} Formatted context block
  */
 export function buildFullContext(settingsOverride = {}) {
+    return buildContextReport(settingsOverride).text;
+}
+
+/**
+ * Build the context block along with a token breakdown
+ * When settings.tokenBudget is set, the lowest-scoring lines are compressed
+ * or dropped until the block fits.
+ *
+ * @param {Object} settingsOverride - Override default settings
+ * @returns {Object} { text, totalTokens, budget, sections: [{ id, title, tokens, lines, trimmed }], trimmed: [...] }
+ */
+export function buildContextReport(settingsOverride = {}) {
     const settings = { ...DEFAULT_SETTINGS, ...settingsOverride };
+    const budget = Math.max(0, Number(settings.tokenBudget) || 0);
 
     if (!settings.enabled) {
-        return '';
+        return { text: '', totalTokens: 0, budget, sections: [], trimmed: [] };
     }
 
     const state = getFullState();
     const sections = [];
 
-    // Header
-    sections.push('[VALDRIS WORLD STATE - INTEGRATE NATURALLY, NEVER RECITE VERBATIM]');
-    sections.push('');
+    // One section per enabled provider, in placement/user order
+    for (const provider of getContextProviders(settings)) {
+        if (!provider.enabled) continue;
+        const section = runProvider(provider, state, settings);
+        if (section) sections.push(section);
+    }
 
-    // Custom header
+    // Header and footer are never trimmed
+    const prefix = ['[VALDRIS WORLD STATE - INTEGRATE NATURALLY, NEVER RECITE VERBATIM]', ''];
     if (settings.customHeader) {
-        sections.push(settings.customHeader);
-        sections.push('');
+        prefix.push(settings.customHeader, '');
     }
 
-    // Time & Celestial (from VTC)
-    if (settings.includeTime && state.time) {
-        const timeSection = buildTimeContext(state.time);
-        if (timeSection) sections.push(timeSection);
-    }
+    const suffix = [];
+    if (settings.customFooter) {
+        suffix.push('', settings.customFooter);
+    }
+    suffix.push('[/VALDRIS WORLD STATE]');
+
+    const active = sections.filter(section => section.items.length > 0);
+    const trimmed = budget > 0
+        ? fitToBudget(active, budget, countTokens(prefix.concat(suffix).filter(s => s).join('\n')))
+        : [];
+
+    const rendered = active.map(renderSection).filter(Boolean);
+    const text = [...prefix, ...rendered, ...suffix].filter(s => s).join('\n');
+
+    return {
+        text,
+        totalTokens: countTokens(text),
+        budget,
+        sections: active.map(section => ({
+            id: section.id,
+            title: section.title,
+            tokens: countTokens(renderSection(section)),
+            lines: section.items.filter(item => !item.dropped).length,
+            trimmed: trimmed.filter(t => t.section === section.id).length
+        })),
+        trimmed
+    };
+}
 
-    // Player State (from VMT)
-    if (settings.includePlayer && state.player) {
-        const playerSection = buildPlayerContext(state.player);
-        if (playerSection) sections.push(playerSection);
-    }
+/**
+ * Build context for a specific domain (or any provider id) only
+ * @param {string} domain - Domain name / provider id
+ * @returns {string}
+ */
+export function buildDomainContext(domain) {
+    const provider = getContextProvider(domain);
+    if (!provider) return '';
 
-    // World Events (from VWS)
-    if (settings.includeWorld && state.world) {
-        const worldSection = buildWorldContext(state.world, settings);
-        if (worldSection) sections.push(worldSection);
-    }
+    const section = runProvider(provider, getFullState(), { ...DEFAULT_SETTINGS });
+    return section ? renderSection(section) : '';
+}
 
-    // Nearby NPCs (from VNS)
-    if (settings.includeNPCs && state.npcs) {
-        const npcSection = buildNPCContext(state.npcs, settings);
-        if (npcSection) sections.push(npcSection);
-    }
+/**
+ * Replace the token estimator (e.g. with SillyTavern's tokenizer)
+ * @param {Function|null} counter - (text) => number, or null for the built-in estimate
+ */
+export function setTokenCounter(counter) {
+    _tokenCounter = typeof counter === 'function' ? counter : null;
+    _tokenCache.clear();
+}
 
-    // Economy (from VES)
-    if (settings.includeEconomy && state.economy) {
-        const economySection = buildEconomyContext(state.economy);
-        if (economySection) sections.push(economySection);
-    }
+// ============================================================================
+// Sections and budgeting
+// ============================================================================
 
-    // Faction Status (from VFS)
-    if (settings.includeFactions && state.factions) {
-        const factionSection = buildFactionContext(state.factions);
-        if (factionSection) sections.push(factionSection);
+/**
+ * Run a provider and normalize its output into a section
+ * Providers may return a section, a string (one line per row) or an array
+ * of strings / { text, priority, recency, short } items.
+ *
+ * @param {Object} provider - Provider from the registry
+ * @param {Object} state - Full core state
+ * @param {Object} settings - Context settings
+ * @returns {Object|null} Section, or null if the provider produced nothing
+ */
+function runProvider(provider, state, settings) {
+    let output;
+    try {
+        output = provider.build(state, settings);
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Context provider '${provider.id}' failed:`, error);
+        return null;
+    }
+
+    if (!output) return null;
+
+    let section;
+    if (Array.isArray(output?.items)) {
+        section = output;
+        section.id = provider.id;
+        section.priority = provider.priority;
+    } else {
+        section = createSection(provider.id, provider.title, provider.priority);
+        const rows = typeof output === 'string'
+            ? output.split('\n')
+            : (Array.isArray(output) ? output : []);
+        const lines = rows.filter(row => (typeof row === 'string' ? row.trim() : row?.text));
+
+        lines.forEach((row, index) => {
+            if (typeof row === 'string') {
+                // Plain text keeps its order: later lines are trimmed first
+                addLine(section, row, { priority: provider.priority, recency: listRecency(index, lines.length) });
+            } else {
+                addLine(section, row.text, { priority: provider.priority, ...row });
+            }
+        });
     }
 
-    // Narrative Directives
-    if (settings.includeNarrativeDirectives) {
-        const narrativeSection = buildNarrativeDirectives(state);
-        if (narrativeSection) sections.push(narrativeSection);
-    }
+    return section.items.length > 0 ? section : null;
+}
 
-    // Custom footer
-    if (settings.customFooter) {
-        sections.push('');
-        sections.push(settings.customFooter);
-    }
+/**
+ * Create an empty context section
+ * @param {string} id - Section identifier (usually the domain)
+ * @param {string} title - Heading line, e.g. '## PLAYER STATE'
+ * @param {number} priority - Section priority (0-100)
+ * @returns {Object}
+ */
+function createSection(id, title, priority) {
+    return { id, title, priority, items: [] };
+}
 
-    sections.push('[/VALDRIS WORLD STATE]');
+/**
+ * Add a line item to a section
+ * @param {Object} section - Section from createSection()
+ * @param {string} text - Line text
+ * @param {Object} options
+ * @param {number} options.priority - Line priority (0-100)
+ * @param {number} options.recency - 0 (oldest) to 1 (newest/current)
+ * @param {string} options.short - Compressed form used before the line is dropped
+ * @param {string} options.group - Group id; a group's label is dropped with its last member
+ * @param {boolean} options.label - True for the group's label line
+ */
+function addLine(section, text, options = {}) {
+    if (!text) return;
+    section.items.push({
+        text,
+        priority: options.priority ?? 50,
+        recency: options.recency ?? 1,
+        short: options.short || null,
+        group: options.group || null,
+        label: !!options.label,
+        dropped: false,
+        compressed: false
+    });
+}
 
-    return sections.filter(s => s).join('\n');
+/**
+ * Recency for the index-th entry of a newest-first list
+ * @param {number} index - Position in the list
+ * @param {number} length - List length
+ * @returns {number}
+ */
+function listRecency(index, length) {
+    return length > 1 ? 1 - (index / (length - 1)) : 1;
 }
 
 /**
- * Build context for a specific domain only
- * @param {string} domain - Domain name
+ * Render a section to text, skipping dropped lines and empty groups
+ * @param {Object} section - Section to render
  * @returns {string}
  */
-export function buildDomainContext(domain) {
-    const state = getDomainState(domain);
-    if (!state) return '';
-
-    switch (domain) {
-        case 'time':
-            return buildTimeContext(state);
-        case 'player':
-            return buildPlayerContext(state);
-        case 'world':
-            return buildWorldContext(state, DEFAULT_SETTINGS);
-        case 'npcs':
-            return buildNPCContext(state, DEFAULT_SETTINGS);
-        case 'economy':
-            return buildEconomyContext(state);
-        case 'factions':
-            return buildFactionContext(state);
-        case 'vex':
-            return buildVexContext(state);
-        default:
-            return '';
+function renderSection(section) {
+    const visible = section.items.filter(item => !item.dropped);
+    const lines = visible.filter(item =>
+        !item.label || visible.some(other => other.group === item.group && !other.label)
+    );
+
+    if (!lines.some(item => !item.label)) return '';
+
+    return [section.title, ...lines.map(item => item.text)].filter(Boolean).join('\n');
+}
+
+/**
+ * Score a line: higher scores are kept longer
+ * @param {Object} section - Owning section
+ * @param {Object} item - Line item
+ * @returns {number}
+ */
+function scoreLine(section, item) {
+    return (section.priority + item.priority) / 2 + item.recency * RECENCY_WEIGHT;
+}
+
+/**
+ * Compress, then drop, the lowest-scoring lines until the sections fit the budget
+ * Mutates the items (sets compressed/dropped) and returns what was trimmed.
+ *
+ * @param {Object[]} sections - Sections to trim
+ * @param {number} budget - Token budget for the whole block
+ * @param {number} fixedTokens - Tokens used by the header and footer
+ * @returns {Array<{section: string, text: string, action: string, score: number}>}
+ */
+function fitToBudget(sections, budget, fixedTokens) {
+    const trimmed = [];
+    const total = () => fixedTokens + countTokens(sections.map(renderSection).filter(Boolean).join('\n'));
+
+    if (total() <= budget) return trimmed;
+
+    const candidates = [];
+    for (const section of sections) {
+        for (const item of section.items) {
+            if (!item.label) {
+                candidates.push({ section, item, score: scoreLine(section, item) });
+            }
+        }
+    }
+    candidates.sort((a, b) => a.score - b.score);
+
+    // First pass compresses what can be compressed, second pass drops
+    for (const pass of ['compress', 'drop']) {
+        for (const { section, item, score } of candidates) {
+            if (item.dropped) continue;
+
+            if (pass === 'compress') {
+                if (!item.short || item.compressed) continue;
+                trimmed.push({ section: section.id, text: item.text, action: 'compressed', score });
+                item.text = item.short;
+                item.compressed = true;
+            } else {
+                trimmed.push({ section: section.id, text: item.text, action: 'dropped', score });
+                item.dropped = true;
+            }
+
+            if (total() <= budget) return trimmed;
+        }
     }
+
+    return trimmed;
+}
+
+/**
+ * Count tokens in text, using the configured counter or a 4-chars-per-token estimate
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function countTokens(text) {
+    if (!text) return 0;
+    if (_tokenCache.has(text)) return _tokenCache.get(text);
+
+    let count = Math.ceil(text.length / 4);
+    if (_tokenCounter) {
+        try {
+            count = _tokenCounter(text);
+        } catch (error) {
+            console.warn(`${LOG_PREFIX} Token counter failed, using estimate:`, error);
+        }
+    }
+
+    if (_tokenCache.size > 500) _tokenCache.clear();
+    _tokenCache.set(text, count);
+    return count;
 }
 
 // ============================================================================
@@ -143,21 +347,22 @@ export function buildDomainContext(domain) {
 /**
  * Build time and environment context
  * @param {Object} time - Time domain state
- * @returns {string}
+ * @returns {Object} Section
  */
-function buildTimeContext(time) {
-    if (!time) return '';
-
-    const lines = ['## TIME & ENVIRONMENT'];
+function buildTimeSection(time) {
+    const section = createSection('time', '## TIME & ENVIRONMENT', SECTION_PRIORITIES.time);
+    if (!time) return section;
 
     // Date
     if (time.day && time.monthName && time.year) {
-        lines.push(`Date: ${time.day} of ${time.monthName}, ${time.year} AV`);
+        // Time states from before calendars were configurable carry no era
+        const era = time.era ?? 'AV';
+        addLine(section, `Date: ${time.day} of ${time.monthName}, ${time.year}${era ? ` ${era}` : ''}`, { priority: 90 });
     }
 
     // Time
     if (time.hour !== undefined && time.minute !== undefined) {
-        lines.push(`Time: ${formatTime(time.hour, time.minute)} (${getTimeOfDay(time.hour)})`);
+        addLine(section, `Time: ${formatTime(time.hour, time.minute)} (${getTimeOfDay(time.hour)})`, { priority: 95 });
     }
 
     // Weather
@@ -167,37 +372,39 @@ function buildTimeContext(time) {
         if (time.weather.temperature) weatherParts.push(time.weather.temperature);
         if (time.weather.wind) weatherParts.push(time.weather.wind);
         if (weatherParts.length > 0) {
-            lines.push(`Weather: ${weatherParts.join(', ')}`);
+            addLine(section, `Weather: ${weatherParts.join(', ')}`, {
+                priority: 70,
+                short: weatherParts.length > 1 ? `Weather: ${weatherParts[0]}` : null
+            });
         }
         if (time.weather.visibility && time.weather.visibility !== 'good') {
-            lines.push(`Visibility: ${time.weather.visibility}`);
+            addLine(section, `Visibility: ${time.weather.visibility}`, { priority: 60 });
         }
     }
 
     // Moons
     if (time.moons) {
-        const moonParts = [];
-        if (time.moons.lunara?.phase) {
-            moonParts.push(`Lunara: ${formatMoonPhase(time.moons.lunara.phase)}`);
-        }
-        if (time.moons.veil?.phase) {
-            moonParts.push(`Veil: ${formatMoonPhase(time.moons.veil.phase)}`);
-        }
+        const moonParts = Object.entries(time.moons)
+            .filter(([, moon]) => moon?.phase)
+            .map(([id, moon]) => `${moon.name || id.charAt(0).toUpperCase() + id.slice(1)}: ${formatMoonPhase(moon.phase)}`);
         if (moonParts.length > 0) {
-            lines.push(moonParts.join(' | '));
+            addLine(section, moonParts.join(' | '), { priority: 40 });
         }
     }
 
     // Celestial effects
     if (time.celestialEffects?.length > 0) {
-        lines.push(`Celestial Effects: ${time.celestialEffects.join(', ')}`);
+        addLine(section, `Celestial Effects: ${time.celestialEffects.join(', ')}`, {
+            priority: 50,
+            short: time.celestialEffects.length > 1 ? `Celestial Effects: ${time.celestialEffects[0]}` : null
+        });
     }
 
     // Upcoming celestial events
     if (time.celestialEvents?.length > 0) {
         const upcoming = time.celestialEvents.filter(e => e.daysUntil <= 3);
         if (upcoming.length > 0) {
-            lines.push(`Upcoming: ${upcoming.map(e => `${e.name} in ${e.daysUntil}d`).join(', ')}`);
+            addLine(section, `Upcoming: ${upcoming.map(e => `${e.name} in ${e.daysUntil}d`).join(', ')}`, { priority: 30 });
         }
     }
 
@@ -205,22 +412,21 @@ function buildTimeContext(time) {
     if (time.upcomingFestivals?.length > 0) {
         const soon = time.upcomingFestivals.filter(f => f.daysUntil <= 5);
         if (soon.length > 0) {
-            lines.push(`Festivals: ${soon.map(f => `${f.name} in ${f.daysUntil}d`).join(', ')}`);
+            addLine(section, `Festivals: ${soon.map(f => `${f.name} in ${f.daysUntil}d`).join(', ')}`, { priority: 30 });
         }
     }
 
-    return lines.join('\n');
+    return section;
 }
 
 /**
  * Build player state context
  * @param {Object} player - Player domain state
- * @returns {string}
+ * @returns {Object} Section
  */
-function buildPlayerContext(player) {
-    if (!player) return '';
-
-    const lines = ['## PLAYER STATE'];
+function buildPlayerSection(player) {
+    const section = createSection('player', '## PLAYER STATE', SECTION_PRIORITIES.player);
+    if (!player) return section;
 
     // Identity line
     const identityParts = [];
@@ -228,7 +434,7 @@ function buildPlayerContext(player) {
     if (player.level) identityParts.push(`Level ${player.level}`);
     if (player.mainClass?.name) identityParts.push(player.mainClass.name);
     if (identityParts.length > 0) {
-        lines.push(identityParts.join(' | '));
+        addLine(section, identityParts.join(' | '), { priority: 80 });
     }
 
     // Vitals
@@ -243,34 +449,34 @@ function buildPlayerContext(player) {
         vitals.push(`STA: ${player.stamina.current}/${player.stamina.max}`);
     }
     if (vitals.length > 0) {
-        lines.push(vitals.join(' | '));
+        addLine(section, vitals.join(' | '), { priority: 95 });
     }
 
     // Physical state descriptors for narrative guidance
     if (player.hp) {
         const hpPercent = player.hp.current / player.hp.max;
         if (hpPercent < 0.25) {
-            lines.push('CRITICAL HEALTH: Describe pain, weakness, desperation, blurred vision');
+            addLine(section, 'CRITICAL HEALTH: Describe pain, weakness, desperation, blurred vision', { priority: 90, short: 'CRITICAL HEALTH' });
         } else if (hpPercent < 0.5) {
-            lines.push('WOUNDED: Describe visible injuries, labored movement, occasional wincing');
+            addLine(section, 'WOUNDED: Describe visible injuries, labored movement, occasional wincing', { priority: 80, short: 'WOUNDED' });
         } else if (hpPercent < 0.75) {
-            lines.push('INJURED: Minor wounds, some discomfort');
+            addLine(section, 'INJURED: Minor wounds, some discomfort', { priority: 60, short: 'INJURED' });
         }
     }
 
     if (player.stamina) {
         const staPercent = player.stamina.current / player.stamina.max;
         if (staPercent < 0.25) {
-            lines.push('EXHAUSTED: Describe heavy limbs, labored breath, need for rest');
+            addLine(section, 'EXHAUSTED: Describe heavy limbs, labored breath, need for rest', { priority: 75, short: 'EXHAUSTED' });
         } else if (staPercent < 0.5) {
-            lines.push('TIRED: Noticeable fatigue, slower reactions');
+            addLine(section, 'TIRED: Noticeable fatigue, slower reactions', { priority: 55, short: 'TIRED' });
         }
     }
 
     if (player.mp) {
         const mpPercent = player.mp.current / player.mp.max;
         if (mpPercent < 0.25) {
-            lines.push('MANA DRAINED: Magic feels distant, casting is strenuous');
+            addLine(section, 'MANA DRAINED: Magic feels distant, casting is strenuous', { priority: 60, short: 'MANA DRAINED' });
         }
     }
 
@@ -286,7 +492,7 @@ function buildPlayerContext(player) {
             }
         }
         if (criticalMeters.length > 0) {
-            lines.push(`Survival: ${criticalMeters.join(', ')}`);
+            addLine(section, `Survival: ${criticalMeters.join(', ')}`, { priority: 70 });
         }
     }
 
@@ -300,7 +506,10 @@ function buildPlayerContext(player) {
                 }
                 return b.name;
             }).join(', ');
-            lines.push(`Buffs: ${buffStr}`);
+            addLine(section, `Buffs: ${buffStr}`, {
+                priority: 45,
+                short: `Buffs: ${activeBuffs.map(b => b.name).join(', ')}`
+            });
         }
     }
 
@@ -314,7 +523,10 @@ function buildPlayerContext(player) {
                 }
                 return d.name;
             }).join(', ');
-            lines.push(`Debuffs: ${debuffStr}`);
+            addLine(section, `Debuffs: ${debuffStr}`, {
+                priority: 55,
+                short: `Debuffs: ${activeDebuffs.map(d => d.name).join(', ')}`
+            });
         }
     }
 
@@ -322,44 +534,50 @@ function buildPlayerContext(player) {
     if (player.wounds?.length > 0) {
         const activeWounds = player.wounds.filter(w => w.daysRemaining > 0);
         if (activeWounds.length > 0) {
-            lines.push(`Wounds: ${activeWounds.map(w => `${w.type} (${w.daysRemaining}d to heal)`).join(', ')}`);
+            addLine(section, `Wounds: ${activeWounds.map(w => `${w.type} (${w.daysRemaining}d to heal)`).join(', ')}`, {
+                priority: 60,
+                short: `Wounds: ${activeWounds.map(w => w.type).join(', ')}`
+            });
         }
     }
 
     // Location
     if (player.currentLocation) {
-        lines.push(`Location: ${player.currentLocation}`);
+        addLine(section, `Location: ${player.currentLocation}`, { priority: 70 });
     }
 
-    return lines.join('\n');
+    return section;
 }
 
 /**
  * Build world state context
  * @param {Object} world - World domain state
  * @param {Object} settings - Context settings
- * @returns {string}
+ * @returns {Object} Section
  */
-function buildWorldContext(world, settings) {
-    if (!world) return '';
-
-    const lines = ['## WORLD STATE'];
+function buildWorldSection(world, settings) {
+    const section = createSection('world', '## WORLD STATE', SECTION_PRIORITIES.world);
+    if (!world) return section;
 
     // Location
     if (world.currentRegion) {
-        lines.push(`Region: ${world.currentRegion}`);
+        addLine(section, `Region: ${world.currentRegion}`, { priority: 85 });
     }
     if (world.currentSettlement) {
-        lines.push(`Settlement: ${world.currentSettlement}`);
+        addLine(section, `Settlement: ${world.currentSettlement}`, { priority: 80 });
     }
 
     // Regional mood
     if (world.regionalMood) {
-        const moodLine = [`Regional Mood: ${world.regionalMood.current || world.regionalMood}`];
+        const mood = world.regionalMood.current || world.regionalMood;
+        const moodLine = [`Regional Mood: ${mood}`];
         if (world.regionalMood.reason) {
             moodLine.push(`(${world.regionalMood.reason})`);
         }
-        lines.push(moodLine.join(' '));
+        addLine(section, moodLine.join(' '), {
+            priority: 60,
+            short: moodLine.length > 1 ? `Regional Mood: ${mood}` : null
+        });
     }
 
     // Recent events
@@ -370,11 +588,17 @@ function buildWorldContext(world, settings) {
             .slice(0, maxEvents);
 
         if (recentEvents.length > 0) {
-            lines.push('Recent Events:');
-            for (const event of recentEvents) {
+            addLine(section, 'Recent Events:', { group: 'events', label: true });
+            recentEvents.forEach((event, index) => {
                 const daysAgo = event.daysAgo !== undefined ? ` (${event.daysAgo}d ago)` : '';
-                lines.push(`- ${event.summary}${daysAgo}`);
-            }
+                addLine(section, `- ${event.summary}${daysAgo}`, {
+                    priority: 50,
+                    group: 'events',
+                    recency: event.daysAgo !== undefined
+                        ? 1 / (1 + Math.max(0, event.daysAgo))
+                        : listRecency(index, recentEvents.length)
+                });
+            });
         }
     }
 
@@ -385,7 +609,10 @@ function buildWorldContext(world, settings) {
             .slice(0, 3);
 
         if (activeBounties.length > 0) {
-            lines.push(`Active Bounties: ${activeBounties.map(b => b.name).join(', ')}`);
+            addLine(section, `Active Bounties: ${activeBounties.map(b => b.name).join(', ')}`, {
+                priority: 40,
+                short: activeBounties.length > 1 ? `Active Bounties: ${activeBounties[0].name} and ${activeBounties.length - 1} more` : null
+            });
         }
     }
 
@@ -396,10 +623,13 @@ function buildWorldContext(world, settings) {
             .slice(0, 2);
 
         if (nearbyRivals.length > 0) {
-            lines.push(`Rival Parties: ${nearbyRivals.map(r => {
+            addLine(section, `Rival Parties: ${nearbyRivals.map(r => {
                 const loc = r.currentLocation || r.lastSeen || 'unknown';
                 return `${r.name} (${loc})`;
-            }).join(', ')}`);
+            }).join(', ')}`, {
+                priority: 35,
+                short: `Rival Parties: ${nearbyRivals.map(r => r.name).join(', ')}`
+            });
         }
     }
 
@@ -409,42 +639,45 @@ function buildWorldContext(world, settings) {
             d.affectedRegions?.includes(world.currentRegion)
         );
         if (activeDisease) {
-            lines.push(`Disease Alert: ${activeDisease.name} (${activeDisease.severity})`);
+            addLine(section, `Disease Alert: ${activeDisease.name} (${activeDisease.severity})`, { priority: 65 });
         }
     }
 
-    return lines.join('\n');
+    return section;
 }
 
 /**
  * Build NPC context
  * @param {Object} npcs - NPC domain state
  * @param {Object} settings - Context settings
- * @returns {string}
+ * @returns {Object} Section
  */
-function buildNPCContext(npcs, settings) {
-    if (!npcs?.nearbyNPCs?.length) return '';
+function buildNPCSection(npcs, settings) {
+    const section = createSection('npcs', '## NEARBY NPCS', SECTION_PRIORITIES.npcs);
+    if (!npcs?.nearbyNPCs?.length) return section;
 
     const maxNPCs = settings.maxNearbyNPCs || 5;
     const nearby = npcs.nearbyNPCs.slice(0, maxNPCs);
 
-    if (nearby.length === 0) return '';
-
-    const lines = ['## NEARBY NPCS'];
-
-    for (const npc of nearby) {
+    nearby.forEach((npc, index) => {
         const parts = [npc.name];
         if (npc.relationship) parts.push(npc.relationship);
         if (npc.notes) parts.push(npc.notes);
-        lines.push(`- ${parts.join(': ')}`);
-    }
+        addLine(section, `- ${parts.join(': ')}`, {
+            priority: 55,
+            recency: listRecency(index, nearby.length),
+            short: npc.notes ? `- ${parts.slice(0, -1).join(': ')}` : null
+        });
+    });
 
     // Upcoming appointments
     if (npcs.appointments?.length > 0) {
         const upcoming = npcs.appointments.filter(a => a.importance === 'high');
         if (upcoming.length > 0) {
-            lines.push('');
-            lines.push(`Appointments: ${upcoming.map(a => `${a.npcName} (${a.purpose})`).join(', ')}`);
+            addLine(section, `Appointments: ${upcoming.map(a => `${a.npcName} (${a.purpose})`).join(', ')}`, {
+                priority: 50,
+                short: `Appointments: ${upcoming.map(a => a.npcName).join(', ')}`
+            });
         }
     }
 
@@ -454,84 +687,96 @@ function buildNPCContext(npcs, settings) {
             o.type === 'debt_owed_by_player' && o.status === 'active'
         );
         if (debts.length > 0) {
-            lines.push(`Debts: ${debts.map(d => `${d.description} to ${d.npcName}`).join(', ')}`);
+            addLine(section, `Debts: ${debts.map(d => `${d.description} to ${d.npcName}`).join(', ')}`, {
+                priority: 45,
+                short: `Debts: ${debts.map(d => d.npcName).join(', ')}`
+            });
         }
     }
 
-    return lines.join('\n');
+    return section;
 }
 
 /**
  * Build economy context
  * @param {Object} economy - Economy domain state
- * @returns {string}
+ * @returns {Object} Section
  */
-function buildEconomyContext(economy) {
-    if (!economy) return '';
-
-    const lines = [];
+function buildEconomySection(economy) {
+    const section = createSection('economy', '## ECONOMIC CONDITIONS', SECTION_PRIORITIES.economy);
+    if (!economy) return section;
 
     // Price alerts (significant price changes)
     if (economy.priceAlerts?.length > 0) {
-        lines.push('## ECONOMIC CONDITIONS');
-        for (const alert of economy.priceAlerts.slice(0, 3)) {
-            lines.push(`- ${alert.item}: ${alert.change} (${alert.reason})`);
-        }
+        const alerts = economy.priceAlerts.slice(0, 3);
+        alerts.forEach((alert, index) => {
+            addLine(section, `- ${alert.item}: ${alert.change} (${alert.reason})`, {
+                priority: 35,
+                recency: listRecency(index, alerts.length),
+                short: `- ${alert.item}: ${alert.change}`
+            });
+        });
     }
 
     // Ready commissions
     if (economy.commissions?.length > 0) {
         const ready = economy.commissions.filter(c => c.status === 'ready');
         if (ready.length > 0) {
-            if (lines.length === 0) lines.push('## ECONOMIC CONDITIONS');
-            lines.push(`Ready for Pickup: ${ready.map(c => c.item || c.service).join(', ')}`);
+            addLine(section, `Ready for Pickup: ${ready.map(c => c.item || c.service).join(', ')}`, { priority: 50 });
         }
     }
 
     // Global trends affecting prices
     if (economy.globalTrends?.length > 0) {
         const activeTrends = economy.globalTrends.slice(0, 2);
-        if (activeTrends.length > 0) {
-            if (lines.length === 0) lines.push('## ECONOMIC CONDITIONS');
-            for (const trend of activeTrends) {
-                lines.push(`- ${trend.trend}: ${trend.effect}`);
-            }
-        }
+        activeTrends.forEach((trend, index) => {
+            addLine(section, `- ${trend.trend}: ${trend.effect}`, {
+                priority: 30,
+                recency: listRecency(index, activeTrends.length)
+            });
+        });
     }
 
-    return lines.join('\n');
+    return section;
 }
 
 /**
  * Build faction context
  * @param {Object} factions - Factions domain state
- * @returns {string}
+ * @returns {Object} Section
  */
-function buildFactionContext(factions) {
-    if (!factions) return '';
-
-    const lines = [];
+function buildFactionSection(factions) {
+    const hasTensions = factions?.tensions?.length > 0 || factions?.hotspots?.length > 0;
+    const section = createSection(
+        'factions',
+        hasTensions ? '## POLITICAL TENSIONS' : '## FACTION STATUS',
+        SECTION_PRIORITIES.factions
+    );
+    if (!factions) return section;
 
     // High tension situations
-    if (factions.tensions?.length > 0 || factions.hotspots?.length > 0) {
-        lines.push('## POLITICAL TENSIONS');
-
+    if (hasTensions) {
         // Hotspots
         if (factions.hotspots?.length > 0) {
             const critical = factions.hotspots.filter(h =>
                 h.tensionLevel === 'critical' || h.tensionLevel === 'high'
             );
             for (const hotspot of critical.slice(0, 2)) {
-                lines.push(`- ${hotspot.location}: ${hotspot.description}`);
+                addLine(section, `- ${hotspot.location}: ${hotspot.description}`, {
+                    priority: hotspot.tensionLevel === 'critical' ? 55 : 45
+                });
             }
         }
 
         // Active political events
         if (factions.politicalEvents?.length > 0) {
-            const ongoing = factions.politicalEvents.filter(e => e.status === 'ongoing');
-            for (const event of ongoing.slice(0, 2)) {
-                lines.push(`- ${event.summary}`);
-            }
+            const ongoing = factions.politicalEvents.filter(e => e.status === 'ongoing').slice(0, 2);
+            ongoing.forEach((event, index) => {
+                addLine(section, `- ${event.summary}`, {
+                    priority: 40,
+                    recency: listRecency(index, ongoing.length)
+                });
+            });
         }
     }
 
@@ -541,108 +786,100 @@ function buildFactionContext(factions) {
             s.standing === 'hostile' || s.standing === 'hated' ||
             s.standing === 'honored' || s.standing === 'revered'
         );
-        if (notable.length > 0) {
-            if (lines.length === 0) lines.push('## FACTION STATUS');
-            for (const standing of notable.slice(0, 3)) {
-                const titleStr = standing.title ? ` (${standing.title})` : '';
-                lines.push(`- ${standing.faction}: ${standing.standing}${titleStr}`);
-            }
+        for (const standing of notable.slice(0, 3)) {
+            const titleStr = standing.title ? ` (${standing.title})` : '';
+            addLine(section, `- ${standing.faction}: ${standing.standing}${titleStr}`, {
+                priority: 40,
+                short: titleStr ? `- ${standing.faction}: ${standing.standing}` : null
+            });
         }
     }
 
-    return lines.join('\n');
+    return section;
 }
 
 /**
  * Build Vex whispers context
  * @param {Object} vex - Vex domain state
- * @returns {string}
+ * @returns {Object} Section
  */
-function buildVexContext(vex) {
-    if (!vex || !vex.settings?.enabled) return '';
-
-    const lines = ['## VEX STATUS'];
+function buildVexSection(vex) {
+    const section = createSection('vex', '## VEX STATUS', SECTION_PRIORITIES.vex);
+    if (!vex || !vex.settings?.enabled) return section;
 
     if (vex.mood) {
-        lines.push(`Vex Mood: ${vex.mood}`);
+        addLine(section, `Vex Mood: ${vex.mood}`, { priority: 40 });
     }
 
     if (vex.interestLevel) {
-        lines.push(`Interest Level: ${vex.interestLevel}`);
+        addLine(section, `Interest Level: ${vex.interestLevel}`, { priority: 30 });
     }
 
-    return lines.join('\n');
+    return section;
 }
 
 /**
- * Build narrative directives based on current state
+ * Build narrative directives from the directive rules whose conditions hold
  * @param {Object} state - Full state
- * @returns {string}
+ * @param {Object} settings - Context settings (directiveRules)
+ * @returns {Object} Section
  */
-function buildNarrativeDirectives(state) {
-    const directives = ['## NARRATIVE DIRECTIVES'];
-
-    // Health-based directives
-    if (state.player?.hp) {
-        const hpPercent = state.player.hp.current / state.player.hp.max;
-        if (hpPercent < 0.25) {
-            directives.push('- Player is critically injured: every action should feel desperate');
-        } else if (hpPercent < 0.5) {
-            directives.push('- Player is wounded: describe physical discomfort and limitations');
-        }
-    }
-
-    // Time-based directives
-    if (state.time?.hour !== undefined) {
-        const hour = state.time.hour;
-        if (hour >= 22 || hour <= 5) {
-            directives.push('- Late night/early morning: describe darkness, quiet, limited visibility');
-        } else if (hour >= 5 && hour <= 7) {
-            directives.push('- Dawn: describe growing light, morning sounds, dew');
-        } else if (hour >= 17 && hour <= 20) {
-            directives.push('- Evening: describe fading light, long shadows, activity winding down');
-        }
-    }
+function buildNarrativeDirectives(state, settings = {}) {
+    const section = createSection('directives', '## NARRATIVE DIRECTIVES', SECTION_PRIORITIES.directives);
 
-    // Weather-based directives
-    if (state.time?.weather?.current) {
-        const weather = state.time.weather.current.toLowerCase();
-        if (weather.includes('storm') || weather.includes('rain')) {
-            directives.push('- Storm/rain active: wet conditions, difficult hearing, reduced visibility');
-        } else if (weather.includes('fog')) {
-            directives.push('- Fog: limited visibility, muffled sounds, eerie atmosphere');
-        } else if (weather.includes('snow')) {
-            directives.push('- Snow: cold, difficult terrain, muted sounds');
-        }
+    for (const rule of selectDirectives(state, getDirectiveRules(settings))) {
+        const text = String(rule.text).replace(/\s*\n\s*/g, ' ').replace(/^-\s*/, '').trim();
+        addLine(section, `- ${text}`, { priority: Number(rule.priority) || 50 });
     }
 
-    // Moon-based directives
-    if (state.time?.moons?.lunara?.phase === 'full') {
-        directives.push('- Full moon: enhanced undead activity, lycanthrope danger, bright night');
-    }
-    if (state.time?.moons?.veil?.phase === 'new' || state.time?.moons?.veil?.visible === false) {
-        directives.push('- Veil hidden: shadow magic weakened, certain creatures dormant');
-    }
-
-    // Regional mood directives
-    if (state.world?.regionalMood) {
-        const mood = state.world.regionalMood.current || state.world.regionalMood;
-        if (mood === 'tense' || mood === 'fearful') {
-            directives.push('- Region is tense: NPCs are wary, conversations guarded');
-        } else if (mood === 'hostile') {
-            directives.push('- Region is hostile: outsiders viewed with suspicion');
-        } else if (mood === 'festive') {
-            directives.push('- Region is festive: celebrations, good cheer, relaxed guards');
-        }
-    }
+    return section;
+}
 
-    // Always include base directives
-    directives.push('- NEVER state numbers directly, EMBODY the physical/emotional experience');
-    directives.push('- Use world events as background flavor and NPC conversation topics');
-    directives.push('- Reference nearby NPCs naturally when appropriate');
+// ============================================================================
+// Built-in providers
+// ============================================================================
 
-    return directives.join('\n');
-}
+// Registered in the order they appear in the block; extensions may replace any of them by id
+registerContextProvider({
+    id: 'time', name: 'Time & Celestial', priority: SECTION_PRIORITIES.time,
+    settingKey: 'includeTime', builtin: true,
+    build: (state) => state.time ? buildTimeSection(state.time) : null
+});
+registerContextProvider({
+    id: 'player', name: 'Player State', priority: SECTION_PRIORITIES.player,
+    settingKey: 'includePlayer', builtin: true,
+    build: (state) => state.player ? buildPlayerSection(state.player) : null
+});
+registerContextProvider({
+    id: 'world', name: 'World State', priority: SECTION_PRIORITIES.world,
+    settingKey: 'includeWorld', builtin: true,
+    build: (state, settings) => state.world ? buildWorldSection(state.world, settings) : null
+});
+registerContextProvider({
+    id: 'npcs', name: 'Nearby NPCs', priority: SECTION_PRIORITIES.npcs,
+    settingKey: 'includeNPCs', builtin: true,
+    build: (state, settings) => state.npcs ? buildNPCSection(state.npcs, settings) : null
+});
+registerContextProvider({
+    id: 'economy', name: 'Economy', priority: SECTION_PRIORITIES.economy,
+    settingKey: 'includeEconomy', builtin: true,
+    build: (state) => state.economy ? buildEconomySection(state.economy) : null
+});
+registerContextProvider({
+    id: 'factions', name: 'Factions', priority: SECTION_PRIORITIES.factions,
+    settingKey: 'includeFactions', builtin: true,
+    build: (state) => state.factions ? buildFactionSection(state.factions) : null
+});
+registerContextProvider({
+    id: 'vex', name: 'Vex Status', priority: SECTION_PRIORITIES.vex,
+    settingKey: 'includeVex', builtin: true,
+    build: (state) => state.vex ? buildVexSection(state.vex) : null
+});
+registerContextProvider({
+    id: 'directives', name: 'Narrative Directives', priority: SECTION_PRIORITIES.directives,
+    placement: 'bottom', settingKey: 'includeNarrativeDirectives', builtin: true,
+    build: (state, settings) => buildNarrativeDirectives(state, settings)
+});
 
 // ============================================================================
 // Helper functions
@@ -705,6 +942,8 @@ export function getDefaultSettings() {
 
 export default {
     buildFullContext,
+    buildContextReport,
     buildDomainContext,
+    setTokenCounter,
     getDefaultSettings
 };
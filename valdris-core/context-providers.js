@@ -0,0 +1,166 @@
+/**
+ * Valdris Context Providers - Registry of context block sections
+ *
+ * Every section of the injected context block comes from a provider.
+ * Core registers built-in providers for each domain; extensions (including
+ * third-party ones) can add their own or replace a built-in by registering
+ * the same id.
+ *
+ * Provider shape:
+ * {
+ *     id: 'world',                 // Unique id (replaces a built-in with the same id)
+ *     name: 'World State',         // Label shown in settings
+ *     title: '## WORLD STATE',     // Optional heading line
+ *     priority: 70,                // 0-100, higher survives longer under a token budget
+ *     placement: 'middle',         // 'top' | 'middle' | 'bottom'
+ *     enabled: true,               // Default toggle state
+ *     owner: 'valdris-world-state',
+ *     build: (state, settings) => string | string[] | Array<{ text, priority, recency, short }>
+ * }
+ *
+ * User overrides live in the context settings:
+ *   providers:     { [id]: { enabled, placement } }
+ *   providerOrder: [id, ...]
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+
+const LOG_PREFIX = '[ValdrisContext]';
+
+// Valid placements, in render order
+export const PLACEMENTS = ['top', 'middle', 'bottom'];
+
+// Registered providers, in registration order
+const _providers = new Map();
+
+// Built-in providers displaced by an extension, restored on unregister
+const _displacedBuiltins = new Map();
+
+/**
+ * Register a context provider
+ * @param {Object} provider - Provider definition (see module header)
+ * @returns {boolean} True if registered
+ */
+export function registerContextProvider(provider) {
+    if (!provider?.id || typeof provider.build !== 'function') {
+        console.error(`${LOG_PREFIX} Context provider needs an id and a build function`, provider);
+        return false;
+    }
+
+    const existing = _providers.get(provider.id);
+    const normalized = {
+        id: provider.id,
+        name: provider.name || provider.id,
+        title: provider.title || '',
+        priority: clampPriority(provider.priority),
+        placement: PLACEMENTS.includes(provider.placement) ? provider.placement : 'middle',
+        enabled: provider.enabled !== false,
+        // A replacement keeps the legacy include* toggle of the built-in it displaces
+        settingKey: provider.settingKey || existing?.settingKey || null,
+        owner: provider.owner || null,
+        builtin: !!provider.builtin,
+        build: provider.build
+    };
+
+    if (existing?.builtin && !normalized.builtin) {
+        _displacedBuiltins.set(provider.id, existing);
+        console.log(`${LOG_PREFIX} Provider '${provider.id}' replaced by '${normalized.owner || normalized.name}'`);
+    }
+
+    _providers.set(provider.id, normalized);
+    ValdrisEventBus.emit('contextProvidersChanged', { id: provider.id, action: 'registered' });
+    return true;
+}
+
+/**
+ * Unregister a context provider
+ * A displaced built-in provider with the same id is restored.
+ *
+ * @param {string} id - Provider id
+ */
+export function unregisterContextProvider(id) {
+    if (!_providers.has(id)) return;
+
+    _providers.delete(id);
+
+    if (_displacedBuiltins.has(id)) {
+        _providers.set(id, _displacedBuiltins.get(id));
+        _displacedBuiltins.delete(id);
+    }
+
+    ValdrisEventBus.emit('contextProvidersChanged', { id, action: 'unregistered' });
+}
+
+/**
+ * Get a provider by id
+ * @param {string} id - Provider id
+ * @returns {Object|null}
+ */
+export function getContextProvider(id) {
+    return _providers.get(id) || null;
+}
+
+/**
+ * Get all providers in render order, with user overrides applied
+ * Each entry is a copy with resolved `enabled` and `placement`.
+ *
+ * @param {Object} settings - Context settings (providers, providerOrder, include* flags)
+ * @returns {Object[]}
+ */
+export function getContextProviders(settings = {}) {
+    const order = Array.isArray(settings.providerOrder) ? settings.providerOrder : [];
+    const registered = [..._providers.values()];
+
+    const resolved = registered.map((provider, index) => {
+        const override = settings.providers?.[provider.id] || {};
+        const orderIndex = order.indexOf(provider.id);
+        return {
+            ...provider,
+            enabled: isProviderEnabled(provider, settings),
+            placement: PLACEMENTS.includes(override.placement) ? override.placement : provider.placement,
+            // Unlisted providers follow listed ones, in registration order
+            sortKey: orderIndex >= 0 ? orderIndex : order.length + index
+        };
+    });
+
+    return resolved.sort((a, b) =>
+        PLACEMENTS.indexOf(a.placement) - PLACEMENTS.indexOf(b.placement) || a.sortKey - b.sortKey
+    );
+}
+
+/**
+ * Check whether a provider is enabled under the given settings
+ * Precedence: explicit per-provider toggle, then legacy include* flag, then the provider default.
+ *
+ * @param {Object} provider - Provider definition
+ * @param {Object} settings - Context settings
+ * @returns {boolean}
+ */
+export function isProviderEnabled(provider, settings = {}) {
+    const override = settings.providers?.[provider.id];
+    if (typeof override?.enabled === 'boolean') return override.enabled;
+    if (provider.settingKey && typeof settings[provider.settingKey] === 'boolean') {
+        return settings[provider.settingKey];
+    }
+    return provider.enabled;
+}
+
+/**
+ * Clamp a priority into 0-100
+ * @param {*} value - Requested priority
+ * @returns {number}
+ */
+function clampPriority(value) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return 50;
+    return Math.max(0, Math.min(100, num));
+}
+
+export default {
+    PLACEMENTS,
+    registerContextProvider,
+    unregisterContextProvider,
+    getContextProvider,
+    getContextProviders,
+    isProviderEnabled
+};
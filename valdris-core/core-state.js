@@ -12,9 +12,13 @@
  * - economy:  VES (Valdris Economy & Services)
  * - factions: VFS (Valdris Factions & Politics)
  * - vex:      VVW (Valdris Vex Whispers)
+ *
+ * Add-ons declare further domains at runtime (see domain-manifest.js).
  */
 
 import { ValdrisEventBus } from './event-bus.js';
+import { checkDomainWrite } from './domain-schemas.js';
+import { markDirty } from './persistence.js';
 
 const LOG_PREFIX = '[ValdrisCore]';
 const CORE_META_KEY = 'valdris_core_v1';
@@ -39,9 +43,45 @@ const DEFAULT_DOMAINS = {
     vex: null
 };
 
+// Domains declared at runtime, with the state a chat starts with
+const _customDomains = new Map();
+
 // Mutex for preventing race conditions
 let _saveMutex = Promise.resolve();
 
+// Chat metadata key holding per-message snapshots
+const SNAPSHOT_META_KEY = 'valdris_snapshots_v1';
+
+// Chat metadata keys captured in each snapshot (the core blob plus each extension's own key)
+const _snapshotKeys = new Set([
+    CORE_META_KEY,
+    'vmaster_tracker_v1',
+    'valdris_world_state',
+    'valdris_npc_social',
+    'valdris_economy',
+    'valdris_factions',
+    'valdris_vex'
+]);
+
+// Extension that writes each tracked key, where known, so undo history can tell which keys a domain write touched
+const _snapshotKeyOwners = new Map([
+    ['vmaster_tracker_v1', 'valdris-master-tracker'],
+    ['valdris_world_state', 'valdris-world-state'],
+    ['valdris_npc_social', 'valdris-npc-social'],
+    ['valdris_economy', 'valdris-economy-services'],
+    ['valdris_factions', 'valdris-factions-politics'],
+    ['valdris_vex', 'valdris-vex-whispers']
+]);
+
+// Maximum number of message snapshots kept per chat
+let _maxSnapshots = 30;
+
+// Open transaction, if any (see beginTransaction); it holds _saveMutex until it ends
+let _transaction = null;
+
+// A transaction waiting this long on another is probably a nested call that forgot { tx }
+const TX_WAIT_WARNING_MS = 5000;
+
 /**
  * Initialize the core state manager with SillyTavern context
  * @param {Object} stContext - SillyTavern context from getContext()
@@ -75,7 +115,7 @@ export function getSTContext() {
  * @returns {boolean} True if registration succeeded
  */
 export function registerDomain(domain, extensionId) {
-    if (!DEFAULT_DOMAINS.hasOwnProperty(domain)) {
+    if (!isKnownDomain(domain)) {
         console.error(`${LOG_PREFIX} Unknown domain: ${domain}`);
         return false;
     }
@@ -121,6 +161,58 @@ export function getDomainOwner(domain) {
     return _domainOwners[domain] || null;
 }
 
+/**
+ * Get the names of every known domain, built-in ones first
+ * @returns {string[]}
+ */
+export function getDomainNames() {
+    return [...Object.keys(DEFAULT_DOMAINS), ..._customDomains.keys()];
+}
+
+/**
+ * Check whether a domain is built in or has been declared
+ * @param {string} domain - Domain name
+ * @returns {boolean}
+ */
+export function isKnownDomain(domain) {
+    return DEFAULT_DOMAINS.hasOwnProperty(domain) || _customDomains.has(domain);
+}
+
+/**
+ * Check whether a domain was declared at runtime rather than built in
+ * @param {string} domain - Domain name
+ * @returns {boolean}
+ */
+export function isCustomDomain(domain) {
+    return _customDomains.has(domain);
+}
+
+/**
+ * Add a domain slot to the core state
+ * Chats without the slot get a copy of the default state the next time state is read.
+ * Use declareDomain() (domain-manifest.js) rather than calling this directly.
+ *
+ * @param {string} domain - Domain name
+ * @param {*} defaultState - Initial state (JSON-compatible), or null
+ * @returns {boolean} False if the name is taken
+ */
+export function addCustomDomain(domain, defaultState = null) {
+    if (!domain || isKnownDomain(domain)) return false;
+    _customDomains.set(domain, defaultState === undefined ? null : JSON.parse(JSON.stringify(defaultState)));
+    return true;
+}
+
+/**
+ * Remove a declared domain slot
+ * Stored chat data is kept, so declaring the domain again picks it up.
+ *
+ * @param {string} domain - Domain name
+ * @returns {boolean} True if it was declared
+ */
+export function removeCustomDomain(domain) {
+    return _customDomains.delete(domain);
+}
+
 /**
  * Get all registered domains and their owners
  * @returns {Object}
@@ -139,14 +231,22 @@ export function getFullState() {
 
     if (!md) {
         console.warn(`${LOG_PREFIX} No chat metadata available, returning empty state`);
-        return { ...DEFAULT_DOMAINS };
+        return createEmptyState();
     }
 
     if (!md[CORE_META_KEY]) {
-        md[CORE_META_KEY] = { ...DEFAULT_DOMAINS };
+        md[CORE_META_KEY] = createEmptyState();
     }
 
-    return md[CORE_META_KEY];
+    // Domains declared after this chat was last saved start from their defaults
+    const state = md[CORE_META_KEY];
+    for (const [domain, defaultState] of _customDomains) {
+        if (state[domain] === undefined) {
+            state[domain] = cloneDefault(defaultState);
+        }
+    }
+
+    return state;
 }
 
 /**
@@ -161,15 +261,24 @@ export function getDomainState(domain) {
 
 /**
  * Set state for a domain (only owner can write)
+ * The data is checked against the domain's schema first (see domain-schemas.js).
+ * Pass the open transaction as options.tx to stage the write in it; any other
+ * write waits until the open transaction (if any) has ended, so awaiting one
+ * inside a transaction without { tx } never returns (a warning is logged).
+ *
  * @param {string} domain - Domain name
  * @param {Object} data - New state data for the domain
  * @param {string} extensionId - Extension attempting to write
+ * @param {Object} [options] - { tx: transaction the write belongs to }
  * @returns {Promise<boolean>} True if write succeeded
  */
-export async function setDomainState(domain, data, extensionId) {
+export async function setDomainState(domain, data, extensionId, options = {}) {
+    const tx = options.tx?.isOpen?.() ? options.tx : null;
+
     // Check ownership
     if (_domainOwners[domain] && _domainOwners[domain] !== extensionId) {
         console.error(`${LOG_PREFIX} Extension '${extensionId}' cannot write to domain '${domain}' (owned by '${_domainOwners[domain]}')`);
+        tx?.errors.push(`'${extensionId}' cannot write to '${domain}'`);
         return false;
     }
 
@@ -178,8 +287,24 @@ export async function setDomainState(domain, data, extensionId) {
         registerDomain(domain, extensionId);
     }
 
-    // Use mutex to prevent race conditions
+    // Hold the write to the domain's schema: repaired data replaces it, a rejected write stops here
+    const checked = checkDomainWrite(domain, data, extensionId);
+    if (!checked.accepted) {
+        tx?.errors.push(`Write to '${domain}' by '${extensionId}' was rejected`);
+        return false;
+    }
+    data = checked.data;
+
+    // Inside a transaction the write is only staged; the commit saves and announces it
+    if (tx) {
+        stageWrite(tx, domain, data, extensionId);
+        return true;
+    }
+
+    // Use mutex to prevent race conditions (and to wait out an open transaction)
+    const settled = watchQueuedWrite(`Write to '${domain}' by '${extensionId}'`);
     _saveMutex = _saveMutex.then(async () => {
+        settled();
         try {
             const fullState = getFullState();
             const oldData = fullState[domain];
@@ -213,12 +338,13 @@ export async function setDomainState(domain, data, extensionId) {
  * @param {string} domain - Domain name
  * @param {Object} updates - Partial updates to merge
  * @param {string} extensionId - Extension attempting to write
+ * @param {Object} [options] - { tx } (see setDomainState)
  * @returns {Promise<boolean>}
  */
-export async function updateDomainState(domain, updates, extensionId) {
+export async function updateDomainState(domain, updates, extensionId, options = {}) {
     const currentData = getDomainState(domain) || {};
     const newData = deepMerge(currentData, updates);
-    return setDomainState(domain, newData, extensionId);
+    return setDomainState(domain, newData, extensionId, options);
 }
 
 /**
@@ -227,16 +353,19 @@ export async function updateDomainState(domain, updates, extensionId) {
  * @param {string} path - Dot-notation path (e.g., 'weather.current')
  * @param {*} value - New value
  * @param {string} extensionId - Extension attempting to write
+ * @param {Object} [options] - { tx } (see setDomainState)
  * @returns {Promise<boolean>}
  */
-export async function updateDomainField(domain, path, value, extensionId) {
+export async function updateDomainField(domain, path, value, extensionId, options = {}) {
     const currentData = getDomainState(domain) || {};
     const newData = setNestedValue({ ...currentData }, path, value);
-    return setDomainState(domain, newData, extensionId);
+    return setDomainState(domain, newData, extensionId, options);
 }
 
 /**
- * Save the full state to SillyTavern chat metadata
+ * Store the full state in SillyTavern chat metadata
+ * The chat is saved shortly after (see persistence.js).
+ *
  * @param {Object} state - Full state to save
  * @returns {Promise<boolean>}
  */
@@ -248,11 +377,7 @@ async function saveFullState(state) {
     }
 
     ctx.chatMetadata[CORE_META_KEY] = state;
-
-    // Use SillyTavern's save function if available
-    if (ctx.saveMetadata) {
-        await ctx.saveMetadata();
-    }
+    markDirty(CORE_META_KEY, 'valdris-core');
 
     return true;
 }
@@ -300,11 +425,8 @@ export async function clearAllState() {
     const ctx = getSTContext();
     if (!ctx?.chatMetadata) return false;
 
-    ctx.chatMetadata[CORE_META_KEY] = { ...DEFAULT_DOMAINS };
-
-    if (ctx.saveMetadata) {
-        await ctx.saveMetadata();
-    }
+    ctx.chatMetadata[CORE_META_KEY] = createEmptyState();
+    markDirty(CORE_META_KEY, 'valdris-core');
 
     ValdrisEventBus.emit('stateCleared', {});
     notifySubscribers(ctx.chatMetadata[CORE_META_KEY]);
@@ -330,6 +452,539 @@ export function getMetaKey() {
     return CORE_META_KEY;
 }
 
+// ============================================================================
+// Message Snapshots
+// ============================================================================
+
+/**
+ * Add a chat metadata key to the set captured by message snapshots
+ * @param {string} key - Chat metadata key owned by an extension
+ * @param {string} [owner] - Extension that writes it alongside its domain writes
+ */
+export function registerSnapshotKey(key, owner) {
+    if (!key || key === SNAPSHOT_META_KEY) return;
+    _snapshotKeys.add(key);
+    if (owner) _snapshotKeyOwners.set(key, owner);
+}
+
+/**
+ * Get the tracked keys an extension writes
+ * @param {string} owner - Extension id
+ * @returns {string[]}
+ */
+export function getSnapshotKeysOwnedBy(owner) {
+    const keys = [];
+    for (const [key, keyOwner] of _snapshotKeyOwners) {
+        if (keyOwner === owner && _snapshotKeys.has(key)) keys.push(key);
+    }
+    return keys;
+}
+
+/**
+ * Set how many message snapshots are kept per chat
+ * @param {number} max - Maximum snapshot count (oldest are pruned first)
+ */
+export function setMaxSnapshots(max) {
+    const value = Number(max);
+    if (Number.isFinite(value) && value > 0) {
+        _maxSnapshots = Math.floor(value);
+    }
+}
+
+/**
+ * Capture a deep copy of every tracked chat metadata key
+ * @param {Iterable<string>} [keys] - Only these (untracked ones are skipped)
+ * @returns {Object|null} Map of metadata key to cloned value, or null without a chat
+ */
+export function captureSnapshot(keys) {
+    const ctx = getSTContext();
+    const md = ctx?.chatMetadata;
+    if (!md) return null;
+
+    const data = {};
+    for (const key of keys || _snapshotKeys) {
+        if (!_snapshotKeys.has(key)) continue;
+        if (md[key] !== undefined) {
+            data[key] = cloneValue(md[key]);
+        }
+    }
+    return data;
+}
+
+/**
+ * Get the snapshot store for the current chat
+ * @returns {Object|null} Map of message id to snapshot entry
+ */
+function getSnapshotStore() {
+    const ctx = getSTContext();
+    const md = ctx?.chatMetadata;
+    if (!md) return null;
+
+    if (!md[SNAPSHOT_META_KEY] || typeof md[SNAPSHOT_META_KEY] !== 'object') {
+        md[SNAPSHOT_META_KEY] = {};
+    }
+    return md[SNAPSHOT_META_KEY];
+}
+
+/**
+ * Store the state from before a chat message was processed
+ * @param {number} messageId - Chat message index
+ * @param {Object} [snapshot] - Data from captureSnapshot(); captured now if omitted
+ * @returns {boolean} True if the snapshot was stored
+ */
+export function recordSnapshot(messageId, snapshot = captureSnapshot()) {
+    const store = getSnapshotStore();
+    if (!store || !snapshot || !Number.isInteger(messageId)) return false;
+
+    store[messageId] = {
+        messageId,
+        takenAt: Date.now(),
+        data: snapshot
+    };
+
+    // Prune the oldest snapshots beyond the limit
+    const ids = getSnapshotIds();
+    while (ids.length > _maxSnapshots) {
+        delete store[ids.shift()];
+    }
+
+    markDirty(SNAPSHOT_META_KEY, 'valdris-core');
+
+    return true;
+}
+
+/**
+ * Check whether a snapshot exists for a message
+ * @param {number} messageId - Chat message index
+ * @returns {boolean}
+ */
+export function hasSnapshot(messageId) {
+    const store = getSnapshotStore();
+    return !!store?.[messageId];
+}
+
+/**
+ * Get the message ids that have snapshots, in ascending order
+ * @returns {number[]}
+ */
+export function getSnapshotIds() {
+    const store = getSnapshotStore();
+    if (!store) return [];
+
+    return Object.keys(store)
+        .map(Number)
+        .filter(Number.isInteger)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Drop snapshots for a message and every message after it
+ * @param {number} fromMessageId - First message index to discard
+ */
+export function discardSnapshots(fromMessageId) {
+    const store = getSnapshotStore();
+    if (!store) return;
+
+    for (const id of getSnapshotIds()) {
+        if (id >= fromMessageId) {
+            delete store[id];
+        }
+    }
+}
+
+/**
+ * Restore every tracked key to the state from before a message was processed
+ * Keys missing from the snapshot are removed, since they did not exist yet.
+ *
+ * @param {number} messageId - Chat message index
+ * @returns {Promise<boolean>} True if a snapshot was restored
+ */
+export async function restoreSnapshot(messageId) {
+    const settled = watchQueuedWrite(`Snapshot restore for message ${messageId}`);
+    _saveMutex = _saveMutex.then(async () => {
+        settled();
+        try {
+            const ctx = getSTContext();
+            const md = ctx?.chatMetadata;
+            const entry = md?.[SNAPSHOT_META_KEY]?.[messageId];
+
+            if (!entry?.data) {
+                console.warn(`${LOG_PREFIX} No snapshot for message ${messageId}`);
+                return false;
+            }
+
+            const keys = [];
+            for (const key of _snapshotKeys) {
+                if (entry.data[key] !== undefined) {
+                    md[key] = cloneValue(entry.data[key]);
+                } else {
+                    delete md[key];
+                }
+                keys.push(key);
+                markDirty(key, 'valdris-core');
+            }
+
+            console.log(`${LOG_PREFIX} Restored snapshot from before message ${messageId}`);
+
+            ValdrisEventBus.emit('stateRestored', { messageId, keys });
+            notifySubscribers(getFullState());
+
+            return true;
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Error restoring snapshot:`, error);
+            return false;
+        }
+    });
+
+    return _saveMutex;
+}
+
+/**
+ * Replace several chat metadata keys at once and mark them for saving
+ * Used by campaign import; `undefined` values delete the key.
+ * Subscribers are notified, but no event is emitted - callers announce the change.
+ *
+ * @param {Object} values - Map of metadata key to new value
+ * @returns {Promise<string[]>} Keys written, empty if there was no chat
+ */
+export async function writeMetadataKeys(values) {
+    const settled = watchQueuedWrite(`Write to ${Object.keys(values || {}).join(', ') || 'metadata'}`);
+    _saveMutex = _saveMutex.then(async () => {
+        settled();
+        try {
+            const ctx = getSTContext();
+            const md = ctx?.chatMetadata;
+            if (!md) return [];
+
+            const keys = Object.keys(values || {});
+            for (const key of keys) {
+                if (values[key] === undefined) {
+                    delete md[key];
+                } else {
+                    md[key] = cloneValue(values[key]);
+                }
+                markDirty(key, 'valdris-core');
+            }
+
+            notifySubscribers(getFullState());
+            return keys;
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Error writing metadata keys:`, error);
+            return [];
+        }
+    });
+
+    return _saveMutex;
+}
+
+// ============================================================================
+// Transactions
+// ============================================================================
+
+/**
+ * Open a transaction
+ * Until it ends, writes made with { tx } are checked and applied in memory
+ * only; every other write, snapshot restore or transaction waits for it to end.
+ * Commit saves once and emits one 'domainChanged' per domain written; rollback
+ * puts back the tracked metadata keys it touched: the core blob, the own keys
+ * of extensions that wrote in it, and keys marked dirty with { tx }. Other keys
+ * changed meanwhile are left alone. A rejected write fails the whole transaction.
+ *
+ * @param {Object} options - { source: extension or subsystem, label: what is being done, for undo history }
+ * @returns {Promise<Object>} Transaction: { id, source, label, errors, isOpen(), commit(), rollback(reason) }
+ */
+export async function beginTransaction(options = {}) {
+    // One at a time; later ones queue behind it
+    while (_transaction) {
+        const open = _transaction;
+        const settled = watchQueuedWrite(`Transaction for '${options.source || 'unknown'}'`);
+        await open.ended;
+        settled();
+    }
+
+    let release;
+    const tx = {
+        id: generateId('tx'),
+        source: options.source || 'unknown',
+        label: options.label || null,
+        status: 'open',
+        errors: [],
+        writes: new Map(),
+        snapshot: null,
+        keys: new Set(),
+        ended: new Promise(resolve => { release = resolve; }),
+        isOpen: () => tx.status === 'open',
+        commit: () => commitTransaction(tx),
+        rollback: (reason) => rollbackTransaction(tx, reason)
+    };
+    tx.release = release;
+    _transaction = tx;
+
+    // Writes queued before the transaction opened are not part of it; later ones wait for it
+    const queued = _saveMutex;
+    _saveMutex = queued.then(() => tx.ended, () => tx.ended);
+    await queued.catch(() => {});
+    tx.snapshot = captureSnapshot();
+
+    return tx;
+}
+
+/**
+ * Warn when something queued behind the open transaction is still waiting
+ * A write awaited inside a transaction without { tx } waits for that
+ * transaction to end, which in turn waits for it, so neither ever finishes.
+ * The browser cannot tell which async call a write came from, so this is
+ * reported rather than prevented.
+ *
+ * @param {string} what - What is waiting, for the warning
+ * @returns {Function} Call once it has stopped waiting
+ */
+function watchQueuedWrite(what) {
+    const open = _transaction;
+    if (!open) return () => {};
+
+    const timer = setTimeout(() => {
+        console.warn(`${LOG_PREFIX} ${what} has waited ${TX_WAIT_WARNING_MS / 1000}s for transaction ${open.id} (${open.source}); if it was made on the transaction's behalf it must pass { tx }`);
+    }, TX_WAIT_WARNING_MS);
+    return () => clearTimeout(timer);
+}
+
+/**
+ * Run a function inside a transaction
+ * Commits when it resolves and rolls back when it throws or a write is
+ * rejected. Given an open transaction as options.tx, it joins that one
+ * instead, from a savepoint: if fn throws or a write it made is rejected, only
+ * its own changes are undone and the error is thrown on to the caller, which
+ * may carry on. Otherwise it waits for any open transaction to end first. Pass
+ * the transaction fn receives to every write and nested call made on its behalf.
+ *
+ *     await transaction(async (tx) => {
+ *         await setDomainState('player', player, 'valdris-master-tracker', { tx });
+ *         await setDomainState('economy', economy, 'valdris-economy-services', { tx });
+ *     }, { source: 'valdris-economy-services', label: 'Buy Longsword' });
+ *
+ * @param {Function} fn - async (tx) => result
+ * @param {Object} options - { source, label, tx }
+ * @returns {Promise<*>} What fn returned
+ * @throws {Error} If the transaction was rolled back
+ */
+export async function transaction(fn, options = {}) {
+    if (options.tx?.isOpen?.()) {
+        const tx = options.tx;
+        const savepoint = takeSavepoint(tx);
+        let result;
+        try {
+            result = await fn(tx);
+        } catch (error) {
+            if (tx.isOpen()) restoreSavepoint(tx, savepoint, error?.message || String(error));
+            throw error;
+        }
+
+        if (tx.isOpen() && tx.errors.length > savepoint.errors) {
+            const reason = tx.errors.slice(savepoint.errors).join('; ');
+            restoreSavepoint(tx, savepoint, reason);
+            throw new Error(`Rolled back: ${reason}`);
+        }
+        return result;
+    }
+
+    const tx = await beginTransaction(options);
+    let result;
+    try {
+        result = await fn(tx);
+    } catch (error) {
+        await rollbackTransaction(tx, error?.message || String(error));
+        throw error;
+    }
+
+    if (tx.isOpen() && !(await commitTransaction(tx))) {
+        throw new Error(`Transaction rolled back: ${tx.errors.join('; ') || 'save failed'}`);
+    }
+    return result;
+}
+
+/**
+ * Check whether a transaction is open
+ * Extensions that save chat metadata themselves skip the save while one is;
+ * the commit saves everything at once.
+ *
+ * @returns {boolean}
+ */
+export function isInTransaction() {
+    return !!_transaction;
+}
+
+/**
+ * Wait until every write queued so far, and any queued while waiting, has been applied
+ * @returns {Promise<void>}
+ */
+export async function whenWritesSettled() {
+    let pending;
+    do {
+        pending = _saveMutex;
+        await pending;
+    } while (pending !== _saveMutex);
+}
+
+/**
+ * Apply a checked write in memory and remember the domain's state from before the transaction
+ * @param {Object} tx - Open transaction
+ * @param {string} domain - Domain name
+ * @param {Object} data - Checked data
+ * @param {string} extensionId - Writing extension
+ */
+function stageWrite(tx, domain, data, extensionId) {
+    const fullState = getFullState();
+
+    // The writer's own key usually changes with its domain; rollback restores both
+    tx.keys.add(CORE_META_KEY);
+    for (const key of getSnapshotKeysOwnedBy(extensionId)) tx.keys.add(key);
+
+    if (!tx.writes.has(domain)) {
+        tx.writes.set(domain, { oldData: cloneValue(fullState[domain]), extensionId });
+    }
+    tx.writes.get(domain).extensionId = extensionId;
+    fullState[domain] = data;
+}
+
+/**
+ * Save a transaction's writes and announce them
+ * A transaction with rejected writes is rolled back instead.
+ *
+ * @param {Object} tx - Transaction
+ * @returns {Promise<boolean>} True if committed
+ */
+async function commitTransaction(tx) {
+    if (!tx.isOpen()) return false;
+
+    if (tx.errors.length) {
+        await rollbackTransaction(tx, tx.errors.join('; '));
+        return false;
+    }
+
+    tx.status = 'committed';
+    _transaction = null;
+
+    // The transaction still holds the mutex, so save here and let queued writes through after
+    try {
+        const fullState = getFullState();
+        await saveFullState(fullState);
+
+        for (const [domain, write] of tx.writes) {
+            ValdrisEventBus.emit('domainChanged', {
+                domain,
+                data: fullState[domain],
+                oldData: write.oldData,
+                extensionId: write.extensionId,
+                transaction: tx.id
+            });
+        }
+        notifySubscribers(fullState);
+
+        ValdrisEventBus.emit('transactionCommitted', {
+            id: tx.id,
+            source: tx.source,
+            label: tx.label,
+            domains: [...tx.writes.keys()]
+        });
+        return true;
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Error committing transaction ${tx.id}:`, error);
+        return false;
+    } finally {
+        tx.release();
+    }
+}
+
+/**
+ * Undo everything written since a transaction opened
+ * Extensions reload from the restored metadata on 'stateRestored'.
+ *
+ * @param {Object} tx - Transaction
+ * @param {string} [reason] - Why it was rolled back
+ * @returns {Promise<boolean>} True if it was open
+ */
+async function rollbackTransaction(tx, reason = 'Rolled back') {
+    if (!tx.isOpen()) return false;
+
+    tx.status = 'rolledBack';
+    _transaction = null;
+
+    const keys = restoreTrackedKeys(tx.snapshot, tx.keys);
+    if (keys.length) {
+        // Writes staged before the snapshot was taken
+        const fullState = getFullState();
+        for (const [domain, write] of tx.writes) {
+            fullState[domain] = write.oldData;
+        }
+    }
+
+    console.warn(`${LOG_PREFIX} Transaction ${tx.id} (${tx.source}) rolled back: ${reason}`);
+
+    ValdrisEventBus.emit('stateRestored', { transaction: tx.id, keys });
+    notifySubscribers(getFullState());
+    ValdrisEventBus.emit('transactionRolledBack', { id: tx.id, source: tx.source, reason });
+    tx.release();
+    return true;
+}
+
+/**
+ * Mark the point a joined call can be undone back to
+ * @param {Object} tx - Open transaction
+ * @returns {Object} Savepoint for restoreSavepoint()
+ */
+function takeSavepoint(tx) {
+    return {
+        writes: new Map([...tx.writes].map(([domain, write]) => [domain, { ...write }])),
+        keys: new Set(tx.keys),
+        errors: tx.errors.length,
+        snapshot: captureSnapshot()
+    };
+}
+
+/**
+ * Undo what a joined call staged, leaving the rest of the transaction open
+ * Extensions reload from the restored metadata on 'stateRestored'.
+ *
+ * @param {Object} tx - Open transaction
+ * @param {Object} savepoint - From takeSavepoint()
+ * @param {string} reason - Why it was undone
+ */
+function restoreSavepoint(tx, savepoint, reason) {
+    const keys = restoreTrackedKeys(savepoint.snapshot, tx.keys);
+    tx.writes = savepoint.writes;
+    tx.keys = savepoint.keys;
+    tx.errors.length = savepoint.errors;
+
+    console.warn(`${LOG_PREFIX} Transaction ${tx.id} (${tx.source}) back to savepoint: ${reason}`);
+
+    ValdrisEventBus.emit('stateRestored', { transaction: tx.id, savepoint: true, keys });
+    notifySubscribers(getFullState());
+}
+
+/**
+ * Put tracked metadata keys back as captured
+ * @param {Object|null} snapshot - From captureSnapshot()
+ * @param {Iterable<string>} keys - Keys to restore; others are left alone
+ * @returns {string[]} Keys restored (none without a chat or snapshot)
+ */
+function restoreTrackedKeys(snapshot, keys) {
+    const md = getSTContext()?.chatMetadata;
+    const restored = [];
+    if (!md || !snapshot) return restored;
+
+    for (const key of keys) {
+        if (!_snapshotKeys.has(key)) continue;
+        if (snapshot[key] !== undefined) {
+            md[key] = cloneValue(snapshot[key]);
+        } else {
+            delete md[key];
+        }
+        restored.push(key);
+    }
+    return restored;
+}
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -356,6 +1011,15 @@ function deepMerge(target, source) {
     return output;
 }
 
+/**
+ * Deep clone a JSON-compatible value
+ * @param {*} value - Value to clone
+ * @returns {*}
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
 /**
  * Check if value is a plain object
  * @param {*} item - Value to check
@@ -365,6 +1029,27 @@ function isObject(item) {
     return item && typeof item === 'object' && !Array.isArray(item);
 }
 
+/**
+ * Core state for a chat with no data: every domain at its default
+ * @returns {Object}
+ */
+function createEmptyState() {
+    const state = { ...DEFAULT_DOMAINS };
+    for (const [domain, defaultState] of _customDomains) {
+        state[domain] = cloneDefault(defaultState);
+    }
+    return state;
+}
+
+/**
+ * Copy a declared domain's default state
+ * @param {*} defaultState - Stored default
+ * @returns {*}
+ */
+function cloneDefault(defaultState) {
+    return defaultState === null ? null : JSON.parse(JSON.stringify(defaultState));
+}
+
 /**
  * Set a nested value using dot notation path
  * @param {Object} obj - Object to modify
@@ -429,6 +1114,11 @@ export default {
     isDomainOwner,
     getDomainOwner,
     getAllDomainOwners,
+    getDomainNames,
+    isKnownDomain,
+    isCustomDomain,
+    addCustomDomain,
+    removeCustomDomain,
     getFullState,
     getDomainState,
     setDomainState,
@@ -438,6 +1128,20 @@ export default {
     clearAllState,
     isInitialized,
     getMetaKey,
+    registerSnapshotKey,
+    getSnapshotKeysOwnedBy,
+    setMaxSnapshots,
+    captureSnapshot,
+    recordSnapshot,
+    hasSnapshot,
+    getSnapshotIds,
+    discardSnapshots,
+    restoreSnapshot,
+    writeMetadataKeys,
+    beginTransaction,
+    transaction,
+    isInTransaction,
+    whenWritesSettled,
     getNestedValue,
     generateId
 };
@@ -0,0 +1,536 @@
+/**
+ * Valdris Core - Narrative Directive Rules
+ *
+ * The NARRATIVE DIRECTIVES section is built from rules: a condition over the
+ * unified state paired with the directive text to inject while it holds.
+ * Core ships the classic directives (injury, time of day, weather, moons,
+ * regional mood) as default rules; users edit, disable or add to them in the
+ * settings drawer. Rules live in the context settings as `directiveRules`;
+ * null means "use the defaults".
+ *
+ * Rule shape:
+ * {
+ *     id: 'rule_...',
+ *     name: 'Critically injured',
+ *     condition: 'player.hp.current / player.hp.max < 0.25',   // Empty = always
+ *     text: 'Player is critically injured: every action should feel desperate',
+ *     priority: 90,          // 0-100, also the line's trim priority under a token budget
+ *     cooldown: 0,           // Messages to wait after firing before it may fire again
+ *     enabled: true,
+ *     builtin: true          // Shipped default (can be reset)
+ * }
+ *
+ * Conditions are expressions, not JavaScript: paths into the state by domain
+ * (player.hp.current, time.weather.current, world.currentSettlement.name),
+ * numbers, 'strings', true/false/null, arithmetic (+ - * / %), comparisons
+ * (< <= > >= == !=, strict), && || ! and parentheses. && and || return an
+ * operand as in JavaScript, so (a || b) picks the first set value. Missing
+ * paths read as undefined and compare false. Helper functions:
+ * includes(textOrList, value), lower(text), upper(text), oneOf(value, a, b, ...),
+ * exists(value), len(textOrList), min(...), max(...), abs(n), round(n).
+ */
+
+import { getSTContext } from './core-state.js';
+import { markDirty } from './persistence.js';
+
+const LOG_PREFIX = '[ValdrisCore:Directives]';
+
+// Chat metadata key holding when each rule last fired
+const DIRECTIVE_META_KEY = 'valdris_directives_v1';
+
+// Shipped rules; these reproduce the original hardcoded directives. Where those
+// were an if/else-if chain (injury, time of day, weather), each condition also
+// rules out the ones before it, so at most one of the group fires.
+export const DEFAULT_DIRECTIVE_RULES = [
+    {
+        id: 'builtin-critical-hp', name: 'Critically injured', priority: 90,
+        condition: 'player.hp.current / player.hp.max < 0.25',
+        text: 'Player is critically injured: every action should feel desperate'
+    },
+    {
+        id: 'builtin-wounded', name: 'Wounded', priority: 75,
+        condition: 'player.hp.current / player.hp.max >= 0.25 && player.hp.current / player.hp.max < 0.5',
+        text: 'Player is wounded: describe physical discomfort and limitations'
+    },
+    {
+        id: 'builtin-night', name: 'Late night', priority: 55,
+        condition: 'time.hour >= 22 || time.hour <= 5',
+        text: 'Late night/early morning: describe darkness, quiet, limited visibility'
+    },
+    {
+        id: 'builtin-dawn', name: 'Dawn', priority: 45,
+        condition: 'time.hour > 5 && time.hour <= 7',
+        text: 'Dawn: describe growing light, morning sounds, dew'
+    },
+    {
+        id: 'builtin-evening', name: 'Evening', priority: 45,
+        condition: 'time.hour >= 17 && time.hour <= 20',
+        text: 'Evening: describe fading light, long shadows, activity winding down'
+    },
+    {
+        id: 'builtin-storm', name: 'Storm or rain', priority: 60,
+        condition: "includes(lower(time.weather.current), 'storm') || includes(lower(time.weather.current), 'rain')",
+        text: 'Storm/rain active: wet conditions, difficult hearing, reduced visibility'
+    },
+    {
+        id: 'builtin-fog', name: 'Fog', priority: 55,
+        condition: "includes(lower(time.weather.current), 'fog') && !includes(lower(time.weather.current), 'storm') && !includes(lower(time.weather.current), 'rain')",
+        text: 'Fog: limited visibility, muffled sounds, eerie atmosphere'
+    },
+    {
+        id: 'builtin-snow', name: 'Snow', priority: 55,
+        condition: "includes(lower(time.weather.current), 'snow') && !includes(lower(time.weather.current), 'storm') && !includes(lower(time.weather.current), 'rain') && !includes(lower(time.weather.current), 'fog')",
+        text: 'Snow: cold, difficult terrain, muted sounds'
+    },
+    {
+        id: 'builtin-full-lunara', name: 'Full Lunara', priority: 50,
+        condition: "time.moons.lunara.phase == 'full'",
+        text: 'Full moon: enhanced undead activity, lycanthrope danger, bright night'
+    },
+    {
+        id: 'builtin-veil-hidden', name: 'Veil hidden', priority: 40,
+        condition: "time.moons.veil.phase == 'new' || time.moons.veil.visible == false",
+        text: 'Veil hidden: shadow magic weakened, certain creatures dormant'
+    },
+    {
+        id: 'builtin-region-tense', name: 'Tense region', priority: 50,
+        condition: "oneOf(world.regionalMood.current || world.regionalMood, 'tense', 'fearful')",
+        text: 'Region is tense: NPCs are wary, conversations guarded'
+    },
+    {
+        id: 'builtin-region-hostile', name: 'Hostile region', priority: 55,
+        condition: "(world.regionalMood.current || world.regionalMood) == 'hostile'",
+        text: 'Region is hostile: outsiders viewed with suspicion'
+    },
+    {
+        id: 'builtin-region-festive', name: 'Festive region', priority: 40,
+        condition: "(world.regionalMood.current || world.regionalMood) == 'festive'",
+        text: 'Region is festive: celebrations, good cheer, relaxed guards'
+    },
+    {
+        id: 'builtin-embody', name: 'Embody, never recite', priority: 85, condition: '',
+        text: 'NEVER state numbers directly, EMBODY the physical/emotional experience'
+    },
+    {
+        id: 'builtin-world-events', name: 'World events as flavor', priority: 35, condition: '',
+        text: 'Use world events as background flavor and NPC conversation topics'
+    },
+    {
+        id: 'builtin-nearby-npcs', name: 'Nearby NPCs', priority: 30, condition: '',
+        text: 'Reference nearby NPCs naturally when appropriate'
+    }
+].map(rule => ({ cooldown: 0, enabled: true, builtin: true, ...rule }));
+
+// Compiled conditions, by source text
+const _compiled = new Map();
+
+// Rules chosen by the latest build, committed to the cooldown store when a prompt is sent
+let _lastSelection = { messageIndex: null, ruleIds: [] };
+
+// ============================================================================
+// Rules
+// ============================================================================
+
+/**
+ * Get the active rule list from context settings
+ * @param {Object} settings - Context settings
+ * @returns {Object[]} User rules, or a copy of the defaults when none are stored
+ */
+export function getDirectiveRules(settings = {}) {
+    return Array.isArray(settings.directiveRules)
+        ? settings.directiveRules
+        : DEFAULT_DIRECTIVE_RULES.map(rule => ({ ...rule }));
+}
+
+/**
+ * Restore the shipped rules, keeping user-added ones
+ * Edited or deleted built-ins come back in their original form.
+ *
+ * @param {Object[]} rules - Current rules
+ * @returns {Object[]} New rule list
+ */
+export function resetDefaultRules(rules = []) {
+    const custom = rules.filter(rule => !rule.builtin);
+    return [...DEFAULT_DIRECTIVE_RULES.map(rule => ({ ...rule })), ...custom];
+}
+
+/**
+ * Check a rule before saving it
+ * @param {Object} rule - Rule
+ * @returns {string[]} Problems (empty when valid)
+ */
+export function validateRule(rule) {
+    const errors = [];
+    if (!String(rule?.text || '').trim()) errors.push('Directive text is required');
+
+    const priority = Number(rule?.priority);
+    if (!Number.isFinite(priority) || priority < 0 || priority > 100) errors.push('Priority must be 0-100');
+
+    const cooldown = Number(rule?.cooldown);
+    if (!Number.isInteger(cooldown) || cooldown < 0) errors.push('Cooldown must be a whole number of messages');
+
+    const compiled = compileCondition(rule?.condition);
+    if (compiled.error) errors.push(`Condition: ${compiled.error}`);
+
+    return errors;
+}
+
+/**
+ * Evaluate a condition against state
+ * @param {string} condition - Condition expression (empty = always true)
+ * @param {Object} state - Full state by domain
+ * @returns {{value: *, error: string|null}}
+ */
+export function evaluateCondition(condition, state) {
+    const compiled = compileCondition(condition);
+    if (compiled.error) return { value: false, error: compiled.error };
+
+    try {
+        return { value: compiled.evaluate(state || {}), error: null };
+    } catch (error) {
+        return { value: false, error: error.message };
+    }
+}
+
+/**
+ * Pick the rules whose conditions hold and whose cooldown has passed
+ * @param {Object} state - Full state by domain
+ * @param {Object[]} rules - Rules to consider
+ * @returns {Object[]} Matching rules
+ */
+export function selectDirectives(state, rules) {
+    const messageIndex = getMessageIndex();
+    const lastFired = getCooldownStore()?.lastFired || {};
+
+    const selected = rules.filter(rule => {
+        if (rule.enabled === false || !String(rule.text || '').trim()) return false;
+        if (!isCooledDown(rule, lastFired[rule.id], messageIndex)) return false;
+
+        const { value, error } = evaluateCondition(rule.condition, state);
+        if (error) {
+            console.warn(`${LOG_PREFIX} Rule '${rule.name || rule.id}' skipped: ${error}`);
+            return false;
+        }
+        return !!value;
+    });
+
+    // Only rules with a cooldown need their firing remembered
+    const ruleIds = selected.filter(rule => Number(rule.cooldown) > 0).map(rule => rule.id);
+    _lastSelection = { messageIndex, ruleIds };
+    return selected;
+}
+
+/**
+ * Start the cooldown of every rule injected by the latest build
+ * Called once a prompt actually goes out, so previews do not use up cooldowns.
+ */
+export function recordDirectiveFirings() {
+    const store = getCooldownStore();
+    if (!store || _lastSelection.messageIndex === null) return;
+
+    let changed = false;
+    for (const id of _lastSelection.ruleIds) {
+        if (store.lastFired[id] === _lastSelection.messageIndex) continue;
+        store.lastFired[id] = _lastSelection.messageIndex;
+        changed = true;
+    }
+    if (changed) requestSave();
+}
+
+/**
+ * Check a rule's cooldown
+ * A regenerate at the message where the rule fired may use it again.
+ *
+ * @param {Object} rule - Rule
+ * @param {number|undefined} firedAt - Message index it last fired at
+ * @param {number|null} messageIndex - Current message index
+ * @returns {boolean}
+ */
+function isCooledDown(rule, firedAt, messageIndex) {
+    const cooldown = Number(rule.cooldown) || 0;
+    if (cooldown <= 0 || firedAt === undefined || messageIndex === null) return true;
+    return messageIndex <= firedAt || messageIndex >= firedAt + cooldown;
+}
+
+/**
+ * Get the current chat's cooldown store
+ * @returns {Object|null} { lastFired: { [ruleId]: messageIndex } }
+ */
+function getCooldownStore() {
+    const md = getSTContext()?.chatMetadata;
+    if (!md) return null;
+
+    if (!md[DIRECTIVE_META_KEY]?.lastFired) {
+        md[DIRECTIVE_META_KEY] = { lastFired: {} };
+    }
+    return md[DIRECTIVE_META_KEY];
+}
+
+/**
+ * Mark directive cooldowns for the next chat save
+ */
+function requestSave() {
+    markDirty(DIRECTIVE_META_KEY, 'valdris-directives');
+}
+
+/**
+ * Index of the message about to be generated
+ * @returns {number|null}
+ */
+function getMessageIndex() {
+    const chat = getSTContext()?.chat;
+    return Array.isArray(chat) ? chat.length : null;
+}
+
+// ============================================================================
+// Expressions
+// ============================================================================
+
+// Functions callable from conditions
+const HELPERS = {
+    includes: (haystack, needle) => (typeof haystack === 'string' || Array.isArray(haystack)) && haystack.includes(needle),
+    lower: (text) => typeof text === 'string' ? text.toLowerCase() : text,
+    upper: (text) => typeof text === 'string' ? text.toUpperCase() : text,
+    oneOf: (value, ...options) => options.includes(value),
+    exists: (value) => value !== undefined && value !== null,
+    len: (value) => (typeof value === 'string' || Array.isArray(value)) ? value.length : 0,
+    min: (...values) => Math.min(...values),
+    max: (...values) => Math.max(...values),
+    abs: (value) => Math.abs(value),
+    round: (value) => Math.round(value)
+};
+
+// Binary operators by precedence level, lowest first
+const BINARY_LEVELS = [
+    ['||'],
+    ['&&'],
+    ['==', '!=', '===', '!=='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+// Properties never read through a path
+const BLOCKED_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+/**
+ * Compile a condition into an evaluator
+ * @param {string} source - Condition expression
+ * @returns {{evaluate: Function|null, error: string|null}}
+ */
+export function compileCondition(source) {
+    const text = String(source ?? '').trim();
+    if (_compiled.has(text)) return _compiled.get(text);
+
+    let compiled;
+    if (!text) {
+        compiled = { evaluate: () => true, error: null };
+    } else {
+        try {
+            const parser = createParser(tokenize(text));
+            const node = parser.parseExpression(0);
+            parser.expectEnd();
+            compiled = { evaluate: (state) => evaluateNode(node, state), error: null };
+        } catch (error) {
+            compiled = { evaluate: null, error: error.message };
+        }
+    }
+
+    _compiled.set(text, compiled);
+    return compiled;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Expression
+ * @returns {Array<{type: string, value: *}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||[-+*/%<>!().,[\]]))/y;
+    let index = 0;
+
+    while (index < text.length) {
+        if (/^\s+$/.test(text.slice(index))) break;
+
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new Error(`Unexpected '${text.slice(index).trim()[0]}' at position ${index + 1}`);
+        }
+        index = pattern.lastIndex;
+
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2].replace(/\\(.)/g, '$1') });
+        else if (match[3] !== undefined) tokens.push({ type: 'string', value: match[3].replace(/\\(.)/g, '$1') });
+        else if (match[4] !== undefined) tokens.push({ type: 'name', value: match[4] });
+        else tokens.push({ type: 'op', value: match[5] });
+    }
+
+    return tokens;
+}
+
+/**
+ * Create a recursive-descent parser over tokens
+ * @param {Object[]} tokens - From tokenize()
+ * @returns {{parseExpression: Function, expectEnd: Function}}
+ */
+function createParser(tokens) {
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expectOp = (value) => {
+        if (!isOp(value)) throw new Error(`Expected '${value}'${peek() ? ` before '${peek().value}'` : ' at end'}`);
+        position++;
+    };
+
+    const parseExpression = (level) => {
+        if (level >= BINARY_LEVELS.length) return parseUnary();
+
+        let left = parseExpression(level + 1);
+        while (peek()?.type === 'op' && BINARY_LEVELS[level].includes(peek().value)) {
+            const op = tokens[position++].value;
+            left = { type: 'binary', op, left, right: parseExpression(level + 1) };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOp('!') || isOp('-')) {
+            const op = tokens[position++].value;
+            return { type: 'unary', op, operand: parseUnary() };
+        }
+        return parsePostfix(parsePrimary());
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('Expression ends too early');
+
+        if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+
+        if (token.type === 'name') {
+            if (token.value === 'true') return { type: 'literal', value: true };
+            if (token.value === 'false') return { type: 'literal', value: false };
+            if (token.value === 'null') return { type: 'literal', value: null };
+            if (token.value === 'undefined') return { type: 'literal', value: undefined };
+
+            if (isOp('(')) {
+                if (!HELPERS[token.value]) throw new Error(`Unknown function '${token.value}'`);
+                position++;
+                const args = [];
+                while (!isOp(')')) {
+                    args.push(parseExpression(0));
+                    if (!isOp(')')) expectOp(',');
+                }
+                position++;
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'path', root: token.value };
+        }
+
+        if (token.value === '(') {
+            const inner = parseExpression(0);
+            expectOp(')');
+            return inner;
+        }
+
+        throw new Error(`Unexpected '${token.value}'`);
+    };
+
+    const parsePostfix = (node) => {
+        while (isOp('.') || isOp('[')) {
+            if (isOp('.')) {
+                position++;
+                const name = tokens[position++];
+                if (name?.type !== 'name') throw new Error("Expected a field name after '.'");
+                node = { type: 'member', object: node, key: { type: 'literal', value: name.value } };
+            } else {
+                position++;
+                const key = parseExpression(0);
+                expectOp(']');
+                node = { type: 'member', object: node, key };
+            }
+        }
+        return node;
+    };
+
+    const expectEnd = () => {
+        if (position < tokens.length) throw new Error(`Unexpected '${tokens[position].value}'`);
+    };
+
+    return { parseExpression, expectEnd };
+}
+
+/**
+ * Evaluate a parsed node
+ * @param {Object} node - AST node
+ * @param {Object} state - Full state by domain
+ * @returns {*}
+ */
+function evaluateNode(node, state) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'path':
+            return readKey(state, node.root);
+        case 'member':
+            return readKey(evaluateNode(node.object, state), evaluateNode(node.key, state));
+        case 'call':
+            return HELPERS[node.name](...node.args.map(arg => evaluateNode(arg, state)));
+        case 'unary': {
+            const value = evaluateNode(node.operand, state);
+            return node.op === '!' ? !value : -value;
+        }
+        case 'binary': {
+            if (node.op === '&&') {
+                const left = evaluateNode(node.left, state);
+                return left ? evaluateNode(node.right, state) : left;
+            }
+            if (node.op === '||') {
+                const left = evaluateNode(node.left, state);
+                return left ? left : evaluateNode(node.right, state);
+            }
+            const left = evaluateNode(node.left, state);
+            const right = evaluateNode(node.right, state);
+            switch (node.op) {
+                case '==': case '===': return left === right;
+                case '!=': case '!==': return left !== right;
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '>=': return left >= right;
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Read an own property, treating anything unsafe or missing as undefined
+ * @param {*} value - Object, array or string
+ * @param {*} key - Property name or index
+ * @returns {*}
+ */
+function readKey(value, key) {
+    if (value === null || value === undefined || BLOCKED_KEYS.has(String(key))) return undefined;
+    if (key === 'length' && (typeof value === 'string' || Array.isArray(value))) return value.length;
+    return typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+}
+
+export default {
+    DEFAULT_DIRECTIVE_RULES,
+    getDirectiveRules,
+    resetDefaultRules,
+    validateRule,
+    evaluateCondition,
+    selectDirectives,
+    recordDirectiveFirings,
+    compileCondition
+};
@@ -0,0 +1,195 @@
+/**
+ * Valdris Core - Domain Manifests
+ *
+ * Add-ons outside the suite declare their own domains with a manifest. A
+ * declared domain is a full peer of the built-in ones: it has an owner, is
+ * stored in the core blob, is checked against its schema, is rolled back with
+ * message snapshots and undo history, is exported in campaign bundles and
+ * shows up in the debug panel and macros.
+ *
+ *     declareDomain({
+ *         id: 'crafting',
+ *         owner: 'acme-crafting',
+ *         name: 'Crafting',
+ *         schema: { fields: { recipes: { type: 'array', default: [] }, station: { type: 'string', nullable: true } } },
+ *         defaultState: { recipes: [], station: null },
+ *         metaKey: 'acme_crafting_v1',           // Optional: the add-on's own chat-metadata blob
+ *         contextProvider: {                     // Optional: registerContextProvider() minus id/owner
+ *             title: '## CRAFTING',
+ *             priority: 35,
+ *             build: (state) => state.crafting?.station ? `Working at: ${state.crafting.station}` : null
+ *         },
+ *         dailyProcessor: {                      // Optional: registerDailyProcessor() minus owner/domain
+ *             order: 65,
+ *             process: (crafting) => { ... return ['Potion finished brewing']; }
+ *         }
+ *     });
+ *
+ * The daily processor reads and commits the domain's core state unless it
+ * brings its own read/commit. Built-in domain names cannot be declared, and a
+ * declared name belongs to its owner until undeclared.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import {
+    registerDomain,
+    unregisterDomain,
+    getDomainOwner,
+    getDomainState,
+    setDomainState,
+    isKnownDomain,
+    addCustomDomain,
+    removeCustomDomain,
+    registerSnapshotKey
+} from './core-state.js';
+import { registerDomainSchema, unregisterDomainSchema } from './domain-schemas.js';
+import { registerContextProvider, unregisterContextProvider, getContextProvider } from './context-providers.js';
+import { registerDailyProcessor, unregisterDailyProcessor } from './simulation.js';
+import { registerBundleSection, unregisterBundleSection, getBundleSections } from './campaign-bundle.js';
+
+const LOG_PREFIX = '[ValdrisCore:Domains]';
+
+// Declared manifests, by domain id
+const _manifests = new Map();
+
+// ============================================================================
+// Declaration
+// ============================================================================
+
+/**
+ * Declare a domain from a manifest
+ * @param {Object} manifest - Manifest (see module header)
+ * @returns {string[]} Problems that stopped the declaration (empty when declared)
+ */
+export function declareDomain(manifest) {
+    const errors = validateManifest(manifest);
+    if (errors.length) {
+        console.error(`${LOG_PREFIX} Cannot declare '${manifest?.id}':`, errors);
+        return errors;
+    }
+
+    const { id, owner } = manifest;
+    addCustomDomain(id, manifest.defaultState ?? null);
+    registerDomain(id, owner);
+
+    if (manifest.schema) {
+        registerDomainSchema(id, manifest.schema);
+    }
+
+    if (manifest.metaKey) {
+        registerSnapshotKey(manifest.metaKey, owner);
+        registerBundleSection({ id, name: manifest.name || id, metaKey: manifest.metaKey, itemKey: manifest.itemKey });
+    }
+
+    if (manifest.contextProvider) {
+        registerContextProvider({
+            name: manifest.name || id,
+            ...manifest.contextProvider,
+            id,
+            owner
+        });
+    }
+
+    if (manifest.dailyProcessor) {
+        registerDailyProcessor(`${id}.daily`, {
+            name: manifest.name || id,
+            read: () => getDomainState(id),
+            commit: (working, { tx }) => setDomainState(id, working, owner, { tx }),
+            ...manifest.dailyProcessor,
+            owner,
+            domain: id
+        });
+    }
+
+    _manifests.set(id, { ...manifest });
+    console.log(`${LOG_PREFIX} Domain '${id}' declared by '${owner}'`);
+    ValdrisEventBus.emit('domainDeclared', { id, owner });
+    return [];
+}
+
+/**
+ * Withdraw a declared domain and everything its manifest registered
+ * Stored chat data is kept, so declaring it again picks up where it left off.
+ *
+ * @param {string} id - Domain id
+ * @param {string} owner - Declaring extension
+ * @returns {boolean} True if withdrawn
+ */
+export function undeclareDomain(id, owner) {
+    const manifest = _manifests.get(id);
+    if (!manifest || manifest.owner !== owner) return false;
+
+    unregisterDailyProcessor(`${id}.daily`);
+    if (getContextProvider(id)?.owner === owner) unregisterContextProvider(id);
+    if (manifest.metaKey) unregisterBundleSection(id);
+    if (manifest.schema) unregisterDomainSchema(id);
+    unregisterDomain(id, owner);
+    removeCustomDomain(id);
+
+    _manifests.delete(id);
+    ValdrisEventBus.emit('domainUndeclared', { id, owner });
+    return true;
+}
+
+/**
+ * Get declared domains
+ * @returns {Array<{id: string, owner: string, name: string, metaKey: string|null}>}
+ */
+export function getDeclaredDomains() {
+    return [..._manifests.values()].map(({ id, owner, name, metaKey }) => ({
+        id,
+        owner,
+        name: name || id,
+        metaKey: metaKey || null
+    }));
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Check a manifest before anything is registered
+ * @param {Object} manifest - Manifest
+ * @returns {string[]} Problems found
+ */
+function validateManifest(manifest) {
+    const errors = [];
+    if (!manifest || typeof manifest !== 'object') return ['Manifest must be an object'];
+
+    const { id, owner } = manifest;
+    if (typeof id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(id)) {
+        errors.push('id must be lowercase letters, digits and underscores, starting with a letter');
+    } else if (isKnownDomain(id)) {
+        errors.push(`Domain '${id}' already exists (owned by ${getDomainOwner(id) || 'nobody yet'})`);
+    } else if (manifest.metaKey && getBundleSections().some(section => section.id === id)) {
+        errors.push(`Campaign bundles already have a '${id}' section`);
+    }
+    if (!owner || typeof owner !== 'string') {
+        errors.push('owner is required');
+    }
+    if (manifest.schema && (typeof manifest.schema.fields !== 'object' || manifest.schema.fields === null)) {
+        errors.push('schema needs a fields object');
+    }
+    if (manifest.contextProvider && typeof manifest.contextProvider.build !== 'function') {
+        errors.push('contextProvider needs a build function');
+    }
+    if (manifest.dailyProcessor && typeof manifest.dailyProcessor.process !== 'function') {
+        errors.push('dailyProcessor needs a process function');
+    }
+    if (manifest.defaultState !== undefined) {
+        try {
+            JSON.stringify(manifest.defaultState);
+        } catch (error) {
+            errors.push('defaultState must be JSON-compatible');
+        }
+    }
+
+    return errors;
+}
+
+export default {
+    declareDomain,
+    undeclareDomain,
+    getDeclaredDomains
+};
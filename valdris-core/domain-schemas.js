@@ -0,0 +1,504 @@
+/**
+ * Valdris Core - Domain Schemas
+ *
+ * The contract each domain's shared state must meet, so readers such as the
+ * context builder and Vex can rely on field names and types. Core ships a
+ * built-in schema for every domain an extension writes; the owning extension
+ * may replace it with registerDomainSchema().
+ *
+ * Every setDomainState() write is checked. Depending on the schema's mode, a
+ * write with problems is repaired (numbers coerced, missing required fields
+ * filled from defaults, unknown fields removed, values clamped) or rejected.
+ * A repair that is impossible - a required field with no default, a value
+ * that cannot be coerced - rejects the write in either mode.
+ *
+ * Schema shape (a field spec; the root is always an object):
+ * {
+ *     mode: 'repair',               // 'repair' | 'reject' (root only)
+ *     additional: false,            // Unknown fields: true keeps them, false removes them
+ *     fields: {
+ *         level: { type: 'integer', required: true, default: 1, min: 1 },
+ *         hp: { type: 'object', required: true, fields: { current: { type: 'number' } } },
+ *         tags: { type: 'array', items: { type: 'string' } },
+ *         mood: { type: 'string', values: ['calm', 'tense'], nullable: true }
+ *     }
+ * }
+ *
+ * Types: 'string', 'number', 'integer', 'boolean', 'object', 'array', 'any'.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+
+const LOG_PREFIX = '[ValdrisCore:Schema]';
+
+// Registered schemas, by domain
+const _schemas = new Map();
+
+// Result of the latest write per domain that had problems (cleared by a clean write)
+const _violations = new Map();
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register the schema for a domain
+ * Registering again replaces the previous schema, including a built-in one.
+ *
+ * @param {string} domain - Domain name
+ * @param {Object} schema - Schema (see module header)
+ * @returns {boolean} True if registered
+ */
+export function registerDomainSchema(domain, schema) {
+    if (!domain || !isPlainObject(schema?.fields)) {
+        console.error(`${LOG_PREFIX} Schema for '${domain}' needs a fields object`);
+        return false;
+    }
+
+    _schemas.set(domain, {
+        ...schema,
+        type: 'object',
+        mode: schema.mode === 'reject' ? 'reject' : 'repair'
+    });
+    _violations.delete(domain);
+    return true;
+}
+
+/**
+ * Remove a domain's schema; writes are then accepted unchecked
+ * @param {string} domain - Domain name
+ */
+export function unregisterDomainSchema(domain) {
+    _schemas.delete(domain);
+    _violations.delete(domain);
+}
+
+/**
+ * Get a domain's schema
+ * @param {string} domain - Domain name
+ * @returns {Object|null}
+ */
+export function getDomainSchema(domain) {
+    return _schemas.get(domain) || null;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check domain data against its schema without recording anything
+ * Issues are { path, message, repaired }; repaired issues were fixed in `data`.
+ *
+ * @param {string} domain - Domain name
+ * @param {*} data - Proposed domain state
+ * @returns {{valid: boolean, accepted: boolean, data: *, issues: Object[]}}
+ *   valid: no issues at all; accepted: the write may proceed (with `data`)
+ */
+export function validateDomainData(domain, data) {
+    const schema = _schemas.get(domain);
+    if (!schema || data === null) {
+        // Clearing a domain is always allowed
+        return { valid: true, accepted: true, data, issues: [] };
+    }
+
+    return validateValue(schema, data, domain);
+}
+
+/**
+ * Check any value against a field spec, outside of a domain
+ * The root may be of any type. Used for model replies (see llm-service.js).
+ *
+ * @param {Object} spec - Field spec (see module header); `mode: 'reject'` turns off repairs
+ * @param {*} data - Value to check
+ * @param {string} [path] - Name of the root in issue paths
+ * @returns {{valid: boolean, accepted: boolean, data: *, issues: Object[]}}
+ */
+export function validateValue(spec, data, path = 'value') {
+    const issues = [];
+    const repaired = checkValue(spec, cloneValue(data), path, issues);
+
+    // A rejecting schema repairs nothing; every issue stands
+    if (spec.mode === 'reject') {
+        issues.forEach(issue => { issue.repaired = false; });
+    }
+    const fatal = issues.some(issue => !issue.repaired);
+
+    return {
+        valid: issues.length === 0,
+        accepted: !fatal,
+        // Conforming data keeps the caller's object, as domain writes did before schemas
+        data: issues.length ? repaired : data,
+        issues
+    };
+}
+
+/**
+ * Validate a write and record the outcome
+ * Called by setDomainState(); logs problems and emits 'domainValidationFailed'.
+ *
+ * @param {string} domain - Domain name
+ * @param {*} data - Proposed domain state
+ * @param {string} extensionId - Writing extension
+ * @returns {{accepted: boolean, data: *, issues: Object[]}}
+ */
+export function checkDomainWrite(domain, data, extensionId) {
+    const result = validateDomainData(domain, data);
+
+    if (result.valid) {
+        _violations.delete(domain);
+        return result;
+    }
+
+    const summary = result.issues.map(formatIssue).join('; ');
+    if (result.accepted) {
+        console.warn(`${LOG_PREFIX} Repaired '${domain}' write from '${extensionId}': ${summary}`);
+    } else {
+        console.error(`${LOG_PREFIX} Rejected '${domain}' write from '${extensionId}': ${summary}`);
+    }
+
+    const violation = {
+        domain,
+        extensionId: extensionId || null,
+        rejected: !result.accepted,
+        issues: result.issues,
+        timestamp: Date.now()
+    };
+    _violations.set(domain, violation);
+    ValdrisEventBus.emit('domainValidationFailed', violation);
+
+    return result;
+}
+
+/**
+ * Get the latest problem write for each domain that is currently out of contract
+ * @returns {Object[]} { domain, extensionId, rejected, issues, timestamp }
+ */
+export function getSchemaViolations() {
+    return [..._violations.values()];
+}
+
+/**
+ * Check stored state against every registered schema
+ * @param {Object} fullState - State by domain (from getFullState())
+ * @returns {Object} Map of domain to issues (empty array when the domain conforms)
+ */
+export function checkDomainContracts(fullState) {
+    const report = {};
+    for (const domain of _schemas.keys()) {
+        const data = fullState?.[domain];
+        report[domain] = data === null || data === undefined ? [] : validateDomainData(domain, data).issues;
+    }
+    return report;
+}
+
+/**
+ * Format an issue for logs and the UI
+ * @param {Object} issue - { path, message, repaired }
+ * @returns {string}
+ */
+export function formatIssue(issue) {
+    return `${issue.path}: ${issue.message}${issue.repaired ? ' (repaired)' : ''}`;
+}
+
+// ============================================================================
+// Checking
+// ============================================================================
+
+/**
+ * Check one value against a field spec, repairing where the spec allows
+ * @param {Object} spec - Field spec
+ * @param {*} value - Value to check
+ * @param {string} path - Path for issue messages
+ * @param {Object[]} issues - Collected issues (mutated)
+ * @returns {*} The value, possibly repaired
+ */
+function checkValue(spec, value, path, issues) {
+    if (value === null && spec.nullable) return value;
+
+    const type = spec.type || 'any';
+    let output = value;
+
+    if (!matchesType(output, type)) {
+        const coerced = coerce(output, type);
+        if (coerced !== undefined) {
+            issues.push({ path, message: `${describe(value)} coerced to ${type}`, repaired: true });
+            output = coerced;
+        } else if (spec.default !== undefined) {
+            issues.push({ path, message: `expected ${type}, got ${describe(value)}; default used`, repaired: true });
+            return cloneValue(spec.default);
+        } else {
+            issues.push({ path, message: `expected ${type}, got ${describe(value)}`, repaired: false });
+            return value;
+        }
+    }
+
+    if (type === 'number' || type === 'integer') {
+        if (spec.min !== undefined && output < spec.min) {
+            issues.push({ path, message: `${output} below minimum ${spec.min}`, repaired: true });
+            output = spec.min;
+        }
+        if (spec.max !== undefined && output > spec.max) {
+            issues.push({ path, message: `${output} above maximum ${spec.max}`, repaired: true });
+            output = spec.max;
+        }
+    }
+
+    if (Array.isArray(spec.values) && !spec.values.includes(output)) {
+        if (spec.default !== undefined) {
+            issues.push({ path, message: `'${output}' is not one of ${spec.values.join(', ')}; default used`, repaired: true });
+            output = cloneValue(spec.default);
+        } else {
+            issues.push({ path, message: `'${output}' is not one of ${spec.values.join(', ')}`, repaired: false });
+        }
+    }
+
+    if (type === 'object') {
+        output = checkFields(spec, output, path, issues);
+    }
+
+    if (type === 'array' && spec.items) {
+        // Items that cannot be repaired are dropped rather than failing the whole write
+        const kept = [];
+        output.forEach((item, index) => {
+            const itemIssues = [];
+            const checked = checkValue(spec.items, item, `${path}[${index}]`, itemIssues);
+            if (itemIssues.some(issue => !issue.repaired)) {
+                issues.push({ path: `${path}[${index}]`, message: `invalid item dropped (${itemIssues.filter(i => !i.repaired).map(i => `${i.path} ${i.message}`).join(', ')})`, repaired: true });
+                return;
+            }
+            issues.push(...itemIssues);
+            kept.push(checked);
+        });
+        output = kept;
+    }
+
+    return output;
+}
+
+/**
+ * Check the fields of an object against a spec's `fields`
+ * @param {Object} spec - Object field spec
+ * @param {Object} object - Object to check (mutated)
+ * @param {string} path - Path for issue messages
+ * @param {Object[]} issues - Collected issues (mutated)
+ * @returns {Object}
+ */
+function checkFields(spec, object, path, issues) {
+    const fields = spec.fields || {};
+
+    for (const [key, fieldSpec] of Object.entries(fields)) {
+        const fieldPath = `${path}.${key}`;
+        if (object[key] === undefined) {
+            if (!fieldSpec.required) continue;
+            if (fieldSpec.default !== undefined) {
+                issues.push({ path: fieldPath, message: 'missing; default used', repaired: true });
+                object[key] = cloneValue(fieldSpec.default);
+            } else {
+                issues.push({ path: fieldPath, message: 'missing', repaired: false });
+            }
+            continue;
+        }
+        object[key] = checkValue(fieldSpec, object[key], fieldPath, issues);
+    }
+
+    if (spec.additional === false) {
+        for (const key of Object.keys(object)) {
+            if (!(key in fields)) {
+                issues.push({ path: `${path}.${key}`, message: 'not in schema; removed', repaired: true });
+                delete object[key];
+            }
+        }
+    }
+
+    return object;
+}
+
+/**
+ * Check a value's type
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        default: return value !== undefined;
+    }
+}
+
+/**
+ * Convert a value to a scalar type where the intent is unambiguous
+ * @param {*} value - Value
+ * @param {string} type - Target type
+ * @returns {*} Converted value, or undefined if it cannot be converted
+ */
+function coerce(value, type) {
+    switch (type) {
+        case 'number':
+        case 'integer': {
+            const num = typeof value === 'string' && value.trim() !== '' ? Number(value)
+                : typeof value === 'number' ? value
+                : NaN;
+            if (!Number.isFinite(num)) return undefined;
+            return type === 'integer' ? Math.round(num) : num;
+        }
+        case 'string':
+            return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
+        case 'boolean':
+            if (value === 'true' || value === 1) return true;
+            if (value === 'false' || value === 0) return false;
+            return undefined;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Short description of a value for issue messages
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function describe(value) {
+    if (value === undefined) return 'undefined';
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'string') return `'${value.length > 20 ? value.slice(0, 20) + '...' : value}'`;
+    return typeof value === 'object' ? 'object' : String(value);
+}
+
+/**
+ * Check for a plain (non-array) object
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep clone JSON-compatible data
+ * @param {*} value - Value to clone
+ * @returns {*}
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// ============================================================================
+// Built-in Schemas
+// ============================================================================
+
+// Current/max pools (HP, MP, stamina)
+const POOL = {
+    type: 'object', required: true, default: { current: 0, max: 0 },
+    fields: {
+        current: { type: 'number', required: true, default: 0, min: 0 },
+        max: { type: 'number', required: true, default: 0, min: 0 }
+    }
+};
+
+const COUNT = { type: 'integer', required: true, default: 0, min: 0 };
+
+// The player sheet is the most widely read domain, so unknown fields are removed
+registerDomainSchema('player', {
+    additional: false,
+    fields: {
+        characterName: { type: 'string', required: true, default: 'Adventurer' },
+        currentLocation: { type: 'string', default: '' },
+        level: { type: 'integer', required: true, default: 1, min: 1 },
+        xp: { type: 'object', fields: { current: { type: 'number', default: 0, min: 0 }, needed: { type: 'number', default: 100, min: 0 } } },
+        mainClass: { type: 'object', fields: { name: { type: 'string', default: '' }, level: { type: 'integer', default: 1, min: 1 } } },
+        hp: POOL,
+        mp: POOL,
+        stamina: POOL,
+        attributes: { type: 'object' },
+        derivedStats: { type: 'object' },
+        skills: { type: 'object' },
+        equipment: { type: 'object' },
+        buffs: { type: 'array', default: [], items: { type: 'object' } },
+        debuffs: { type: 'array', default: [], items: { type: 'object' } },
+        wounds: { type: 'array', default: [], items: { type: 'object' } },
+        survivalMeters: { type: 'object' },
+        currencies: { type: 'object' }
+    }
+});
+
+registerDomainSchema('time', {
+    fields: {
+        year: { type: 'integer', required: true, default: 1 },
+        month: { type: 'integer', required: true, default: 1, min: 1 },
+        day: { type: 'integer', required: true, default: 1, min: 1 },
+        hour: { type: 'integer', required: true, default: 0, min: 0, max: 23 },
+        minute: { type: 'integer', required: true, default: 0, min: 0, max: 59 },
+        monthName: { type: 'string' },
+        era: { type: 'string' },
+        moons: { type: 'object' },
+        weather: { type: 'object', fields: { current: { type: 'string' } } },
+        celestialEvents: { type: 'array', default: [] },
+        celestialEffects: { type: 'array', default: [] }
+    }
+});
+
+registerDomainSchema('world', {
+    fields: {
+        currentRegion: { type: 'string', nullable: true, default: '' },
+        currentZone: { type: 'string', nullable: true, default: '' },
+        currentSettlement: {
+            type: 'object', nullable: true,
+            fields: { name: { type: 'string', required: true }, size: { type: 'string' }, faction: { type: 'string', nullable: true } }
+        },
+        dangerLevel: { type: 'string', default: 'safe' },
+        hazards: { type: 'array', default: [] },
+        laws: { type: 'object' },
+        activeEffects: { type: 'array', default: [] }
+    }
+});
+
+registerDomainSchema('npcs', {
+    fields: {
+        count: COUNT,
+        allies: COUNT,
+        enemies: COUNT,
+        recent: {
+            type: 'array', default: [],
+            items: { type: 'object', fields: { name: { type: 'string', required: true }, relationship: { type: 'number', default: 0 } } }
+        }
+    }
+});
+
+registerDomainSchema('economy', {
+    fields: {
+        totalWealth: { type: 'number', required: true, default: 0, min: 0 },
+        wealthFormatted: { type: 'string' },
+        marketCondition: { type: 'string', default: 'stable' },
+        shopCount: COUNT,
+        debts: COUNT
+    }
+});
+
+registerDomainSchema('factions', {
+    fields: {
+        count: COUNT,
+        allied: COUNT,
+        hostile: COUNT,
+        memberOf: COUNT
+    }
+});
+
+export default {
+    registerDomainSchema,
+    unregisterDomainSchema,
+    getDomainSchema,
+    validateDomainData,
+    validateValue,
+    checkDomainWrite,
+    getSchemaViolations,
+    checkDomainContracts,
+    formatIssue
+};
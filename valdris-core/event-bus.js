@@ -6,9 +6,17 @@
  *
  * Standard Events:
  * - 'timeAdvanced'      { oldTime, newTime, minutesElapsed }
- * - 'newDay'            { date }
+ * - 'timeAdvanceBlocked' { minutes, reason, blockedBy }
+ * - 'newDay'            { date, days, tx? } (days crossed; emitted with emitAsync)
  * - 'newMonth'          { date }
- * - 'domainChanged'     { domain, data, extensionId }
+ * - 'domainChanged'     { domain, data, oldData, extensionId, transaction? }
+ * - 'domainValidationFailed' { domain, extensionId, rejected, issues, timestamp }
+ * - 'domainDeclared'    { id, owner }
+ * - 'domainUndeclared'  { id, owner }
+ * - 'aiResponseReceived' { messageId, message, timestamp, replay?, stateDelta? }
+ * - 'stateRestored'     { messageId?, transaction?, savepoint?, history?, backup?, keys }
+ * - 'transactionCommitted' { id, source, label, domains }
+ * - 'transactionRolledBack' { id, source, reason }
  * - 'playerMoved'       { oldLocation, newLocation }
  * - 'combatStarted'     { enemies }
  * - 'combatEnded'       { result }
@@ -24,16 +32,49 @@
  * - 'nearDeath'         { hpPercent }
  * - 'weatherChanged'    { oldWeather, newWeather }
  * - 'moonPhaseChanged'  { moon, oldPhase, newPhase }
+ * - 'calendarChanged'   { calendar }
  * - 'celestialEvent'    { event }
+ * - 'scheduleTriggered' { id, key, name, owner, event, payload, count, date, recurring, done }
+ * - 'timeJumpPreview'   { minutes, from, to, days, festivals, scheduled, upkeep, notes, sections } (push to sections)
  * - 'crimeCommitted'    { crime }
- * - 'reputationChanged' { faction, oldValue, newValue }
+ * - 'reputationChanged' { faction, factionName, oldValue, newValue }
+ * - 'factionJoined'     { faction, factionName }
+ * - 'factionLeft'       { faction, factionName }
+ * - 'relationshipChanged' { npcId, npcName, event, description, changes }
+ * - 'woundReceived'     { wound }
+ * - 'goldChanged'       { oldValue, newValue, delta }
+ * - 'purchaseMade'      { item, quantity, totalPrice, shop }
+ * - 'chronicleEntryAdded' { entry }
+ * - 'stateDeltaApplied' { messageId, replay, timestamp, results }
+ * - 'commandDispatched' { id, command, source, owner, payload, ok, result?, error?, timestamp }
+ * - 'simulationCompleted' { days, from, to, daily, errors } (not sent for previews)
+ * - 'randomRerolled'    { stream, count, seed? } (stream null = every stream; seed when replaced)
+ * - 'llmRequestCompleted' { id, source, profile, model, ok, attempts, durationMs, usage, error?, timestamp }
+ * - 'macrosChanged'     { count }
+ * - 'metadataSaved'     { keys, reason }
+ * - 'metadataSaveFailed' { keys, reason, error }
+ *
+ * Before Events (emitBefore - listeners may cancel or modify):
+ * - 'beforeTimeAdvance' { minutes, currentTime, reason }
+ * - 'beforeDamage'      { amount, source }
+ *
+ * Listeners run in priority order (higher first, ties in subscription order).
+ * Event names may be namespaced with dots ('combat.started'); subscribe to
+ * 'combat.*' for one segment, or '**' / 'combat.**' for any number of segments.
+ * Every listener receives (data, meta) where meta.event is the emitted name.
  */
 
 const LOG_PREFIX = '[ValdrisEventBus]';
 
-// Event listener registry
+// Event listener registry (keyed by event name or wildcard pattern)
 const _listeners = {};
 
+// Compiled wildcard patterns
+const _patternCache = new Map();
+
+// Subscription counter, keeps equal priorities in subscription order
+let _sequence = 0;
+
 // Event history for debugging (keeps last 50 events)
 const _eventHistory = [];
 const MAX_HISTORY = 50;
@@ -41,17 +82,106 @@ const MAX_HISTORY = 50;
 // Debug mode flag
 let _debugMode = false;
 
+/**
+ * Check if an event name contains wildcards
+ * @param {string} event - Event name or pattern
+ * @returns {boolean}
+ */
+function isPattern(event) {
+    return event.includes('*');
+}
+
+/**
+ * Test an event name against a wildcard pattern
+ * '*' matches one dot-separated segment, '**' matches any number of segments.
+ *
+ * @param {string} pattern - Wildcard pattern
+ * @param {string} event - Event name
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, event) {
+    if (!_patternCache.has(pattern)) {
+        const source = pattern
+            .split('.')
+            .map(segment => segment === '**'
+                ? '.+'
+                : segment.replace(/[+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*'))
+            .join('\\.');
+        _patternCache.set(pattern, new RegExp(`^${source}$`));
+    }
+    return _patternCache.get(pattern).test(event);
+}
+
+/**
+ * Collect the listeners an event is delivered to, in priority order
+ * @param {string} event - Event name
+ * @returns {Array<{key: string, listener: Object}>}
+ */
+function collectListeners(event) {
+    const matched = [];
+    for (const key of Object.keys(_listeners)) {
+        if (key !== event && !(isPattern(key) && matchesPattern(key, event))) continue;
+        for (const listener of _listeners[key]) {
+            matched.push({ key, listener });
+        }
+    }
+    return matched.sort((a, b) =>
+        b.listener.priority - a.listener.priority || a.listener.sequence - b.listener.sequence
+    );
+}
+
+/**
+ * Remove a single listener entry
+ * @param {string} key - Event name or pattern it was registered under
+ * @param {Object} listener - Listener entry
+ */
+function removeListener(key, listener) {
+    const list = _listeners[key];
+    if (!list) return;
+
+    const idx = list.indexOf(listener);
+    if (idx > -1) {
+        list.splice(idx, 1);
+    }
+    if (list.length === 0) {
+        delete _listeners[key];
+    }
+}
+
+/**
+ * Record an emitted event in the debug history
+ * @param {string} event - Event name
+ * @param {*} data - Payload
+ * @param {number} listenerCount - Listeners it was delivered to
+ * @param {Object} [extra] - Extra fields (async, phase)
+ */
+function recordHistory(event, data, listenerCount, extra = {}) {
+    _eventHistory.push({
+        event,
+        data,
+        timestamp: Date.now(),
+        listenerCount,
+        ...extra
+    });
+
+    // Trim history
+    while (_eventHistory.length > MAX_HISTORY) {
+        _eventHistory.shift();
+    }
+}
+
 /**
  * The Valdris Event Bus singleton
  */
 export const ValdrisEventBus = {
     /**
      * Subscribe to an event
-     * @param {string} event - Event name to subscribe to
-     * @param {Function} callback - Callback function(data)
+     * @param {string} event - Event name, or wildcard pattern ('combat.*', '**')
+     * @param {Function} callback - Callback function(data, meta)
      * @param {Object} options - Optional settings
      * @param {boolean} options.once - If true, unsubscribe after first call
      * @param {string} options.id - Identifier for this listener (for targeted removal)
+     * @param {number} options.priority - Higher runs first (default 0)
      * @returns {Function} Unsubscribe function
      */
     on(event, callback, options = {}) {
@@ -68,6 +198,8 @@ export const ValdrisEventBus = {
             callback,
             once: options.once || false,
             id: options.id || null,
+            priority: Number.isFinite(options.priority) ? options.priority : 0,
+            sequence: _sequence++,
             addedAt: Date.now()
         };
 
@@ -78,22 +210,23 @@ export const ValdrisEventBus = {
         }
 
         // Return unsubscribe function
-        return () => this.off(event, callback);
+        return () => removeListener(event, listener);
     },
 
     /**
      * Subscribe to an event, but only trigger once
-     * @param {string} event - Event name
+     * @param {string} event - Event name or pattern
      * @param {Function} callback - Callback function
+     * @param {Object} [options] - Same options as on()
      * @returns {Function} Unsubscribe function
      */
-    once(event, callback) {
-        return this.on(event, callback, { once: true });
+    once(event, callback, options = {}) {
+        return this.on(event, callback, { ...options, once: true });
     },
 
     /**
      * Unsubscribe from an event
-     * @param {string} event - Event name
+     * @param {string} event - Event name or pattern (as passed to on())
      * @param {Function|string} callbackOrId - The callback function or listener ID to remove
      */
     off(event, callbackOrId) {
@@ -143,137 +276,201 @@ export const ValdrisEventBus = {
      * @param {*} data - Data to pass to subscribers
      */
     emit(event, data) {
-        // Record in history
-        _eventHistory.push({
-            event,
-            data,
-            timestamp: Date.now(),
-            listenerCount: _listeners[event]?.length || 0
-        });
-
-        // Trim history
-        while (_eventHistory.length > MAX_HISTORY) {
-            _eventHistory.shift();
-        }
+        const matched = collectListeners(event);
+        recordHistory(event, data, matched.length);
 
         if (_debugMode) {
             console.log(`${LOG_PREFIX} Emitting '${event}'`, data);
         }
 
-        if (!_listeners[event]) return;
+        const meta = { event };
 
-        // Copy listener array to avoid issues if listeners modify the array
-        const listeners = [..._listeners[event]];
-        const toRemove = [];
+        for (const { key, listener } of matched) {
+            // One-time listeners are removed before running so re-entrant emits skip them
+            if (listener.once) {
+                removeListener(key, listener);
+            }
 
-        for (const listener of listeners) {
             try {
-                listener.callback(data);
-
-                if (listener.once) {
-                    toRemove.push(listener);
-                }
+                listener.callback(data, meta);
             } catch (error) {
                 console.error(`${LOG_PREFIX} Error in '${event}' listener:`, error);
             }
         }
-
-        // Remove one-time listeners
-        for (const listener of toRemove) {
-            const idx = _listeners[event].indexOf(listener);
-            if (idx > -1) {
-                _listeners[event].splice(idx, 1);
-            }
-        }
-
-        // Clean up empty arrays
-        if (_listeners[event]?.length === 0) {
-            delete _listeners[event];
-        }
     },
 
     /**
-     * Emit an event and wait for all async handlers to complete
+     * Emit an event and wait for async handlers to complete
+     *
+     * By default every listener starts at once and the call resolves when all
+     * have settled (Promise.all fan-out). With `sequential`, each listener is
+     * awaited before the next runs. With `pipeline`, listeners also run in turn
+     * and a listener's non-undefined return value replaces the payload passed
+     * to the next one.
+     *
      * @param {string} event - Event name
      * @param {*} data - Data to pass to subscribers
-     * @returns {Promise<void>}
+     * @param {Object} [options] - Delivery options
+     * @param {boolean} [options.sequential] - Await listeners one at a time
+     * @param {boolean} [options.pipeline] - Thread return values through listeners
+     * @returns {Promise<*>} The final payload (the original one unless pipelined)
      */
-    async emitAsync(event, data) {
-        // Record in history
-        _eventHistory.push({
-            event,
-            data,
-            timestamp: Date.now(),
-            listenerCount: _listeners[event]?.length || 0,
-            async: true
-        });
-
-        // Trim history
-        while (_eventHistory.length > MAX_HISTORY) {
-            _eventHistory.shift();
-        }
+    async emitAsync(event, data, options = {}) {
+        const matched = collectListeners(event);
+        const mode = options.pipeline ? 'pipeline' : options.sequential ? 'sequential' : 'parallel';
+        recordHistory(event, data, matched.length, { async: true, mode });
 
         if (_debugMode) {
-            console.log(`${LOG_PREFIX} Emitting async '${event}'`, data);
+            console.log(`${LOG_PREFIX} Emitting async '${event}' (${mode})`, data);
         }
 
-        if (!_listeners[event]) return;
+        const meta = { event };
 
-        const listeners = [..._listeners[event]];
-        const toRemove = [];
-        const promises = [];
+        if (mode === 'parallel') {
+            const promises = [];
+            for (const { key, listener } of matched) {
+                if (listener.once) {
+                    removeListener(key, listener);
+                }
+
+                try {
+                    const result = listener.callback(data, meta);
+                    if (result instanceof Promise) {
+                        promises.push(result.catch(error => {
+                            console.error(`${LOG_PREFIX} Error in '${event}' listener:`, error);
+                        }));
+                    }
+                } catch (error) {
+                    console.error(`${LOG_PREFIX} Error in '${event}' listener:`, error);
+                }
+            }
+
+            // Wait for all async handlers
+            await Promise.all(promises);
+            return data;
+        }
+
+        let payload = data;
+        for (const { key, listener } of matched) {
+            if (listener.once) {
+                removeListener(key, listener);
+            }
 
-        for (const listener of listeners) {
             try {
-                const result = listener.callback(data);
-                if (result instanceof Promise) {
-                    promises.push(result);
+                const result = await listener.callback(payload, meta);
+                if (mode === 'pipeline' && result !== undefined) {
+                    payload = result;
                 }
+            } catch (error) {
+                console.error(`${LOG_PREFIX} Error in '${event}' listener:`, error);
+            }
+        }
+        return payload;
+    },
 
-                if (listener.once) {
-                    toRemove.push(listener);
+    /**
+     * Run the "before" phase of an action
+     *
+     * Listeners receive (payload, meta) and may:
+     * - call meta.cancel(reason) to veto the action (remaining listeners are skipped)
+     * - mutate the payload, or return a new payload object to replace it
+     *
+     * Listeners must be synchronous; use emitBeforeAsync() when they are not.
+     *
+     * @param {string} event - Before-event name (e.g. 'beforeTimeAdvance')
+     * @param {Object} data - Proposed action payload (cloned, the caller's object is untouched)
+     * @returns {{cancelled: boolean, reason: string|null, cancelledBy: string|null, data: Object}}
+     */
+    emitBefore(event, data) {
+        const matched = collectListeners(event);
+        const outcome = { cancelled: false, reason: null, cancelledBy: null, data: { ...data } };
+
+        for (const { key, listener } of matched) {
+            if (listener.once) {
+                removeListener(key, listener);
+            }
+
+            const meta = createBeforeMeta(event, outcome, listener);
+            try {
+                const result = listener.callback(outcome.data, meta);
+                if (result instanceof Promise) {
+                    console.warn(`${LOG_PREFIX} Async '${event}' listener ignored; use emitBeforeAsync()`);
+                } else if (result && typeof result === 'object') {
+                    outcome.data = result;
                 }
             } catch (error) {
                 console.error(`${LOG_PREFIX} Error in '${event}' listener:`, error);
             }
+
+            if (outcome.cancelled) break;
+        }
+
+        recordHistory(event, outcome.data, matched.length, { phase: 'before', cancelled: outcome.cancelled });
+
+        if (_debugMode || outcome.cancelled) {
+            console.log(`${LOG_PREFIX} '${event}' ${outcome.cancelled ? `cancelled: ${outcome.reason}` : 'passed'}`);
         }
 
-        // Wait for all async handlers
-        await Promise.all(promises);
+        return outcome;
+    },
 
-        // Remove one-time listeners
-        for (const listener of toRemove) {
-            const idx = _listeners[event].indexOf(listener);
-            if (idx > -1) {
-                _listeners[event].splice(idx, 1);
+    /**
+     * Async variant of emitBefore(); listeners are awaited one at a time
+     * @param {string} event - Before-event name
+     * @param {Object} data - Proposed action payload
+     * @returns {Promise<{cancelled: boolean, reason: string|null, cancelledBy: string|null, data: Object}>}
+     */
+    async emitBeforeAsync(event, data) {
+        const matched = collectListeners(event);
+        const outcome = { cancelled: false, reason: null, cancelledBy: null, data: { ...data } };
+
+        for (const { key, listener } of matched) {
+            if (listener.once) {
+                removeListener(key, listener);
             }
+
+            const meta = createBeforeMeta(event, outcome, listener);
+            try {
+                const result = await listener.callback(outcome.data, meta);
+                if (result && typeof result === 'object') {
+                    outcome.data = result;
+                }
+            } catch (error) {
+                console.error(`${LOG_PREFIX} Error in '${event}' listener:`, error);
+            }
+
+            if (outcome.cancelled) break;
         }
 
-        if (_listeners[event]?.length === 0) {
-            delete _listeners[event];
+        recordHistory(event, outcome.data, matched.length, { async: true, phase: 'before', cancelled: outcome.cancelled });
+
+        if (_debugMode || outcome.cancelled) {
+            console.log(`${LOG_PREFIX} '${event}' ${outcome.cancelled ? `cancelled: ${outcome.reason}` : 'passed'}`);
         }
+
+        return outcome;
     },
 
     /**
-     * Check if an event has any listeners
+     * Check if an event has any listeners (including wildcard matches)
      * @param {string} event - Event name
      * @returns {boolean}
      */
     hasListeners(event) {
-        return !!_listeners[event] && _listeners[event].length > 0;
+        return collectListeners(event).length > 0;
     },
 
     /**
-     * Get count of listeners for an event
+     * Get count of listeners an event is delivered to (including wildcard matches)
      * @param {string} event - Event name
      * @returns {number}
      */
     listenerCount(event) {
-        return _listeners[event]?.length || 0;
+        return collectListeners(event).length;
     },
 
     /**
-     * Get all registered event names
+     * Get all registered event names and patterns
      * @returns {string[]}
      */
     eventNames() {
@@ -305,6 +502,25 @@ export const ValdrisEventBus = {
     }
 };
 
+/**
+ * Build the meta argument for a before-phase listener
+ * @param {string} event - Event name
+ * @param {Object} outcome - Shared outcome object
+ * @param {Object} listener - Listener entry
+ * @returns {{event: string, cancel: Function, isCancelled: Function}}
+ */
+function createBeforeMeta(event, outcome, listener) {
+    return {
+        event,
+        cancel(reason = 'Cancelled') {
+            outcome.cancelled = true;
+            outcome.reason = reason;
+            outcome.cancelledBy = listener.id;
+        },
+        isCancelled: () => outcome.cancelled
+    };
+}
+
 // Freeze the object to prevent modifications
 Object.freeze(ValdrisEventBus);
 
@@ -0,0 +1,378 @@
+/**
+ * Valdris Core - Undo History
+ *
+ * Every domain write becomes a step that can be undone. Core keeps a copy of
+ * the tracked chat metadata keys (its own state plus each extension's key) as
+ * they were after the last step. When a write lands, the keys that differ from
+ * that copy become the step's inverse: their old values undo it and their new
+ * values redo it. The owning extensions reload on 'stateRestored'.
+ *
+ * A transaction is one step, named by its `label` option:
+ *
+ *     await transaction(async () => { ... }, {
+ *         source: 'valdris-npc-social',
+ *         label: 'Delete Mira'
+ *     });
+ *
+ * A plain write is named after the domain it changed. Plain writes landing in
+ * the same tick are one step, and repeated writes with the same name from the
+ * same source within a second are folded into one step.
+ *
+ * Only keys that may have changed are compared: the core blob and the writing
+ * extension's own key on a domain write, and any key passed to markDirty().
+ *
+ * History is kept for the current chat and session only. Message rollbacks
+ * (swipe, edit, delete) are not steps; they move the baseline like any undo.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import {
+    captureSnapshot,
+    writeMetadataKeys,
+    isInTransaction,
+    whenWritesSettled,
+    generateId,
+    getMetaKey,
+    getSnapshotKeysOwnedBy
+} from './core-state.js';
+import { onMarkDirty } from './persistence.js';
+
+const LOG_PREFIX = '[ValdrisCore:History]';
+
+// Oldest steps are dropped beyond this
+const MAX_HISTORY_STEPS = 50;
+
+// Same-named writes from one source this close together form one step
+const MERGE_WINDOW_MS = 1000;
+
+// Steps, oldest first
+let _steps = [];
+
+// Number of steps currently applied; steps at or after this index can be redone
+let _position = 0;
+
+// Tracked keys as JSON, as of the last step
+let _baseline = null;
+
+// Keys that may have changed since the last step
+const _dirtyKeys = new Set();
+
+// Plain writes waiting to become one step: { source, action, domains }
+let _pending = null;
+let _flushTimer = null;
+
+// True while history is writing, so the resulting writes are not recorded
+let _applying = false;
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Queue a plain write; the writes of one tick become one step
+ * @param {Object} info - { source, action, domains }
+ */
+function queueStep(info) {
+    if (_applying) return;
+
+    if (!_pending) {
+        _pending = { source: info.source, action: info.action, domains: [...info.domains] };
+    } else {
+        _pending.domains = [...new Set([..._pending.domains, ...info.domains])];
+        if (_pending.action !== info.action) _pending.action = `Update ${_pending.domains.join(', ')}`;
+    }
+    if (!_flushTimer) _flushTimer = setTimeout(flushPending, 0);
+}
+
+/**
+ * Record queued writes as a step now
+ * While a transaction is open they wait for it, and join its step.
+ */
+function flushPending() {
+    clearTimeout(_flushTimer);
+    _flushTimer = null;
+    if (!_pending || isInTransaction()) return;
+
+    const info = _pending;
+    _pending = null;
+    recordStep(info);
+}
+
+/**
+ * Remember keys to compare at the next step
+ * @param {Iterable<string>} keys - Chat metadata keys
+ */
+function noteDirty(keys) {
+    if (_applying) return;
+    for (const key of keys) _dirtyKeys.add(key);
+}
+
+/**
+ * Record whatever changed since the last step
+ * @param {Object} info - { source, action, domains }
+ */
+function recordStep(info) {
+    if (_applying) return;
+
+    const keys = [..._dirtyKeys];
+    _dirtyKeys.clear();
+    if (!_baseline) {
+        _baseline = readTrackedKeys();
+        return;
+    }
+
+    const current = readTrackedKeys(keys);
+    if (!current) return;
+
+    const changes = diffKeys(_baseline, current, keys);
+    for (const key of keys) {
+        if (current[key] === undefined) delete _baseline[key];
+        else _baseline[key] = current[key];
+    }
+    if (!Object.keys(changes).length) return;
+
+    // Anything that was undone can no longer be redone
+    _steps.splice(_position);
+
+    const last = _steps[_steps.length - 1];
+    if (last && last.source === info.source && last.action === info.action && Date.now() - last.timestamp < MERGE_WINDOW_MS) {
+        for (const [key, change] of Object.entries(changes)) {
+            last.changes[key] = { before: last.changes[key] ? last.changes[key].before : change.before, after: change.after };
+        }
+        last.domains = [...new Set([...last.domains, ...info.domains])];
+        last.timestamp = Date.now();
+    } else {
+        _steps.push({
+            id: generateId('step'),
+            source: info.source || 'unknown',
+            action: info.action,
+            domains: info.domains || [],
+            changes,
+            timestamp: Date.now()
+        });
+        if (_steps.length > MAX_HISTORY_STEPS) {
+            _steps.shift();
+        }
+    }
+
+    _position = _steps.length;
+    ValdrisEventBus.emit('historyChanged', { position: _position, steps: _steps.length });
+}
+
+/**
+ * Forget all steps and start again from the current state
+ */
+export function clearHistory() {
+    _steps = [];
+    _position = 0;
+    discardPending();
+    _baseline = readTrackedKeys();
+    ValdrisEventBus.emit('historyChanged', { position: 0, steps: 0 });
+}
+
+// ============================================================================
+// Undo / Redo
+// ============================================================================
+
+/**
+ * Undo the most recent applied step
+ * @returns {Promise<Object|null>} The step undone, or null if there was nothing to undo
+ */
+export async function undo() {
+    flushPending();
+    if (_position === 0) return null;
+    const step = _steps[_position - 1];
+    return (await jumpToStep(_position - 1)) ? step : null;
+}
+
+/**
+ * Redo the most recently undone step
+ * @returns {Promise<Object|null>} The step redone, or null if there was nothing to redo
+ */
+export async function redo() {
+    flushPending();
+    if (_position >= _steps.length) return null;
+    const step = _steps[_position];
+    return (await jumpToStep(_position + 1)) ? step : null;
+}
+
+/**
+ * Put the world back as it was after a given number of steps
+ * 0 is the start of the session; getHistory().steps.length is the latest step.
+ *
+ * @param {number} position - Steps to leave applied
+ * @returns {Promise<boolean>} True if anything was restored
+ */
+export async function jumpToStep(position) {
+    flushPending();
+    if (!Number.isInteger(position) || position < 0 || position > _steps.length || position === _position) {
+        return false;
+    }
+    if (_applying || isInTransaction()) {
+        console.warn(`${LOG_PREFIX} Cannot move through history while state is being written`);
+        return false;
+    }
+
+    // Later assignments win: walking back ends on the oldest 'before', walking forward on the newest 'after'
+    const values = {};
+    if (position < _position) {
+        for (let i = _position - 1; i >= position; i--) {
+            for (const [key, change] of Object.entries(_steps[i].changes)) values[key] = change.before;
+        }
+    } else {
+        for (let i = _position; i < position; i++) {
+            for (const [key, change] of Object.entries(_steps[i].changes)) values[key] = change.after;
+        }
+    }
+
+    _applying = true;
+    try {
+        const parsed = {};
+        for (const [key, json] of Object.entries(values)) {
+            parsed[key] = json === undefined ? undefined : JSON.parse(json);
+        }
+        const keys = await writeMetadataKeys(parsed);
+
+        // Extensions reload and resync to core; those writes are not new steps
+        await ValdrisEventBus.emitAsync('stateRestored', { history: true, keys });
+        await whenWritesSettled();
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Failed to restore history step:`, error);
+        return false;
+    } finally {
+        discardPending();
+        _baseline = readTrackedKeys();
+        _applying = false;
+    }
+
+    _position = position;
+    ValdrisEventBus.emit('historyChanged', { position: _position, steps: _steps.length });
+    return true;
+}
+
+/**
+ * Get the recorded steps
+ * @returns {{ position: number, steps: Array<{id: string, source: string, action: string, domains: string[], keys: string[], timestamp: number}> }}
+ */
+export function getHistory() {
+    return {
+        position: _position,
+        steps: _steps.map(({ id, source, action, domains, changes, timestamp }) => ({
+            id,
+            source,
+            action,
+            domains: [...domains],
+            keys: Object.keys(changes),
+            timestamp
+        }))
+    };
+}
+
+/**
+ * Check whether there is a step to undo
+ * @returns {boolean}
+ */
+export function canUndo() {
+    return _position > 0;
+}
+
+/**
+ * Check whether there is a step to redo
+ * @returns {boolean}
+ */
+export function canRedo() {
+    return _position < _steps.length;
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Drop queued writes; their keys stay dirty for the step recording them instead
+ */
+function discardPendingStep() {
+    clearTimeout(_flushTimer);
+    _flushTimer = null;
+    _pending = null;
+}
+
+/**
+ * Drop queued writes and dirty keys (the baseline is about to be re-read)
+ */
+function discardPending() {
+    discardPendingStep();
+    _dirtyKeys.clear();
+}
+
+/**
+ * Read tracked metadata keys as JSON strings
+ * @param {string[]} [keys] - Only these; default every tracked key
+ * @returns {Object|null} Map of key to JSON (absent keys left out), or null without a chat
+ */
+function readTrackedKeys(keys) {
+    const snapshot = captureSnapshot(keys);
+    if (!snapshot) return null;
+
+    const json = {};
+    for (const [key, value] of Object.entries(snapshot)) {
+        json[key] = JSON.stringify(value);
+    }
+    return json;
+}
+
+/**
+ * Compare two readings of the tracked keys
+ * @param {Object} before - From readTrackedKeys()
+ * @param {Object} after - From readTrackedKeys()
+ * @param {string[]} [keys] - Keys to compare; default every key in either
+ * @returns {Object} Map of changed key to { before, after } (undefined when absent)
+ */
+function diffKeys(before, after, keys) {
+    const changes = {};
+    for (const key of keys || new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (before[key] !== after[key]) {
+            changes[key] = { before: before[key], after: after[key] };
+        }
+    }
+    return changes;
+}
+
+// Writes outside a transaction are steps of their own; transactions are recorded once, on commit
+ValdrisEventBus.on('domainChanged', (data) => {
+    noteDirty([getMetaKey(), ...getSnapshotKeysOwnedBy(data?.extensionId)]);
+    if (data?.transaction) return;
+    queueStep({ source: data?.extensionId, action: `Update ${data?.domain}`, domains: [data?.domain] });
+}, { id: 'valdris-history' });
+
+ValdrisEventBus.on('transactionCommitted', (data) => {
+    // Plain writes still queued from before it opened are folded into its step
+    const domains = [...new Set([...(_pending?.domains || []), ...(data?.domains || [])])];
+    discardPendingStep();
+    recordStep({
+        source: data?.source,
+        action: data?.label || `Update ${domains.join(', ') || 'state'}`,
+        domains
+    });
+}, { id: 'valdris-history' });
+
+ValdrisEventBus.on('stateRestored', (data) => {
+    // A savepoint is undone inside a transaction, which is recorded when it commits
+    if (data?.history || data?.savepoint) return;
+    discardPending();
+    _baseline = readTrackedKeys();
+}, { id: 'valdris-history' });
+
+onMarkDirty((key) => noteDirty([key]));
+
+ValdrisEventBus.on('chatChanged', () => clearHistory(), { id: 'valdris-history' });
+
+export default {
+    undo,
+    redo,
+    jumpToStep,
+    getHistory,
+    canUndo,
+    canRedo,
+    clearHistory
+};
@@ -25,6 +25,9 @@ import {
     isDomainOwner,
     getDomainOwner,
     getAllDomainOwners,
+    getDomainNames,
+    isKnownDomain,
+    isCustomDomain,
     getFullState,
     getDomainState,
     setDomainState,
@@ -34,14 +37,181 @@ import {
     clearAllState,
     isInitialized,
     getMetaKey,
+    registerSnapshotKey,
+    setMaxSnapshots,
+    captureSnapshot,
+    recordSnapshot,
+    hasSnapshot,
+    getSnapshotIds,
+    discardSnapshots,
+    restoreSnapshot,
+    beginTransaction,
+    transaction,
+    isInTransaction,
     getNestedValue,
     generateId
 } from './core-state.js';
+import {
+    declareDomain,
+    undeclareDomain,
+    getDeclaredDomains
+} from './domain-manifest.js';
+import {
+    registerMigrations,
+    getTargetVersion,
+    getMigrationKeys,
+    getSchemaVersion,
+    getMigrationBackup,
+    migrateMetadataKey,
+    migrateAll,
+    rollbackMigration,
+    getMigrationLog,
+    fillDefaults
+} from './migrations.js';
 import {
     buildFullContext,
+    buildContextReport,
     buildDomainContext,
+    setTokenCounter,
     getDefaultSettings as getContextSettings
 } from './context-builder.js';
+import {
+    PLACEMENTS,
+    registerContextProvider,
+    unregisterContextProvider,
+    getContextProviders
+} from './context-providers.js';
+import {
+    registerValdrisCommand,
+    getValdrisCommands,
+    executeCommand,
+    tokenizeArgs,
+    parseAmount,
+    parseDuration
+} from './slash-commands.js';
+import {
+    registerBundleSection,
+    getBundleSections,
+    exportCampaign,
+    validateBundle,
+    previewImport,
+    importCampaign
+} from './campaign-bundle.js';
+import {
+    CHRONICLE_CATEGORIES,
+    registerChronicleRecorder,
+    unregisterChronicleRecorder,
+    addChronicleEntry,
+    removeChronicleEntry,
+    getChronicle,
+    queryChronicle,
+    formatChronicleDate
+} from './chronicle.js';
+import {
+    registerDeltaOp,
+    unregisterDeltaOp,
+    getDeltaOps,
+    parseDeltaBlocks,
+    stripDeltaBlocks,
+    applyDeltaOps,
+    processMessageDeltas,
+    getDeltaLog
+} from './state-delta.js';
+import {
+    registerDomainSchema,
+    unregisterDomainSchema,
+    getDomainSchema,
+    validateDomainData,
+    getSchemaViolations,
+    checkDomainContracts,
+    formatIssue
+} from './domain-schemas.js';
+import {
+    registerCommandHandler,
+    unregisterCommandHandler,
+    getCommandHandlers,
+    dispatchCommand,
+    getCommandAudit,
+    clearCommandAudit
+} from './command-bus.js';
+import {
+    MAX_SIMULATION_DAYS,
+    registerDailyProcessor,
+    unregisterDailyProcessor,
+    getDailyProcessors,
+    simulate,
+    getLastDigest,
+    formatSimulationDigest
+} from './simulation.js';
+import {
+    LLM_PROFILES,
+    DEFAULT_LLM_SETTINGS,
+    configureLLMService,
+    getLLMSettings,
+    requestCompletion,
+    requestJSON,
+    getLLMUsage,
+    resetLLMUsage
+} from './llm-service.js';
+import {
+    undo,
+    redo,
+    jumpToStep,
+    getHistory,
+    canUndo,
+    canRedo,
+    clearHistory
+} from './history.js';
+import {
+    registerMacroEntity,
+    unregisterMacroEntity,
+    registerMacroHelper,
+    unregisterMacroHelper,
+    getMacroHelpers,
+    resolveMacro,
+    substituteMacros,
+    substitutePromptMacros,
+    listMacros,
+    setMacrosEnabled
+} from './macros.js';
+import {
+    registerStatusSource,
+    unregisterStatusSource,
+    getStatusSources,
+    buildStatusSnapshot,
+    startStatusBroadcast,
+    stopStatusBroadcast,
+    requestStatusUpdate,
+    getStatusPageUrl,
+    openStatusWindow
+} from './status-broadcast.js';
+import {
+    markDirty,
+    hasUnsavedChanges,
+    getPersistenceStatus,
+    setPersistenceOptions,
+    flushSave,
+    startPersistence,
+    stopPersistence,
+    createBackup,
+    listBackups,
+    restoreBackup,
+    deleteBackup
+} from './persistence.js';
+import {
+    DEFAULT_DIRECTIVE_RULES,
+    getDirectiveRules,
+    resetDefaultRules,
+    validateRule,
+    evaluateCondition,
+    recordDirectiveFirings
+} from './directive-rules.js';
+import {
+    createRandom,
+    rerollRandom,
+    getRandomSeed,
+    setRandomSeed
+} from './random.js';
 
 // ============================================================================
 // SillyTavern Module References (populated by init)
@@ -75,24 +245,68 @@ const DEFAULT_SETTINGS = {
         includeFactions: true,
         includeVex: false,
         includeNarrativeDirectives: true,
+        directiveRules: null,   // Narrative directive rules (null = shipped defaults)
+        tokenBudget: 0,     // Max tokens for the context block (0 = no limit)
+        providers: {},      // Per-provider overrides: { [id]: { enabled, placement } }
+        providerOrder: [],  // Provider ids in user-chosen order
         customHeader: '',
         customFooter: ''
     },
+    snapshots: {
+        enabled: true,      // Roll state back on swipe, regenerate, edit and delete
+        maxSnapshots: 30
+    },
+    stateDeltas: {
+        enabled: true       // Apply ```valdris blocks from AI responses
+    },
+    history: {
+        shortcuts: true     // Ctrl+Alt+Z undo, Ctrl+Alt+Y / Ctrl+Alt+Shift+Z redo
+    },
+    llm: { ...DEFAULT_LLM_SETTINGS },  // Utility model connection (see llm-service.js)
+    macros: {
+        enabled: true       // Register {{valdris::path}} macros with SillyTavern
+    },
+    statusWindow: {
+        compact: false      // Pop-out status page layout
+    },
+    persistence: {
+        maxBackups: 10      // Local IndexedDB backups kept per chat (0 = off)
+    },
     showStatusIndicator: true
 };
 
+// Schema migrations for the core blob (valdris_core_v1)
+const CORE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Ensure every domain slot exists',
+        // Declared domains get their default state from getFullState() instead
+        migrate: (blob) => fillDefaults(blob, Object.fromEntries(getDomainNames().filter(d => !isCustomDomain(d)).map(d => [d, null])))
+    }
+];
+
 // ============================================================================
 // Extension State
 // ============================================================================
 
 const UI = {
     mounted: false,
-    statusIndicator: null
+    statusIndicator: null,
+    settingsPanel: null
 };
 
 // Cleanup tracking
 const _cleanupFns = [];
 
+// State captured when a generation starts, bound to the message it produces
+let _pendingSnapshot = null;
+
+// Last rejection shown per domain, so a repeating bad write does not flood toasts
+const _lastRejection = {};
+
+// A failing save is reported once until a save succeeds again
+let _saveFailureShown = false;
+
 // ============================================================================
 // Settings Management
 // ============================================================================
@@ -152,6 +366,9 @@ function onPromptReady(data) {
             return;
         }
 
+        // Directive cooldowns count from prompts that were actually sent
+        recordDirectiveFirings();
+
         // Inject based on position setting
         const position = settings.contextInjection.position || 'before_system';
 
@@ -265,6 +482,14 @@ function showDebugPanel() {
     const state = getFullState();
     const owners = getAllDomainOwners();
     const eventHistory = ValdrisEventBus.getHistory();
+    const snapshotIds = getSnapshotIds();
+    const migrationKeys = getMigrationKeys();
+    const migrationLog = getMigrationLog();
+    const contextReport = buildContextReport(getContextInjectionSettings());
+    const contracts = checkDomainContracts(state);
+    const violations = getSchemaViolations();
+    const llmUsage = getLLMUsage();
+    const saveStatus = getPersistenceStatus();
 
     panel.innerHTML = `
         <div class="valdris-core-debug-panel__header">
@@ -280,20 +505,108 @@ function showDebugPanel() {
                 <h4>State Overview</h4>
                 <pre>${JSON.stringify(
                     Object.fromEntries(
-                        Object.entries(state).map(([k, v]) => [k, v ? '(has data)' : null])
+                        getDomainNames().map(domain => [domain, state[domain] ? '(has data)' : null])
                     ),
                     null, 2
                 )}</pre>
             </div>
+            <div class="valdris-core-debug-section">
+                <h4>Domain Contracts</h4>
+                <pre>${Object.entries(contracts).map(([domain, issues]) =>
+                    `${domain}: ${issues.length ? `${issues.length} issue(s)` : 'ok'}`
+                    + issues.slice(0, 5).map(issue => `\n  ${escapeHtml(formatIssue(issue))}`).join('')
+                ).join('\n') || 'No schemas registered'}</pre>
+                ${violations.length ? `<pre>${violations.map(v =>
+                    `${new Date(v.timestamp).toLocaleTimeString()} - ${v.domain} write from ${escapeHtml(v.extensionId || '?')} `
+                    + `${v.rejected ? 'REJECTED' : 'repaired'}: ${v.issues.map(issue => escapeHtml(formatIssue(issue))).join('; ')}`
+                ).join('\n')}</pre>` : ''}
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Message Snapshots (${snapshotIds.length})</h4>
+                <pre>${snapshotIds.length ? snapshotIds.map(id => `#${id}`).join(', ') : 'No snapshots'}</pre>
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Schema Migrations</h4>
+                <pre>${migrationKeys.map(key => {
+                    const backup = getMigrationBackup(key);
+                    return `${escapeHtml(key)}: v${getSchemaVersion(key)} / v${getTargetVersion(key)}`
+                        + (backup ? ` (backup v${backup.version})` : '');
+                }).join('\n') || 'No migrations registered'}</pre>
+                ${migrationKeys.filter(key => getMigrationBackup(key)).map(key =>
+                    `<button class="valdris-core-debug-btn valdris-core-debug-rollback" data-key="${escapeHtml(key)}">Roll back ${escapeHtml(key)}</button>`
+                ).join('')}
+                <pre>${migrationLog.slice(-5).map(r =>
+                    `${new Date(r.timestamp).toLocaleTimeString()} - ${escapeHtml(r.key)} ${r.status} v${r.fromVersion} -> v${r.toVersion}`
+                    + (r.changes.length ? ` (${r.changes.map(c => `${escapeHtml(c.type)} ${escapeHtml(c.path)}`).join(', ')})` : '')
+                    + (r.error ? ` [${escapeHtml(r.error)}]` : '')
+                ).join('\n') || 'No migrations run this session'}</pre>
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Saves & Backups</h4>
+                <pre>${[
+                    saveStatus.dirty.length
+                        ? `Unsaved: ${saveStatus.dirty.map(d => `${escapeHtml(d.key)} (${escapeHtml(d.source)})`).join(', ')}`
+                        : 'All changes saved',
+                    `Last save: ${saveStatus.lastSavedAt ? new Date(saveStatus.lastSavedAt).toLocaleTimeString() : 'not this session'}`
+                        + (saveStatus.lastError ? ` - last attempt FAILED: ${escapeHtml(saveStatus.lastError)}` : '')
+                ].join('\n')}</pre>
+                ${saveStatus.backups ? `
+                    <div class="valdris-core-debug-backups">Loading backups...</div>
+                    <button class="valdris-core-debug-btn valdris-core-debug-backup-now">Back up now</button>
+                ` : '<pre>Local backups are off or not supported by this browser</pre>'}
+            </div>
             <div class="valdris-core-debug-section">
                 <h4>Recent Events (${eventHistory.length})</h4>
                 <pre>${eventHistory.slice(-10).map(e =>
                     `${new Date(e.timestamp).toLocaleTimeString()} - ${e.event} (${e.listenerCount} listeners)`
+                    + (e.cancelled ? ' [cancelled]' : '')
                 ).join('\n') || 'No events'}</pre>
             </div>
+            <div class="valdris-core-debug-section">
+                <h4>State Deltas (${getDeltaOps().length} ops registered)</h4>
+                <pre>${getDeltaLog().slice(-5).map(report =>
+                    `#${report.messageId ?? '?'}${report.replay ? ' (replay)' : ''}: ` + report.results.map(r =>
+                        r.status === 'applied' ? escapeHtml(r.summary) : `[${r.status}] ${escapeHtml(r.reason)}`
+                    ).join('; ')
+                ).join('\n') || 'No valdris blocks seen'}</pre>
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Command Audit (${getCommandHandlers().length} commands registered)</h4>
+                <pre>${getCommandAudit({ limit: 10 }).map(entry =>
+                    `${new Date(entry.timestamp).toLocaleTimeString()} - ${escapeHtml(entry.source)} -> ${escapeHtml(entry.command)} `
+                    + (entry.ok ? `ok ${escapeHtml(JSON.stringify(entry.payload))}` : `FAILED: ${escapeHtml(entry.error)}`)
+                ).join('\n') || 'No commands dispatched in this chat'}</pre>
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Daily Processors (${getDailyProcessors().length})</h4>
+                <pre>${getDailyProcessors().map(p =>
+                    `${p.order}: ${escapeHtml(p.name)} [${escapeHtml(p.domain || '-')}] (${escapeHtml(p.owner || '?')})`
+                ).join('\n') || 'No processors registered'}</pre>
+                ${getLastDigest() ? `<pre>${escapeHtml(formatSimulationDigest(getLastDigest()))}</pre>` : ''}
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Utility Model (${escapeHtml(getLLMSettings().profile)}, ${llmUsage.totals.requests} requests)</h4>
+                <pre>${[
+                    `Total: ${formatLLMTokens(llmUsage.totals)}, ${llmUsage.totals.failures} failed; ${llmUsage.active} running, ${llmUsage.queued} queued`,
+                    ...Object.entries(llmUsage.bySource).map(([source, u]) => `${escapeHtml(source)}: ${u.requests} requests, ${formatLLMTokens(u)}`)
+                ].join('\n')}</pre>
+                <pre>${llmUsage.recent.slice(0, 5).map(r =>
+                    `${new Date(r.timestamp).toLocaleTimeString()} - ${escapeHtml(r.source)} ${r.ok ? 'ok' : `FAILED: ${escapeHtml(r.error)}`} `
+                    + `(${r.durationMs} ms, ${r.attempts} attempt${r.attempts === 1 ? '' : 's'})`
+                ).join('\n') || 'No requests this session'}</pre>
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Context Budget (${contextReport.totalTokens}${contextReport.budget ? ` / ${contextReport.budget}` : ''} tokens)</h4>
+                <pre>${contextReport.sections.map(s =>
+                    `${s.id}: ${s.tokens} tokens, ${s.lines} lines` + (s.trimmed ? ` (${s.trimmed} trimmed)` : '')
+                ).join('\n') || 'No sections'}</pre>
+                ${contextReport.trimmed.length ? `<pre>${contextReport.trimmed.map(t =>
+                    `[${t.action}] ${t.section}: ${escapeHtml(t.text)}`
+                ).join('\n')}</pre>` : ''}
+            </div>
             <div class="valdris-core-debug-section">
                 <h4>Context Preview</h4>
-                <pre class="valdris-core-debug-context">${buildFullContext() || '(empty)'}</pre>
+                <pre class="valdris-core-debug-context">${escapeHtml(contextReport.text) || '(empty)'}</pre>
             </div>
         </div>
     `;
@@ -303,6 +616,1034 @@ function showDebugPanel() {
         panel.remove();
     });
 
+    // Migration rollback buttons - extensions reload their blobs on stateRestored
+    panel.querySelectorAll('.valdris-core-debug-rollback').forEach(button => {
+        button.addEventListener('click', () => {
+            const key = button.dataset.key;
+            if (!confirm(`Restore the pre-migration backup of '${key}'?`)) return;
+            if (rollbackMigration(key)) {
+                ValdrisEventBus.emit('stateRestored', { messageId: null, keys: [key] });
+                panel.remove();
+                showDebugPanel();
+            }
+        });
+    });
+
+    panel.querySelector('.valdris-core-debug-backup-now')?.addEventListener('click', async () => {
+        await createBackup('manual', { force: true });
+        renderBackupList(panel);
+    });
+    if (saveStatus.backups) renderBackupList(panel);
+
+    document.body.appendChild(panel);
+}
+
+/**
+ * Fill the debug panel's backup list for the current chat
+ * @param {HTMLElement} panel - Debug panel
+ */
+async function renderBackupList(panel) {
+    const list = panel.querySelector('.valdris-core-debug-backups');
+    if (!list) return;
+
+    const backups = await listBackups();
+    list.innerHTML = backups.map(backup => `
+        <div class="valdris-core-debug-backup">
+            <span>${new Date(backup.createdAt).toLocaleString()} - ${escapeHtml(backup.reason)}, ${Math.ceil(backup.bytes / 1024)} KB</span>
+            <button class="valdris-core-debug-btn" data-action="restore" data-id="${backup.id}">Restore</button>
+            <button class="valdris-core-debug-btn" data-action="delete" data-id="${backup.id}">Delete</button>
+        </div>
+    `).join('') || '<pre>No backups of this chat yet</pre>';
+
+    list.querySelectorAll('button[data-action]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const id = Number(button.dataset.id);
+            if (button.dataset.action === 'delete') {
+                await deleteBackup(id);
+                renderBackupList(panel);
+                return;
+            }
+
+            if (!confirm('Replace this chat\'s Valdris data with the backup? The current data is backed up first.')) return;
+            const restored = await restoreBackup(id);
+            if (typeof toastr !== 'undefined') {
+                if (restored) toastr.success('Backup restored', 'Valdris');
+                else toastr.error('The backup could not be restored; see the console', 'Valdris');
+            }
+            panel.remove();
+            showDebugPanel();
+        });
+    });
+}
+
+/**
+ * Tell the user once when chat saves start failing
+ * @param {Object} data - metadataSaveFailed payload
+ */
+function onMetadataSaveFailed(data) {
+    if (_saveFailureShown || typeof toastr === 'undefined') return;
+    _saveFailureShown = true;
+    toastr.error(`${escapeHtml(data.error)}<br>Retrying. A local backup can be restored from the debug panel.`, 'Valdris: chat save failed');
+}
+
+/**
+ * Escape text for use inside innerHTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the context injection settings object, creating missing containers
+ * @returns {Object}
+ */
+function getContextInjectionConfig() {
+    const settings = getSettings();
+    if (!settings.contextInjection) {
+        settings.contextInjection = { ...DEFAULT_SETTINGS.contextInjection };
+    }
+    const config = settings.contextInjection;
+    if (!config.providers) config.providers = {};
+    if (!Array.isArray(config.providerOrder)) config.providerOrder = [];
+    return config;
+}
+
+/**
+ * Create the core settings drawer for the Extensions panel
+ * @returns {HTMLElement}
+ */
+function createSettingsPanel() {
+    const config = getContextInjectionConfig();
+
+    const panel = document.createElement('div');
+    panel.id = 'valdris-core-settings';
+    panel.className = 'valdris-core-settings';
+    panel.innerHTML = `
+        <div class="inline-drawer">
+            <div class="inline-drawer-toggle inline-drawer-header">
+                <b>Valdris Core</b>
+                <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+            </div>
+            <div class="inline-drawer-content">
+                <label class="valdris-core-settings__row">
+                    <input type="checkbox" class="valdris-core-settings__inject" ${config.enabled !== false ? 'checked' : ''}>
+                    <span>Inject world state into prompts</span>
+                </label>
+                <label class="valdris-core-settings__row">
+                    <span>Token budget (0 = no limit)</span>
+                    <input type="number" class="text_pole valdris-core-settings__budget" min="0" step="50" value="${Number(config.tokenBudget) || 0}">
+                </label>
+                <h4>Context Providers</h4>
+                <div class="valdris-core-settings__providers"></div>
+                <h4>Narrative Rules</h4>
+                <div class="valdris-core-settings__rules"></div>
+                <div class="valdris-core-settings__row">
+                    <button class="menu_button valdris-core-settings__rule-add">Add rule</button>
+                    <button class="menu_button valdris-core-settings__rule-reset">Reset defaults</button>
+                </div>
+                <h4>Utility Model</h4>
+                <label class="valdris-core-settings__row">
+                    <span>Connection</span>
+                    <select class="valdris-core-settings__llm-profile">
+                        <option value="main">Chat model</option>
+                        <option value="utility">Chat API, another model</option>
+                        <option value="endpoint">OpenAI-compatible endpoint</option>
+                    </select>
+                </label>
+                <label class="valdris-core-settings__row valdris-core-settings__llm-model-row">
+                    <span>Model</span>
+                    <input type="text" class="text_pole valdris-core-settings__llm-model" placeholder="gpt-4o-mini">
+                </label>
+                <label class="valdris-core-settings__row valdris-core-settings__llm-endpoint-row" title="Sent through SillyTavern's Custom source; set its API key there if the server needs one">
+                    <span>Endpoint URL</span>
+                    <input type="text" class="text_pole valdris-core-settings__llm-endpoint" placeholder="http://localhost:11434/v1">
+                </label>
+                <label class="valdris-core-settings__row">
+                    <span>Timeout (seconds)</span>
+                    <input type="number" class="text_pole valdris-core-settings__llm-timeout" min="5" step="5">
+                </label>
+                <label class="valdris-core-settings__row">
+                    <span>Retries</span>
+                    <input type="number" class="text_pole valdris-core-settings__llm-retries" min="0" max="5">
+                </label>
+                <div class="valdris-core-settings__row">
+                    <button class="menu_button valdris-core-settings__llm-test">Test connection</button>
+                </div>
+                <h4>History</h4>
+                <label class="valdris-core-settings__row">
+                    <input type="checkbox" class="valdris-core-settings__history-shortcuts" ${getSettings().history?.shortcuts !== false ? 'checked' : ''}>
+                    <span>Undo with Ctrl+Alt+Z, redo with Ctrl+Alt+Y</span>
+                </label>
+                <div class="valdris-core-settings__row">
+                    <button class="menu_button valdris-core-settings__history">Open history</button>
+                </div>
+                <h4>Macros</h4>
+                <label class="valdris-core-settings__row">
+                    <input type="checkbox" class="valdris-core-settings__macros-enabled" ${getSettings().macros?.enabled !== false ? 'checked' : ''}>
+                    <span>Provide {{valdris::path}} macros</span>
+                </label>
+                <input type="search" class="text_pole valdris-core-settings__macro-filter" placeholder="Filter macros...">
+                <div class="valdris-core-settings__macros"></div>
+                <h4>Status Window</h4>
+                <label class="valdris-core-settings__row">
+                    <input type="checkbox" class="valdris-core-settings__status-compact" ${getSettings().statusWindow?.compact ? 'checked' : ''}>
+                    <span>Compact layout</span>
+                </label>
+                <div class="valdris-core-settings__row">
+                    <button class="menu_button valdris-core-settings__status-open">Pop out status</button>
+                    <button class="menu_button valdris-core-settings__status-overlay" title="Transparent and read-only; copies its URL for an OBS browser source">Open overlay</button>
+                </div>
+                <h4>Campaign</h4>
+                <div class="valdris-core-settings__row">
+                    <button class="menu_button valdris-core-settings__chronicle">Open chronicle</button>
+                </div>
+                <label class="valdris-core-settings__row" title="Copies of this chat's Valdris data kept in this browser; restore them from the debug panel">
+                    <span>Local backups per chat (0 = off)</span>
+                    <input type="number" class="text_pole valdris-core-settings__backups" min="0" max="50" value="${Number(getSettings().persistence?.maxBackups ?? DEFAULT_SETTINGS.persistence.maxBackups)}">
+                </label>
+                <label class="valdris-core-settings__row" title="Weather, prices and shop stock are rolled from this seed; include it in bug reports so a day can be replayed">
+                    <span>Random seed</span>
+                    <input type="text" class="text_pole valdris-core-settings__seed">
+                </label>
+                <div class="valdris-core-settings__row">
+                    <button class="menu_button valdris-core-settings__reroll" title="Advance the seed so everything generated from now on rolls differently">Reroll all</button>
+                </div>
+                <div class="valdris-core-settings__row">
+                    <button class="menu_button valdris-core-settings__export">Export campaign</button>
+                    <button class="menu_button valdris-core-settings__import">Import campaign...</button>
+                    <input type="file" class="valdris-core-settings__import-file" accept=".json,application/json" hidden>
+                </div>
+            </div>
+        </div>
+    `;
+
+    panel.querySelector('.valdris-core-settings__inject').addEventListener('change', (e) => {
+        getContextInjectionConfig().enabled = e.target.checked;
+        saveSettingsDebounced();
+    });
+
+    panel.querySelector('.valdris-core-settings__budget').addEventListener('change', (e) => {
+        getContextInjectionConfig().tokenBudget = Math.max(0, parseInt(e.target.value, 10) || 0);
+        saveSettingsDebounced();
+    });
+
+    panel.querySelector('.valdris-core-settings__rule-add').addEventListener('click', () => showRuleEditor(null));
+    panel.querySelector('.valdris-core-settings__rule-reset').addEventListener('click', () => {
+        if (!confirm('Restore the default narrative rules? Edits to them are lost; your own rules are kept.')) return;
+        saveDirectiveRules(resetDefaultRules(getDirectiveRules(getContextInjectionConfig())));
+    });
+
+    bindLLMSettings(panel);
+
+    panel.querySelector('.valdris-core-settings__history-shortcuts').addEventListener('change', (e) => {
+        updateSettings({ history: { ...getSettings().history, shortcuts: e.target.checked } });
+    });
+    panel.querySelector('.valdris-core-settings__history').addEventListener('click', () => showHistoryPanel());
+
+    panel.querySelector('.valdris-core-settings__macros-enabled').addEventListener('change', (e) => {
+        updateSettings({ macros: { ...getSettings().macros, enabled: e.target.checked } });
+        setMacrosEnabled(e.target.checked);
+        renderMacroList();
+    });
+    panel.querySelector('.valdris-core-settings__macro-filter').addEventListener('input', () => renderMacroList());
+
+    panel.querySelector('.valdris-core-settings__status-compact').addEventListener('change', (e) => {
+        updateSettings({ statusWindow: { ...getSettings().statusWindow, compact: e.target.checked } });
+    });
+    panel.querySelector('.valdris-core-settings__status-open').addEventListener('click', () => popOutStatus({ overlay: false }));
+    panel.querySelector('.valdris-core-settings__status-overlay').addEventListener('click', () => popOutStatus({ overlay: true }));
+
+    panel.querySelector('.valdris-core-settings__chronicle').addEventListener('click', () => showChroniclePanel());
+    panel.querySelector('.valdris-core-settings__backups').addEventListener('change', (e) => {
+        const maxBackups = Math.max(0, Math.min(50, parseInt(e.target.value, 10) || 0));
+        e.target.value = maxBackups;
+        updateSettings({ persistence: { ...getSettings().persistence, maxBackups } });
+        setPersistenceOptions({ maxBackups });
+    });
+    panel.querySelector('.valdris-core-settings__seed').addEventListener('change', (e) => {
+        e.target.value = setRandomSeed(e.target.value);
+    });
+    panel.querySelector('.valdris-core-settings__reroll').addEventListener('click', () => rerollRandom());
+    panel.querySelector('.valdris-core-settings__export').addEventListener('click', downloadCampaign);
+
+    const fileInput = panel.querySelector('.valdris-core-settings__import-file');
+    panel.querySelector('.valdris-core-settings__import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            alert(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        const errors = validateBundle(bundle);
+        if (errors.length) {
+            alert(`Cannot import ${file.name}:\n${errors.join('\n')}`);
+            return;
+        }
+        showImportDialog(bundle, file.name);
+    });
+
+    return panel;
+}
+
+// ============================================================================
+// Chronicle Timeline
+// ============================================================================
+
+/**
+ * Show the chronicle timeline with search and category filter
+ * Calling again while open closes it.
+ */
+function showChroniclePanel() {
+    const existing = document.getElementById('valdris-core-chronicle-panel');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const panel = document.createElement('div');
+    panel.id = 'valdris-core-chronicle-panel';
+    panel.className = 'valdris-core-debug-panel valdris-core-chronicle';
+    panel.innerHTML = `
+        <div class="valdris-core-debug-panel__header">
+            <h3>Chronicle</h3>
+            <button class="valdris-core-debug-panel__close">&times;</button>
+        </div>
+        <div class="valdris-core-chronicle__filters">
+            <input type="search" class="text_pole valdris-core-chronicle__search" placeholder="Search events...">
+            <select class="valdris-core-chronicle__category">
+                <option value="">All</option>
+                ${CHRONICLE_CATEGORIES.map(c => `<option value="${c}">${c}</option>`).join('')}
+            </select>
+            <input type="number" class="text_pole valdris-core-chronicle__year" placeholder="Year">
+        </div>
+        <div class="valdris-core-debug-panel__content valdris-core-chronicle__list"></div>
+    `;
+
+    const render = () => {
+        const year = panel.querySelector('.valdris-core-chronicle__year').value;
+        const entries = queryChronicle({
+            text: panel.querySelector('.valdris-core-chronicle__search').value,
+            category: panel.querySelector('.valdris-core-chronicle__category').value || undefined,
+            year: year === '' ? undefined : Number(year),
+            newestFirst: true
+        });
+
+        // Group consecutive entries by calendar day
+        let lastDay = null;
+        const list = panel.querySelector('.valdris-core-chronicle__list');
+        list.innerHTML = entries.map(entry => {
+            const day = entry.date ? `${entry.date.day} ${entry.date.monthName || entry.date.month}, ${entry.date.year}` : 'Undated';
+            const heading = day !== lastDay ? `<h4 class="valdris-core-chronicle__day">${escapeHtml(day)}</h4>` : '';
+            lastDay = day;
+            return `${heading}
+                <div class="valdris-core-chronicle__entry valdris-core-chronicle__entry--${escapeHtml(entry.category)}" title="${escapeHtml(formatChronicleDate(entry.date))}">
+                    <span class="valdris-core-chronicle__tag">${escapeHtml(entry.category)}</span>
+                    <span class="valdris-core-chronicle__summary">${escapeHtml(entry.summary)}</span>
+                    <button class="valdris-core-chronicle__remove" data-id="${escapeHtml(entry.id)}" title="Remove entry">&times;</button>
+                </div>`;
+        }).join('') || '<div class="valdris-core-chronicle__empty">Nothing recorded yet</div>';
+
+        list.querySelectorAll('.valdris-core-chronicle__remove').forEach(button => {
+            button.addEventListener('click', () => {
+                removeChronicleEntry(button.dataset.id);
+                render();
+            });
+        });
+    };
+
+    panel.querySelectorAll('.valdris-core-chronicle__filters input, .valdris-core-chronicle__filters select')
+        .forEach(el => el.addEventListener('input', render));
+
+    // Live updates while open; rollbacks and chat switches replace the journal.
+    // Listeners detach themselves once the panel is gone, however it was removed.
+    const refresh = () => panel.isConnected ? render() : unsubscribers.forEach(fn => fn());
+    const unsubscribers = [
+        ValdrisEventBus.on('chronicleEntryAdded', refresh),
+        ValdrisEventBus.on('stateRestored', refresh),
+        ValdrisEventBus.on('chatChanged', refresh)
+    ];
+    const close = () => {
+        unsubscribers.forEach(fn => fn());
+        panel.remove();
+    };
+
+    panel.querySelector('.valdris-core-debug-panel__close').addEventListener('click', close);
+
+    render();
+    document.body.appendChild(panel);
+}
+
+// ============================================================================
+// Utility Model
+// ============================================================================
+
+/**
+ * Fill the utility model settings and save edits
+ * @param {HTMLElement} panel - Settings drawer
+ */
+function bindLLMSettings(panel) {
+    const settings = getLLMSettings();
+    const fields = {
+        profile: panel.querySelector('.valdris-core-settings__llm-profile'),
+        model: panel.querySelector('.valdris-core-settings__llm-model'),
+        endpointUrl: panel.querySelector('.valdris-core-settings__llm-endpoint'),
+        timeout: panel.querySelector('.valdris-core-settings__llm-timeout'),
+        retries: panel.querySelector('.valdris-core-settings__llm-retries')
+    };
+
+    fields.profile.value = LLM_PROFILES.includes(settings.profile) ? settings.profile : 'main';
+    fields.model.value = settings.model;
+    fields.endpointUrl.value = settings.endpointUrl;
+    fields.timeout.value = Math.round(settings.timeoutMs / 1000);
+    fields.retries.value = settings.retries;
+
+    // Model is only used off the main profile; the URL only for an endpoint
+    const showRows = () => {
+        panel.querySelector('.valdris-core-settings__llm-model-row').style.display = fields.profile.value === 'main' ? 'none' : '';
+        panel.querySelector('.valdris-core-settings__llm-endpoint-row').style.display = fields.profile.value === 'endpoint' ? '' : 'none';
+    };
+    showRows();
+
+    const save = () => {
+        updateSettings({
+            llm: {
+                ...getLLMSettings(),
+                profile: fields.profile.value,
+                model: fields.model.value.trim(),
+                endpointUrl: fields.endpointUrl.value.trim(),
+                timeoutMs: Math.max(5, parseInt(fields.timeout.value, 10) || 60) * 1000,
+                retries: Math.min(5, Math.max(0, parseInt(fields.retries.value, 10) || 0))
+            }
+        });
+        showRows();
+    };
+    Object.values(fields).forEach(field => field.addEventListener('change', save));
+
+    const testButton = panel.querySelector('.valdris-core-settings__llm-test');
+    testButton.addEventListener('click', async () => {
+        testButton.disabled = true;
+        try {
+            const reply = await requestCompletion('Reply with the single word OK.', { source: EXTENSION_NAME, maxTokens: 10, retries: 0 });
+            const message = `${escapeHtml(reply.model || reply.profile)} replied: ${escapeHtml(reply.text.trim().slice(0, 80))}`;
+            if (typeof toastr !== 'undefined') toastr.success(message, 'Valdris utility model');
+        } catch (error) {
+            if (typeof toastr !== 'undefined') toastr.error(escapeHtml(error.message), 'Valdris utility model');
+        } finally {
+            testButton.disabled = false;
+        }
+    });
+}
+
+/**
+ * Format token counts for the debug panel
+ * @param {Object} usage - { promptTokens, completionTokens, estimated }
+ * @returns {string}
+ */
+function formatLLMTokens(usage) {
+    return `${usage.promptTokens} in / ${usage.completionTokens} out tokens${usage.estimated ? ' (estimated)' : ''}`;
+}
+
+/**
+ * Describe the main chat connection for the utility model service
+ * @param {Object|null} openai - SillyTavern's openai.js module
+ * @returns {Object|null} { source, model, extra }
+ */
+function getMainLLMConnection(openai) {
+    const oai = openai?.oai_settings;
+    if (!oai?.chat_completion_source) return null;
+
+    return {
+        source: oai.chat_completion_source,
+        model: typeof openai.getChatCompletionModel === 'function' ? openai.getChatCompletionModel() : oai.openai_model,
+        extra: {
+            custom_url: oai.custom_url,
+            custom_include_body: oai.custom_include_body,
+            custom_exclude_body: oai.custom_exclude_body,
+            custom_include_headers: oai.custom_include_headers,
+            reverse_proxy: oai.reverse_proxy,
+            proxy_password: oai.proxy_password
+        }
+    };
+}
+
+// ============================================================================
+// Undo History
+// ============================================================================
+
+/**
+ * Show the undo history; clicking a step puts the world back to just after it
+ * Calling again while open closes it.
+ */
+function showHistoryPanel() {
+    const existing = document.getElementById('valdris-core-history-panel');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const panel = document.createElement('div');
+    panel.id = 'valdris-core-history-panel';
+    panel.className = 'valdris-core-debug-panel valdris-core-history';
+    panel.innerHTML = `
+        <div class="valdris-core-debug-panel__header">
+            <h3>History</h3>
+            <button class="valdris-core-debug-panel__close">&times;</button>
+        </div>
+        <div class="valdris-core-history__actions">
+            <button class="valdris-core-debug-btn valdris-core-history__undo">Undo</button>
+            <button class="valdris-core-debug-btn valdris-core-history__redo">Redo</button>
+        </div>
+        <div class="valdris-core-debug-panel__content valdris-core-history__list"></div>
+    `;
+
+    const render = () => {
+        const { position, steps } = getHistory();
+        panel.querySelector('.valdris-core-history__undo').disabled = !canUndo();
+        panel.querySelector('.valdris-core-history__redo').disabled = !canRedo();
+
+        // Newest first; the session start is position 0
+        const rows = steps.map((step, index) => ({ ...step, position: index + 1 })).reverse();
+        rows.push({ position: 0, action: 'Start of session', source: '', timestamp: null });
+
+        const list = panel.querySelector('.valdris-core-history__list');
+        list.innerHTML = rows.map(row => {
+            const modifier = row.position === position ? 'current' : row.position > position ? 'undone' : 'applied';
+            const time = row.timestamp ? new Date(row.timestamp).toLocaleTimeString() : '';
+            return `
+                <div class="valdris-core-history__step valdris-core-history__step--${modifier}" data-position="${row.position}"
+                    title="${escapeHtml(row.keys ? `Changes ${row.keys.join(', ')}` : '')}">
+                    <span class="valdris-core-history__time">${escapeHtml(time)}</span>
+                    <span class="valdris-core-history__action">${escapeHtml(row.action)}</span>
+                    <span class="valdris-core-history__source">${escapeHtml(row.source)}</span>
+                </div>`;
+        }).join('');
+
+        list.querySelectorAll('.valdris-core-history__step').forEach(row => {
+            row.addEventListener('click', () => jumpToStep(Number(row.dataset.position)));
+        });
+    };
+
+    panel.querySelector('.valdris-core-history__undo').addEventListener('click', () => undo());
+    panel.querySelector('.valdris-core-history__redo').addEventListener('click', () => redo());
+
+    // Listeners detach themselves once the panel is gone, however it was removed
+    const refresh = () => panel.isConnected ? render() : unsubscribe();
+    const unsubscribe = ValdrisEventBus.on('historyChanged', refresh);
+    const close = () => {
+        unsubscribe();
+        panel.remove();
+    };
+
+    panel.querySelector('.valdris-core-debug-panel__close').addEventListener('click', close);
+
+    render();
+    document.body.appendChild(panel);
+}
+
+/**
+ * Undo or redo from the keyboard
+ * Ignored while typing, so the chat box keeps its own Ctrl+Z.
+ *
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function onHistoryKeydown(event) {
+    if (getSettings().history?.shortcuts === false) return;
+    if (!(event.ctrlKey || event.metaKey) || !event.altKey) return;
+
+    const target = event.target;
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+
+    // Physical key: with Option held, macOS reports a different character in event.key
+    let action;
+    if (event.code === 'KeyZ') {
+        action = event.shiftKey ? redo : undo;
+    } else if (event.code === 'KeyY') {
+        action = redo;
+    } else {
+        return;
+    }
+
+    event.preventDefault();
+    action().then(step => announceHistoryStep(step, action === undo ? 'Undone' : 'Redone'));
+}
+
+/**
+ * Tell the user which step a shortcut moved over
+ * @param {Object|null} step - Step from undo()/redo()
+ * @param {string} verb - 'Undone' or 'Redone'
+ */
+function announceHistoryStep(step, verb) {
+    if (typeof toastr === 'undefined') return;
+    if (step) {
+        toastr.info(escapeHtml(step.action), `Valdris: ${verb}`);
+    } else {
+        toastr.info(`Nothing to ${verb === 'Undone' ? 'undo' : 'redo'}`, 'Valdris');
+    }
+}
+
+/**
+ * Register /vundo and /vredo
+ */
+function registerHistoryCommands() {
+    registerValdrisCommand({
+        name: 'vundo',
+        owner: EXTENSION_NAME,
+        helpString: 'Undo the last Valdris change (time skip, NPC edit, purchase...). Returns what was undone.',
+        run: async () => {
+            const step = await undo();
+            return step ? `Undone: ${step.action}` : 'Nothing to undo';
+        }
+    });
+    registerValdrisCommand({
+        name: 'vredo',
+        owner: EXTENSION_NAME,
+        helpString: 'Redo the last undone Valdris change. Returns what was redone.',
+        run: async () => {
+            const step = await redo();
+            return step ? `Redone: ${step.action}` : 'Nothing to redo';
+        }
+    });
+}
+
+/**
+ * Show the current chat's random seed in the settings drawer
+ */
+function renderSeedField() {
+    const input = UI.settingsPanel?.querySelector('.valdris-core-settings__seed');
+    if (input && document.activeElement !== input) input.value = getRandomSeed();
+}
+
+// ============================================================================
+// State Macros
+// ============================================================================
+
+/**
+ * Render the available macros with their current values into the settings drawer
+ * Clicking a macro copies it.
+ */
+function renderMacroList() {
+    const list = UI.settingsPanel?.querySelector('.valdris-core-settings__macros');
+    if (!list) return;
+
+    if (getSettings().macros?.enabled === false) {
+        list.innerHTML = '<div class="valdris-core-macro">Macros are off</div>';
+        return;
+    }
+
+    const filter = UI.settingsPanel.querySelector('.valdris-core-settings__macro-filter').value.trim().toLowerCase();
+    const macros = listMacros().filter(entry => !filter || entry.expression.toLowerCase().includes(filter));
+
+    const helpers = getMacroHelpers().map(helper => `|${helper.name}`).join(' ');
+    list.innerHTML = macros.map(entry => `
+        <div class="valdris-core-macro" data-macro="${escapeHtml(entry.macro)}" title="${escapeHtml(entry.owner ? `${entry.owner} - click to copy` : 'Click to copy')}">
+            <code class="valdris-core-macro__name">${escapeHtml(entry.macro)}</code>
+            <span class="valdris-core-macro__value">${escapeHtml(entry.value)}</span>
+        </div>
+    `).join('') || `<div class="valdris-core-macro">${filter ? 'No matching macros' : 'No Valdris state in this chat yet'}</div>`;
+    list.insertAdjacentHTML('beforeend', `<div class="valdris-core-macro__helpers">Helpers: ${escapeHtml(helpers)}</div>`);
+
+    list.querySelectorAll('.valdris-core-macro[data-macro]').forEach(row => {
+        row.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(row.dataset.macro);
+                if (typeof toastr !== 'undefined') toastr.info(escapeHtml(row.dataset.macro), 'Copied');
+            } catch (error) {
+                console.warn(`${LOG_PREFIX} Clipboard unavailable`, error);
+            }
+        });
+    });
+}
+
+// ============================================================================
+// Status Window
+// ============================================================================
+
+/**
+ * Open the status page; the overlay's URL is also copied for OBS
+ * @param {Object} options
+ * @param {boolean} options.overlay - Transparent, read-only overlay
+ */
+async function popOutStatus({ overlay }) {
+    const options = { overlay, compact: !!getSettings().statusWindow?.compact };
+    const win = openStatusWindow(options);
+    if (!win && typeof toastr !== 'undefined') {
+        toastr.warning('The browser blocked the pop-out. Allow pop-ups for SillyTavern and try again.', 'Valdris status');
+    }
+    if (!overlay) return;
+
+    const url = getStatusPageUrl(options);
+    try {
+        await navigator.clipboard.writeText(url);
+        if (typeof toastr !== 'undefined') {
+            toastr.info('Overlay URL copied. OBS only receives updates when SillyTavern runs in the same browser, e.g. as an OBS custom dock.', 'Valdris status');
+        }
+    } catch (error) {
+        console.warn(`${LOG_PREFIX} Clipboard unavailable, overlay URL: ${url}`);
+    }
+}
+
+// ============================================================================
+// Campaign Export / Import
+// ============================================================================
+
+/**
+ * Export the current chat's Valdris data and download it as JSON
+ */
+function downloadCampaign() {
+    const bundle = exportCampaign();
+    if (!bundle) {
+        alert('Open a chat before exporting a campaign.');
+        return;
+    }
+
+    const name = (bundle.source.character || 'campaign').replace(/[^\w-]+/g, '_');
+    const date = new Date(bundle.exportedAt).toISOString().slice(0, 10);
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `valdris-${name}-${date}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    console.log(`${LOG_PREFIX} Exported campaign sections:`, Object.keys(bundle.sections));
+}
+
+/**
+ * Show the import dialog: pick sections and conflict handling, review the dry-run diff, then import
+ * @param {Object} bundle - Validated bundle
+ * @param {string} fileName - Source file name
+ */
+function showImportDialog(bundle, fileName) {
+    document.getElementById('valdris-core-import-panel')?.remove();
+    document.getElementById('valdris-core-chronicle-panel')?.remove();
+
+    const sectionIds = Object.keys(bundle.sections);
+    const knownIds = new Set(getBundleSections().map(section => section.id));
+
+    const panel = document.createElement('div');
+    panel.id = 'valdris-core-import-panel';
+    panel.className = 'valdris-core-debug-panel valdris-core-import';
+    panel.innerHTML = `
+        <div class="valdris-core-debug-panel__header">
+            <h3>Import Campaign</h3>
+            <button class="valdris-core-debug-panel__close">&times;</button>
+        </div>
+        <div class="valdris-core-debug-panel__content">
+            <div class="valdris-core-debug-section">
+                <h4>${escapeHtml(fileName)}</h4>
+                <pre>${escapeHtml(bundle.source?.character || 'Unknown character')}, exported ${bundle.exportedAt ? new Date(bundle.exportedAt).toLocaleString() : 'at an unknown time'}</pre>
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Sections</h4>
+                ${sectionIds.map(id => `
+                    <label class="valdris-core-import__section">
+                        <input type="checkbox" data-id="${escapeHtml(id)}" ${knownIds.has(id) ? 'checked' : 'disabled'}>
+                        <span>${escapeHtml(id)}${knownIds.has(id) ? '' : ' (not installed)'}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Existing data</h4>
+                <label class="valdris-core-import__option">
+                    <span>Mode</span>
+                    <select class="valdris-core-import__mode">
+                        <option value="merge">Merge by id</option>
+                        <option value="replace">Replace sections</option>
+                    </select>
+                </label>
+                <label class="valdris-core-import__option">
+                    <span>Same id on both sides</span>
+                    <select class="valdris-core-import__conflict">
+                        <option value="imported">Use imported</option>
+                        <option value="existing">Keep existing</option>
+                        <option value="both">Keep both</option>
+                    </select>
+                </label>
+            </div>
+            <div class="valdris-core-debug-section">
+                <h4>Dry run</h4>
+                <pre class="valdris-core-import__preview"></pre>
+            </div>
+            <button class="valdris-core-debug-btn valdris-core-import__apply">Import selected</button>
+            <button class="valdris-core-debug-btn valdris-core-import__cancel">Cancel</button>
+        </div>
+    `;
+
+    const getOptions = () => ({
+        sections: [...panel.querySelectorAll('.valdris-core-import__section input:checked')].map(el => el.dataset.id),
+        mode: panel.querySelector('.valdris-core-import__mode').value,
+        onConflict: panel.querySelector('.valdris-core-import__conflict').value
+    });
+
+    const refreshPreview = () => {
+        const options = getOptions();
+        const report = previewImport(bundle, options);
+        panel.querySelector('.valdris-core-import__conflict').disabled = options.mode === 'replace';
+        panel.querySelector('.valdris-core-import__preview').textContent = formatImportReport(report);
+        panel.querySelector('.valdris-core-import__apply').disabled = !report.sections.some(s => s.included);
+    };
+
+    panel.querySelectorAll('input, select').forEach(el => el.addEventListener('change', refreshPreview));
+    panel.querySelector('.valdris-core-debug-panel__close').addEventListener('click', () => panel.remove());
+    panel.querySelector('.valdris-core-import__cancel').addEventListener('click', () => panel.remove());
+
+    panel.querySelector('.valdris-core-import__apply').addEventListener('click', async () => {
+        const options = getOptions();
+        if (!confirm(`Import ${options.sections.join(', ')} into this chat? Existing data is ${options.mode === 'replace' ? 'overwritten' : 'merged'}.`)) return;
+
+        const report = await importCampaign(bundle, options);
+        panel.remove();
+        if (!report.valid) {
+            alert(`Import failed:\n${report.errors.join('\n')}`);
+        }
+    });
+
+    refreshPreview();
+    document.body.appendChild(panel);
+}
+
+/**
+ * Render an import preview report as text
+ * @param {Object} report - Report from previewImport()
+ * @returns {string}
+ */
+function formatImportReport(report) {
+    if (!report.valid) return report.errors.join('\n');
+
+    const MAX_CHANGES = 12;
+    return report.sections.filter(s => s.included).map(section => {
+        const lines = [`${section.name}: ${section.status}`];
+        if (section.error) lines.push(`  ! ${section.error}`);
+        for (const change of section.changes.slice(0, MAX_CHANGES)) {
+            lines.push(`  ${change.type === 'added' ? '+' : change.type === 'removed' ? '-' : '~'} ${change.path}`);
+        }
+        if (section.changes.length > MAX_CHANGES) {
+            lines.push(`  ... ${section.changes.length - MAX_CHANGES} more`);
+        }
+        for (const conflict of section.conflicts) {
+            lines.push(`  ! ${conflict.label} (${conflict.id}): ${conflict.resolution}`);
+        }
+        return lines.join('\n');
+    }).join('\n') || 'No sections selected';
+}
+
+/**
+ * Render the provider list (toggle, placement, reorder) into the settings drawer
+ */
+function renderProviderList() {
+    const list = UI.settingsPanel?.querySelector('.valdris-core-settings__providers');
+    if (!list) return;
+
+    const config = getContextInjectionConfig();
+    const providers = getContextProviders(getContextInjectionSettings());
+
+    list.innerHTML = providers.map((provider, index) => `
+        <div class="valdris-core-provider" data-id="${escapeHtml(provider.id)}">
+            <input type="checkbox" class="valdris-core-provider__toggle" ${provider.enabled ? 'checked' : ''}>
+            <span class="valdris-core-provider__name" title="${escapeHtml(provider.owner || 'valdris-core')}">
+                ${escapeHtml(provider.name)}
+            </span>
+            <span class="valdris-core-provider__priority" title="Trim priority">${provider.priority}</span>
+            <select class="valdris-core-provider__placement">
+                ${PLACEMENTS.map(p => `<option value="${p}" ${p === provider.placement ? 'selected' : ''}>${p}</option>`).join('')}
+            </select>
+            <button class="valdris-core-provider__move" data-dir="-1" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+            <button class="valdris-core-provider__move" data-dir="1" ${index === providers.length - 1 ? 'disabled' : ''}>&darr;</button>
+        </div>
+    `).join('') || '<div class="valdris-core-provider">No providers registered</div>';
+
+    list.querySelectorAll('.valdris-core-provider[data-id]').forEach(row => {
+        const id = row.dataset.id;
+
+        row.querySelector('.valdris-core-provider__toggle').addEventListener('change', (e) => {
+            config.providers[id] = { ...config.providers[id], enabled: e.target.checked };
+            saveSettingsDebounced();
+        });
+
+        row.querySelector('.valdris-core-provider__placement').addEventListener('change', (e) => {
+            config.providers[id] = { ...config.providers[id], placement: e.target.value };
+            saveSettingsDebounced();
+            renderProviderList();
+        });
+
+        row.querySelectorAll('.valdris-core-provider__move').forEach(button => {
+            button.addEventListener('click', () => {
+                const ids = providers.map(p => p.id);
+                const from = ids.indexOf(id);
+                const to = from + Number(button.dataset.dir);
+                if (to < 0 || to >= ids.length) return;
+
+                [ids[from], ids[to]] = [ids[to], ids[from]];
+                // Moving across a placement boundary moves the provider into that placement
+                config.providers[id] = { ...config.providers[id], placement: providers[to].placement };
+                config.providerOrder = ids;
+                saveSettingsDebounced();
+                renderProviderList();
+            });
+        });
+    });
+}
+
+// ============================================================================
+// Narrative Directive Rules
+// ============================================================================
+
+/**
+ * Store the rule list in settings and refresh the drawer
+ * @param {Object[]} rules - Full rule list
+ */
+function saveDirectiveRules(rules) {
+    getContextInjectionConfig().directiveRules = rules;
+    saveSettingsDebounced();
+    renderRuleList();
+}
+
+/**
+ * Render the directive rule list (toggle, edit, delete) into the settings drawer
+ */
+function renderRuleList() {
+    const list = UI.settingsPanel?.querySelector('.valdris-core-settings__rules');
+    if (!list) return;
+
+    const rules = getDirectiveRules(getContextInjectionConfig());
+    const sorted = [...rules].sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0));
+
+    list.innerHTML = sorted.map(rule => `
+        <div class="valdris-core-provider valdris-core-rule" data-id="${escapeHtml(rule.id)}">
+            <input type="checkbox" class="valdris-core-provider__toggle" ${rule.enabled !== false ? 'checked' : ''}>
+            <span class="valdris-core-provider__name" title="${escapeHtml(rule.condition || 'Always')}">
+                ${escapeHtml(rule.name || rule.text)}
+            </span>
+            <span class="valdris-core-provider__priority" title="Priority">${Number(rule.priority) || 0}</span>
+            <button class="valdris-core-provider__move valdris-core-rule__edit" title="Edit">&#9998;</button>
+            <button class="valdris-core-provider__move valdris-core-rule__delete" title="Delete">&times;</button>
+        </div>
+    `).join('') || '<div class="valdris-core-provider">No rules</div>';
+
+    list.querySelectorAll('.valdris-core-rule').forEach(row => {
+        const id = row.dataset.id;
+
+        row.querySelector('.valdris-core-provider__toggle').addEventListener('change', (e) => {
+            saveDirectiveRules(rules.map(rule => rule.id === id ? { ...rule, enabled: e.target.checked } : rule));
+        });
+
+        row.querySelector('.valdris-core-rule__edit').addEventListener('click', () => {
+            showRuleEditor(rules.find(rule => rule.id === id));
+        });
+
+        row.querySelector('.valdris-core-rule__delete').addEventListener('click', () => {
+            const rule = rules.find(r => r.id === id);
+            if (!confirm(`Delete the rule '${rule?.name || id}'?`)) return;
+            saveDirectiveRules(rules.filter(r => r.id !== id));
+        });
+    });
+}
+
+/**
+ * Show the rule editor with a live check of the condition against current state
+ * @param {Object|null} rule - Rule to edit, or null for a new rule
+ */
+function showRuleEditor(rule) {
+    document.getElementById('valdris-core-rule-panel')?.remove();
+
+    const draft = rule || { name: '', condition: '', text: '', priority: 50, cooldown: 0, enabled: true };
+
+    const panel = document.createElement('div');
+    panel.id = 'valdris-core-rule-panel';
+    panel.className = 'valdris-core-debug-panel valdris-core-rule-editor';
+    panel.innerHTML = `
+        <div class="valdris-core-debug-panel__header">
+            <h3>${rule ? 'Edit' : 'New'} Narrative Rule</h3>
+            <button class="valdris-core-debug-panel__close">&times;</button>
+        </div>
+        <div class="valdris-core-debug-panel__content">
+            <label class="valdris-core-rule-editor__field">
+                <span>Name</span>
+                <input type="text" class="text_pole" name="name" value="${escapeHtml(draft.name)}">
+            </label>
+            <label class="valdris-core-rule-editor__field">
+                <span>Condition (empty = always)</span>
+                <input type="text" class="text_pole" name="condition" value="${escapeHtml(draft.condition)}"
+                    placeholder="player.hp.current / player.hp.max < 0.25 && time.hour >= 22">
+            </label>
+            <div class="valdris-core-rule-editor__test"></div>
+            <label class="valdris-core-rule-editor__field">
+                <span>Directive</span>
+                <textarea class="text_pole" name="text" rows="3">${escapeHtml(draft.text)}</textarea>
+            </label>
+            <div class="valdris-core-settings__row">
+                <label class="valdris-core-rule-editor__field">
+                    <span>Priority (0-100)</span>
+                    <input type="number" class="text_pole" name="priority" min="0" max="100" value="${Number(draft.priority) || 0}">
+                </label>
+                <label class="valdris-core-rule-editor__field">
+                    <span>Cooldown (messages)</span>
+                    <input type="number" class="text_pole" name="cooldown" min="0" value="${Number(draft.cooldown) || 0}">
+                </label>
+            </div>
+            <div class="valdris-core-rule-editor__errors"></div>
+            <button class="valdris-core-debug-btn valdris-core-rule-editor__save">Save</button>
+            <button class="valdris-core-debug-btn valdris-core-rule-editor__cancel">Cancel</button>
+        </div>
+    `;
+
+    const field = (name) => panel.querySelector(`[name="${name}"]`);
+    const readDraft = () => ({
+        ...draft,
+        name: field('name').value.trim(),
+        condition: field('condition').value.trim(),
+        text: field('text').value.trim(),
+        priority: Number(field('priority').value),
+        cooldown: Number(field('cooldown').value)
+    });
+
+    const test = () => {
+        const { value, error } = evaluateCondition(field('condition').value, getFullState());
+        const output = panel.querySelector('.valdris-core-rule-editor__test');
+        output.className = `valdris-core-rule-editor__test valdris-core-rule-editor__test--${error ? 'error' : value ? 'true' : 'false'}`;
+        output.textContent = error ? `Error: ${error}` : `Currently ${value ? 'true' : 'false'}`;
+    };
+
+    field('condition').addEventListener('input', test);
+    panel.querySelector('.valdris-core-debug-panel__close').addEventListener('click', () => panel.remove());
+    panel.querySelector('.valdris-core-rule-editor__cancel').addEventListener('click', () => panel.remove());
+
+    panel.querySelector('.valdris-core-rule-editor__save').addEventListener('click', () => {
+        const updated = readDraft();
+        const errors = validateRule(updated);
+        if (errors.length) {
+            panel.querySelector('.valdris-core-rule-editor__errors').textContent = errors.join('; ');
+            return;
+        }
+        if (!updated.name) updated.name = updated.text.slice(0, 40);
+
+        const rules = getDirectiveRules(getContextInjectionConfig());
+        if (rule) {
+            saveDirectiveRules(rules.map(r => r.id === rule.id ? updated : r));
+        } else {
+            saveDirectiveRules([...rules, { ...updated, id: generateId('rule'), builtin: false }]);
+        }
+        panel.remove();
+    });
+
+    test();
     document.body.appendChild(panel);
 }
 
@@ -320,6 +1661,16 @@ function mountUI() {
         updateStatusIndicator();
     }
 
+    const extensionsPanel = document.getElementById('extensions_settings');
+    if (extensionsPanel) {
+        UI.settingsPanel = createSettingsPanel();
+        extensionsPanel.appendChild(UI.settingsPanel);
+        renderProviderList();
+        renderRuleList();
+        renderMacroList();
+        renderSeedField();
+    }
+
     UI.mounted = true;
     console.log(`${LOG_PREFIX} UI mounted`);
 }
@@ -335,11 +1686,19 @@ function unmountUI() {
         UI.statusIndicator = null;
     }
 
+    if (UI.settingsPanel) {
+        UI.settingsPanel.remove();
+        UI.settingsPanel = null;
+    }
+
     const debugPanel = document.getElementById('valdris-core-debug-panel');
     if (debugPanel) {
         debugPanel.remove();
     }
 
+    document.getElementById('valdris-core-import-panel')?.remove();
+    document.getElementById('valdris-core-history-panel')?.remove();
+
     UI.mounted = false;
 }
 
@@ -356,6 +1715,8 @@ function onChatChanged() {
     // Reinitialize with new context
     const ctx = getContext();
     initCoreState(ctx);
+    migrateMetadataKey(getMetaKey(), ctx?.chatMetadata);
+    _pendingSnapshot = null;
 
     // Emit event for other extensions
     ValdrisEventBus.emit('chatChanged', { context: ctx });
@@ -377,6 +1738,12 @@ function onMessageReceived(messageId) {
 
     if (!message || message.is_user) return;
 
+    // Bind the pre-generation state to this message; swipes and continues keep the original
+    if (isSnapshotEnabled() && !hasSnapshot(messageId)) {
+        recordSnapshot(messageId, _pendingSnapshot || captureSnapshot());
+    }
+    _pendingSnapshot = null;
+
     // Emit event for extensions that want to parse AI responses
     ValdrisEventBus.emit('aiResponseReceived', {
         messageId,
@@ -385,6 +1752,141 @@ function onMessageReceived(messageId) {
     });
 }
 
+/**
+ * Apply the valdris delta block of an AI response, live or replayed
+ * Runs ahead of other aiResponseReceived listeners and leaves the parsed block on
+ * the payload as `stateDelta` so prose parsers can skip what the block covers.
+ *
+ * @param {Object} data - aiResponseReceived payload
+ */
+async function onAIResponseDeltas(data) {
+    if (!getSettings().enabled || getSettings().stateDeltas?.enabled === false || !data?.message) return;
+
+    data.stateDelta = parseDeltaBlocks(data.message);
+    if (!data.stateDelta.ops.length && !data.stateDelta.errors.length) return;
+
+    const report = await processMessageDeltas(data.message, { messageId: data.messageId, replay: !!data.replay });
+    const problems = report.results.filter(r => r.status !== 'applied');
+    if (problems.length && !data.replay && typeof toastr !== 'undefined') {
+        toastr.warning(problems.map(r => escapeHtml(r.reason)).join('<br>'), 'Valdris state block');
+    }
+}
+
+/**
+ * Report a rejected domain write to the user
+ * Repairs are only logged; the same rejection is not repeated while it persists.
+ *
+ * @param {Object} violation - domainValidationFailed payload
+ */
+function onDomainValidationFailed(violation) {
+    if (!violation.rejected) return;
+
+    const message = violation.issues.filter(issue => !issue.repaired).map(issue => escapeHtml(formatIssue(issue))).join('<br>');
+    if (_lastRejection[violation.domain] === message) return;
+    _lastRejection[violation.domain] = message;
+
+    if (typeof toastr !== 'undefined') {
+        toastr.error(message, `Valdris: ${violation.domain} update rejected`);
+    }
+}
+
+// ============================================================================
+// Message Snapshots
+// ============================================================================
+
+/**
+ * Check whether message snapshots are enabled
+ * @returns {boolean}
+ */
+function isSnapshotEnabled() {
+    const settings = getSettings();
+    return settings.enabled && settings.snapshots?.enabled !== false;
+}
+
+/**
+ * Capture state before a generation so it can be bound to the resulting message
+ * @param {string} type - Generation type (normal, swipe, regenerate, continue, quiet, ...)
+ * @param {Object} options - Generation options
+ * @param {boolean} dryRun - True for prompt dry runs (no message is produced)
+ */
+function onGenerationStarted(type, options, dryRun) {
+    if (dryRun || type === 'quiet' || !isSnapshotEnabled()) return;
+    _pendingSnapshot = captureSnapshot();
+}
+
+/**
+ * Re-run AI responses from a message to the end of the chat
+ * Each message gets a fresh snapshot before it is replayed.
+ *
+ * @param {number} fromMessageId - First message index to replay
+ */
+async function replayMessages(fromMessageId) {
+    const chat = getContext()?.chat || [];
+
+    for (let id = fromMessageId; id < chat.length; id++) {
+        const message = chat[id];
+        if (!message || message.is_user || message.is_system) continue;
+
+        if (id !== fromMessageId) {
+            recordSnapshot(id);
+        }
+
+        await ValdrisEventBus.emitAsync('aiResponseReceived', {
+            messageId: id,
+            message: message.mes,
+            timestamp: Date.now(),
+            replay: true
+        });
+    }
+}
+
+/**
+ * Handle a swipe: roll back the previous swipe, then re-run the one now shown
+ * If the swipe starts a new generation, MESSAGE_RECEIVED handles the new text.
+ *
+ * @param {number} messageId - Message index
+ */
+async function onMessageSwiped(messageId) {
+    if (!isSnapshotEnabled() || !hasSnapshot(messageId)) return;
+
+    await restoreSnapshot(messageId);
+
+    const message = getContext()?.chat?.[messageId];
+    const generating = !message || message.swipe_id >= (message.swipes?.length || 0);
+
+    if (!generating) {
+        await replayMessages(messageId);
+    }
+}
+
+/**
+ * Handle deletions (including regenerate): roll back to before the first removed message
+ * @param {number} chatLength - Chat length after deletion
+ */
+async function onMessageDeleted(chatLength) {
+    if (!isSnapshotEnabled()) return;
+
+    const firstRemoved = getSnapshotIds().find(id => id >= chatLength);
+    if (firstRemoved === undefined) return;
+
+    await restoreSnapshot(firstRemoved);
+    discardSnapshots(chatLength);
+}
+
+/**
+ * Handle an edited AI message: roll back to before it and replay the edited text
+ * @param {number} messageId - Message index
+ */
+async function onMessageEdited(messageId) {
+    if (!isSnapshotEnabled() || !hasSnapshot(messageId)) return;
+
+    const message = getContext()?.chat?.[messageId];
+    if (!message || message.is_user) return;
+
+    await restoreSnapshot(messageId);
+    await replayMessages(messageId);
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -411,11 +1913,31 @@ async function init() {
             const scriptModule = await import('../../../../script.js');
             eventSource = scriptModule.eventSource;
             event_types = scriptModule.event_types;
+            configureLLMService({ getRequestHeaders: scriptModule.getRequestHeaders });
         } catch (e) {
             console.error(`${LOG_PREFIX} Failed to import script.js`, e);
             return;
         }
 
+        // The utility model's 'main' profile follows the chat's API connection
+        try {
+            const openaiModule = await import('../../../openai.js');
+            configureLLMService({ getMainConnection: () => getMainLLMConnection(openaiModule) });
+        } catch (e) {
+            console.warn(`${LOG_PREFIX} openai.js unavailable, utility model limited to an endpoint`);
+        }
+        configureLLMService({ getSettings: () => getSettings().llm });
+
+        // Use SillyTavern's tokenizer for context budgeting when available
+        try {
+            const tokenizerModule = await import('../../../tokenizers.js');
+            if (typeof tokenizerModule.getTokenCount === 'function') {
+                setTokenCounter((text) => tokenizerModule.getTokenCount(text));
+            }
+        } catch (e) {
+            console.warn(`${LOG_PREFIX} Tokenizer unavailable, estimating context tokens`);
+        }
+
         // Initialize settings
         if (!extension_settings[EXTENSION_NAME]) {
             extension_settings[EXTENSION_NAME] = { ...DEFAULT_SETTINGS };
@@ -425,27 +1947,91 @@ async function init() {
         // Initialize core state with SillyTavern context
         const ctx = getContext();
         initCoreState(ctx);
+        registerMigrations(getMetaKey(), CORE_MIGRATIONS);
+        migrateMetadataKey(getMetaKey(), ctx?.chatMetadata);
+        setMaxSnapshots(getSettings().snapshots?.maxSnapshots);
 
         // Set up event listeners
         const chatChangedHandler = () => onChatChanged();
         const messageReceivedHandler = (messageId) => onMessageReceived(messageId);
         const promptReadyHandler = (data) => onPromptReady(data);
+        const generationStartedHandler = (type, options, dryRun) => onGenerationStarted(type, options, dryRun);
+        const messageSwipedHandler = (messageId) => onMessageSwiped(messageId);
+        const messageDeletedHandler = (chatLength) => onMessageDeleted(chatLength);
+        const messageEditedHandler = (messageId) => onMessageEdited(messageId);
 
         eventSource.on(event_types.CHAT_CHANGED, chatChangedHandler);
         eventSource.on(event_types.MESSAGE_RECEIVED, messageReceivedHandler);
         eventSource.on(event_types.GENERATE_BEFORE_COMBINE_PROMPTS, promptReadyHandler);
+        eventSource.on(event_types.GENERATION_STARTED, generationStartedHandler);
+        eventSource.on(event_types.MESSAGE_SWIPED, messageSwipedHandler);
+        eventSource.on(event_types.MESSAGE_DELETED, messageDeletedHandler);
+        eventSource.on(event_types.MESSAGE_EDITED, messageEditedHandler);
 
         // Track for cleanup
         _cleanupFns.push(() => {
             eventSource.off(event_types.CHAT_CHANGED, chatChangedHandler);
             eventSource.off(event_types.MESSAGE_RECEIVED, messageReceivedHandler);
             eventSource.off(event_types.GENERATE_BEFORE_COMBINE_PROMPTS, promptReadyHandler);
+            eventSource.off(event_types.GENERATION_STARTED, generationStartedHandler);
+            eventSource.off(event_types.MESSAGE_SWIPED, messageSwipedHandler);
+            eventSource.off(event_types.MESSAGE_DELETED, messageDeletedHandler);
+            eventSource.off(event_types.MESSAGE_EDITED, messageEditedHandler);
         });
 
         // Subscribe to domain changes to update UI
         const unsubscribe = subscribe(() => updateStatusIndicator());
         _cleanupFns.push(unsubscribe);
 
+        // Extensions register providers after core loads - keep the settings list current
+        const unsubProviders = ValdrisEventBus.on('contextProvidersChanged', () => renderProviderList());
+        _cleanupFns.push(unsubProviders);
+
+        // Rejected domain writes lose data, so tell the user rather than only the console
+        const unsubSchema = ValdrisEventBus.on('domainValidationFailed', (violation) => onDomainValidationFailed(violation));
+        _cleanupFns.push(unsubSchema);
+
+        // Structured state changes from the model, applied before prose parsers run
+        const unsubDeltas = ValdrisEventBus.on('aiResponseReceived', onAIResponseDeltas, { id: 'valdris-delta', priority: 100 });
+        _cleanupFns.push(unsubDeltas);
+
+        registerSimulateCommand();
+        registerHistoryCommands();
+
+        // {{valdris::path}} macros; the drawer list follows what is registered
+        setMacrosEnabled(getSettings().macros?.enabled !== false);
+        const unsubMacros = ValdrisEventBus.on('macrosChanged', () => renderMacroList());
+        _cleanupFns.push(unsubMacros);
+        _cleanupFns.push(() => setMacrosEnabled(false));
+
+        // Expressions that are not registered are resolved in the finished prompt
+        const promptMacrosHandler = (data) => substitutePromptMacros(data);
+        const promptEvents = [event_types.GENERATE_AFTER_COMBINE_PROMPTS, event_types.CHAT_COMPLETION_PROMPT_READY].filter(Boolean);
+        for (const event of promptEvents) eventSource.on(event, promptMacrosHandler);
+        _cleanupFns.push(() => promptEvents.forEach(event => eventSource.off(event, promptMacrosHandler)));
+
+        // The seed is per chat, so the drawer follows chat switches, imports and rerolls
+        _cleanupFns.push(
+            ValdrisEventBus.on('chatChanged', renderSeedField),
+            ValdrisEventBus.on('stateRestored', renderSeedField),
+            ValdrisEventBus.on('randomRerolled', renderSeedField)
+        );
+
+        // Pop-out status page and OBS overlay
+        startStatusBroadcast();
+        _cleanupFns.push(() => stopStatusBroadcast());
+
+        // Debounced chat saves, flushed on tab hide and close, with local backups
+        setPersistenceOptions({ maxBackups: getSettings().persistence?.maxBackups ?? DEFAULT_SETTINGS.persistence.maxBackups });
+        startPersistence();
+        _cleanupFns.push(() => stopPersistence());
+        const unsubSaveFailed = ValdrisEventBus.on('metadataSaveFailed', onMetadataSaveFailed);
+        const unsubSaved = ValdrisEventBus.on('metadataSaved', () => { _saveFailureShown = false; });
+        _cleanupFns.push(unsubSaveFailed, unsubSaved);
+
+        document.addEventListener('keydown', onHistoryKeydown);
+        _cleanupFns.push(() => document.removeEventListener('keydown', onHistoryKeydown));
+
         // Enable debug mode if set
         if (getSettings().debugMode) {
             ValdrisEventBus.setDebugMode(true);
@@ -461,6 +2047,24 @@ async function init() {
     }
 }
 
+/**
+ * Register /vsimulate: run or preview days passing and return the digest
+ */
+function registerSimulateCommand() {
+    registerValdrisCommand({
+        name: 'vsimulate',
+        owner: EXTENSION_NAME,
+        helpString: `Let days pass for the whole world (1-${MAX_SIMULATION_DAYS}). Add "preview" to see the outcome without applying it. Returns the digest.`,
+        usage: '<days> [preview]',
+        run: async (args) => {
+            const days = Number(args[0]);
+            if (!Number.isInteger(days)) throw new Error('Usage: /vsimulate <days> [preview]');
+            const digest = await simulate(days, { preview: args[1]?.toLowerCase() === 'preview' });
+            return formatSimulationDigest(digest);
+        }
+    });
+}
+
 /**
  * Cleanup function for extension unload
  */
@@ -499,6 +2103,9 @@ export {
     isDomainOwner,
     getDomainOwner,
     getAllDomainOwners,
+    getDomainNames,
+    isKnownDomain,
+    isCustomDomain,
     getFullState,
     getDomainState,
     setDomainState,
@@ -509,9 +2116,159 @@ export {
     isInitialized,
     getMetaKey,
 
+    // Declared Domains
+    declareDomain,
+    undeclareDomain,
+    getDeclaredDomains,
+
+    // Message Snapshots
+    registerSnapshotKey,
+    captureSnapshot,
+    recordSnapshot,
+    hasSnapshot,
+    getSnapshotIds,
+    restoreSnapshot,
+
+    // Transactions
+    beginTransaction,
+    transaction,
+    isInTransaction,
+
+    // Utility Model
+    LLM_PROFILES,
+    getLLMSettings,
+    requestCompletion,
+    requestJSON,
+    getLLMUsage,
+    resetLLMUsage,
+
+    // Undo History
+    undo,
+    redo,
+    jumpToStep,
+    getHistory,
+    canUndo,
+    canRedo,
+    clearHistory,
+
+    // State Macros
+    registerMacroEntity,
+    unregisterMacroEntity,
+    registerMacroHelper,
+    unregisterMacroHelper,
+    getMacroHelpers,
+    resolveMacro,
+    substituteMacros,
+    listMacros,
+
+    // Status Window
+    registerStatusSource,
+    unregisterStatusSource,
+    getStatusSources,
+    buildStatusSnapshot,
+    requestStatusUpdate,
+    getStatusPageUrl,
+    openStatusWindow,
+
+    // Persistence
+    markDirty,
+    hasUnsavedChanges,
+    getPersistenceStatus,
+    flushSave,
+    createBackup,
+    listBackups,
+    restoreBackup,
+
+    // Schema Migrations
+    registerMigrations,
+    getTargetVersion,
+    getSchemaVersion,
+    migrateMetadataKey,
+    migrateAll,
+    rollbackMigration,
+    getMigrationLog,
+    fillDefaults,
+
     // Context Building
     buildFullContext,
+    buildContextReport,
     buildDomainContext,
+    registerContextProvider,
+    unregisterContextProvider,
+    getContextProviders,
+
+    // Slash Commands
+    registerValdrisCommand,
+    getValdrisCommands,
+    executeCommand,
+    tokenizeArgs,
+    parseAmount,
+    parseDuration,
+
+    // Campaign Bundles
+    registerBundleSection,
+    getBundleSections,
+    exportCampaign,
+    validateBundle,
+    previewImport,
+    importCampaign,
+
+    // Chronicle
+    CHRONICLE_CATEGORIES,
+    registerChronicleRecorder,
+    unregisterChronicleRecorder,
+    addChronicleEntry,
+    removeChronicleEntry,
+    getChronicle,
+    queryChronicle,
+    formatChronicleDate,
+
+    // State Deltas
+    registerDeltaOp,
+    unregisterDeltaOp,
+    getDeltaOps,
+    parseDeltaBlocks,
+    stripDeltaBlocks,
+    applyDeltaOps,
+    processMessageDeltas,
+    getDeltaLog,
+
+    // Domain Schemas
+    registerDomainSchema,
+    unregisterDomainSchema,
+    getDomainSchema,
+    validateDomainData,
+    getSchemaViolations,
+    checkDomainContracts,
+
+    // Command Bus
+    registerCommandHandler,
+    unregisterCommandHandler,
+    getCommandHandlers,
+    dispatchCommand,
+    getCommandAudit,
+    clearCommandAudit,
+
+    // World Simulation
+    MAX_SIMULATION_DAYS,
+    registerDailyProcessor,
+    unregisterDailyProcessor,
+    getDailyProcessors,
+    simulate,
+    getLastDigest,
+    formatSimulationDigest,
+
+    // Seeded Randomness
+    createRandom,
+    rerollRandom,
+    getRandomSeed,
+    setRandomSeed,
+
+    // Narrative Directive Rules
+    DEFAULT_DIRECTIVE_RULES,
+    getDirectiveRules,
+    validateRule as validateDirectiveRule,
+    evaluateCondition,
 
     // Utilities
     getNestedValue,
@@ -545,12 +2302,57 @@ window.ValdrisCore = {
     ValdrisEventBus,
     registerDomain,
     unregisterDomain,
+    declareDomain,
+    undeclareDomain,
     getDomainState,
     setDomainState,
     updateDomainState,
     getFullState,
     subscribe,
+    transaction,
+    undo,
+    redo,
+    requestCompletion,
+    requestJSON,
+    registerMacroEntity,
+    registerMacroHelper,
+    resolveMacro,
+    registerStatusSource,
+    requestStatusUpdate,
+    openStatusWindow,
+    markDirty,
+    flushSave,
+    registerSnapshotKey,
+    restoreSnapshot,
+    registerMigrations,
+    migrateMetadataKey,
+    rollbackMigration,
+    fillDefaults,
     buildFullContext,
+    buildContextReport,
+    registerContextProvider,
+    unregisterContextProvider,
+    registerValdrisCommand,
+    executeCommand,
+    registerBundleSection,
+    exportCampaign,
+    previewImport,
+    importCampaign,
+    addChronicleEntry,
+    queryChronicle,
+    registerDeltaOp,
+    parseDeltaBlocks,
+    stripDeltaBlocks,
+    registerDomainSchema,
+    validateDomainData,
+    registerCommandHandler,
+    dispatchCommand,
+    getCommandAudit,
+    registerDailyProcessor,
+    simulate,
+    createRandom,
+    rerollRandom,
+    evaluateCondition,
     generateId
 };
 
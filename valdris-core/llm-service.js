@@ -0,0 +1,539 @@
+/**
+ * Valdris Core - LLM Utility Service
+ *
+ * A shared way for Valdris extensions to ask a model a question, usually a
+ * structured one ("which NPCs appear in this message?"), outside the chat.
+ * Requests go through SillyTavern's chat-completions backend using the
+ * connection profile chosen in core settings:
+ *
+ *     main       the chat's own API and model
+ *     utility    the chat's API with a different, cheaper model
+ *     endpoint   any OpenAI-compatible URL (a local server), via ST's Custom source
+ *
+ * Requests wait in one queue, time out, and retry on network errors, 429 and
+ * 5xx. Token usage is tallied per calling extension for the session.
+ *
+ *     const { data } = await requestJSON(`Which NPCs appear in:\n${text}`, {
+ *         source: 'valdris-npc-social',
+ *         schema: {
+ *             type: 'array',
+ *             items: { type: 'object', fields: { name: { type: 'string', required: true } } }
+ *         }
+ *     });
+ *
+ * requestJSON asks for bare JSON, parses what comes back (code fences, text
+ * around the JSON and trailing commas are tolerated) and checks it with the
+ * domain schema rules (domain-schemas.js), which repair what they can. A reply
+ * that still cannot be used is sent back to the model once to be corrected.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { validateValue, formatIssue } from './domain-schemas.js';
+import { generateId } from './core-state.js';
+
+const LOG_PREFIX = '[ValdrisCore:LLM]';
+
+// SillyTavern's chat-completions proxy
+const GENERATE_URL = '/api/backends/chat-completions/generate';
+
+// Connection profiles
+export const LLM_PROFILES = ['main', 'utility', 'endpoint'];
+
+// Default service settings (core settings key 'llm')
+export const DEFAULT_LLM_SETTINGS = {
+    profile: 'main',
+    model: '',              // Model for 'utility' and 'endpoint'
+    endpointUrl: '',        // Base URL for 'endpoint' (http://localhost:11434/v1)
+    temperature: 0.2,
+    maxTokens: 1024,
+    timeoutMs: 60000,
+    retries: 2,
+    concurrency: 1          // Requests in flight at once
+};
+
+// HTTP statuses worth trying again
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// First retry delay; doubles on each further retry
+const RETRY_DELAY_MS = 1000;
+
+// Requests kept for the debug panel
+const MAX_RECENT = 20;
+
+// What the service needs from SillyTavern (see configureLLMService)
+let _hooks = {};
+
+// Waiting requests, oldest first
+const _queue = [];
+
+// Requests in flight
+let _active = 0;
+
+// Usage by calling extension
+let _usage = {};
+
+// Recent requests, oldest first
+const _recent = [];
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Give the service its SillyTavern hooks
+ * @param {Object} hooks - {
+ *     getRequestHeaders: () => headers,
+ *     getMainConnection: () => ({ source, model, extra }),   // extra is merged into the request body
+ *     getSettings: () => settings                            // Partial DEFAULT_LLM_SETTINGS
+ * }
+ */
+export function configureLLMService(hooks) {
+    _hooks = { ..._hooks, ...hooks };
+}
+
+/**
+ * Get the service settings merged with defaults
+ * @returns {Object}
+ */
+export function getLLMSettings() {
+    return { ...DEFAULT_LLM_SETTINGS, ...(_hooks.getSettings?.() || {}) };
+}
+
+// ============================================================================
+// Requests
+// ============================================================================
+
+/**
+ * Ask the model for plain text
+ * @param {string|Object[]} prompt - User prompt, or chat messages ({ role, content })
+ * @param {Object} options - { source, system, temperature, maxTokens, timeoutMs, retries }
+ * @returns {Promise<{text: string, usage: Object, model: string, profile: string, attempts: number}>}
+ */
+export function requestCompletion(prompt, options = {}) {
+    const messages = toMessages(prompt, options.system);
+    if (!messages.length) {
+        return Promise.reject(new Error('Nothing to send: the prompt is empty'));
+    }
+    return enqueue(() => sendRequest(messages, options));
+}
+
+/**
+ * Ask the model for JSON, checked against a schema
+ * @param {string|Object[]} prompt - User prompt, or chat messages
+ * @param {Object} options - requestCompletion options plus { schema, example, repairAttempts (default 1) }
+ * @returns {Promise<{data: *, text: string, issues: Object[], usage: Object, rounds: number}>}
+ * @throws {Error} If no usable JSON came back
+ */
+export async function requestJSON(prompt, options = {}) {
+    const instruction = buildJSONInstruction(options.schema, options.example);
+    const messages = toMessages(prompt, [options.system, instruction].filter(Boolean).join('\n\n'));
+    const repairAttempts = Number.isInteger(options.repairAttempts) ? options.repairAttempts : 1;
+    const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+
+    for (let round = 1; ; round++) {
+        const reply = await enqueue(() => sendRequest(messages, options));
+        usage.promptTokens += reply.usage.promptTokens;
+        usage.completionTokens += reply.usage.completionTokens;
+        usage.estimated = usage.estimated || reply.usage.estimated;
+
+        const parsed = parseJSONReply(reply.text);
+        let problem = parsed.error;
+        if (!problem) {
+            if (!options.schema) {
+                return { data: parsed.value, text: reply.text, issues: [], usage, rounds: round };
+            }
+            const result = validateValue(options.schema, parsed.value, 'reply');
+            if (result.accepted) {
+                return { data: result.data, text: reply.text, issues: result.issues, usage, rounds: round };
+            }
+            problem = result.issues.filter(issue => !issue.repaired).map(formatIssue).join('; ');
+        }
+
+        if (round > repairAttempts) {
+            throw new Error(`The model did not return usable JSON: ${problem}`);
+        }
+        messages.push(
+            { role: 'assistant', content: reply.text },
+            { role: 'user', content: `That reply could not be used (${problem}). Reply again with only the corrected JSON.` }
+        );
+    }
+}
+
+/**
+ * Send one request, retrying transient failures, and record the outcome
+ * @param {Object[]} messages - Chat messages
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} { text, usage, model, profile, attempts }
+ */
+async function sendRequest(messages, options) {
+    const settings = getLLMSettings();
+    const source = options.source || 'unknown';
+    const started = Date.now();
+
+    let connection;
+    try {
+        connection = resolveConnection(settings);
+    } catch (error) {
+        recordRequest({ source, profile: settings.profile, model: null, ok: false, attempts: 0, started, error: error.message });
+        throw error;
+    }
+
+    const body = {
+        messages,
+        model: connection.model,
+        chat_completion_source: connection.source,
+        temperature: options.temperature ?? settings.temperature,
+        max_tokens: options.maxTokens ?? settings.maxTokens,
+        stream: false,
+        ...connection.extra
+    };
+    const timeoutMs = options.timeoutMs ?? settings.timeoutMs;
+    const retries = Math.max(0, options.retries ?? settings.retries);
+
+    let lastError;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        try {
+            const data = await postWithTimeout(body, timeoutMs);
+            const text = extractText(data);
+            const usage = readUsage(data, messages, text);
+            recordRequest({ source, profile: connection.profile, model: connection.model, ok: true, attempts: attempt, started, usage });
+            return { text, usage, model: connection.model, profile: connection.profile, attempts: attempt };
+        } catch (error) {
+            lastError = error;
+            if (!error.retryable || attempt > retries) {
+                recordRequest({ source, profile: connection.profile, model: connection.model, ok: false, attempts: attempt, started, error: error.message });
+                break;
+            }
+            console.warn(`${LOG_PREFIX} ${source}: attempt ${attempt} failed (${error.message}), retrying`);
+            await delay(RETRY_DELAY_MS * 2 ** (attempt - 1));
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Work out the API, model and extra request fields for the current profile
+ * @param {Object} settings - Service settings
+ * @returns {{profile: string, source: string, model: string, extra: Object}}
+ */
+function resolveConnection(settings) {
+    if (settings.profile === 'endpoint') {
+        if (!settings.endpointUrl) {
+            throw new Error('No endpoint URL is set for the utility model');
+        }
+        return {
+            profile: 'endpoint',
+            source: 'custom',
+            model: settings.model,
+            extra: { custom_url: settings.endpointUrl }
+        };
+    }
+
+    const main = _hooks.getMainConnection?.();
+    if (!main?.source) {
+        throw new Error('No chat completion API is connected');
+    }
+    if (settings.profile === 'utility') {
+        return { profile: 'utility', source: main.source, model: settings.model || main.model, extra: main.extra || {} };
+    }
+    return { profile: 'main', source: main.source, model: main.model, extra: main.extra || {} };
+}
+
+/**
+ * POST to the backend with a time limit
+ * Thrown errors carry `retryable` for network failures, timeouts and transient statuses.
+ *
+ * @param {Object} body - Request body
+ * @param {number} timeoutMs - Time limit
+ * @returns {Promise<Object>} Response JSON
+ */
+async function postWithTimeout(body, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+        response = await fetch(GENERATE_URL, {
+            method: 'POST',
+            headers: _hooks.getRequestHeaders?.() || { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+    } catch (error) {
+        const message = error?.name === 'AbortError' ? `timed out after ${timeoutMs / 1000}s` : error?.message || String(error);
+        throw Object.assign(new Error(message), { retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw Object.assign(
+            new Error(`${response.status} ${response.statusText}${detail ? ` - ${detail.slice(0, 200)}` : ''}`),
+            { retryable: RETRY_STATUSES.has(response.status) }
+        );
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!data) {
+        throw Object.assign(new Error('The response was not JSON'), { retryable: false });
+    }
+    if (data.error) {
+        throw Object.assign(new Error(data.error.message || 'The API returned an error'), { retryable: false });
+    }
+    return data;
+}
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+/**
+ * Run a request when a slot is free
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>}
+ */
+function enqueue(task) {
+    return new Promise((resolve, reject) => {
+        _queue.push({ task, resolve, reject });
+        drainQueue();
+    });
+}
+
+/**
+ * Start waiting requests up to the concurrency limit
+ */
+function drainQueue() {
+    const limit = Math.max(1, Number(getLLMSettings().concurrency) || 1);
+    while (_active < limit && _queue.length) {
+        const { task, resolve, reject } = _queue.shift();
+        _active++;
+        task().then(resolve, reject).finally(() => {
+            _active--;
+            drainQueue();
+        });
+    }
+}
+
+// ============================================================================
+// Usage Accounting
+// ============================================================================
+
+/**
+ * Tally a finished request
+ * @param {Object} info - { source, profile, model, ok, attempts, started, usage?, error? }
+ */
+function recordRequest(info) {
+    const usage = info.usage || { promptTokens: 0, completionTokens: 0, estimated: false };
+
+    if (!_usage[info.source]) {
+        _usage[info.source] = { requests: 0, failures: 0, promptTokens: 0, completionTokens: 0, estimated: false };
+    }
+    const bucket = _usage[info.source];
+    bucket.requests++;
+    if (!info.ok) bucket.failures++;
+    bucket.promptTokens += usage.promptTokens;
+    bucket.completionTokens += usage.completionTokens;
+    bucket.estimated = bucket.estimated || usage.estimated;
+
+    const entry = {
+        id: generateId('llm'),
+        source: info.source,
+        profile: info.profile,
+        model: info.model || null,
+        ok: info.ok,
+        attempts: info.attempts,
+        durationMs: Date.now() - info.started,
+        usage,
+        error: info.error,
+        timestamp: Date.now()
+    };
+    _recent.push(entry);
+    if (_recent.length > MAX_RECENT) _recent.shift();
+
+    if (!info.ok) {
+        console.warn(`${LOG_PREFIX} ${info.source} request failed: ${info.error}`);
+    }
+    ValdrisEventBus.emit('llmRequestCompleted', entry);
+}
+
+/**
+ * Get usage for this session
+ * @returns {{bySource: Object, totals: Object, queued: number, active: number, recent: Object[]}}
+ *   Token counts marked `estimated` include replies whose API reported no usage.
+ */
+export function getLLMUsage() {
+    const totals = { requests: 0, failures: 0, promptTokens: 0, completionTokens: 0, estimated: false };
+    for (const bucket of Object.values(_usage)) {
+        totals.requests += bucket.requests;
+        totals.failures += bucket.failures;
+        totals.promptTokens += bucket.promptTokens;
+        totals.completionTokens += bucket.completionTokens;
+        totals.estimated = totals.estimated || bucket.estimated;
+    }
+
+    return {
+        bySource: JSON.parse(JSON.stringify(_usage)),
+        totals,
+        queued: _queue.length,
+        active: _active,
+        recent: [..._recent].reverse()
+    };
+}
+
+/**
+ * Reset usage counters and the recent request list
+ */
+export function resetLLMUsage() {
+    _usage = {};
+    _recent.length = 0;
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Normalise a prompt into chat messages
+ * @param {string|Object[]} prompt - Prompt text or messages
+ * @param {string} [system] - System instruction placed first
+ * @returns {Object[]}
+ */
+function toMessages(prompt, system) {
+    const messages = Array.isArray(prompt)
+        ? prompt.filter(m => m?.content).map(m => ({ role: m.role || 'user', content: String(m.content) }))
+        : String(prompt ?? '').trim() ? [{ role: 'user', content: String(prompt) }] : [];
+
+    if (messages.length && system) {
+        messages.unshift({ role: 'system', content: system });
+    }
+    return messages;
+}
+
+/**
+ * Build the instruction that asks for bare JSON
+ * @param {Object} [schema] - Field spec the reply must meet
+ * @param {*} [example] - Example reply
+ * @returns {string}
+ */
+function buildJSONInstruction(schema, example) {
+    const lines = ['Reply with JSON only: no explanation and no code fences.'];
+    if (schema) {
+        lines.push(`The JSON must have this shape:\n${describeSpec(schema, '')}`);
+    }
+    if (example !== undefined) {
+        lines.push(`Example:\n${JSON.stringify(example, null, 2)}`);
+    }
+    return lines.join('\n\n');
+}
+
+/**
+ * Describe a field spec as a JSON-like outline for the model
+ * @param {Object} spec - Field spec
+ * @param {string} indent - Current indentation
+ * @returns {string}
+ */
+function describeSpec(spec, indent) {
+    let text;
+    if (spec?.type === 'object') {
+        const fields = Object.entries(spec.fields || {}).map(([key, field]) =>
+            `${indent}  "${key}": ${describeSpec(field, `${indent}  `)}${field.required ? '' : ' (optional)'}`
+        );
+        text = fields.length ? `{\n${fields.join(',\n')}\n${indent}}` : 'object';
+    } else if (spec?.type === 'array') {
+        text = `[${spec.items ? describeSpec(spec.items, indent) : 'any'}, ...]`;
+    } else if (Array.isArray(spec?.values)) {
+        text = spec.values.map(value => JSON.stringify(value)).join(' | ');
+    } else {
+        text = spec?.type || 'any';
+    }
+    return spec?.nullable ? `${text} | null` : text;
+}
+
+/**
+ * Pull JSON out of a model reply
+ * @param {string} text - Reply text
+ * @returns {{value?: *, error?: string}}
+ */
+function parseJSONReply(text) {
+    let body = String(text || '').trim();
+    const fenced = body.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) body = fenced[1].trim();
+
+    const start = body.search(/[[{]/);
+    const candidates = [];
+    if (start === -1) {
+        // A bare scalar ("true", "3")
+        candidates.push(body);
+    } else {
+        const end = body.lastIndexOf(body[start] === '{' ? '}' : ']');
+        if (end <= start) return { error: 'the JSON is cut off' };
+        const json = body.slice(start, end + 1);
+        candidates.push(json, json.replace(/,\s*([}\]])/g, '$1'));
+    }
+
+    for (const candidate of candidates) {
+        try {
+            return { value: JSON.parse(candidate) };
+        } catch (error) {
+            // Try the next form
+        }
+    }
+    return { error: start === -1 ? 'no JSON found' : 'the JSON is malformed' };
+}
+
+/**
+ * Get the reply text from the response formats ST's backend passes through
+ * @param {Object} data - Response JSON
+ * @returns {string}
+ */
+function extractText(data) {
+    if (typeof data.choices?.[0]?.message?.content === 'string') return data.choices[0].message.content;
+    if (typeof data.choices?.[0]?.text === 'string') return data.choices[0].text;
+    if (typeof data.completion === 'string') return data.completion;
+    if (Array.isArray(data.content)) {
+        return data.content.filter(block => block?.type === 'text').map(block => block.text).join('');
+    }
+    if (typeof data.content === 'string') return data.content;
+    return '';
+}
+
+/**
+ * Read token usage from a response, estimating when the API reports none
+ * @param {Object} data - Response JSON
+ * @param {Object[]} messages - Messages sent
+ * @param {string} text - Reply text
+ * @returns {{promptTokens: number, completionTokens: number, estimated: boolean}}
+ */
+function readUsage(data, messages, text) {
+    const usage = data.usage || data.usageMetadata;
+    const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens ?? usage?.promptTokenCount;
+    const completionTokens = usage?.completion_tokens ?? usage?.output_tokens ?? usage?.candidatesTokenCount;
+    if (Number.isFinite(promptTokens) && Number.isFinite(completionTokens)) {
+        return { promptTokens, completionTokens, estimated: false };
+    }
+
+    // Roughly four characters per token
+    const sent = messages.reduce((sum, message) => sum + message.content.length, 0);
+    return { promptTokens: Math.ceil(sent / 4), completionTokens: Math.ceil(text.length / 4), estimated: true };
+}
+
+/**
+ * Wait
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+    LLM_PROFILES,
+    DEFAULT_LLM_SETTINGS,
+    configureLLMService,
+    getLLMSettings,
+    requestCompletion,
+    requestJSON,
+    getLLMUsage,
+    resetLLMUsage
+};
@@ -0,0 +1,481 @@
+/**
+ * Valdris Core - State Macros
+ *
+ * Live Valdris state inside SillyTavern macros, for character cards, author's
+ * notes, lorebook entries and Quick Replies:
+ *
+ *     {{valdris::player.hp.current}}            14
+ *     {{valdris::player.hp}}                    14/20
+ *     {{valdris::time.date}}                    3 of Frostmoon, 1247 AV
+ *     {{valdris::world.currentSettlement}}      Greywater
+ *     {{valdris::npc:Mira.relationship}}        55
+ *     {{valdris::npc:Mira.relationship|label}}  Friendly
+ *
+ * A path is a dotted path into the unified state by domain. `type:Name.field`
+ * looks up a named record an extension has registered (registerMacroEntity):
+ * VNS registers `npc`. `|helper` formats the value; helpers chain left to
+ * right. Core ships `date`, `clock` and `round`; extensions add their own
+ * (VES: `currency`, VNS: `label`).
+ *
+ * SillyTavern matches a macro by its whole name, so core registers one macro
+ * per listed path (up to MAX_MACROS) and re-registers, debounced, when the set
+ * of paths changes (a domain grows a field, an NPC is added). listMacros() and
+ * the settings drawer show what is registered. Expressions that are not
+ * registered (past the cap, deeper than the walk, an unsuggested helper) are
+ * left alone by SillyTavern and resolved in the finished prompt instead
+ * (substitutePromptMacros), so every documented form works in a prompt.
+ * Values are read when the prompt is built, never cached.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getSTContext, getFullState, getDomainNames, getNestedValue } from './core-state.js';
+
+const LOG_PREFIX = '[ValdrisCore:Macros]';
+
+// Macro name prefix: {{valdris::path}}
+const MACRO_PREFIX = 'valdris::';
+
+// Deepest path listed, counting the domain
+const MAX_PATH_DEPTH = 4;
+
+// Most macros registered with SillyTavern at once
+const MAX_MACROS = 500;
+
+// Quiet time before the registered set follows state changes
+const REFRESH_DELAY_MS = 250;
+
+// Friendlier names for formatted paths
+const PATH_ALIASES = {
+    'time.date': 'time|date',
+    'time.clock': 'time|clock'
+};
+
+// Named record lookups, by type ('npc')
+const _entities = new Map();
+
+// Value formatters, by name
+const _helpers = new Map();
+
+// Expressions currently registered with SillyTavern
+let _registered = new Set();
+
+// False when the user has switched macros off
+let _enabled = true;
+
+// Pending debounced refresh
+let _refreshTimer = null;
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register a named record type for `type:Name.field` paths
+ * Registering the same type again replaces it.
+ *
+ * @param {string} type - Path prefix ('npc')
+ * @param {Object} definition - {
+ *     owner: 'valdris-npc-social',
+ *     description: 'NPCs by name',
+ *     fields: { relationship: 'Relationship (-100 to 100)', ... },   // Listed fields
+ *     names: () => ['Mira', ...],
+ *     find: (name) => record | null                                  // Case-insensitive
+ * }
+ * @returns {boolean} True if registered
+ */
+export function registerMacroEntity(type, definition) {
+    if (!/^[a-z][\w-]*$/i.test(type || '') || typeof definition?.find !== 'function') {
+        console.error(`${LOG_PREFIX} Macro entity '${type}' needs a word-like type and a find function`);
+        return false;
+    }
+
+    _entities.set(type, {
+        type,
+        owner: definition.owner || null,
+        description: definition.description || '',
+        fields: { ...definition.fields },
+        names: typeof definition.names === 'function' ? definition.names : () => [],
+        find: definition.find
+    });
+    scheduleMacroRefresh();
+    return true;
+}
+
+/**
+ * Remove a named record type
+ * @param {string} type - Path prefix
+ */
+export function unregisterMacroEntity(type) {
+    if (_entities.delete(type)) scheduleMacroRefresh();
+}
+
+/**
+ * Register a formatting helper for `path|helper`
+ * Registering the same name again replaces it.
+ *
+ * @param {string} name - Helper name ('currency')
+ * @param {Object} definition - {
+ *     owner, description,
+ *     format: (value, path) => formatted value,
+ *     suggest: (path, value) => boolean    // Optional: list `path|name` for matching paths
+ * }
+ * @returns {boolean} True if registered
+ */
+export function registerMacroHelper(name, definition) {
+    if (!/^[a-z][\w-]*$/i.test(name || '') || typeof definition?.format !== 'function') {
+        console.error(`${LOG_PREFIX} Macro helper '${name}' needs a word-like name and a format function`);
+        return false;
+    }
+
+    _helpers.set(name, {
+        name,
+        owner: definition.owner || null,
+        description: definition.description || '',
+        format: definition.format,
+        suggest: typeof definition.suggest === 'function' ? definition.suggest : null
+    });
+    scheduleMacroRefresh();
+    return true;
+}
+
+/**
+ * Remove a formatting helper
+ * @param {string} name - Helper name
+ */
+export function unregisterMacroHelper(name) {
+    if (_helpers.delete(name)) scheduleMacroRefresh();
+}
+
+/**
+ * Get registered helpers
+ * @returns {Array<{name: string, owner: string, description: string}>}
+ */
+export function getMacroHelpers() {
+    return [..._helpers.values()].map(({ name, owner, description }) => ({ name, owner, description }));
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Resolve a macro expression to text
+ * @param {string} expression - 'player.hp.current', 'npc:Mira.relationship|label'
+ * @returns {string} Empty when the path does not exist
+ */
+export function resolveMacro(expression) {
+    const [path, ...helpers] = expandAlias(String(expression).trim()).split('|').map(part => part.trim());
+
+    let value = readPath(path);
+    for (const name of helpers) {
+        const helper = _helpers.get(name);
+        if (!helper) {
+            console.warn(`${LOG_PREFIX} Unknown macro helper '${name}' in '${expression}'`);
+            continue;
+        }
+        try {
+            value = helper.format(value, path);
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Helper '${name}' failed on '${path}':`, error);
+        }
+    }
+    return renderValue(value);
+}
+
+/**
+ * Replace every {{valdris::...}} in a string
+ * Works for any expression, including ones too deep to be listed.
+ *
+ * @param {string} text - Text containing macros
+ * @returns {string}
+ */
+export function substituteMacros(text) {
+    if (typeof text !== 'string') return text;
+    return text.replace(/\{\{valdris::([^{}]+)\}\}/gi, (match, expression) => resolveMacro(expression));
+}
+
+/**
+ * Resolve the {{valdris::...}} SillyTavern left in a finished prompt
+ * Takes either prompt shape: text completion { prompt } or chat completion
+ * { chat: [{ role, content }] }, and rewrites it in place.
+ *
+ * @param {Object} data - Prompt event payload
+ */
+export function substitutePromptMacros(data) {
+    if (!_enabled || !data) return;
+
+    if (typeof data.prompt === 'string') {
+        data.prompt = substituteMacros(data.prompt);
+    }
+    for (const message of Array.isArray(data.chat) ? data.chat : []) {
+        if (typeof message?.content === 'string') {
+            message.content = substituteMacros(message.content);
+        } else if (Array.isArray(message?.content)) {
+            // Multipart content: only the text parts
+            for (const part of message.content) {
+                if (typeof part?.text === 'string') part.text = substituteMacros(part.text);
+            }
+        }
+    }
+}
+
+/**
+ * List the macros available for the current chat
+ * @returns {Array<{expression: string, macro: string, value: string, owner: string|null}>}
+ */
+export function listMacros() {
+    return collectExpressions().map(({ expression, owner }) => ({
+        expression,
+        macro: `{{${MACRO_PREFIX}${expression}}}`,
+        value: resolveMacro(expression),
+        owner
+    }));
+}
+
+// ============================================================================
+// SillyTavern Registration
+// ============================================================================
+
+/**
+ * Switch SillyTavern macro registration on or off
+ * @param {boolean} enabled - False removes every registered macro
+ */
+export function setMacrosEnabled(enabled) {
+    _enabled = enabled !== false;
+    refreshMacros();
+}
+
+/**
+ * Refresh once state has been quiet for REFRESH_DELAY_MS
+ * Collecting walks the whole state, so a burst of writes costs one walk.
+ */
+export function scheduleMacroRefresh() {
+    clearTimeout(_refreshTimer);
+    _refreshTimer = setTimeout(() => {
+        _refreshTimer = null;
+        refreshMacros();
+    }, REFRESH_DELAY_MS);
+}
+
+/**
+ * Bring SillyTavern's registered macros in line with the available paths
+ * Emits 'macrosChanged' when the set changed.
+ */
+export function refreshMacros() {
+    clearTimeout(_refreshTimer);
+    _refreshTimer = null;
+
+    const ctx = getSTContext();
+    if (typeof ctx?.registerMacro !== 'function') return;
+
+    const wanted = new Set(_enabled ? collectExpressions().map(entry => entry.expression) : []);
+    if (wanted.size === _registered.size && [...wanted].every(expression => _registered.has(expression))) return;
+
+    for (const expression of _registered) {
+        if (wanted.has(expression)) continue;
+        try {
+            ctx.unregisterMacro?.(`${MACRO_PREFIX}${expression}`);
+        } catch (error) {
+            console.warn(`${LOG_PREFIX} Could not unregister '${expression}':`, error);
+        }
+    }
+    for (const expression of wanted) {
+        if (_registered.has(expression)) continue;
+        try {
+            ctx.registerMacro(`${MACRO_PREFIX}${expression}`, () => resolveMacro(expression));
+        } catch (error) {
+            console.warn(`${LOG_PREFIX} Could not register '${expression}':`, error);
+            wanted.delete(expression);
+        }
+    }
+
+    _registered = wanted;
+    ValdrisEventBus.emit('macrosChanged', { count: _registered.size });
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Replace a path alias with what it stands for
+ * @param {string} expression - Macro expression
+ * @returns {string}
+ */
+function expandAlias(expression) {
+    const [path, ...rest] = expression.split('|');
+    return PATH_ALIASES[path.trim()] ? [PATH_ALIASES[path.trim()], ...rest].join('|') : expression;
+}
+
+/**
+ * Read a state path or a `type:Name.field` record path
+ * @param {string} path - Path without helpers
+ * @returns {*}
+ */
+function readPath(path) {
+    const record = /^([a-z][\w-]*):([^.]+)(?:\.(.+))?$/i.exec(path);
+    if (record && _entities.has(record[1])) {
+        let found = null;
+        try {
+            found = _entities.get(record[1]).find(record[2].trim());
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Lookup failed for '${path}':`, error);
+        }
+        return record[3] ? getNestedValue(found ?? {}, record[3]) : found;
+    }
+    return path ? getNestedValue(getFullState(), path) : undefined;
+}
+
+/**
+ * Turn a value into macro text
+ * Resources read as current/max, named objects as their name, lists as comma-separated text.
+ *
+ * @param {*} value - Resolved value
+ * @returns {string}
+ */
+function renderValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        return value.map(item => (item && typeof item === 'object' ? item.name : item))
+            .filter(item => item !== null && item !== undefined && item !== '')
+            .join(', ');
+    }
+    if (typeof value === 'object') {
+        if (value.current !== undefined && value.max !== undefined) return `${value.current}/${value.max}`;
+        if (typeof value.name === 'string') return value.name;
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Every expression worth listing: state paths, aliases, record fields and suggested helpers
+ * @returns {Array<{expression: string, owner: string|null}>}
+ */
+function collectExpressions() {
+    const entries = [];
+
+    const state = getFullState();
+    for (const domain of getDomainNames()) {
+        if (state[domain] === null || state[domain] === undefined) continue;
+        collectPaths(state[domain], domain, 1, entries);
+    }
+    for (const [alias, target] of Object.entries(PATH_ALIASES)) {
+        if (readPath(target.split('|')[0]) != null) entries.push({ path: alias, value: null, alias: true });
+    }
+
+    for (const entity of _entities.values()) {
+        let names = [];
+        try {
+            names = entity.names() || [];
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Listing '${entity.type}' names failed:`, error);
+        }
+        for (const name of names) {
+            // These would break the expression apart
+            if (!name || /[.|{}]/.test(name)) continue;
+            for (const field of Object.keys(entity.fields)) {
+                const path = `${entity.type}:${name}.${field}`;
+                entries.push({ path, value: readPath(path), owner: entity.owner });
+            }
+        }
+    }
+
+    const expressions = [];
+    for (const entry of entries) {
+        expressions.push({ expression: entry.path, owner: entry.owner || null });
+        if (entry.alias) continue;
+        for (const helper of _helpers.values()) {
+            if (helper.suggest?.(entry.path, entry.value)) {
+                expressions.push({ expression: `${entry.path}|${helper.name}`, owner: helper.owner });
+            }
+        }
+    }
+
+    if (expressions.length > MAX_MACROS) {
+        console.warn(`${LOG_PREFIX} ${expressions.length} macro paths available, registering the first ${MAX_MACROS}`);
+        expressions.length = MAX_MACROS;
+    }
+    return expressions;
+}
+
+/**
+ * Walk a domain's state for listable paths
+ * Lists are listed whole rather than per item; resources (current/max) and named
+ * objects both whole and per field.
+ *
+ * @param {*} value - Value at this path
+ * @param {string} path - Dotted path so far
+ * @param {number} depth - Segments in the path
+ * @param {Object[]} entries - Collected { path, value }
+ */
+function collectPaths(value, path, depth, entries) {
+    if (value === null || value === undefined) return;
+
+    if (Array.isArray(value) || typeof value !== 'object') {
+        if (value !== '') entries.push({ path, value });
+        return;
+    }
+
+    // These render whole (see renderValue) as well as field by field
+    if ((value.current !== undefined && value.max !== undefined) || typeof value.name === 'string') {
+        entries.push({ path, value });
+    }
+    if (depth >= MAX_PATH_DEPTH) return;
+
+    for (const [key, child] of Object.entries(value)) {
+        // Keys that would break the expression apart
+        if (/[.|:{}\s]/.test(key)) continue;
+        collectPaths(child, `${path}.${key}`, depth + 1, entries);
+    }
+}
+
+// ============================================================================
+// Built-in Helpers
+// ============================================================================
+
+registerMacroHelper('date', {
+    owner: 'valdris-core',
+    description: 'Calendar date of a time state: 3 of Frostmoon, 1247 AV',
+    format: (time) => {
+        if (!time?.day || !time.year) return time;
+        const era = time.era ?? 'AV';
+        return `${time.day} of ${time.monthName || `Month ${time.month}`}, ${time.year}${era ? ` ${era}` : ''}`;
+    }
+});
+
+registerMacroHelper('clock', {
+    owner: 'valdris-core',
+    description: 'Time of day of a time state: 2:05 PM',
+    format: (time) => {
+        if (!Number.isFinite(time?.hour)) return time;
+        const minute = String(time.minute || 0).padStart(2, '0');
+        return `${time.hour % 12 || 12}:${minute} ${time.hour < 12 ? 'AM' : 'PM'}`;
+    }
+});
+
+registerMacroHelper('round', {
+    owner: 'valdris-core',
+    description: 'Nearest whole number',
+    format: (value) => Number.isFinite(Number(value)) && value !== '' ? Math.round(Number(value)) : value
+});
+
+// The set of paths follows the state: refresh when it may have changed shape
+for (const event of ['domainChanged', 'stateRestored', 'chatChanged', 'domainDeclared', 'domainUndeclared']) {
+    ValdrisEventBus.on(event, () => scheduleMacroRefresh(), { id: 'valdris-macros' });
+}
+
+export default {
+    registerMacroEntity,
+    unregisterMacroEntity,
+    registerMacroHelper,
+    unregisterMacroHelper,
+    getMacroHelpers,
+    resolveMacro,
+    substituteMacros,
+    substitutePromptMacros,
+    listMacros,
+    setMacrosEnabled,
+    scheduleMacroRefresh,
+    refreshMacros
+};
@@ -0,0 +1,442 @@
+/**
+ * Valdris Core - Schema Migrations
+ *
+ * Versioned upgrades for every Valdris chat-metadata key.
+ * Each extension registers an ordered list of migration steps for the key it owns
+ * and runs them on load, before reading its blob. Versions are recorded per key in
+ * a shared table, so extensions that rewrite their blob wholesale keep their stamp.
+ *
+ * Step shape:
+ * {
+ *     version: 2,                          // Schema version this step produces
+ *     description: 'Rename gold to wallet', // Shown in reports
+ *     migrate: (blob) => newBlob           // Receives a clone; may mutate or return a new object
+ * }
+ *
+ * Before a key is upgraded, the original blob is kept as a backup so a failed
+ * or unwanted migration can be rolled back with rollbackMigration().
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getSTContext } from './core-state.js';
+import { markDirty } from './persistence.js';
+
+const LOG_PREFIX = '[ValdrisCore:Migrations]';
+
+// Chat metadata key holding schema versions and pre-migration backups
+const SCHEMA_META_KEY = 'valdris_schema_v1';
+
+// Registered steps per metadata key, sorted by version
+const _migrations = {};
+
+// Reports from this session (most recent last)
+const _migrationLog = [];
+const MAX_LOG = 50;
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register the ordered migration steps for a chat metadata key
+ * Calling again for the same key replaces the previous list.
+ *
+ * @param {string} metaKey - Chat metadata key (e.g. 'valdris_world_state')
+ * @param {Array<{version: number, description: string, migrate: Function}>} steps - Migration steps
+ * @returns {boolean} True if the steps were accepted
+ */
+export function registerMigrations(metaKey, steps) {
+    if (!metaKey || !Array.isArray(steps)) {
+        console.error(`${LOG_PREFIX} registerMigrations needs a key and an array of steps`);
+        return false;
+    }
+
+    const sorted = [...steps].sort((a, b) => a.version - b.version);
+
+    for (let i = 0; i < sorted.length; i++) {
+        const step = sorted[i];
+        if (!Number.isInteger(step?.version) || step.version < 1 || typeof step.migrate !== 'function') {
+            console.error(`${LOG_PREFIX} Invalid migration step for '${metaKey}':`, step);
+            return false;
+        }
+        if (i > 0 && sorted[i - 1].version === step.version) {
+            console.error(`${LOG_PREFIX} Duplicate migration version ${step.version} for '${metaKey}'`);
+            return false;
+        }
+    }
+
+    _migrations[metaKey] = sorted;
+    return true;
+}
+
+/**
+ * Get the schema version a key is upgraded to
+ * @param {string} metaKey - Chat metadata key
+ * @returns {number} 0 when no migrations are registered
+ */
+export function getTargetVersion(metaKey) {
+    const steps = _migrations[metaKey];
+    return steps?.length ? steps[steps.length - 1].version : 0;
+}
+
+/**
+ * Get the keys that have registered migrations
+ * @returns {string[]}
+ */
+export function getMigrationKeys() {
+    return Object.keys(_migrations);
+}
+
+// ============================================================================
+// Version Table
+// ============================================================================
+
+/**
+ * Get (and create if needed) the schema table in chat metadata
+ * @param {Object} md - Chat metadata object
+ * @returns {{versions: Object, backups: Object}}
+ */
+function getSchemaTable(md) {
+    if (!md[SCHEMA_META_KEY] || typeof md[SCHEMA_META_KEY] !== 'object') {
+        md[SCHEMA_META_KEY] = { versions: {}, backups: {} };
+    }
+    const table = md[SCHEMA_META_KEY];
+    table.versions = table.versions || {};
+    table.backups = table.backups || {};
+    return table;
+}
+
+/**
+ * Get the stored schema version of a key
+ * A blob saved before versioning existed reports version 0.
+ *
+ * @param {string} metaKey - Chat metadata key
+ * @param {Object} [md] - Chat metadata (defaults to the current chat)
+ * @returns {number}
+ */
+export function getSchemaVersion(metaKey, md = getSTContext()?.chatMetadata) {
+    return md?.[SCHEMA_META_KEY]?.versions?.[metaKey] ?? 0;
+}
+
+/**
+ * Record the schema version of a blob written from outside (e.g. an imported campaign)
+ * The next migrateMetadataKey() call upgrades it from this version.
+ *
+ * @param {string} metaKey - Chat metadata key
+ * @param {number} version - Schema version of the stored blob
+ * @param {Object} [md] - Chat metadata (defaults to the current chat)
+ */
+export function setSchemaVersion(metaKey, version, md = getSTContext()?.chatMetadata) {
+    if (!md) return;
+    getSchemaTable(md).versions[metaKey] = Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * Get the pre-migration backup for a key, if one exists
+ * @param {string} metaKey - Chat metadata key
+ * @param {Object} [md] - Chat metadata (defaults to the current chat)
+ * @returns {{version: number, takenAt: number, data: *}|null}
+ */
+export function getMigrationBackup(metaKey, md = getSTContext()?.chatMetadata) {
+    return md?.[SCHEMA_META_KEY]?.backups?.[metaKey] || null;
+}
+
+// ============================================================================
+// Running Migrations
+// ============================================================================
+
+/**
+ * Upgrade one chat metadata key to its latest schema version
+ * Runs synchronously so extensions can call it at the top of loadState().
+ * The stored blob is only replaced once every pending step has succeeded.
+ *
+ * @param {string} metaKey - Chat metadata key
+ * @param {Object} [md] - Chat metadata (defaults to the current chat)
+ * @returns {Object} Report: { key, status, fromVersion, toVersion, applied, changes, error }
+ */
+export function migrateMetadataKey(metaKey, md = getSTContext()?.chatMetadata) {
+    const targetVersion = getTargetVersion(metaKey);
+    const report = {
+        key: metaKey,
+        status: 'current',
+        fromVersion: 0,
+        toVersion: targetVersion,
+        applied: [],
+        changes: [],
+        error: null,
+        timestamp: Date.now()
+    };
+
+    if (!md) {
+        report.status = 'unavailable';
+        return report;
+    }
+
+    const table = getSchemaTable(md);
+    const blob = md[metaKey];
+
+    // Nothing stored yet: whatever gets saved next is already in the current format
+    if (blob === undefined || blob === null) {
+        if (table.versions[metaKey] !== targetVersion) {
+            table.versions[metaKey] = targetVersion;
+        }
+        report.status = 'empty';
+        report.fromVersion = targetVersion;
+        return report;
+    }
+
+    const fromVersion = table.versions[metaKey] ?? 0;
+    report.fromVersion = fromVersion;
+
+    if (fromVersion > targetVersion) {
+        console.warn(`${LOG_PREFIX} '${metaKey}' is at v${fromVersion}, newer than this build (v${targetVersion})`);
+        report.status = 'newer';
+        return report;
+    }
+
+    const { data: working, applied, error } = migrateBlob(metaKey, blob, fromVersion);
+    report.applied = applied;
+    if (error) {
+        report.status = 'failed';
+        report.error = error;
+        console.warn(`${LOG_PREFIX} '${metaKey}' left at v${fromVersion}`);
+        recordReport(report);
+        ValdrisEventBus.emit('migrationFailed', report);
+        return report;
+    }
+    if (applied.length === 0) {
+        return report;
+    }
+
+    // Keep the original so the upgrade can be undone
+    table.backups[metaKey] = {
+        version: fromVersion,
+        takenAt: Date.now(),
+        data: cloneValue(blob)
+    };
+
+    md[metaKey] = working;
+    table.versions[metaKey] = targetVersion;
+
+    report.status = 'migrated';
+    report.changes = diffPaths(blob, working);
+
+    console.log(`${LOG_PREFIX} Migrated '${metaKey}' v${fromVersion} -> v${targetVersion}`, report.applied, report.changes);
+
+    recordReport(report);
+    requestSave(metaKey);
+    ValdrisEventBus.emit('stateMigrated', report);
+
+    return report;
+}
+
+/**
+ * Run a key's pending migration steps on a blob that is not stored (e.g. a bundle section)
+ * The blob is cloned; nothing in chat metadata changes.
+ *
+ * @param {string} metaKey - Chat metadata key whose steps apply
+ * @param {*} blob - Data at fromVersion
+ * @param {number} fromVersion - Schema version of the data
+ * @returns {{data: *, applied: Object[], error: string|null}} Upgraded data, or error 'vN: message' with data undefined
+ */
+export function migrateBlob(metaKey, blob, fromVersion) {
+    const pending = (_migrations[metaKey] || []).filter(step => step.version > fromVersion);
+    const applied = [];
+    if (pending.length === 0) {
+        return { data: blob, applied, error: null };
+    }
+
+    let working = cloneValue(blob);
+    let currentStep = null;
+
+    try {
+        for (const step of pending) {
+            currentStep = step;
+            const result = step.migrate(working);
+            if (result !== undefined) {
+                working = result;
+            }
+            applied.push({ version: step.version, description: step.description || '' });
+        }
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Migration of '${metaKey}' failed at v${currentStep?.version}:`, error);
+        return { data: undefined, applied, error: `v${currentStep?.version}: ${error?.message || error}` };
+    }
+    return { data: working, applied, error: null };
+}
+
+/**
+ * Upgrade every key that has registered migrations
+ * @param {Object} [md] - Chat metadata (defaults to the current chat)
+ * @returns {Object[]} One report per key
+ */
+export function migrateAll(md = getSTContext()?.chatMetadata) {
+    return getMigrationKeys().map(key => migrateMetadataKey(key, md));
+}
+
+/**
+ * Restore the pre-migration backup of a key
+ * The key is upgraded again on its next load unless its migrations change.
+ *
+ * @param {string} metaKey - Chat metadata key
+ * @param {Object} [md] - Chat metadata (defaults to the current chat)
+ * @returns {boolean} True if a backup was restored
+ */
+export function rollbackMigration(metaKey, md = getSTContext()?.chatMetadata) {
+    const backup = getMigrationBackup(metaKey, md);
+    if (!backup) {
+        console.warn(`${LOG_PREFIX} No migration backup for '${metaKey}'`);
+        return false;
+    }
+
+    const table = getSchemaTable(md);
+    const fromVersion = table.versions[metaKey] ?? 0;
+
+    md[metaKey] = cloneValue(backup.data);
+    table.versions[metaKey] = backup.version;
+    delete table.backups[metaKey];
+
+    const report = {
+        key: metaKey,
+        status: 'rolledBack',
+        fromVersion,
+        toVersion: backup.version,
+        applied: [],
+        changes: [],
+        error: null,
+        timestamp: Date.now()
+    };
+
+    console.log(`${LOG_PREFIX} Rolled '${metaKey}' back to v${backup.version}`);
+
+    recordReport(report);
+    requestSave(metaKey);
+    ValdrisEventBus.emit('migrationRolledBack', report);
+
+    return true;
+}
+
+/**
+ * Get reports from migrations run this session
+ * @returns {Object[]}
+ */
+export function getMigrationLog() {
+    return [..._migrationLog];
+}
+
+// ============================================================================
+// Step Helpers
+// ============================================================================
+
+/**
+ * Fill in fields missing from a blob using a defaults object, recursively
+ * Existing values are never overwritten, unlike a shallow spread of defaults.
+ *
+ * @param {Object} blob - Stored data
+ * @param {Object} defaults - Default shape
+ * @returns {Object} The blob with missing fields added
+ */
+export function fillDefaults(blob, defaults) {
+    if (!isPlainObject(defaults)) return blob;
+    const output = isPlainObject(blob) ? blob : {};
+
+    for (const key of Object.keys(defaults)) {
+        if (output[key] === undefined) {
+            output[key] = cloneValue(defaults[key]);
+        } else if (isPlainObject(output[key]) && isPlainObject(defaults[key])) {
+            fillDefaults(output[key], defaults[key]);
+        }
+    }
+
+    return output;
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Append a report to the session log
+ * @param {Object} report - Migration report
+ */
+function recordReport(report) {
+    _migrationLog.push(report);
+    while (_migrationLog.length > MAX_LOG) {
+        _migrationLog.shift();
+    }
+}
+
+/**
+ * Mark a migrated key and the version table for the next chat save
+ * @param {string} metaKey - Chat metadata key
+ */
+function requestSave(metaKey) {
+    markDirty(metaKey, 'valdris-migrations');
+    markDirty(SCHEMA_META_KEY, 'valdris-migrations');
+}
+
+/**
+ * List dot paths that were added, removed or changed between two values
+ * Arrays are compared as a whole.
+ *
+ * @param {*} before - Original value
+ * @param {*} after - Migrated value
+ * @param {string} [prefix] - Path prefix for recursion
+ * @returns {Array<{path: string, type: string}>}
+ */
+function diffPaths(before, after, prefix = '') {
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const changes = [];
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (!(key in after)) {
+                changes.push({ path, type: 'removed' });
+            } else if (!(key in before)) {
+                changes.push({ path, type: 'added' });
+            } else {
+                changes.push(...diffPaths(before[key], after[key], path));
+            }
+        }
+        return changes;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+        return [{ path: prefix || '(root)', type: 'changed' }];
+    }
+    return [];
+}
+
+/**
+ * Deep clone a JSON-compatible value
+ * @param {*} value - Value to clone
+ * @returns {*}
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check if value is a plain object
+ * @param {*} item - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(item) {
+    return !!item && typeof item === 'object' && !Array.isArray(item);
+}
+
+// Export defaults
+export default {
+    registerMigrations,
+    getTargetVersion,
+    getMigrationKeys,
+    getSchemaVersion,
+    setSchemaVersion,
+    getMigrationBackup,
+    migrateMetadataKey,
+    migrateBlob,
+    migrateAll,
+    rollbackMigration,
+    getMigrationLog,
+    fillDefaults
+};
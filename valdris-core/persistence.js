@@ -0,0 +1,478 @@
+/**
+ * Valdris Core - Persistence
+ *
+ * Chat metadata is saved with the chat file, through SillyTavern's
+ * saveMetadata(). Extensions change their metadata key in place and then mark
+ * it dirty; dirty keys are saved together after a short pause in writes, or
+ * at the latest a few seconds after the first one, so a burst of changes is
+ * one save:
+ *
+ *     context.chat_metadata.valdris_world_state = state;
+ *     ValdrisCore.markDirty('valdris_world_state', 'valdris-world-state');
+ *
+ * Saves wait while a transaction is open (its commit marks the core blob).
+ * Pending changes are flushed when the tab is hidden or closed, and a failed
+ * save keeps its keys dirty and is tried again.
+ *
+ * Every few minutes of play, and when the tab closes, the tracked keys (the
+ * same ones message snapshots cover) are copied to IndexedDB in this browser.
+ * The last few copies per chat are kept and can be restored from the debug
+ * panel after a crash or a bad save. Restoring first backs up the current
+ * state, so it can be undone the same way.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getSTContext, captureSnapshot, writeMetadataKeys, isInTransaction } from './core-state.js';
+
+const LOG_PREFIX = '[ValdrisCore:Persistence]';
+
+// Quiet time after the last write before saving
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+// A steady stream of writes still saves this often
+const MAX_SAVE_WAIT_MS = 5000;
+
+// Wait before trying a failed save again
+const RETRY_DELAY_MS = 10000;
+
+// Automatic backups of one chat are at least this far apart
+const BACKUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Backups kept per chat unless configured
+const DEFAULT_MAX_BACKUPS = 10;
+
+// IndexedDB layout
+const BACKUP_DB_NAME = 'valdris-backups';
+const BACKUP_DB_VERSION = 1;
+const BACKUP_STORE = 'backups';
+
+// Dirty keys: key -> { source, since }
+const _dirty = new Map();
+
+// Told about every markDirty call (undo history uses it to know which keys to compare)
+const _dirtyListeners = new Set();
+
+// Newest backup contents per chat, to skip identical copies
+const _lastBackup = new Map();
+
+let _options = {
+    saveDelayMs: DEFAULT_SAVE_DELAY_MS,
+    maxBackups: DEFAULT_MAX_BACKUPS
+};
+
+let _timer = null;
+let _firstDirtyAt = null;
+let _saving = null;
+let _lastSavedAt = null;
+let _lastError = null;
+let _dbPromise = null;
+let _started = false;
+
+// ============================================================================
+// Dirty Tracking
+// ============================================================================
+
+/**
+ * Mark a chat metadata key as changed; it is saved with the next flush
+ * Pass the open transaction as options.tx when the change belongs to it, so a
+ * rollback puts the key back too.
+ *
+ * @param {string} key - Chat metadata key
+ * @param {string} [source] - Extension or subsystem that changed it
+ * @param {Object} [options] - { tx }
+ */
+export function markDirty(key, source = 'unknown', options = {}) {
+    if (!key) return;
+    if (options.tx?.isOpen?.()) options.tx.keys.add(key);
+
+    for (const listener of _dirtyListeners) {
+        try {
+            listener(key, source);
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Dirty listener failed:`, error);
+        }
+    }
+
+    if (!_dirty.has(key)) {
+        _dirty.set(key, { source, since: Date.now() });
+    }
+    if (_firstDirtyAt === null) {
+        _firstDirtyAt = Date.now();
+    }
+    scheduleSave();
+}
+
+/**
+ * Be told about every key marked dirty, whether or not a save is already pending
+ * @param {Function} listener - (key, source) => void
+ * @returns {Function} Unsubscribe
+ */
+export function onMarkDirty(listener) {
+    _dirtyListeners.add(listener);
+    return () => _dirtyListeners.delete(listener);
+}
+
+/**
+ * Check whether anything is waiting to be saved
+ * @returns {boolean}
+ */
+export function hasUnsavedChanges() {
+    return _dirty.size > 0 || !!_saving;
+}
+
+/**
+ * Get the save state for the debug panel
+ * @returns {{dirty: Object[], saving: boolean, lastSavedAt: number|null, lastError: string|null, backups: boolean}}
+ */
+export function getPersistenceStatus() {
+    return {
+        dirty: [..._dirty].map(([key, entry]) => ({ key, ...entry })),
+        saving: !!_saving,
+        lastSavedAt: _lastSavedAt,
+        lastError: _lastError,
+        backups: isBackupAvailable()
+    };
+}
+
+/**
+ * Set save and backup options
+ * @param {Object} options - { saveDelayMs, maxBackups } (0 backups turns them off)
+ */
+export function setPersistenceOptions(options = {}) {
+    if (Number.isFinite(options.saveDelayMs) && options.saveDelayMs >= 0) {
+        _options.saveDelayMs = options.saveDelayMs;
+    }
+    if (Number.isInteger(options.maxBackups) && options.maxBackups >= 0) {
+        _options.maxBackups = options.maxBackups;
+    }
+}
+
+// ============================================================================
+// Saving
+// ============================================================================
+
+/**
+ * Save dirty keys now
+ * Only one save runs at a time; keys marked during a save go out with the next.
+ *
+ * @param {string} [reason='manual'] - Why ('debounced', 'hidden', 'unload', ...)
+ * @returns {Promise<boolean>} True if nothing is left unsaved
+ */
+export async function flushSave(reason = 'manual') {
+    clearTimeout(_timer);
+    _timer = null;
+
+    while (_saving) {
+        await _saving;
+    }
+    if (!_dirty.size) return true;
+
+    // The commit marks the core blob again, so this save would be early
+    if (isInTransaction()) {
+        scheduleSave();
+        return false;
+    }
+
+    const ctx = getSTContext();
+    if (typeof ctx?.saveMetadata !== 'function') {
+        console.warn(`${LOG_PREFIX} Cannot save: SillyTavern context has no saveMetadata`);
+        return false;
+    }
+
+    const pending = new Map(_dirty);
+    _dirty.clear();
+    _firstDirtyAt = null;
+
+    _saving = (async () => {
+        try {
+            await ctx.saveMetadata();
+            _lastSavedAt = Date.now();
+            _lastError = null;
+            ValdrisEventBus.emit('metadataSaved', { keys: [...pending.keys()], reason });
+            if (reason !== 'unload') backupIfDue();
+            return true;
+        } catch (error) {
+            // Put the keys back unless they were marked again meanwhile
+            for (const [key, entry] of pending) {
+                if (!_dirty.has(key)) _dirty.set(key, entry);
+            }
+            _firstDirtyAt = _firstDirtyAt ?? Date.now();
+            _lastError = error?.message || String(error);
+            console.error(`${LOG_PREFIX} Save failed (${reason}), retrying:`, error);
+            ValdrisEventBus.emit('metadataSaveFailed', { keys: [...pending.keys()], reason, error: _lastError });
+            clearTimeout(_timer);
+            _timer = setTimeout(() => flushSave('retry'), RETRY_DELAY_MS);
+            return false;
+        } finally {
+            _saving = null;
+        }
+    })();
+
+    return _saving;
+}
+
+/**
+ * Flush on tab hide and close
+ */
+export function startPersistence() {
+    if (_started || typeof window === 'undefined' || !window.addEventListener) return;
+    _started = true;
+    window.addEventListener('beforeunload', onBeforeUnload);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+}
+
+/**
+ * Stop listening for tab hide and close, saving what is pending
+ * @returns {Promise<boolean>}
+ */
+export function stopPersistence() {
+    if (_started) {
+        window.removeEventListener('beforeunload', onBeforeUnload);
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        _started = false;
+    }
+    return flushSave('unload');
+}
+
+// ============================================================================
+// Backups
+// ============================================================================
+
+/**
+ * Check whether this browser can keep backups
+ * @returns {boolean}
+ */
+export function isBackupAvailable() {
+    return typeof indexedDB !== 'undefined' && _options.maxBackups > 0;
+}
+
+/**
+ * Copy the current chat's tracked keys to IndexedDB
+ * The contents are taken synchronously, before the first await.
+ *
+ * @param {string} [reason='manual'] - Why the backup was taken
+ * @param {Object} [options] - { force: store it even if identical to the last one }
+ * @returns {Promise<number|null>} Backup id, or null if none was stored
+ */
+export async function createBackup(reason = 'manual', { force = false } = {}) {
+    if (!isBackupAvailable()) return null;
+
+    const ctx = getSTContext();
+    const chatId = getChatId(ctx);
+    const data = captureSnapshot();
+    if (!chatId || !data || !Object.keys(data).length) return null;
+
+    const json = JSON.stringify(data);
+    if (!force && _lastBackup.get(chatId)?.json === json) return null;
+    _lastBackup.set(chatId, { json, at: Date.now() });
+
+    const record = {
+        chatId,
+        chatName: ctx.name2 || ctx.groupId || chatId,
+        reason,
+        createdAt: Date.now(),
+        keys: Object.keys(data),
+        bytes: json.length,
+        data
+    };
+
+    try {
+        const db = await openBackupDb();
+        const id = await request(db.transaction(BACKUP_STORE, 'readwrite').objectStore(BACKUP_STORE).add(record));
+        await pruneBackups(db, chatId);
+        return id;
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Backup failed:`, error);
+        return null;
+    }
+}
+
+/**
+ * List backups, newest first, without their contents
+ * @param {Object} [options] - { chatId: defaults to the current chat, all: every chat }
+ * @returns {Promise<Object[]>} { id, chatId, chatName, reason, createdAt, keys, bytes }
+ */
+export async function listBackups({ chatId = getChatId(getSTContext()), all = false } = {}) {
+    if (!isBackupAvailable() || (!all && !chatId)) return [];
+
+    try {
+        const db = await openBackupDb();
+        const store = db.transaction(BACKUP_STORE, 'readonly').objectStore(BACKUP_STORE);
+        const records = await request(all ? store.getAll() : store.index('chatId').getAll(chatId));
+        return records
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(({ data, ...meta }) => meta);
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Could not list backups:`, error);
+        return [];
+    }
+}
+
+/**
+ * Put a backup's keys back into the current chat and save
+ * Tracked keys the backup does not have are removed. The current state is
+ * backed up first. Extensions reload on 'stateRestored'.
+ *
+ * @param {number} id - Backup id
+ * @returns {Promise<boolean>} True if restored
+ */
+export async function restoreBackup(id) {
+    if (!isBackupAvailable()) return false;
+
+    let record;
+    try {
+        const db = await openBackupDb();
+        record = await request(db.transaction(BACKUP_STORE, 'readonly').objectStore(BACKUP_STORE).get(id));
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Could not read backup ${id}:`, error);
+        return false;
+    }
+    if (!record?.data) {
+        console.warn(`${LOG_PREFIX} No backup ${id}`);
+        return false;
+    }
+
+    await createBackup('before restore', { force: true });
+
+    const values = Object.fromEntries(Object.keys(captureSnapshot() || {}).map(key => [key, undefined]));
+    Object.assign(values, record.data);
+
+    const keys = await writeMetadataKeys(values);
+    if (!keys.length) return false;
+
+    console.log(`${LOG_PREFIX} Restored backup ${id} from ${new Date(record.createdAt).toLocaleString()}`);
+    ValdrisEventBus.emit('stateRestored', { backup: id, keys });
+
+    return flushSave('restore');
+}
+
+/**
+ * Delete a backup
+ * @param {number} id - Backup id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteBackup(id) {
+    if (!isBackupAvailable()) return false;
+
+    try {
+        const db = await openBackupDb();
+        await request(db.transaction(BACKUP_STORE, 'readwrite').objectStore(BACKUP_STORE).delete(id));
+        return true;
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Could not delete backup ${id}:`, error);
+        return false;
+    }
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Start or restart the save timer
+ */
+function scheduleSave() {
+    clearTimeout(_timer);
+    const untilDeadline = (_firstDirtyAt ?? Date.now()) + MAX_SAVE_WAIT_MS - Date.now();
+    _timer = setTimeout(() => flushSave('debounced'), Math.max(0, Math.min(_options.saveDelayMs, untilDeadline)));
+}
+
+/**
+ * Take an automatic backup if the chat has not had one for a while
+ */
+function backupIfDue() {
+    const chatId = getChatId(getSTContext());
+    const last = chatId ? _lastBackup.get(chatId) : null;
+    if (last && Date.now() - last.at < BACKUP_INTERVAL_MS) return;
+    createBackup('auto');
+}
+
+/**
+ * Get the current chat's id
+ * @param {Object} ctx - SillyTavern context
+ * @returns {string|null}
+ */
+function getChatId(ctx) {
+    return ctx?.getCurrentChatId?.() ?? ctx?.chatId ?? null;
+}
+
+/**
+ * Open (and on first use create) the backup database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openBackupDb() {
+    if (!_dbPromise) {
+        _dbPromise = new Promise((resolve, reject) => {
+            const open = indexedDB.open(BACKUP_DB_NAME, BACKUP_DB_VERSION);
+            open.onupgradeneeded = () => {
+                const store = open.result.createObjectStore(BACKUP_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('chatId', 'chatId', { unique: false });
+            };
+            open.onsuccess = () => resolve(open.result);
+            open.onerror = () => reject(open.error);
+        }).catch(error => {
+            _dbPromise = null;
+            throw error;
+        });
+    }
+    return _dbPromise;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} req
+ * @returns {Promise<*>}
+ */
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Drop a chat's oldest backups beyond the limit
+ * @param {IDBDatabase} db
+ * @param {string} chatId
+ */
+async function pruneBackups(db, chatId) {
+    const store = db.transaction(BACKUP_STORE, 'readwrite').objectStore(BACKUP_STORE);
+    const ids = await request(store.index('chatId').getAllKeys(chatId));
+    const excess = ids.sort((a, b) => a - b).slice(0, Math.max(0, ids.length - _options.maxBackups));
+    for (const id of excess) {
+        store.delete(id);
+    }
+}
+
+/**
+ * The tab is closing: back up and save what is pending
+ * Neither is guaranteed to finish, so the backup is started first.
+ */
+function onBeforeUnload() {
+    if (!hasUnsavedChanges()) return;
+    createBackup('unload');
+    flushSave('unload');
+}
+
+/**
+ * Save when the tab is hidden - the last reliable moment on mobile and on close
+ */
+function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') flushSave('hidden');
+}
+
+export default {
+    markDirty,
+    onMarkDirty,
+    hasUnsavedChanges,
+    getPersistenceStatus,
+    setPersistenceOptions,
+    flushSave,
+    startPersistence,
+    stopPersistence,
+    isBackupAvailable,
+    createBackup,
+    listBackups,
+    restoreBackup,
+    deleteBackup
+};
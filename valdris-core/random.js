@@ -0,0 +1,224 @@
+/**
+ * Valdris Core - Seeded Randomness
+ *
+ * Reproducible random numbers for world generation. Each campaign keeps a seed
+ * in chat metadata; createRandom() derives an independent stream from that seed,
+ * a subsystem name and an in-game date, so rolling back or re-running a day
+ * rolls the same weather, prices and stock again, and a bug report that
+ * includes the seed can be replayed exactly.
+ *
+ * Getting a different result is explicit: rerollRandom('weather') advances one
+ * subsystem's streams, rerollRandom() advances every stream.
+ *
+ * Stored shape (chat metadata):
+ * {
+ *     seed: 'k3x9q2',                   // Campaign seed
+ *     generation: 0,                    // Bumped by rerollRandom()
+ *     rerolls: { weather: 2 }           // Bumped by rerollRandom(stream)
+ * }
+ *
+ * Usage:
+ *     const random = createRandom('market', date);
+ *     if (random() < 0.1) { ... }       // Drop-in for Math.random()
+ *     random.int(1, 6);
+ *     random.pick(['rain', 'fog']);
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getSTContext, getDomainState, registerSnapshotKey } from './core-state.js';
+import { registerBundleSection } from './campaign-bundle.js';
+import { markDirty } from './persistence.js';
+
+const LOG_PREFIX = '[ValdrisCore:Random]';
+
+// Chat metadata key holding the seed
+const RANDOM_META_KEY = 'valdris_random_v1';
+
+// Used when no chat is open, so generation still works (but is not saved)
+let _sessionStore = null;
+
+// Rerolls roll back with swipes, and the seed travels with campaign bundles
+registerSnapshotKey(RANDOM_META_KEY);
+registerBundleSection({ id: 'random', name: 'Random seed', metaKey: RANDOM_META_KEY });
+
+// ============================================================================
+// Streams
+// ============================================================================
+
+/**
+ * Create a seeded random stream
+ * The same seed, stream, date and reroll count always give the same sequence.
+ *
+ * @param {string} stream - Subsystem name, e.g. 'weather', 'market', 'shop:smithy'
+ * @param {Object|string|null} [date] - In-game date { year, month, day }; defaults
+ *     to the current date from the time domain, null for a dateless stream
+ * @returns {Function} Returns numbers in [0, 1), with int(min, max) and pick(list) helpers
+ */
+export function createRandom(stream, date = getCurrentDate()) {
+    const store = getStore();
+    const key = [
+        store.seed,
+        store.generation,
+        stream,
+        store.rerolls[stream] || 0,
+        formatDateKey(date)
+    ].join('|');
+
+    const next = mulberry32(hashString(key));
+    const random = () => next();
+    random.int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    random.pick = (list) => list.length ? list[Math.floor(next() * list.length)] : undefined;
+    return random;
+}
+
+/**
+ * Advance the seed so streams roll differently
+ * @param {string} [stream] - Subsystem to reroll; omit to reroll everything
+ * @returns {number} The new reroll count (or generation)
+ */
+export function rerollRandom(stream) {
+    const store = getStore();
+    let count;
+    if (stream) {
+        count = store.rerolls[stream] = (store.rerolls[stream] || 0) + 1;
+    } else {
+        count = ++store.generation;
+    }
+
+    requestSave();
+    ValdrisEventBus.emit('randomRerolled', { stream: stream || null, count });
+    return count;
+}
+
+// ============================================================================
+// Seed
+// ============================================================================
+
+/**
+ * Get the campaign seed, creating one for a new chat
+ * @returns {string}
+ */
+export function getRandomSeed() {
+    return getStore().seed;
+}
+
+/**
+ * Replace the campaign seed (e.g. to replay a bug report) and clear all rerolls
+ * @param {string|number} seed - New seed; empty picks a fresh one
+ * @returns {string} The seed now in use
+ */
+export function setRandomSeed(seed) {
+    const store = getStore();
+    store.seed = String(seed ?? '').trim() || newSeed();
+    store.generation = 0;
+    store.rerolls = {};
+
+    requestSave();
+    ValdrisEventBus.emit('randomRerolled', { stream: null, count: 0, seed: store.seed });
+    console.log(`${LOG_PREFIX} Seed set to ${store.seed}`);
+    return store.seed;
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Get (and create if needed) the seed store in chat metadata
+ * @returns {{seed: string, generation: number, rerolls: Object}}
+ */
+function getStore() {
+    const md = getSTContext()?.chatMetadata;
+    const created = md ? !md[RANDOM_META_KEY] : !_sessionStore;
+
+    let store = md ? md[RANDOM_META_KEY] : _sessionStore;
+    if (!store || typeof store !== 'object') {
+        store = { seed: newSeed(), generation: 0, rerolls: {} };
+        if (md) md[RANDOM_META_KEY] = store;
+        else _sessionStore = store;
+    }
+    if (typeof store.seed !== 'string' || !store.seed) store.seed = newSeed();
+    if (!Number.isInteger(store.generation)) store.generation = 0;
+    if (!store.rerolls || typeof store.rerolls !== 'object') store.rerolls = {};
+
+    if (created && md) requestSave();
+    return store;
+}
+
+/**
+ * Mark the seed store for saving
+ */
+function requestSave() {
+    markDirty(RANDOM_META_KEY, 'valdris-random');
+}
+
+/**
+ * Pick a fresh seed
+ * @returns {string}
+ */
+function newSeed() {
+    return Math.floor(Math.random() * 0x100000000).toString(36);
+}
+
+/**
+ * Read the current in-game date from the time domain
+ * @returns {Object|null}
+ */
+function getCurrentDate() {
+    const time = getDomainState('time');
+    if (!time || !Number.isInteger(time.year)) return null;
+    return { year: time.year, month: time.month, day: time.day };
+}
+
+/**
+ * Reduce a date to the part that picks a stream (times of day share one stream)
+ * @param {Object|string|null} date - Date object or key
+ * @returns {string}
+ */
+function formatDateKey(date) {
+    if (!date) return '';
+    if (typeof date !== 'object') return String(date);
+    return `${date.year ?? ''}-${date.month ?? ''}-${date.day ?? ''}`;
+}
+
+/**
+ * Hash a string to a 32-bit seed (xmur3)
+ * @param {string} text - Text to hash
+ * @returns {number}
+ */
+function hashString(text) {
+    let h = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Mulberry32 generator
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function mulberry32(seed) {
+    let a = seed;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export default {
+    createRandom,
+    rerollRandom,
+    getRandomSeed,
+    setRandomSeed
+};
@@ -0,0 +1,330 @@
+/**
+ * Valdris Core - World Simulation
+ *
+ * Daily processors are the upkeep each extension does when a day passes:
+ * wounds heal, companion needs decay, relationships drift, markets move,
+ * hazards expire, weather rolls. Core runs them in order on every live
+ * 'newDay', once for each day it crossed, and simulate(days) steps the calendar
+ * a day at a time with no chat in between, returning one digest of everything
+ * that changed. The time engine awaits the live run before advanceTime returns.
+ *
+ * Processors never touch live data while a run is in progress. Core deep-copies
+ * what `read` returns, `process` changes that copy once per day and reports
+ * what changed, and `commit` stores the copy after the last day. The commits
+ * share one transaction and one save. A preview skips the commit, so only the
+ * digest comes back.
+ *
+ * Processor shape (registerDailyProcessor):
+ * {
+ *     owner: 'valdris-npc-social',
+ *     name: 'Relationship drift',
+ *     domain: 'npcs',                        // Domain it changes, for the digest
+ *     order: 50,                             // Lower runs first (ties in registration order)
+ *     read: () => data,
+ *     process: (working, context) => ['Mira grows distant'] | void,
+ *     commit: async (working, { tx, simulated }) => {}   // Pass tx to every write
+ * }
+ *
+ * context: { day, days, date, simulated, preview }. `date` is the time state of
+ * the day being processed. `simulated` is false for a live 'newDay', where the
+ * time engine has already moved the clock; the time processor then winds its
+ * copy back to the first day crossed and steps it up to the current one, and
+ * on commit writes only what the run changed (weather, sky) onto live state,
+ * which the jump itself has already saved.
+ *
+ * Conventional orders: time 0, world 20, player 40, npcs 50, factions 60, economy 70.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getDomainState, transaction } from './core-state.js';
+
+const LOG_PREFIX = '[ValdrisCore:Simulation]';
+
+// Longest simulate() call accepted
+export const MAX_SIMULATION_DAYS = 365;
+
+// Registered processors, by id
+const _processors = new Map();
+
+// True while a run is in progress, so a 'newDay' from a commit does not start another
+let _running = false;
+
+// Digest of the most recent run, for the debug panel
+let _lastDigest = null;
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register a daily processor
+ * Registering the same id again replaces the previous processor.
+ *
+ * @param {string} id - Processor id ('vns.decay')
+ * @param {Object} definition - Processor definition (see module header)
+ * @returns {boolean} True if registered
+ */
+export function registerDailyProcessor(id, definition) {
+    const missing = ['read', 'process', 'commit'].filter(fn => typeof definition?.[fn] !== 'function');
+    if (!id || missing.length) {
+        console.error(`${LOG_PREFIX} Daily processor '${id}' is missing ${missing.join(', ') || 'an id'}`);
+        return false;
+    }
+
+    _processors.delete(id);
+    _processors.set(id, {
+        id,
+        owner: definition.owner || null,
+        name: definition.name || id,
+        domain: definition.domain || null,
+        order: Number.isFinite(definition.order) ? definition.order : 50,
+        read: definition.read,
+        process: definition.process,
+        commit: definition.commit
+    });
+    return true;
+}
+
+/**
+ * Remove a daily processor
+ * @param {string} id - Processor id
+ */
+export function unregisterDailyProcessor(id) {
+    _processors.delete(id);
+}
+
+/**
+ * Get registered processors in run order
+ * @returns {Array<{id: string, owner: string, name: string, domain: string, order: number}>}
+ */
+export function getDailyProcessors() {
+    return sortedProcessors().map(({ id, owner, name, domain, order }) => ({ id, owner, name, domain, order }));
+}
+
+// ============================================================================
+// Simulation
+// ============================================================================
+
+/**
+ * Simulate days passing
+ * @param {number} days - Whole days to simulate (1 to MAX_SIMULATION_DAYS)
+ * @param {Object} options - { preview: true to leave live state untouched }
+ * @returns {Promise<Object>} Digest (see runDays)
+ */
+export async function simulate(days, options = {}) {
+    days = Number(days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SIMULATION_DAYS) {
+        throw new Error(`Days must be a whole number from 1 to ${MAX_SIMULATION_DAYS}`);
+    }
+    if (_running) {
+        throw new Error('A simulation is already running');
+    }
+
+    return runDays(days, { simulated: true, preview: !!options.preview });
+}
+
+/**
+ * Run the processors for the days a live time jump crossed
+ * Joins the jump's transaction when it has one.
+ *
+ * @param {Object} data - 'newDay' event data: { date, days, tx? }
+ */
+async function onNewDay(data) {
+    if (_running) return;
+    const days = Math.min(Math.max(1, Math.floor(Number(data?.days)) || 1), MAX_SIMULATION_DAYS);
+    try {
+        await runDays(days, { simulated: false, preview: false, date: data?.date, tx: data?.tx });
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Daily processing failed:`, error);
+    }
+}
+
+/**
+ * Run every processor for a number of days on working copies, then commit
+ * A processor that throws is reported and left out of the remaining days and the commit.
+ *
+ * @param {number} days - Days to run
+ * @param {Object} options - { simulated, preview, date?, tx?: transaction to commit in }
+ * @returns {Promise<Object>} Digest: { days, simulated, preview, from, to, daily: [{ day, date, changes }], errors, timestamp }
+ */
+async function runDays(days, options) {
+    _running = true;
+    try {
+        const processors = sortedProcessors();
+        const working = new Map();
+        const errors = [];
+
+        for (const processor of processors) {
+            try {
+                working.set(processor.id, cloneData(await processor.read()));
+            } catch (error) {
+                errors.push({ processor: processor.id, day: 0, error: error?.message || String(error) });
+            }
+        }
+
+        // The time processor's copy is the calendar for every later processor
+        const clock = processors.find(p => p.domain === 'time' && working.has(p.id));
+        const currentDate = () => (clock && working.get(clock.id)) || options.date || getDomainState('time');
+        const start = summarizeDate(currentDate());
+
+        const daily = [];
+        for (let day = 1; day <= days; day++) {
+            const changes = [];
+            for (const processor of processors) {
+                if (!working.has(processor.id)) continue;
+
+                const context = {
+                    day,
+                    days,
+                    date: currentDate(),
+                    simulated: options.simulated,
+                    preview: options.preview
+                };
+                try {
+                    const reported = await processor.process(working.get(processor.id), context);
+                    for (const summary of Array.isArray(reported) ? reported : []) {
+                        if (!summary) continue;
+                        changes.push({ processor: processor.id, domain: processor.domain, summary: String(summary) });
+                    }
+                } catch (error) {
+                    console.error(`${LOG_PREFIX} ${processor.id} failed on day ${day}:`, error);
+                    errors.push({ processor: processor.id, day, error: error?.message || String(error) });
+                    working.delete(processor.id);
+                }
+            }
+            daily.push({ day, date: summarizeDate(currentDate()), changes });
+        }
+
+        if (!options.preview) {
+            try {
+                await transaction(async (tx) => {
+                    for (const processor of processors) {
+                        if (!working.has(processor.id)) continue;
+                        try {
+                            await processor.commit(working.get(processor.id), { tx, simulated: options.simulated });
+                        } catch (error) {
+                            console.error(`${LOG_PREFIX} ${processor.id} failed to commit:`, error);
+                            errors.push({ processor: processor.id, day: null, error: error?.message || String(error) });
+                        }
+                    }
+                }, {
+                    source: 'simulation',
+                    label: options.simulated ? `Simulate ${days} day${days === 1 ? '' : 's'}` : 'New day',
+                    tx: options.tx
+                });
+            } catch (error) {
+                errors.push({ processor: 'commit', day: null, error: error?.message || String(error) });
+            }
+        }
+
+        const digest = {
+            days,
+            simulated: options.simulated,
+            preview: options.preview,
+            // A live run starts on a day the clock has already reached
+            from: options.simulated ? start : (daily[0]?.date || start),
+            to: summarizeDate(currentDate()),
+            daily,
+            errors,
+            timestamp: Date.now()
+        };
+        _lastDigest = digest;
+
+        if (options.simulated && !options.preview) {
+            ValdrisEventBus.emit('simulationCompleted', digest);
+        }
+        return digest;
+    } finally {
+        _running = false;
+    }
+}
+
+/**
+ * Get the digest of the most recent run (live day, simulation or preview)
+ * @returns {Object|null}
+ */
+export function getLastDigest() {
+    return _lastDigest;
+}
+
+/**
+ * Render a digest as plain text
+ * @param {Object} digest - From simulate()
+ * @returns {string}
+ */
+export function formatSimulationDigest(digest) {
+    if (!digest) return '';
+
+    const lines = [
+        `${digest.preview ? 'Preview of ' : ''}${digest.days} day${digest.days === 1 ? '' : 's'}: ${formatDate(digest.from)} -> ${formatDate(digest.to)}`
+    ];
+    for (const { date, changes } of digest.daily) {
+        if (!changes.length) continue;
+        lines.push(`${formatDate(date)}:`);
+        lines.push(...changes.map(change => `  - ${change.summary}`));
+    }
+    if (lines.length === 1) lines.push('Nothing changed');
+    for (const { processor, day, error } of digest.errors) {
+        lines.push(`! ${processor}${day ? ` (day ${day})` : ''}: ${error}`);
+    }
+    return lines.join('\n');
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Processors in run order
+ * @returns {Object[]}
+ */
+function sortedProcessors() {
+    // Array sort is stable, so equal orders keep registration order
+    return [..._processors.values()].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Deep-copy processor data
+ * @param {*} data - Data from read()
+ * @returns {*}
+ */
+function cloneData(data) {
+    if (data === undefined || data === null) return data;
+    try {
+        return structuredClone(data);
+    } catch (error) {
+        return JSON.parse(JSON.stringify(data));
+    }
+}
+
+/**
+ * Reduce a time state to its calendar date
+ * @param {Object|null} time - Time state
+ * @returns {Object|null} { year, month, monthName, day }
+ */
+function summarizeDate(time) {
+    if (!time) return null;
+    return { year: time.year, month: time.month, monthName: time.monthName, day: time.day };
+}
+
+/**
+ * Format a summarized date
+ * @param {Object|null} date - From summarizeDate()
+ * @returns {string}
+ */
+function formatDate(date) {
+    return date ? `${date.day} ${date.monthName || `Month ${date.month}`}, ${date.year}` : 'Undated';
+}
+
+// Live days run the same processors
+ValdrisEventBus.on('newDay', onNewDay, { id: 'valdris-simulation' });
+
+export default {
+    MAX_SIMULATION_DAYS,
+    registerDailyProcessor,
+    unregisterDailyProcessor,
+    getDailyProcessors,
+    simulate,
+    getLastDigest,
+    formatSimulationDigest
+};
@@ -0,0 +1,321 @@
+/**
+ * Valdris Core - Slash Commands
+ *
+ * Shared plumbing for the Valdris STscript namespace (/vtime, /vgold, /vhp, ...).
+ * Each extension registers the commands for the domain it owns and delegates to
+ * its own functions; core only wraps SillyTavern's SlashCommandParser so every
+ * command tokenizes arguments the same way, reports errors the same way and
+ * returns a string for the pipe.
+ *
+ * Command shape:
+ * {
+ *     name: 'vtime',
+ *     owner: 'valdris-time-celestial',
+ *     helpString: 'In-game time',
+ *     usage: '<args>',                      // Shown on bad input when there are no subcommands
+ *     subcommands: {                        // First argument word selects one
+ *         advance: {
+ *             usage: '<duration>',
+ *             help: 'Advance time, e.g. 3h, 1d 4h, 90m',
+ *             run: (args, namedArgs, rest) => 'pipe value'
+ *         }
+ *     },
+ *     run: (args, namedArgs, rest) => 'pipe value'   // Used when there are no subcommands
+ * }
+ *
+ * `args` is the tokenized argument list (double quotes group words) and `rest` is
+ * the raw text after the subcommand. Throw an Error to report bad input; the
+ * message is shown to the user and the command returns an empty string.
+ */
+
+const LOG_PREFIX = '[ValdrisCore:Commands]';
+
+// Registered commands, by name
+const _commands = new Map();
+
+// Resolved SillyTavern slash command API (null until loaded, false if unavailable)
+let _slashApi = null;
+
+// ============================================================================
+// SillyTavern API
+// ============================================================================
+
+/**
+ * Load SillyTavern's slash command classes
+ * Falls back to the legacy registerSlashCommand() on older SillyTavern builds.
+ *
+ * @returns {Promise<Object|false>}
+ */
+async function loadSlashApi() {
+    if (_slashApi !== null) return _slashApi;
+
+    try {
+        const [parserModule, commandModule, argumentModule] = await Promise.all([
+            import('../../../slash-commands/SlashCommandParser.js'),
+            import('../../../slash-commands/SlashCommand.js'),
+            import('../../../slash-commands/SlashCommandArgument.js')
+        ]);
+        _slashApi = {
+            SlashCommandParser: parserModule.SlashCommandParser,
+            SlashCommand: commandModule.SlashCommand,
+            SlashCommandArgument: argumentModule.SlashCommandArgument,
+            ARGUMENT_TYPE: argumentModule.ARGUMENT_TYPE
+        };
+        return _slashApi;
+    } catch (e) {
+        // Older builds only expose the legacy function
+    }
+
+    try {
+        const legacyModule = await import('../../../slash-commands.js');
+        if (typeof legacyModule.registerSlashCommand === 'function') {
+            _slashApi = { registerSlashCommand: legacyModule.registerSlashCommand };
+            return _slashApi;
+        }
+    } catch (e) {
+        console.warn(`${LOG_PREFIX} SillyTavern slash commands not available`, e);
+    }
+
+    _slashApi = false;
+    return _slashApi;
+}
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register a Valdris slash command with SillyTavern
+ * Registering the same name again replaces the previous handler.
+ *
+ * @param {Object} command - Command definition (see module header)
+ * @returns {Promise<boolean>} True if SillyTavern accepted the command
+ */
+export async function registerValdrisCommand(command) {
+    if (!command?.name || (typeof command.run !== 'function' && !command.subcommands)) {
+        console.error(`${LOG_PREFIX} Command needs a name and a run function or subcommands`, command);
+        return false;
+    }
+
+    const normalized = {
+        name: command.name,
+        owner: command.owner || null,
+        helpString: command.helpString || '',
+        usage: command.usage || '',
+        aliases: Array.isArray(command.aliases) ? command.aliases : [],
+        subcommands: command.subcommands || null,
+        run: command.run || null
+    };
+    _commands.set(normalized.name, normalized);
+
+    const api = await loadSlashApi();
+    if (!api) return false;
+
+    const callback = (namedArgs, value) => executeCommand(normalized.name, namedArgs, value);
+    const help = buildHelpString(normalized);
+
+    try {
+        if (api.SlashCommandParser) {
+            api.SlashCommandParser.addCommandObject(api.SlashCommand.fromProps({
+                name: normalized.name,
+                aliases: normalized.aliases,
+                callback,
+                returns: 'result text',
+                unnamedArgumentList: [
+                    api.SlashCommandArgument.fromProps({
+                        description: normalized.subcommands ? 'subcommand and arguments' : 'arguments',
+                        typeList: [api.ARGUMENT_TYPE.STRING],
+                        isRequired: false
+                    })
+                ],
+                helpString: help
+            }));
+        } else {
+            api.registerSlashCommand(normalized.name, callback, normalized.aliases, help, true, true);
+        }
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Failed to register /${normalized.name}:`, error);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Get registered Valdris commands
+ * @returns {Array<{name: string, owner: string, subcommands: string[]}>}
+ */
+export function getValdrisCommands() {
+    return [..._commands.values()].map(cmd => ({
+        name: cmd.name,
+        owner: cmd.owner,
+        subcommands: cmd.subcommands ? Object.keys(cmd.subcommands) : []
+    }));
+}
+
+/**
+ * Run a registered command as SillyTavern would
+ * Errors are reported and swallowed so a pipe keeps a string value.
+ *
+ * @param {string} name - Command name
+ * @param {Object} namedArgs - Named arguments (key=value)
+ * @param {string} value - Unnamed argument text
+ * @returns {Promise<string>} Pipe value
+ */
+export async function executeCommand(name, namedArgs = {}, value = '') {
+    const command = _commands.get(name);
+    if (!command) return '';
+
+    const text = String(value ?? '').trim();
+
+    try {
+        let handler = command.run;
+        let rest = text;
+
+        if (command.subcommands) {
+            const match = text.match(/^(\S+)\s*([\s\S]*)$/);
+            const sub = match?.[1]?.toLowerCase();
+            if (!sub || !command.subcommands[sub]) {
+                throw new Error(`Usage: ${buildUsage(command)}`);
+            }
+            handler = command.subcommands[sub].run;
+            rest = match[2].trim();
+        }
+
+        const result = await handler(tokenizeArgs(rest), namedArgs || {}, rest);
+        return result === undefined || result === null ? '' : String(result);
+    } catch (error) {
+        const message = error?.message || String(error);
+        console.warn(`${LOG_PREFIX} /${name} ${text}:`, message);
+        notify(`/${name}: ${message}`);
+        return '';
+    }
+}
+
+// ============================================================================
+// Argument Helpers
+// ============================================================================
+
+/**
+ * Split command text into arguments; double quotes group words
+ * @param {string} text - Argument text
+ * @returns {string[]}
+ */
+export function tokenizeArgs(text) {
+    const args = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        args.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+    return args;
+}
+
+/**
+ * Parse a signed or absolute number ('+50', '-12', '30')
+ * @param {string} text - Argument
+ * @returns {{value: number, relative: boolean}}
+ * @throws {Error} If the text is not a number
+ */
+export function parseAmount(text) {
+    const match = String(text ?? '').trim().match(/^([+-]?)(\d+(?:\.\d+)?)$/);
+    if (!match) {
+        throw new Error(`'${text}' is not a number (use +N, -N or N)`);
+    }
+    const magnitude = Number(match[2]);
+    return {
+        value: match[1] === '-' ? -magnitude : magnitude,
+        relative: match[1] !== ''
+    };
+}
+
+/**
+ * Parse a duration such as '3h', '90m', '1d 4h', '2 days' or '1h30m' into minutes
+ * A bare number is read as minutes.
+ *
+ * @param {string} text - Duration text
+ * @returns {number} Minutes
+ * @throws {Error} If no duration could be read
+ */
+export function parseDuration(text) {
+    const source = String(text ?? '').trim().toLowerCase();
+    if (/^\d+$/.test(source)) return Number(source);
+
+    const units = { m: 1, min: 1, mins: 1, minute: 1, minutes: 1, h: 60, hr: 60, hrs: 60, hour: 60, hours: 60, d: 1440, day: 1440, days: 1440, w: 10080, week: 10080, weeks: 10080 };
+    const pattern = /(\d+(?:\.\d+)?)\s*([a-z]+)/g;
+    let minutes = 0;
+    let consumed = '';
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        const factor = units[match[2]];
+        if (!factor) throw new Error(`Unknown time unit '${match[2]}'`);
+        minutes += Number(match[1]) * factor;
+        consumed += match[0];
+    }
+
+    if (!consumed || consumed.replace(/\s/g, '') !== source.replace(/\s/g, '')) {
+        throw new Error(`'${text}' is not a duration (e.g. 3h, 90m, 1d 4h)`);
+    }
+
+    return Math.round(minutes);
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Build the one-line usage summary for a command
+ * @param {Object} command - Normalized command
+ * @returns {string}
+ */
+function buildUsage(command) {
+    if (!command.subcommands) return `/${command.name} ${command.usage || ''}`.trim();
+    return `/${command.name} ${Object.keys(command.subcommands).join('|')}`;
+}
+
+/**
+ * Build the help text shown in SillyTavern's command list
+ * @param {Object} command - Normalized command
+ * @returns {string}
+ */
+function buildHelpString(command) {
+    if (!command.subcommands) return command.helpString;
+
+    const lines = Object.entries(command.subcommands).map(([sub, def]) =>
+        `<li><code>/${command.name} ${sub}${def.usage ? ' ' + escapeHtml(def.usage) : ''}</code>${def.help ? ' - ' + escapeHtml(def.help) : ''}</li>`
+    );
+    return `${escapeHtml(command.helpString)}<ul>${lines.join('')}</ul>`;
+}
+
+/**
+ * Show a command error to the user
+ * @param {string} message - Error message
+ */
+function notify(message) {
+    if (typeof toastr !== 'undefined') {
+        toastr.warning(message, 'Valdris');
+    }
+}
+
+/**
+ * Escape text for the help HTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+export default {
+    registerValdrisCommand,
+    getValdrisCommands,
+    executeCommand,
+    tokenizeArgs,
+    parseAmount,
+    parseDuration
+};
@@ -0,0 +1,362 @@
+/**
+ * Valdris Core - State Deltas
+ *
+ * A structured alternative to inferring state changes from prose. The model
+ * ends its reply with a fenced block listing what changed:
+ *
+ * ```valdris
+ * [
+ *     {"op": "time.advance", "duration": "2h"},
+ *     {"op": "hp", "delta": -8, "source": "goblin arrow"},
+ *     {"op": "npc.event", "npc": "Mira", "event": "gift"}
+ * ]
+ * ```
+ *
+ * The block may also be an object with an `ops` array, or a single op object.
+ * Core parses it, validates each op against the definition registered by the
+ * owning extension and routes it there; ops nobody owns are rejected. The block
+ * stays in the message text (so swipes and edits replay it) but is hidden from
+ * the rendered message by style.css.
+ *
+ * A block's ops run in one transaction, so the message is saved once. If an
+ * owner's write is rejected by its domain schema, the whole block is undone.
+ *
+ * Op definition (registerDeltaOp):
+ * {
+ *     owner: 'valdris-master-tracker',
+ *     description: 'HP change',
+ *     fields: {                                   // Checked before validate/apply
+ *         delta: { type: 'number', required: true },
+ *         source: { type: 'string' },
+ *         stat: { type: 'string', values: ['str', 'dex'] },
+ *         qty: { type: 'integer', min: -999, max: 999 }
+ *     },
+ *     validate: (op) => 'error text' | null,      // Optional extra checks
+ *     apply: async (op, context) => 'summary'     // context: { messageId, replay, tx }
+ * }
+ *
+ * `context.tx` is the block's transaction; pass it to every write the op makes.
+ *
+ * Field types: 'string', 'number', 'integer', 'boolean', or alternatives joined
+ * with '|' ('string|number'). `min` and `max` bound numeric values.
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { registerContextProvider } from './context-providers.js';
+import { transaction } from './core-state.js';
+
+const LOG_PREFIX = '[ValdrisCore:Delta]';
+
+// Fenced ```valdris blocks; the closing fence may be missing at the very end of a reply
+const DELTA_BLOCK_PATTERN = /```valdris[^\S\r\n]*\r?\n([\s\S]*?)(?:```|$)/gi;
+
+// Recent application reports kept for the debug panel
+const MAX_LOG = 20;
+
+// Registered op definitions, by op name
+const _ops = new Map();
+
+// Recent reports, oldest first
+const _log = [];
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Register the handler for a delta op
+ * Registering the same op again replaces the previous handler.
+ *
+ * @param {string} name - Op name as written by the model ('hp', 'time.advance')
+ * @param {Object} definition - Op definition (see module header)
+ * @returns {boolean} True if registered
+ */
+export function registerDeltaOp(name, definition) {
+    if (!name || typeof definition?.apply !== 'function') {
+        console.error(`${LOG_PREFIX} Delta op '${name}' needs an apply function`);
+        return false;
+    }
+
+    _ops.set(String(name).toLowerCase(), {
+        name: String(name).toLowerCase(),
+        owner: definition.owner || null,
+        description: definition.description || '',
+        fields: definition.fields || {},
+        validate: definition.validate || null,
+        apply: definition.apply
+    });
+    return true;
+}
+
+/**
+ * Remove a delta op handler
+ * @param {string} name - Op name
+ */
+export function unregisterDeltaOp(name) {
+    _ops.delete(String(name).toLowerCase());
+}
+
+/**
+ * Get registered ops
+ * @returns {Array<{name: string, owner: string, description: string, fields: Object}>}
+ */
+export function getDeltaOps() {
+    return [..._ops.values()].map(({ name, owner, description, fields }) => ({ name, owner, description, fields }));
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Extract delta ops from message text
+ * Blocks that are not valid JSON are reported in `errors` and contribute no ops.
+ *
+ * @param {string} text - Message text
+ * @returns {{ops: Object[], errors: string[], text: string}} `text` has the blocks removed
+ */
+export function parseDeltaBlocks(text) {
+    const source = String(text ?? '');
+    const ops = [];
+    const errors = [];
+
+    for (const match of source.matchAll(DELTA_BLOCK_PATTERN)) {
+        const body = match[1].trim();
+        if (!body) continue;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(body);
+        } catch (error) {
+            errors.push(`Invalid JSON in valdris block: ${error.message}`);
+            continue;
+        }
+
+        const list = Array.isArray(parsed) ? parsed
+            : Array.isArray(parsed?.ops) ? parsed.ops
+            : [parsed];
+        ops.push(...list);
+    }
+
+    return { ops, errors, text: stripDeltaBlocks(source) };
+}
+
+/**
+ * Remove delta blocks from message text
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+export function stripDeltaBlocks(text) {
+    return String(text ?? '').replace(DELTA_BLOCK_PATTERN, '').trim();
+}
+
+/**
+ * Check an op against its registered definition
+ * @param {Object} op - Op as written by the model
+ * @returns {string|null} Error text, or null if the op can be applied
+ */
+export function validateDeltaOp(op) {
+    if (!op || typeof op !== 'object' || Array.isArray(op)) return 'Op must be an object';
+    if (typeof op.op !== 'string' || !op.op) return "Op is missing its 'op' name";
+
+    const definition = _ops.get(op.op.toLowerCase());
+    if (!definition) return `Unknown op '${op.op}'`;
+
+    for (const [field, spec] of Object.entries(definition.fields)) {
+        const value = op[field];
+        if (value === undefined || value === null || value === '') {
+            if (spec.required) return `'${op.op}' needs '${field}'`;
+            continue;
+        }
+        if (spec.type && !matchesType(value, spec.type)) {
+            return `'${op.op}' field '${field}' must be ${spec.type.replace(/\|/g, ' or ')}`;
+        }
+        if (Array.isArray(spec.values) && !spec.values.includes(String(value).toLowerCase())) {
+            return `'${op.op}' field '${field}' must be one of ${spec.values.join(', ')}`;
+        }
+        if (typeof value === 'number' && ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max))) {
+            return `'${op.op}' field '${field}' must be from ${spec.min ?? '-∞'} to ${spec.max ?? '∞'}`;
+        }
+    }
+
+    if (definition.validate) {
+        try {
+            const error = definition.validate(op);
+            if (error) return String(error);
+        } catch (error) {
+            return error?.message || String(error);
+        }
+    }
+
+    return null;
+}
+
+// ============================================================================
+// Application
+// ============================================================================
+
+/**
+ * Validate and apply ops in order
+ * A rejected or failing op does not stop the ones after it.
+ *
+ * @param {Object[]} ops - Ops to apply
+ * @param {Object} context - { messageId, replay, tx: open transaction to join }
+ * @returns {Promise<Object>} Report: { messageId, replay, timestamp, results: [{ op, status, summary?, reason?, owner? }] }
+ */
+export async function applyDeltaOps(ops, context = {}) {
+    return runOps(ops, context, []);
+}
+
+/**
+ * Parse and apply the delta blocks in a message
+ * Unparseable blocks appear in the report as rejected entries with a null op.
+ *
+ * @param {string} text - Message text
+ * @param {Object} context - { messageId, replay, tx? }
+ * @returns {Promise<Object|null>} Report, or null if the message has no block
+ */
+export async function processMessageDeltas(text, context = {}) {
+    const parsed = parseDeltaBlocks(text);
+    if (!parsed.ops.length && !parsed.errors.length) return null;
+
+    const results = parsed.errors.map(reason => ({ op: null, status: 'rejected', reason }));
+    return runOps(parsed.ops, context, results);
+}
+
+/**
+ * Apply ops after any results already collected, then log and announce the report
+ * @param {Object[]} ops - Ops to apply
+ * @param {Object} context - { messageId, replay, tx? }
+ * @param {Object[]} results - Results so far (mutated)
+ * @returns {Promise<Object>} Report
+ */
+async function runOps(ops, context, results) {
+    try {
+        await transaction(async (tx) => {
+            for (const op of ops || []) {
+                const reason = validateDeltaOp(op);
+                if (reason) {
+                    results.push({ op, status: 'rejected', reason });
+                    continue;
+                }
+
+                const definition = _ops.get(op.op.toLowerCase());
+                try {
+                    // Each op from its own savepoint, so a failing one leaves nothing behind
+                    const summary = await transaction((opTx) => definition.apply(op, { ...context, tx: opTx }), { tx });
+                    results.push({ op, status: 'applied', owner: definition.owner, summary: summary ? String(summary) : op.op });
+                } catch (error) {
+                    results.push({ op, status: 'failed', owner: definition.owner, reason: error?.message || String(error) });
+                }
+            }
+        }, { source: 'state-delta', label: context.replay ? 'Replay state block' : 'State block', tx: context.tx });
+    } catch (error) {
+        // Nothing from the block survived the rollback
+        for (const result of results) {
+            if (result.status === 'applied') {
+                result.status = 'failed';
+                result.reason = error?.message || String(error);
+            }
+        }
+    }
+
+    for (const result of results) {
+        if (result.status !== 'applied') {
+            console.warn(`${LOG_PREFIX} ${result.status} ${result.op ? JSON.stringify(result.op) : 'block'}: ${result.reason}`);
+        }
+    }
+
+    const report = {
+        messageId: context.messageId ?? null,
+        replay: !!context.replay,
+        timestamp: Date.now(),
+        results
+    };
+
+    _log.push(report);
+    if (_log.length > MAX_LOG) _log.shift();
+
+    ValdrisEventBus.emit('stateDeltaApplied', report);
+    return report;
+}
+
+/**
+ * Get recent application reports
+ * @returns {Object[]} Oldest first
+ */
+export function getDeltaLog() {
+    return [..._log];
+}
+
+// ============================================================================
+// Prompt Instruction
+// ============================================================================
+
+/**
+ * Build the format instruction for the registered ops
+ * @returns {string|null} Null when no extension has registered an op
+ */
+export function buildDeltaInstruction() {
+    if (!_ops.size) return null;
+
+    const signatures = [..._ops.values()].map(def => {
+        const fields = Object.entries(def.fields)
+            .map(([field, spec]) => spec.required ? field : `${field}?`)
+            .join(',');
+        return fields ? `${def.name}{${fields}}` : def.name;
+    });
+
+    return [
+        'When this reply changes game state, end it with a fenced ```valdris block holding a JSON array of ops, e.g.',
+        '```valdris',
+        '[{"op":"hp","delta":-5},{"op":"time.advance","duration":"2h"}]',
+        '```',
+        `Ops: ${signatures.join(' | ')}`,
+        'Deltas are signed numbers; durations like 90m, 2h, 1d. Only list changes that happened in this reply; omit the block if nothing changed.'
+    ].join('\n');
+}
+
+registerContextProvider({
+    id: 'stateDelta', name: 'State Change Format', title: '## STATE CHANGES',
+    priority: 80, placement: 'bottom', builtin: true,
+    // One item so a token budget keeps or drops the instruction whole, never half an example
+    build: () => {
+        const instruction = buildDeltaInstruction();
+        return instruction ? [{ text: instruction }] : null;
+    }
+});
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Check a value against a field type ('string', 'number|string', ...)
+ * @param {*} value - Field value
+ * @param {string} type - Type spec
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    return type.split('|').some(t => {
+        switch (t.trim()) {
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            default: return true;
+        }
+    });
+}
+
+export default {
+    registerDeltaOp,
+    unregisterDeltaOp,
+    getDeltaOps,
+    parseDeltaBlocks,
+    stripDeltaBlocks,
+    validateDeltaOp,
+    applyDeltaOps,
+    processMessageDeltas,
+    getDeltaLog,
+    buildDeltaInstruction
+};
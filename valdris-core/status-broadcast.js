@@ -0,0 +1,381 @@
+/**
+ * Valdris Core - Status Broadcast
+ *
+ * Mirrors a compact, read-only view of core state to the standalone status
+ * page (status.html in this folder) so it can live on a second monitor or in
+ * OBS instead of covering the chat. The page shows vitals, clock, weather,
+ * moons, location, nearby NPCs and active hints.
+ *
+ * Snapshots go out on a BroadcastChannel named 'valdris-status', coalesced so
+ * a burst of domain writes sends one update. A page that opens (or reloads)
+ * says hello and gets the current snapshot straight away. Where
+ * BroadcastChannel is missing, windows opened with openStatusWindow() are
+ * sent the same messages with postMessage.
+ *
+ * BroadcastChannel only reaches pages of the same origin in the same browser
+ * profile. An OBS browser source runs its own browser, so it only hears the
+ * channel when SillyTavern runs inside OBS as well (a custom browser dock);
+ * otherwise capture a pop-out window with a window capture instead.
+ *
+ * The NPC and hint lists come from status sources, which extensions register:
+ *
+ *     registerStatusSource('npc-nearby', {
+ *         owner: 'valdris-npc-social',
+ *         section: 'npcs',
+ *         collect: (state) => npcsAt(state.world?.currentSettlement?.name)
+ *             .map(npc => ({ name: npc.name, detail: npc.role }))
+ *     });
+ *
+ * Without a source the NPC list falls back to npcs.recent. Sources whose
+ * output changes outside of core state call requestStatusUpdate().
+ */
+
+import { ValdrisEventBus } from './event-bus.js';
+import { getFullState, isInTransaction } from './core-state.js';
+import { resolveMacro } from './macros.js';
+
+const LOG_PREFIX = '[ValdrisCore:Status]';
+
+// Channel shared with status.js
+export const STATUS_CHANNEL = 'valdris-status';
+
+// Sections extensions can fill
+export const STATUS_SECTIONS = ['npcs', 'hints'];
+
+// Bursts of writes inside this window send one snapshot
+const BROADCAST_DELAY_MS = 150;
+
+// Items per section sent to the page
+const MAX_SECTION_ITEMS = 8;
+
+// Vitals shown as bars, in order
+const VITALS = [
+    { id: 'hp', label: 'HP' },
+    { id: 'mp', label: 'MP' },
+    { id: 'stamina', label: 'Stamina' }
+];
+
+// Icons for the shared moon phase names
+const MOON_PHASE_ICONS = {
+    new: '🌑',
+    waxing_crescent: '🌒',
+    first_quarter: '🌓',
+    waxing_gibbous: '🌔',
+    full: '🌕',
+    waning_gibbous: '🌖',
+    last_quarter: '🌗',
+    waning_crescent: '🌘'
+};
+
+// Registered sources, by id
+const _sources = new Map();
+
+// Windows opened by openStatusWindow() (postMessage fallback)
+const _windows = new Set();
+
+let _channel = null;
+let _running = false;
+let _timer = null;
+let _sequence = 0;
+let _unsubscribers = [];
+
+// ============================================================================
+// Status Sources
+// ============================================================================
+
+/**
+ * Register a source for one of the page's lists
+ * @param {string} id - Unique source id
+ * @param {Object} definition
+ * @param {string} definition.owner - Extension that owns the source
+ * @param {string} definition.section - 'npcs' ({ name, detail }) or 'hints' ({ text, category })
+ * @param {Function} definition.collect - (state) => items
+ * @param {number} [definition.order=50] - Lower sources list first
+ * @returns {boolean} True if registered
+ */
+export function registerStatusSource(id, definition) {
+    if (!id || typeof definition?.collect !== 'function') {
+        console.error(`${LOG_PREFIX} Status source needs an id and a collect function`);
+        return false;
+    }
+    if (!STATUS_SECTIONS.includes(definition.section)) {
+        console.error(`${LOG_PREFIX} Unknown status section '${definition.section}' for '${id}'`);
+        return false;
+    }
+
+    _sources.set(id, {
+        id,
+        owner: definition.owner || 'unknown',
+        section: definition.section,
+        order: Number.isFinite(definition.order) ? definition.order : 50,
+        collect: definition.collect
+    });
+    requestStatusUpdate();
+    return true;
+}
+
+/**
+ * Remove a status source
+ * @param {string} id - Source id
+ * @returns {boolean} True if it existed
+ */
+export function unregisterStatusSource(id) {
+    const removed = _sources.delete(id);
+    if (removed) requestStatusUpdate();
+    return removed;
+}
+
+/**
+ * Get registered status sources
+ * @returns {Array<{id: string, owner: string, section: string, order: number}>}
+ */
+export function getStatusSources() {
+    return [..._sources.values()].map(({ id, owner, section, order }) => ({ id, owner, section, order }));
+}
+
+// ============================================================================
+// Snapshot
+// ============================================================================
+
+/**
+ * Build what the status page shows from current core state
+ * @returns {Object} Plain, serializable snapshot
+ */
+export function buildStatusSnapshot() {
+    const state = getFullState();
+    const player = state.player || {};
+    const time = state.time || {};
+    const world = state.world || {};
+
+    const npcs = collectSection('npcs', state);
+
+    return {
+        seq: ++_sequence,
+        updatedAt: Date.now(),
+        character: player.characterName ? { name: player.characterName, level: player.level ?? null } : null,
+        vitals: VITALS
+            .filter(vital => Number.isFinite(player[vital.id]?.max) && player[vital.id].max > 0)
+            .map(vital => ({ ...vital, current: player[vital.id].current ?? 0, max: player[vital.id].max })),
+        time: state.time ? {
+            date: resolveMacro('time.date'),
+            clock: resolveMacro('time.clock'),
+            dayOfWeek: time.dayOfWeek || ''
+        } : null,
+        weather: time.weather?.current ? {
+            icon: time.weather.icon || '',
+            name: time.weather.currentName || humanize(time.weather.current),
+            temperature: time.weather.temperatureName || humanize(time.weather.temperature || '')
+        } : null,
+        moons: Object.entries(time.moons || {})
+            .filter(([, moon]) => moon?.phase)
+            .map(([id, moon]) => ({
+                name: moon.name || humanize(id),
+                phase: moon.phaseName || humanize(moon.phase),
+                icon: moon.icon || MOON_PHASE_ICONS[moon.phase] || ''
+            })),
+        location: {
+            place: player.currentLocation || '',
+            settlement: world.currentSettlement?.name || '',
+            region: world.currentRegion || ''
+        },
+        npcs: npcs ?? (state.npcs?.recent || []).slice(0, MAX_SECTION_ITEMS).map(npc => ({ name: npc.name, detail: '' })),
+        hints: collectSection('hints', state) || []
+    };
+}
+
+// ============================================================================
+// Broadcasting
+// ============================================================================
+
+/**
+ * Start answering status pages and sending them snapshots
+ */
+export function startStatusBroadcast() {
+    if (_running) return;
+    _running = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        _channel = new BroadcastChannel(STATUS_CHANNEL);
+        _channel.onmessage = (event) => onPageMessage(event.data);
+    } else if (typeof window !== 'undefined' && window.addEventListener) {
+        window.addEventListener('message', onWindowMessage);
+    }
+
+    const schedule = () => requestStatusUpdate();
+    _unsubscribers = [
+        ValdrisEventBus.on('domainChanged', () => {
+            if (!isInTransaction()) schedule();
+        }, { id: 'valdris-status' }),
+        ValdrisEventBus.on('transactionCommitted', schedule, { id: 'valdris-status' }),
+        ValdrisEventBus.on('stateRestored', schedule, { id: 'valdris-status' }),
+        ValdrisEventBus.on('chatChanged', schedule, { id: 'valdris-status' })
+    ];
+
+    requestStatusUpdate();
+}
+
+/**
+ * Stop broadcasting and tell open pages that the source went away
+ */
+export function stopStatusBroadcast() {
+    if (!_running) return;
+
+    clearTimeout(_timer);
+    _timer = null;
+    _unsubscribers.forEach(unsubscribe => unsubscribe());
+    _unsubscribers = [];
+
+    post({ type: 'closed' });
+    _channel?.close();
+    _channel = null;
+    if (typeof window !== 'undefined') window.removeEventListener?.('message', onWindowMessage);
+    _windows.clear();
+    _running = false;
+}
+
+/**
+ * Send a fresh snapshot soon; calls close together send one
+ */
+export function requestStatusUpdate() {
+    if (!_running || _timer) return;
+    _timer = setTimeout(() => {
+        _timer = null;
+        broadcastStatus();
+    }, BROADCAST_DELAY_MS);
+}
+
+/**
+ * Send a snapshot to every open status page now
+ */
+export function broadcastStatus() {
+    if (!_running) return;
+    try {
+        post({ type: 'status', snapshot: buildStatusSnapshot() });
+    } catch (error) {
+        console.error(`${LOG_PREFIX} Could not build status snapshot:`, error);
+    }
+}
+
+/**
+ * URL of the status page
+ * @param {Object} [options]
+ * @param {boolean} [options.overlay=false] - Transparent, read-only overlay for OBS
+ * @param {boolean} [options.compact=false] - Compact layout
+ * @returns {string}
+ */
+export function getStatusPageUrl({ overlay = false, compact = false } = {}) {
+    const url = new URL('./status.html', import.meta.url);
+    if (overlay) url.searchParams.set('mode', 'overlay');
+    if (compact) url.searchParams.set('layout', 'compact');
+    return url.href;
+}
+
+/**
+ * Open the status page in its own window
+ * @param {Object} [options] - See getStatusPageUrl()
+ * @returns {Window|null} The window, or null if the browser blocked it
+ */
+export function openStatusWindow(options = {}) {
+    const compact = !!options.compact;
+    const features = compact ? 'popup,width=320,height=480' : 'popup,width=420,height=720';
+    const win = window.open(getStatusPageUrl(options), `valdris-status${options.overlay ? '-overlay' : ''}`, features);
+    if (!win) {
+        console.warn(`${LOG_PREFIX} Status window was blocked`);
+        return null;
+    }
+
+    _windows.add(win);
+    requestStatusUpdate();
+    return win;
+}
+
+// ============================================================================
+// Internal Helpers
+// ============================================================================
+
+/**
+ * Gather a section from its sources
+ * @param {string} section - Section name
+ * @param {Object} state - Full core state
+ * @returns {Object[]|null} Items, or null when no source fills the section
+ */
+function collectSection(section, state) {
+    const sources = [..._sources.values()]
+        .filter(source => source.section === section)
+        .sort((a, b) => a.order - b.order);
+    if (!sources.length) return null;
+
+    const items = [];
+    for (const source of sources) {
+        try {
+            const collected = source.collect(state);
+            if (Array.isArray(collected)) items.push(...collected.filter(item => item && typeof item === 'object'));
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Status source '${source.id}' failed:`, error);
+        }
+    }
+
+    return items.slice(0, MAX_SECTION_ITEMS).map(item => section === 'hints'
+        ? { text: String(item.text ?? ''), category: String(item.category ?? '') }
+        : { name: String(item.name ?? ''), detail: String(item.detail ?? '') });
+}
+
+/**
+ * Send a message to status pages
+ * @param {Object} message - Message
+ */
+function post(message) {
+    const envelope = { source: STATUS_CHANNEL, ...message };
+    if (_channel) {
+        _channel.postMessage(envelope);
+        return;
+    }
+
+    for (const win of _windows) {
+        if (win.closed) {
+            _windows.delete(win);
+            continue;
+        }
+        win.postMessage(envelope, window.location.origin);
+    }
+}
+
+/**
+ * Answer a message from a status page
+ * @param {Object} data - Message data
+ */
+function onPageMessage(data) {
+    if (data?.source === STATUS_CHANNEL && data.type === 'hello') broadcastStatus();
+}
+
+/**
+ * postMessage fallback: only pages of our origin are answered
+ * @param {MessageEvent} event
+ */
+function onWindowMessage(event) {
+    if (event.origin !== window.location.origin || event.data?.source !== STATUS_CHANNEL) return;
+    if (event.source && !_windows.has(event.source)) _windows.add(event.source);
+    onPageMessage(event.data);
+}
+
+/**
+ * 'waxing_gibbous' -> 'Waxing Gibbous'
+ * @param {string} value
+ * @returns {string}
+ */
+function humanize(value) {
+    return String(value || '').replace(/[_-]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+export default {
+    registerStatusSource,
+    unregisterStatusSource,
+    getStatusSources,
+    buildStatusSnapshot,
+    startStatusBroadcast,
+    stopStatusBroadcast,
+    requestStatusUpdate,
+    broadcastStatus,
+    getStatusPageUrl,
+    openStatusWindow
+};
@@ -0,0 +1,242 @@
+/**
+ * Valdris Core - Status Page
+ *
+ * Script for status.html, the pop-out / OBS view of core state. It does not
+ * import core: it only listens for snapshots sent by status-broadcast.js in
+ * the SillyTavern tab and draws them.
+ *
+ * Query parameters:
+ *     mode=overlay     transparent background, no controls (OBS browser source)
+ *     layout=compact   vitals, clock, weather and location only
+ */
+
+// Must match STATUS_CHANNEL in status-broadcast.js
+const CHANNEL_NAME = 'valdris-status';
+
+// Ask again until SillyTavern answers (it may load after this page)
+const HELLO_INTERVAL_MS = 3000;
+
+// Remember the compact toggle between pop-outs
+const COMPACT_STORAGE_KEY = 'valdris-status-compact';
+
+const params = new URLSearchParams(window.location.search);
+const overlay = params.get('mode') === 'overlay';
+
+const content = document.querySelector('.valdris-status__content');
+const connection = document.querySelector('.valdris-status__connection');
+const compactToggle = document.querySelector('.valdris-status__compact');
+
+let channel = null;
+let lastKey = '';
+let helloTimer = null;
+
+// ============================================================================
+// Transport
+// ============================================================================
+
+/**
+ * Send a message to the SillyTavern tab
+ * @param {Object} message
+ */
+function send(message) {
+    const envelope = { source: CHANNEL_NAME, ...message };
+    if (channel) {
+        channel.postMessage(envelope);
+    } else if (window.opener && !window.opener.closed) {
+        window.opener.postMessage(envelope, window.location.origin);
+    }
+}
+
+/**
+ * Handle a message from the SillyTavern tab
+ * @param {Object} data
+ */
+function onMessage(data) {
+    if (data?.source !== CHANNEL_NAME) return;
+
+    if (data.type === 'status' && data.snapshot) {
+        // The same snapshot may arrive twice when several tabs answer a hello
+        const key = `${data.snapshot.seq}:${data.snapshot.updatedAt}`;
+        if (key === lastKey) return;
+        lastKey = key;
+        clearInterval(helloTimer);
+        helloTimer = null;
+        setConnection(true);
+        render(data.snapshot);
+    } else if (data.type === 'closed') {
+        setConnection(false);
+        startHello();
+    }
+}
+
+/**
+ * Keep saying hello until a snapshot arrives
+ */
+function startHello() {
+    if (helloTimer) return;
+    send({ type: 'hello' });
+    helloTimer = setInterval(() => send({ type: 'hello' }), HELLO_INTERVAL_MS);
+}
+
+/**
+ * Show whether SillyTavern is answering
+ * @param {boolean} connected
+ */
+function setConnection(connected) {
+    document.body.classList.toggle('valdris-status--disconnected', !connected);
+    connection.textContent = connected ? 'Live' : 'Waiting for SillyTavern...';
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Create an element
+ * @param {string} tag
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+}
+
+/**
+ * Create a titled section, or null when it has nothing to show
+ * @param {string} title
+ * @param {HTMLElement[]} children
+ * @param {string} [modifier]
+ * @returns {HTMLElement|null}
+ */
+function section(title, children, modifier = '') {
+    const nodes = children.filter(Boolean);
+    if (!nodes.length) return null;
+
+    const node = el('section', `valdris-status__section ${modifier ? `valdris-status__section--${modifier}` : ''}`.trim());
+    node.appendChild(el('h2', 'valdris-status__title', title));
+    nodes.forEach(child => node.appendChild(child));
+    return node;
+}
+
+/**
+ * Draw a snapshot
+ * @param {Object} snapshot - From buildStatusSnapshot()
+ */
+function render(snapshot) {
+    const parts = [];
+
+    if (snapshot.character) {
+        const header = el('div', 'valdris-status__character', snapshot.character.name);
+        if (snapshot.character.level != null) {
+            header.appendChild(el('span', 'valdris-status__level', ` Lv ${snapshot.character.level}`));
+        }
+        parts.push(header);
+    }
+
+    parts.push(section('Vitals', snapshot.vitals.map(renderVital), 'vitals'));
+
+    const when = [];
+    if (snapshot.time) {
+        when.push(el('div', 'valdris-status__clock', snapshot.time.clock));
+        when.push(el('div', 'valdris-status__date', [snapshot.time.dayOfWeek, snapshot.time.date].filter(Boolean).join(', ')));
+    }
+    if (snapshot.weather) {
+        const weather = el('div', 'valdris-status__weather');
+        weather.appendChild(el('span', 'valdris-status__icon', snapshot.weather.icon));
+        weather.appendChild(el('span', null, [snapshot.weather.name, snapshot.weather.temperature].filter(Boolean).join(', ')));
+        when.push(weather);
+    }
+    when.push(...snapshot.moons.map(moon => {
+        const row = el('div', 'valdris-status__moon');
+        row.appendChild(el('span', 'valdris-status__icon', moon.icon));
+        row.appendChild(el('span', null, `${moon.name}: ${moon.phase}`));
+        return row;
+    }));
+    parts.push(section('Time', when, 'time'));
+
+    const { place, settlement, region } = snapshot.location;
+    parts.push(section('Location', [
+        place ? el('div', 'valdris-status__place', place) : null,
+        settlement || region ? el('div', 'valdris-status__region', [settlement, region].filter(Boolean).join(', ')) : null
+    ], 'location'));
+
+    parts.push(section('Nearby', snapshot.npcs.map(npc => {
+        const row = el('div', 'valdris-status__npc', npc.name);
+        if (npc.detail) row.appendChild(el('span', 'valdris-status__detail', ` ${npc.detail}`));
+        return row;
+    }), 'npcs'));
+
+    parts.push(section('Hints', snapshot.hints.map(hint => {
+        const row = el('div', `valdris-status__hint valdris-status__hint--${hint.category.replace(/\W/g, '') || 'other'}`, hint.text);
+        row.title = hint.category;
+        return row;
+    }), 'hints'));
+
+    content.replaceChildren(...parts.filter(Boolean));
+    if (!content.childElementCount) {
+        content.appendChild(el('div', 'valdris-status__empty', 'No Valdris state in this chat yet'));
+    }
+}
+
+/**
+ * One vital as a labelled bar
+ * @param {{id: string, label: string, current: number, max: number}} vital
+ * @returns {HTMLElement}
+ */
+function renderVital(vital) {
+    const percent = Math.max(0, Math.min(100, (vital.current / vital.max) * 100));
+
+    const row = el('div', `valdris-status__vital valdris-status__vital--${vital.id}`);
+    row.appendChild(el('span', 'valdris-status__vital-label', vital.label));
+
+    const bar = el('div', 'valdris-status__bar');
+    const fill = el('div', 'valdris-status__bar-fill');
+    fill.style.width = `${percent}%`;
+    bar.appendChild(fill);
+    row.appendChild(bar);
+
+    row.appendChild(el('span', 'valdris-status__vital-value', `${Math.round(vital.current)}/${Math.round(vital.max)}`));
+    return row;
+}
+
+// ============================================================================
+// Setup
+// ============================================================================
+
+/**
+ * Apply the compact layout
+ * @param {boolean} compact
+ */
+function setCompact(compact) {
+    document.body.classList.toggle('valdris-status--compact', compact);
+    compactToggle.checked = compact;
+}
+
+if (overlay) {
+    document.body.classList.add('valdris-status--overlay');
+    document.querySelector('.valdris-status__toolbar').remove();
+    setCompact(params.get('layout') === 'compact');
+} else {
+    const stored = localStorage.getItem(COMPACT_STORAGE_KEY);
+    setCompact(params.has('layout') ? params.get('layout') === 'compact' : stored === 'true');
+    compactToggle.addEventListener('change', () => {
+        setCompact(compactToggle.checked);
+        localStorage.setItem(COMPACT_STORAGE_KEY, String(compactToggle.checked));
+    });
+}
+
+if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+} else {
+    window.addEventListener('message', (event) => {
+        if (event.origin === window.location.origin) onMessage(event.data);
+    });
+}
+
+setConnection(false);
+startHello();
@@ -143,24 +143,25 @@ export function calculateSellPrice(basePrice, options = {}) {
 }
 
 // Generate random price fluctuation
-export function generatePriceFluctuation(basePrice, volatility = 0.1) {
-    const fluctuation = (Math.random() * 2 - 1) * volatility;
+export function generatePriceFluctuation(basePrice, volatility = 0.1, random = Math.random) {
+    const fluctuation = (random() * 2 - 1) * volatility;
     return Math.round(basePrice * (1 + fluctuation));
 }
 
 // Daily market update
-export function updateMarketPrices(economy, dayData) {
+// Pass a seeded random (Valdris Core createRandom) so re-running a day moves the market the same way
+export function updateMarketPrices(economy, dayData, random = Math.random) {
     const updates = [];
 
     // Random chance of market condition change
-    if (Math.random() < 0.1) { // 10% chance per day
+    if (random() < 0.1) { // 10% chance per day
         const conditions = Object.keys(MARKET_CONDITIONS);
         const oldCondition = economy.marketCondition;
         // Weighted toward stable
-        if (Math.random() < 0.5) {
+        if (random() < 0.5) {
             economy.marketCondition = 'stable';
         } else {
-            economy.marketCondition = conditions[Math.floor(Math.random() * conditions.length)];
+            economy.marketCondition = conditions[Math.floor(random() * conditions.length)];
         }
         if (economy.marketCondition !== oldCondition) {
             updates.push({
@@ -173,7 +174,7 @@ export function updateMarketPrices(economy, dayData) {
 
     // Update tracked prices with slight fluctuation
     for (const [itemId, priceData] of Object.entries(economy.trackedPrices || {})) {
-        const newPrice = generatePriceFluctuation(priceData.basePrice, 0.05);
+        const newPrice = generatePriceFluctuation(priceData.basePrice, 0.05, random);
         economy.trackedPrices[itemId] = {
             ...priceData,
             currentPrice: newPrice,
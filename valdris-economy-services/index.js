@@ -36,13 +36,23 @@ try {
     console.warn('[VEconomy] Valdris Core not available');
 }
 
+// Schema migrations for valdris_economy, run by Valdris Core before each load
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill missing wallet, market and shop fields',
+        migrate: (blob) => ValdrisCore.fillDefaults(blob, createEmptyEconomyState())
+    }
+];
+ValdrisCore?.registerMigrations?.('valdris_economy', STATE_MIGRATIONS);
+
 // SillyTavern references
-let getContext, saveSettingsDebounced, eventSource, event_types;
+let getContext, saveMetadataDebounced, eventSource, event_types;
 
 try {
     const extModule = await import('../../../extensions.js');
     getContext = extModule.getContext;
-    saveSettingsDebounced = extModule.saveSettingsDebounced;
+    saveMetadataDebounced = extModule.saveMetadataDebounced;
 } catch (e) {
     console.error('[VEconomy] Failed to import extensions.js', e);
 }
@@ -51,7 +61,7 @@ try {
     const scriptModule = await import('../../../../script.js');
     eventSource = scriptModule.eventSource;
     event_types = scriptModule.event_types;
-    if (!saveSettingsDebounced) saveSettingsDebounced = scriptModule.saveSettingsDebounced;
+    if (!saveMetadataDebounced) saveMetadataDebounced = scriptModule.saveMetadata;
 } catch (e) {
     console.error('[VEconomy] Failed to import script.js', e);
 }
@@ -71,18 +81,21 @@ function loadState() {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
 
+    ValdrisCore?.migrateMetadataKey?.('valdris_economy', context.chat_metadata);
     const saved = context.chat_metadata.valdris_economy;
     if (saved) {
         state = { ...createEmptyEconomyState(), ...saved };
     }
 }
 
-function saveState() {
+// tx: the core transaction this change belongs to, if any
+function saveState(tx) {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
 
     context.chat_metadata.valdris_economy = state;
-    saveSettingsDebounced?.();
+    if (ValdrisCore?.markDirty) ValdrisCore.markDirty('valdris_economy', EXT_NAME, { tx });
+    else saveMetadataDebounced?.();
 
     if (ValdrisCore) {
         const totalCopper = toCopper(state.wallet.copper, 'copper') +
@@ -96,7 +109,7 @@ function saveState() {
             marketCondition: state.marketCondition,
             shopCount: state.shops.length,
             debts: state.debts.length
-        });
+        }, EXT_NAME, { tx });
     }
 }
 
@@ -387,6 +400,106 @@ function registerEvents() {
     }
 }
 
+// Wallet changes (shared by the public API and slash commands)
+function addGold(amount, tx) {
+    const oldValue = state.wallet.gold;
+    state.wallet.gold += amount;
+    saveState(tx);
+    render();
+    ValdrisCore?.ValdrisEventBus.emit('goldChanged', { oldValue, newValue: state.wallet.gold, delta: amount });
+}
+
+// STscript commands: /vgold +50, /vgold -12, /vgold 100
+function registerCommands() {
+    ValdrisCore.registerValdrisCommand?.({
+        name: 'vgold',
+        owner: EXT_NAME,
+        helpString: 'Add, spend or set gold in the wallet. Returns the new gold amount.',
+        usage: '<+N|-N|N>',
+        run: (args) => {
+            if (!args.length) return state.wallet.gold;
+
+            const { value, relative } = ValdrisCore.parseAmount(args[0]);
+            if (!Number.isInteger(value)) throw new Error('Gold must be a whole number');
+
+            const delta = relative ? value : value - state.wallet.gold;
+            if (state.wallet.gold + delta < 0) {
+                throw new Error(`Not enough gold (have ${state.wallet.gold})`);
+            }
+
+            addGold(delta);
+            return state.wallet.gold;
+        }
+    });
+}
+
+// valdris block op: {"op":"gold","delta":-12}
+function registerDeltaOps() {
+    ValdrisCore.registerDeltaOp?.('gold', {
+        owner: EXT_NAME,
+        description: 'Gold gained or spent',
+        fields: {
+            delta: { type: 'integer', required: true }
+        },
+        validate: (op) => state.wallet.gold + op.delta < 0 ? `Not enough gold (have ${state.wallet.gold})` : null,
+        apply: (op, { tx }) => {
+            addGold(op.delta, tx);
+            return `Gold ${state.wallet.gold}`;
+        }
+    });
+}
+
+// Command bus: economy.adjustGold { delta } -> { gold }; refuses to overdraw the wallet
+function registerCommandHandlers() {
+    ValdrisCore.registerCommandHandler?.('economy.adjustGold', {
+        owner: EXT_NAME,
+        description: 'Add or spend wallet gold',
+        handler: ({ delta } = {}, { tx }) => {
+            if (!Number.isInteger(delta)) throw new Error('delta must be a whole number');
+            if (state.wallet.gold + delta < 0) throw new Error(`Not enough gold (have ${state.wallet.gold})`);
+
+            addGold(delta, tx);
+            return { gold: state.wallet.gold };
+        }
+    });
+}
+
+// Daily market movement, run by core for each new day (live or simulated)
+function registerDayProcessor() {
+    ValdrisCore.registerDailyProcessor?.('ves.market', {
+        owner: EXT_NAME,
+        name: 'Market prices',
+        domain: 'economy',
+        order: 70,
+        read: () => ({ marketCondition: state.marketCondition, trackedPrices: state.trackedPrices }),
+        process: (market, context) => updateMarketPrices(market, context.date || {}, ValdrisCore.createRandom?.('market', context.date))
+            .filter(update => update.type === 'market_change')
+            .map(update => `Market: ${MARKET_CONDITIONS[update.to]?.name || update.to}`),
+        commit: (market, { tx }) => {
+            state.marketCondition = market.marketCondition;
+            state.trackedPrices = market.trackedPrices;
+            saveState(tx);
+            render();
+        }
+    });
+}
+
+// Macro helper: {{valdris::economy.totalWealth|currency}} -> 1 pp 2 gp
+// A path ending in a coin name counts in that coin, anything else in copper
+function registerMacros() {
+    ValdrisCore.registerMacroHelper?.('currency', {
+        owner: EXT_NAME,
+        description: 'Coin amount as pp/gp/sp/cp',
+        format: (value, path) => {
+            const amount = Number(value);
+            if (value === '' || !Number.isFinite(amount)) return value;
+            const coin = String(path).split('.').pop();
+            return formatCurrency(Math.round(toCopper(amount, CURRENCIES[coin] ? coin : 'copper')));
+        },
+        suggest: (path, value) => typeof value === 'number' && /\.(totalWealth|copper|silver|gold|platinum)$/.test(path)
+    });
+}
+
 // Core integration
 function initCoreIntegration() {
     if (!ValdrisCore) return;
@@ -394,15 +507,28 @@ function initCoreIntegration() {
     ValdrisCore.registerDomain('economy', EXT_NAME);
     saveState();
 
-    // FIXED: Changed from .subscribe() to .on()
-    ValdrisCore.ValdrisEventBus.on('newDay', () => {
-        const updates = updateMarketPrices(state, {});
-        if (updates.length > 0) {
-            console.log('[VEconomy] Market updates:', updates);
-        }
-        saveState();
+    // Supply the economy section of the core context block (replaces core's fallback builder)
+    ValdrisCore.registerContextProvider?.({
+        id: 'economy',
+        name: 'Economy (VES)',
+        title: '## ECONOMY',
+        priority: 40,
+        owner: EXT_NAME,
+        build: () => buildEconomyContext(state)
+    });
+
+    // Reload after core rolls chat state back (swipe, edit, delete)
+    ValdrisCore.ValdrisEventBus.on('stateRestored', () => {
+        loadState();
+        render();
     });
 
+    registerCommands();
+    registerDeltaOps();
+    registerCommandHandlers();
+    registerDayProcessor();
+    registerMacros();
+
     console.log('[VEconomy] Core integration complete');
 }
 
@@ -415,12 +541,17 @@ window.VEconomy = {
             toCopper(state.wallet.gold, 'gold') +
             toCopper(state.wallet.platinum, 'platinum');
     },
-    addGold: (amount) => {
-        state.wallet.gold += amount;
+    addGold,
+    formatCurrency,
+    restockShop: (shopId, options = {}) => {
+        const shop = state.shops.find(s => s.id === shopId);
+        if (!shop) return null;
+        // Seeded per shop and in-game day, so restocking the same day again gives the same stock
+        restockShop(shop, { random: ValdrisCore?.createRandom?.(`shop:${shop.id}`), ...options });
         saveState();
         render();
+        return shop;
     },
-    formatCurrency,
     buildContext: () => buildEconomyContext(state),
     open: () => { UI.visible = true; UI.container?.classList.remove('ves_hidden'); render(); },
     close: () => { UI.visible = false; UI.container?.classList.add('ves_hidden'); }
@@ -140,9 +140,11 @@ export function getServicePrice(shop, serviceType, options = {}) {
 }
 
 // Restock shop inventory
+// options.random takes a seeded random (Valdris Core createRandom) for repeatable stock
 export function restockShop(shop, options = {}) {
     const type = SHOP_TYPES[shop.type];
     if (!type) return;
+    const random = options.random || Math.random;
 
     // Clear old inventory or keep some
     if (options.fullRestock) {
@@ -151,14 +153,14 @@ export function restockShop(shop, options = {}) {
 
     // Generate new items based on shop type
     const categories = type.categories || [];
-    const itemCount = options.itemCount || Math.floor(5 + Math.random() * 10);
+    const itemCount = options.itemCount || Math.floor(5 + random() * 10);
 
     for (let i = 0; i < itemCount; i++) {
-        const category = categories[Math.floor(Math.random() * categories.length)];
+        const category = categories[Math.floor(random() * categories.length)];
         if (!category) continue;
 
         // Random quality weighted toward common
-        const qualityRoll = Math.random();
+        const qualityRoll = random();
         let quality = 'common';
         if (qualityRoll > 0.95) quality = 'legendary';
         else if (qualityRoll > 0.85) quality = 'epic';
@@ -184,8 +186,8 @@ export function restockShop(shop, options = {}) {
         shop.inventory.push(createInventoryItem({
             name: `${quality.charAt(0).toUpperCase() + quality.slice(1)} ${ITEM_CATEGORIES[category]?.name || category}`,
             category,
-            basePrice: (basePrices[category] || 10) * (1 + Math.random()),
-            quantity: Math.floor(1 + Math.random() * 5),
+            basePrice: (basePrices[category] || 10) * (1 + random()),
+            quantity: Math.floor(1 + random() * 5),
             quality
         }));
     }
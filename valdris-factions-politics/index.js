@@ -25,13 +25,23 @@ try {
     console.warn('[VFactions] Valdris Core not available');
 }
 
+// Schema migrations for valdris_factions, run by Valdris Core before each load
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill missing faction state fields',
+        migrate: (blob) => ValdrisCore.fillDefaults(blob, createEmptyFactionState())
+    }
+];
+ValdrisCore?.registerMigrations?.('valdris_factions', STATE_MIGRATIONS);
+
 // SillyTavern
-let getContext, saveSettingsDebounced, eventSource, event_types;
+let getContext, saveMetadataDebounced, eventSource, event_types;
 
 try {
     const extModule = await import('../../../extensions.js');
     getContext = extModule.getContext;
-    saveSettingsDebounced = extModule.saveSettingsDebounced;
+    saveMetadataDebounced = extModule.saveMetadataDebounced;
 } catch (e) {
     console.error('[VFactions] Failed to import extensions.js', e);
 }
@@ -40,7 +50,7 @@ try {
     const scriptModule = await import('../../../../script.js');
     eventSource = scriptModule.eventSource;
     event_types = scriptModule.event_types;
-    if (!saveSettingsDebounced) saveSettingsDebounced = scriptModule.saveSettingsDebounced;
+    if (!saveMetadataDebounced) saveMetadataDebounced = scriptModule.saveMetadata;
 } catch (e) {
     console.error('[VFactions] Failed to import script.js', e);
 }
@@ -58,15 +68,18 @@ let UI = {
 function loadState() {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
+    ValdrisCore?.migrateMetadataKey?.('valdris_factions', context.chat_metadata);
     const saved = context.chat_metadata.valdris_factions;
     if (saved) state = { ...createEmptyFactionState(), ...saved };
 }
 
-function saveState() {
+// tx: the core transaction this change belongs to, if any
+function saveState(tx) {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
     context.chat_metadata.valdris_factions = state;
-    saveSettingsDebounced?.();
+    if (ValdrisCore?.markDirty) ValdrisCore.markDirty('valdris_factions', EXT_NAME, { tx });
+    else saveMetadataDebounced?.();
 
     if (ValdrisCore) {
         ValdrisCore.setDomainState('factions', {
@@ -74,10 +87,18 @@ function saveState() {
             allied: state.factions.filter(f => (state.standings[f.id] || 0) >= 500).length,
             hostile: state.factions.filter(f => (state.standings[f.id] || 0) <= -500).length,
             memberOf: state.memberOf.length
-        });
+        }, EXT_NAME, { tx });
     }
 }
 
+// Run a change as one labelled undo step; fn gets the transaction to save in.
+// Pass tx when already running inside one (a delta op or command) to join it.
+function recordAction(label, fn, tx) {
+    if (!ValdrisCore?.transaction) return Promise.resolve(fn());
+    return ValdrisCore.transaction(async (active) => fn(active), { source: EXT_NAME, label, tx })
+        .catch(e => console.error(`[VFactions] ${label} failed:`, e));
+}
+
 function h(tag, attrs = {}, ...children) {
     const el = document.createElement(tag);
     for (const [k, v] of Object.entries(attrs)) {
@@ -209,11 +230,19 @@ function renderPowerBar(label, value) {
     );
 }
 
-function adjustStanding(factionId, amount) {
-    const current = state.standings[factionId] || 0;
-    state.standings[factionId] = Math.max(-1000, Math.min(1000, current + amount));
-    saveState();
-    render();
+function adjustStanding(factionId, amount, tx) {
+    return recordAction(`${getFactionName(factionId)} standing ${amount > 0 ? '+' : ''}${amount}`, (active) => {
+        const current = state.standings[factionId] || 0;
+        state.standings[factionId] = Math.max(-1000, Math.min(1000, current + amount));
+        saveState(active);
+        render();
+        ValdrisCore?.ValdrisEventBus.emit('reputationChanged', {
+            faction: factionId,
+            factionName: getFactionName(factionId),
+            oldValue: current,
+            newValue: state.standings[factionId]
+        });
+    });
 }
 
 function joinFaction(factionId) {
@@ -221,13 +250,20 @@ function joinFaction(factionId) {
         state.memberOf.push(factionId);
         saveState();
         render();
+        ValdrisCore?.ValdrisEventBus.emit('factionJoined', { faction: factionId, factionName: getFactionName(factionId) });
     }
 }
 
 function leaveFaction(factionId) {
+    if (!state.memberOf.includes(factionId)) return;
     state.memberOf = state.memberOf.filter(id => id !== factionId);
     saveState();
     render();
+    ValdrisCore?.ValdrisEventBus.emit('factionLeft', { faction: factionId, factionName: getFactionName(factionId) });
+}
+
+function getFactionName(factionId) {
+    return state.factions.find(f => f.id === factionId)?.name || factionId;
 }
 
 let modalEl = null;
@@ -360,9 +396,116 @@ function initCoreIntegration() {
     if (!ValdrisCore) return;
     ValdrisCore.registerDomain('factions', EXT_NAME);
     saveState();
+
+    // Supply the faction section of the core context block (replaces core's fallback builder)
+    ValdrisCore.registerContextProvider?.({
+        id: 'factions',
+        name: 'Factions (VFS)',
+        title: '## FACTIONS',
+        priority: 50,
+        owner: EXT_NAME,
+        build: () => state.settings?.contextEnabled !== false ? buildFactionsContext(state) : ''
+    });
+
+    // Reload after core rolls chat state back (swipe, edit, delete)
+    ValdrisCore.ValdrisEventBus.on('stateRestored', () => { loadState(); render(); });
+
+    registerCommands();
+    registerDeltaOps();
+    registerCommandHandlers();
+
     console.log('[VFactions] Core integration complete');
 }
 
+// Match a faction by id or name (case-insensitive)
+function findFaction(query) {
+    const needle = query.trim().toLowerCase();
+    return state.factions.find(f => f.id === query || f.name?.toLowerCase() === needle);
+}
+
+// STscript commands: /vfaction standing <name> <+N|-N|N>, /vfaction join|leave <name>
+function registerCommands() {
+    const requireFaction = (name) => {
+        const faction = name ? findFaction(name) : null;
+        if (!faction) throw new Error(`Unknown faction '${name}'`);
+        return faction;
+    };
+
+    ValdrisCore.registerValdrisCommand?.({
+        name: 'vfaction',
+        owner: EXT_NAME,
+        helpString: 'Read or change faction standing and membership. Returns the resulting standing.',
+        subcommands: {
+            standing: {
+                usage: '<faction> [+N|-N|N]',
+                help: 'Get standing, or adjust it (-1000 to 1000). Quote names with spaces, or put the amount last.',
+                run: async (args) => {
+                    const last = args[args.length - 1];
+                    const hasAmount = args.length > 1 && /^[+-]?\d+$/.test(last);
+                    const faction = requireFaction((hasAmount ? args.slice(0, -1) : args).join(' '));
+                    if (hasAmount) {
+                        const { value, relative } = ValdrisCore.parseAmount(last);
+                        await adjustStanding(faction.id, relative ? value : value - (state.standings[faction.id] || 0));
+                    }
+                    return state.standings[faction.id] || 0;
+                }
+            },
+            join: {
+                usage: '<faction>',
+                help: 'Join a faction',
+                run: (args) => {
+                    const faction = requireFaction(args.join(' '));
+                    joinFaction(faction.id);
+                    return faction.name;
+                }
+            },
+            leave: {
+                usage: '<faction>',
+                help: 'Leave a faction',
+                run: (args) => {
+                    const faction = requireFaction(args.join(' '));
+                    leaveFaction(faction.id);
+                    return faction.name;
+                }
+            }
+        }
+    });
+}
+
+// valdris block op: {"op":"faction.standing","faction":"Iron Guild","delta":5}
+function registerDeltaOps() {
+    ValdrisCore.registerDeltaOp?.('faction.standing', {
+        owner: EXT_NAME,
+        description: 'Change standing with a faction',
+        fields: {
+            faction: { type: 'string', required: true },
+            delta: { type: 'number', required: true }
+        },
+        validate: (op) => findFaction(op.faction) ? null : `Unknown faction '${op.faction}'`,
+        apply: async (op, { tx }) => {
+            const faction = findFaction(op.faction);
+            await adjustStanding(faction.id, Math.round(op.delta), tx);
+            return `${faction.name} standing ${state.standings[faction.id] || 0}`;
+        }
+    });
+}
+
+// Command bus: factions.adjustStanding { faction: name or id, delta } -> { faction, standing }
+function registerCommandHandlers() {
+    ValdrisCore.registerCommandHandler?.('factions.adjustStanding', {
+        owner: EXT_NAME,
+        description: 'Change standing with a faction',
+        handler: async ({ faction: ref, delta } = {}, { tx }) => {
+            const faction = findFaction(String(ref || ''));
+            if (!faction) throw new Error(`Unknown faction '${ref}'`);
+            if (!Number.isFinite(delta)) throw new Error('delta must be a number');
+
+            await adjustStanding(faction.id, Math.round(delta), tx);
+            return { faction: faction.name, standing: state.standings[faction.id] || 0 };
+        }
+    });
+}
+
 window.VFactions = {
     getState: () => state,
     getFaction: (id) => state.factions.find(f => f.id === id),
@@ -12,9 +12,11 @@ import {
     getState,
     setState,
     updateField,
+    updateState,
     subscribe,
     createEmptyState,
-    recalculateDerivedStats
+    recalculateDerivedStats,
+    META_KEY
 } from './state-manager.js';
 
 // Import tab renderers
@@ -87,6 +89,26 @@ try {
 // Initialize state manager with SillyTavern references
 initStateManager(getContext, saveSettingsDebounced);
 
+// Most of one item a single valdris block op or command may add or remove
+const MAX_ITEM_QTY = 999;
+
+// Schema migrations for the tracker blob, run through Valdris Core before it is read
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill missing tracker fields from the empty state',
+        migrate: (blob) => ValdrisCore.fillDefaults(blob, createEmptyState())
+    }
+];
+ValdrisCore?.registerMigrations?.(META_KEY, STATE_MIGRATIONS);
+
+/**
+ * Upgrade the current chat's tracker blob to the latest schema
+ */
+function migrateChatState() {
+    ValdrisCore?.migrateMetadataKey?.(META_KEY, getContext?.()?.chatMetadata);
+}
+
 // UI State
 const UI = {
     mounted: false,
@@ -416,14 +438,38 @@ async function recordParseHistory(summary, message, applied) {
     await updateField('settings.parseHistory', history.slice(-100));
 }
 
-async function applyResourceDelta(path, delta, min, max) {
+async function applyResourceDelta(path, delta, min, max, options = {}) {
     const state = getState();
     const current = path.split('.').reduce((acc, key) => acc?.[key], state) ?? 0;
     const next = clamp(current + delta, min, max);
-    await updateField(path, next);
+    await updateField(path, next, options);
     return async () => updateField(path, current);
 }
 
+/**
+ * Apply HP damage after the 'beforeDamage' phase, where resistances can reduce or cancel it
+ * @returns {Promise<Function>} Undo function, like applyResourceDelta
+ */
+async function applyDamage(amount, source, options = {}) {
+    const state = getState();
+    let finalAmount = amount;
+
+    if (ValdrisCore) {
+        const before = ValdrisCore.ValdrisEventBus.emitBefore('beforeDamage', {
+            amount,
+            source,
+            hp: { ...state.hp }
+        });
+        if (before.cancelled) {
+            console.log(`[VMasterTracker] Damage (${amount}) prevented: ${before.reason}`);
+            return async () => {};
+        }
+        finalAmount = Math.max(0, Math.round(Number(before.data.amount) || 0));
+    }
+
+    return applyResourceDelta('hp.current', -finalAmount, 0, state.hp?.max ?? 0, options);
+}
+
 async function applySetValue(path, value) {
     const state = getState();
     const current = path.split('.').reduce((acc, key) => acc?.[key], state);
@@ -431,15 +477,18 @@ async function applySetValue(path, value) {
     return async () => updateField(path, current);
 }
 
-async function applyItemGains(items) {
+// items: names (a repeated name adds one each time) or { name: count }
+async function applyItemGains(items, options = {}) {
     const state = getState();
     const inventory = [...(state.inventory || [])];
     const addedIds = [];
     const incrementedCounts = {};
-    const counts = items.reduce((acc, name) => {
-        acc[name] = (acc[name] || 0) + 1;
-        return acc;
-    }, {});
+    const counts = Array.isArray(items)
+        ? items.reduce((acc, name) => {
+            acc[name] = (acc[name] || 0) + 1;
+            return acc;
+        }, {})
+        : { ...items };
 
     Object.entries(counts).forEach(([name, count]) => {
         const existing = inventory.find(item => item.name === name);
@@ -452,7 +501,7 @@ async function applyItemGains(items) {
             addedIds.push(id);
         }
     });
-    await updateField('inventory', inventory);
+    await updateField('inventory', inventory, options);
     return async () => {
         const current = [...(getState().inventory || [])];
         const updated = current
@@ -471,6 +520,27 @@ async function applyItemGains(items) {
     };
 }
 
+async function applyItemLoss(name, count, options = {}) {
+    const state = getState();
+    const inventory = [...(state.inventory || [])];
+    const index = inventory.findIndex(item => item.name.toLowerCase() === name.toLowerCase());
+    if (index < 0) throw new Error(`No '${name}' in inventory`);
+
+    const original = inventory[index];
+    const nextQty = (original.quantity || 1) - count;
+    if (nextQty > 0) inventory[index] = { ...original, quantity: nextQty };
+    else inventory.splice(index, 1);
+
+    await updateField('inventory', inventory, options);
+    return async () => {
+        const current = [...(getState().inventory || [])];
+        const existing = current.findIndex(item => item.id === original.id);
+        if (existing >= 0) current[existing] = original;
+        else current.push(original);
+        await updateField('inventory', current);
+    };
+}
+
 async function applyStatusGains(statuses) {
     const state = getState();
     const buffs = [...(state.buffs || [])];
@@ -498,6 +568,10 @@ async function parseMessageForChanges(text) {
         : (text && text.mes) ? text.mes
         : String(text || '');
 
+    // Core applies ```valdris blocks; keep their JSON out of the prose patterns
+    const deltaOps = ValdrisCore?.parseDeltaBlocks?.(messageText)?.ops || [];
+    if (ValdrisCore?.stripDeltaBlocks) messageText = ValdrisCore.stripDeltaBlocks(messageText);
+
     function stripFormatting(s){
         return String(s || '')
             .replace(/\*\*(.*?)\*\*/g, '$1')
@@ -622,7 +696,13 @@ async function parseMessageForChanges(text) {
         return;
     }
 
-    const categories = autoParsing.parseCategories || {};
+    const categories = { ...(autoParsing.parseCategories || {}) };
+
+    // Categories the valdris block already reported are not inferred from prose again
+    const DELTA_CATEGORIES = { hp: ['damage', 'healing'], mp: ['mana'], xp: ['xp'], gold: ['gold'], item: ['items'] };
+    deltaOps.forEach(op => {
+        (DELTA_CATEGORIES[String(op?.op || '').toLowerCase()] || []).forEach(key => { categories[key] = false; });
+    });
     console.log('[VMasterTracker] Parse categories:', Object.keys(categories).filter(k => categories[k]));
     const changes = [];
 
@@ -634,7 +714,7 @@ async function parseMessageForChanges(text) {
                 if (!Number.isNaN(hpVal)) {
                     if (hpVal < 0) {
                         const amt = Math.abs(hpVal);
-                        changes.push({ summary: `-${amt} HP`, apply: () => applyResourceDelta('hp.current', -amt, 0, state.hp?.max ?? 0) });
+                        changes.push({ summary: `-${amt} HP`, apply: () => applyDamage(amt, 'parsed') });
                     } else {
                         const amt = hpVal;
                         changes.push({ summary: `+${amt} HP`, apply: () => applyResourceDelta('hp.current', amt, 0, state.hp?.max ?? 0) });
@@ -692,7 +772,7 @@ async function parseMessageForChanges(text) {
         if (amount > 0) {
             changes.push({
                 summary: `-${amount} HP`,
-                apply: () => applyResourceDelta('hp.current', -amount, 0, state.hp?.max ?? 0)
+                apply: () => applyDamage(amount, 'parsed')
             });
         }
     }
@@ -3869,6 +3949,7 @@ function registerEvents() {
     // Chat changed - re-render with new chat's data
     eventSource.on(event_types.CHAT_CHANGED, () => {
         console.log('[VMasterTracker] Chat changed, re-rendering');
+        migrateChatState();
         render();
     });
 
@@ -3975,6 +4056,187 @@ window.VMasterTracker = {
     }
 };
 
+/**
+ * Register STscript commands through Valdris Core
+ * /vhp -12 | /vhp +5 | /vhp 40  - returns "current/max"
+ */
+function registerCommands() {
+    ValdrisCore.registerValdrisCommand?.({
+        name: 'vhp',
+        owner: EXT_NAME,
+        helpString: 'Change the character\'s HP by a signed amount or set it outright. Returns current/max.',
+        usage: '<+N|-N|N>',
+        run: async (args) => {
+            if (!args.length) {
+                const hp = getState().hp;
+                return `${hp?.current ?? 0}/${hp?.max ?? 0}`;
+            }
+            const { value, relative } = ValdrisCore.parseAmount(args[0]);
+            const max = getState().hp?.max ?? 0;
+            if (relative && value < 0) {
+                await applyDamage(-value, 'command');
+            } else if (relative) {
+                await applyResourceDelta('hp.current', value, 0, max);
+            } else {
+                await applySetValue('hp.current', clamp(value, 0, max));
+            }
+            const hp = getState().hp;
+            return `${hp?.current ?? 0}/${hp?.max ?? 0}`;
+        }
+    });
+}
+
+/**
+ * valdris block ops for the character sheet:
+ * {"op":"hp","delta":-8,"source":"arrow"}, {"op":"mp","delta":-5}, {"op":"xp","delta":50},
+ * {"op":"item","name":"Iron Key","qty":1} (negative qty removes)
+ */
+function registerDeltaOps() {
+    const resourceOp = (key, label) => ({
+        owner: EXT_NAME,
+        description: `${label} change`,
+        fields: {
+            delta: { type: 'number', required: true },
+            source: { type: 'string' }
+        },
+        apply: async (op, { tx }) => {
+            const delta = Math.round(op.delta);
+            if (key === 'hp' && delta < 0) {
+                await applyDamage(-delta, op.source || 'valdris block', { tx });
+            } else {
+                const max = key === 'xp' ? Number.MAX_SAFE_INTEGER : (getState()[key]?.max ?? 0);
+                await applyResourceDelta(`${key}.current`, delta, 0, max, { tx });
+            }
+            const value = getState()[key];
+            return key === 'xp' ? `XP ${value?.current ?? 0}` : `${label} ${value?.current ?? 0}/${value?.max ?? 0}`;
+        }
+    });
+
+    ValdrisCore.registerDeltaOp?.('hp', resourceOp('hp', 'HP'));
+    ValdrisCore.registerDeltaOp?.('mp', resourceOp('mp', 'MP'));
+    ValdrisCore.registerDeltaOp?.('xp', resourceOp('xp', 'XP'));
+
+    ValdrisCore.registerDeltaOp?.('item', {
+        owner: EXT_NAME,
+        description: 'Item gained or lost',
+        fields: {
+            name: { type: 'string', required: true },
+            qty: { type: 'integer', min: -MAX_ITEM_QTY, max: MAX_ITEM_QTY }
+        },
+        validate: (op) => op.qty === 0 ? 'qty must not be 0' : null,
+        apply: async (op, { tx }) => {
+            const name = op.name.trim();
+            const qty = op.qty ?? 1;
+            if (qty > 0) await applyItemGains({ [name]: qty }, { tx });
+            else await applyItemLoss(name, -qty, { tx });
+            return `${qty > 0 ? '+' : ''}${qty} ${name}`;
+        }
+    });
+}
+
+/**
+ * Command bus handlers so other extensions can change the character sheet:
+ * player.adjustResource { resource: 'hp'|'mp'|'stamina'|'xp', delta, source? } -> { current, max }
+ * player.adjustItem { name, qty } (negative qty removes; at most MAX_ITEM_QTY either way) -> { name, quantity }
+ */
+function registerCommandHandlers() {
+    const RESOURCES = ['hp', 'mp', 'stamina', 'xp'];
+
+    ValdrisCore.registerCommandHandler?.('player.adjustResource', {
+        owner: EXT_NAME,
+        description: 'Change HP, MP, stamina or XP by a signed amount',
+        handler: async ({ resource, delta, source } = {}, { tx }) => {
+            if (!RESOURCES.includes(resource)) throw new Error(`resource must be one of ${RESOURCES.join(', ')}`);
+            if (!Number.isFinite(delta)) throw new Error('delta must be a number');
+
+            const amount = Math.round(delta);
+            if (resource === 'hp' && amount < 0) {
+                await applyDamage(-amount, source || 'command', { tx });
+            } else {
+                const max = resource === 'xp' ? Number.MAX_SAFE_INTEGER : (getState()[resource]?.max ?? 0);
+                await applyResourceDelta(`${resource}.current`, amount, 0, max, { tx });
+            }
+            const value = getState()[resource];
+            return { current: value?.current ?? 0, max: value?.max ?? 0 };
+        }
+    });
+
+    ValdrisCore.registerCommandHandler?.('player.adjustItem', {
+        owner: EXT_NAME,
+        description: 'Add or remove inventory items',
+        handler: async ({ name, qty = 1 } = {}, { tx }) => {
+            if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+            if (!Number.isInteger(qty) || qty === 0) throw new Error('qty must be a non-zero whole number');
+            if (Math.abs(qty) > MAX_ITEM_QTY) throw new Error(`qty must be from -${MAX_ITEM_QTY} to ${MAX_ITEM_QTY}`);
+
+            if (qty > 0) await applyItemGains({ [name.trim()]: qty }, { tx });
+            else await applyItemLoss(name.trim(), -qty, { tx });
+
+            const item = (getState().inventory || []).find(i => i.name.toLowerCase() === name.trim().toLowerCase());
+            return { name: name.trim(), quantity: item ? (item.quantity || 1) : 0 };
+        }
+    });
+}
+
+/**
+ * Daily upkeep run by core for each new day (live or simulated):
+ * wounds heal a day and companion needs decay
+ */
+function registerDayProcessor() {
+    ValdrisCore.registerDailyProcessor?.('vmt.recovery', {
+        owner: EXT_NAME,
+        name: 'Wound healing and companion needs',
+        domain: 'player',
+        order: 40,
+        read: () => ({ wounds: getState().wounds || [], companions: getState().companions || [] }),
+        process: (working) => {
+            const changes = [];
+
+            const wounds = processWoundHealing(working.wounds);
+            wounds.forEach((wound, i) => {
+                if (wound.daysRemaining === 0 && (working.wounds[i].daysRemaining || 0) > 0) {
+                    changes.push(`${wound.type || 'Wound'}${wound.location ? ` (${wound.location})` : ''} has healed`);
+                }
+            });
+            working.wounds = wounds;
+
+            const companions = processCompanionNeeds(working.companions);
+            companions.forEach((companion, i) => {
+                if (companion.moodState && companion.moodState !== working.companions[i].moodState) {
+                    changes.push(`${companion.name} is now ${companion.moodState}`);
+                }
+            });
+            working.companions = companions;
+
+            return changes;
+        },
+        commit: async (working, { tx }) => {
+            await updateState({ wounds: working.wounds, companions: working.companions }, { tx });
+            render();
+        }
+    });
+}
+
+/**
+ * Whether a contract deadline falls inside a time jump
+ * The deadline is a datetime-local value; 'YYYY-MM-DDTHH:MM' is read as year,
+ * month number, day and clock on the game calendar.
+ * @param {string} deadline - Contract deadline
+ * @param {Object} from - { year, month, day, hour, minute } before the jump
+ * @param {Object} to - Same, after the jump
+ * @returns {boolean}
+ */
+function isDeadlineInJump(deadline, from, to) {
+    const match = /^(\d+)-(\d+)-(\d+)(?:T(\d+):(\d+))?/.exec(deadline || '');
+    if (!match) return false;
+
+    const stamp = (year, month, day, hour, minute) => (((year * 100 + month) * 100 + day) * 100 + hour) * 100 + minute;
+    // A date without a clock lasts to the end of that day
+    const due = stamp(+match[1], +match[2], +match[3], match[4] ? +match[4] : 23, match[5] ? +match[5] : 59);
+    return due > stamp(from.year, from.month, from.day, from.hour, from.minute)
+        && due <= stamp(to.year, to.month, to.day, to.hour, to.minute);
+}
+
 /**
  * Integrate with Valdris Core (if available)
  */
@@ -3989,47 +4251,71 @@ function initCoreIntegration() {
     // Register as owner of 'player' domain
     ValdrisCore.registerDomain('player', EXT_NAME);
 
-    // Sync current state to core
-    const syncToCore = () => {
+    // Sync current state to core; a change made for a core transaction
+    // (delta op, command, day commit) is staged in it and saved when it commits
+    const syncToCore = (tx) => {
         const state = getState();
         ValdrisCore.setDomainState('player', {
-            name: state.name,
+            characterName: state.characterName,
+            currentLocation: state.currentLocation,
             level: state.level,
-            class: state.class,
+            xp: state.xp,
+            mainClass: state.mainClass,
             hp: state.hp,
             mp: state.mp,
             stamina: state.stamina,
-            stats: state.stats,
+            attributes: state.attributes,
+            derivedStats: state.derivedStats,
             skills: state.skills,
             equipment: state.equipment,
+            buffs: state.buffs,
+            debuffs: state.debuffs,
             wounds: state.wounds,
-            companions: state.companions,
-            gold: state.gold,
-            location: state.location
-        }, EXT_NAME);
+            survivalMeters: state.survivalMeters,
+            currencies: state.currencies
+        }, EXT_NAME, { tx });
     };
 
     // Initial sync
     syncToCore();
 
     // Re-sync on state changes
-    const unsub = subscribe(() => syncToCore());
+    const unsub = subscribe((state, { tx } = {}) => syncToCore(tx));
     _cleanup.unsubscribers.push(unsub);
 
-    // Subscribe to core events
-    const eventUnsub = ValdrisCore.ValdrisEventBus.on('newDay', (data) => {
-        console.log('[VMasterTracker] New day event received:', data);
-
-        // Process wound healing
-        processWoundHealing(render);
-
-        // Process companion needs decay
-        processCompanionNeeds(render);
-
-        // Re-sync state after processing
-        syncToCore();
+    // Announce tracker milestones on the bus (level-ups, new wounds, near death).
+    // The baseline is dropped whenever state is swapped wholesale, so loading a
+    // chat or rolling back is not mistaken for a change.
+    const NEAR_DEATH_PERCENT = 20;
+    let baseline = null;
+    const takeBaseline = (state) => ({
+        level: Number(state.level) || 0,
+        woundIds: new Set((state.wounds || []).map(w => w.id)),
+        hpPercent: state.hp?.max ? (state.hp.current / state.hp.max) * 100 : 100
     });
-    _cleanup.unsubscribers.push(eventUnsub);
+    const detectMilestones = () => {
+        const state = getState();
+        const next = takeBaseline(state);
+        if (baseline) {
+            const bus = ValdrisCore.ValdrisEventBus;
+            if (next.level > baseline.level) {
+                bus.emit('levelUp', { oldLevel: baseline.level, newLevel: next.level });
+            }
+            for (const wound of state.wounds || []) {
+                if (!baseline.woundIds.has(wound.id)) bus.emit('woundReceived', { wound });
+            }
+            if (next.hpPercent > 0 && next.hpPercent <= NEAR_DEATH_PERCENT && baseline.hpPercent > NEAR_DEATH_PERCENT) {
+                bus.emit('nearDeath', { hpPercent: next.hpPercent });
+            }
+        }
+        baseline = next;
+    };
+    detectMilestones();
+    _cleanup.unsubscribers.push(subscribe(() => detectMilestones()));
+    _cleanup.unsubscribers.push(ValdrisCore.ValdrisEventBus.on('chatChanged', () => {
+        baseline = null;
+        detectMilestones();
+    }));
 
     // Subscribe to time advanced events (for training progress, etc.)
     const timeUnsub = ValdrisCore.ValdrisEventBus.on('timeAdvanced', (data) => {
@@ -4038,6 +4324,37 @@ function initCoreIntegration() {
     });
     _cleanup.unsubscribers.push(timeUnsub);
 
+    // Large time jump dialog: list active contracts whose deadline the jump would pass
+    const previewUnsub = ValdrisCore.ValdrisEventBus.on('timeJumpPreview', (preview) => {
+        const missed = (getState().contracts || [])
+            .filter(c => c.status === 'Active' && isDeadlineInJump(c.deadline, preview.from, preview.to))
+            .map(c => `${c.name || 'Unnamed contract'} (${c.type || 'Other'}), due ${c.deadline.replace('T', ' ')}`);
+        if (missed.length > 0) preview.sections.push({ title: 'Contract Deadlines Missed', items: missed });
+    });
+    _cleanup.unsubscribers.push(previewUnsub);
+
+    // Core rolled chat state back (swipe, edit, delete) - redraw from restored metadata
+    const restoreUnsub = ValdrisCore.ValdrisEventBus.on('stateRestored', () => {
+        baseline = null;
+        detectMilestones();
+        render();
+        syncToCore();
+    });
+    _cleanup.unsubscribers.push(restoreUnsub);
+
+    // Core replays the surviving message after a rollback; live messages come via MESSAGE_RECEIVED
+    const replayUnsub = ValdrisCore.ValdrisEventBus.on('aiResponseReceived', async (data) => {
+        if (!data?.replay || !data.message) return;
+        if (!getState().settings?.autoParsing?.enabled) return;
+        await parseMessageForChanges(data.message);
+    });
+    _cleanup.unsubscribers.push(replayUnsub);
+
+    registerCommands();
+    registerDeltaOps();
+    registerCommandHandlers();
+    registerDayProcessor();
+
     console.log('[VMasterTracker] Core integration complete');
 }
 
@@ -4048,6 +4365,7 @@ function initCoreIntegration() {
     console.log('[VMasterTracker] Loading...');
 
     try {
+        migrateChatState();
         mountUI();
         registerEvents();
 
@@ -473,14 +473,20 @@ function getChatMetadata() {
 
 /**
  * Save chat metadata to SillyTavern
+ * A write made for an open core transaction is saved when that transaction commits.
+ * @param {Object} [options] - { tx }
  */
-async function saveChatMetadata() {
+async function saveChatMetadata(options = {}) {
     const ctx = getSTContext();
     if (!ctx) {
         console.warn('[VMasterTracker] Cannot save metadata: ST context unavailable');
         return false;
     }
 
+    if (options.tx?.isOpen?.()) {
+        return true;
+    }
+
     try {
         if (typeof ctx.saveMetadata === 'function') {
             await ctx.saveMetadata();
@@ -521,14 +527,15 @@ export function getState() {
 
 /**
  * Set the entire state (replaces current state)
+ * @param {Object} [options] - { tx: core transaction the write belongs to }
  */
-export async function setState(newState) {
+export async function setState(newState, options = {}) {
     return await stateMutex.withLock(async () => {
         const md = getChatMetadata();
         if (md) {
             md[META_KEY] = { ...newState };
-            await saveChatMetadata();
-            notifySubscribers(newState);
+            await saveChatMetadata(options);
+            notifySubscribers(newState, options);
             return true;
         }
         return false;
@@ -537,8 +544,9 @@ export async function setState(newState) {
 
 /**
  * Update specific fields in the state (merges with current state)
+ * @param {Object} [options] - { tx: core transaction the write belongs to }
  */
-export async function updateState(updates) {
+export async function updateState(updates, options = {}) {
     return await stateMutex.withLock(async () => {
         const md = getChatMetadata();
         if (md) {
@@ -546,8 +554,8 @@ export async function updateState(updates) {
                 md[META_KEY] = createEmptyState();
             }
             md[META_KEY] = deepMerge(md[META_KEY], updates);
-            await saveChatMetadata();
-            notifySubscribers(md[META_KEY]);
+            await saveChatMetadata(options);
+            notifySubscribers(md[META_KEY], options);
             return true;
         }
         return false;
@@ -556,8 +564,9 @@ export async function updateState(updates) {
 
 /**
  * Update a specific field using a path (e.g., 'hp.current')
+ * @param {Object} [options] - { tx: core transaction the write belongs to }
  */
-export async function updateField(path, value) {
+export async function updateField(path, value, options = {}) {
     console.log('[VMasterTracker] updateField called:', path, '=', value);
     return await stateMutex.withLock(async () => {
         const md = getChatMetadata();
@@ -566,13 +575,13 @@ export async function updateField(path, value) {
                 md[META_KEY] = createEmptyState();
             }
             setNestedValue(md[META_KEY], path, value);
-            const saved = await saveChatMetadata();
+            const saved = await saveChatMetadata(options);
             if (saved) {
                 console.log('[VMasterTracker] updateField complete, saved to metadata');
             } else {
                 console.warn('[VMasterTracker] updateField failed to save metadata');
             }
-            notifySubscribers(md[META_KEY]);
+            notifySubscribers(md[META_KEY], options);
             return true;
         }
         console.warn('[VMasterTracker] updateField skipped: no metadata available');
@@ -614,6 +623,7 @@ export async function recalculateDerivedStats() {
 
 /**
  * Subscribe to state changes
+ * Callbacks get (state, { tx }), tx being the core transaction the change was made for, if any.
  */
 export function subscribe(callback) {
     _subscribers.push(callback);
@@ -626,10 +636,10 @@ export function subscribe(callback) {
 /**
  * Notify all subscribers of state change
  */
-function notifySubscribers(state) {
+function notifySubscribers(state, { tx } = {}) {
     for (const cb of _subscribers) {
         try {
-            cb(state);
+            cb(state, { tx });
         } catch (e) {
             console.error('[VMasterTracker] Subscriber error:', e);
         }
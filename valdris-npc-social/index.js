@@ -36,13 +36,26 @@ try {
     console.warn('[VNPCSocial] Valdris Core not available');
 }
 
+// Schema migrations for valdris_npc_social, run by Valdris Core before each load
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill missing NPC fields',
+        migrate: (blob) => {
+            blob.npcs = (blob.npcs || []).map(npc => ValdrisCore.fillDefaults(npc, createNPC()));
+            return blob;
+        }
+    }
+];
+ValdrisCore?.registerMigrations?.('valdris_npc_social', STATE_MIGRATIONS);
+
 // SillyTavern references
-let getContext, saveSettingsDebounced, eventSource, event_types;
+let getContext, saveMetadataDebounced, eventSource, event_types;
 
 try {
     const extModule = await import('../../../extensions.js');
     getContext = extModule.getContext;
-    saveSettingsDebounced = extModule.saveSettingsDebounced;
+    saveMetadataDebounced = extModule.saveMetadataDebounced;
 } catch (e) {
     console.error('[VNPCSocial] Failed to import extensions.js', e);
 }
@@ -51,7 +64,7 @@ try {
     const scriptModule = await import('../../../../script.js');
     eventSource = scriptModule.eventSource;
     event_types = scriptModule.event_types;
-    if (!saveSettingsDebounced) saveSettingsDebounced = scriptModule.saveSettingsDebounced;
+    if (!saveMetadataDebounced) saveMetadataDebounced = scriptModule.saveMetadata;
 } catch (e) {
     console.error('[VNPCSocial] Failed to import script.js', e);
 }
@@ -82,6 +95,7 @@ function loadState() {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
 
+    ValdrisCore?.migrateMetadataKey?.('valdris_npc_social', context.chat_metadata);
     const saved = context.chat_metadata.valdris_npc_social;
     if (saved) {
         state = {
@@ -91,12 +105,14 @@ function loadState() {
     }
 }
 
-function saveState() {
+// tx: the core transaction this change belongs to, if any
+function saveState(tx) {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
 
     context.chat_metadata.valdris_npc_social = state;
-    saveSettingsDebounced?.();
+    if (ValdrisCore?.markDirty) ValdrisCore.markDirty('valdris_npc_social', EXT_NAME, { tx });
+    else saveMetadataDebounced?.();
 
     // Sync to core
     if (ValdrisCore) {
@@ -109,10 +125,18 @@ function saveState() {
                 .sort((a, b) => (b.lastInteraction || '') - (a.lastInteraction || ''))
                 .slice(0, 5)
                 .map(n => ({ id: n.id, name: n.name, relationship: n.relationship }))
-        });
+        }, EXT_NAME, { tx });
     }
 }
 
+// Run a change as one labelled undo step; fn gets the transaction to save in.
+// Pass tx when already running inside one (a delta op or command) to join it.
+function recordAction(label, fn, tx) {
+    if (!ValdrisCore?.transaction) return Promise.resolve(fn());
+    return ValdrisCore.transaction(async (active) => fn(active), { source: EXT_NAME, label, tx })
+        .catch(e => console.error(`[VNPCSocial] ${label} failed:`, e));
+}
+
 // Helper to create DOM elements
 function h(tag, attrs = {}, ...children) {
     const el = document.createElement(tag);
@@ -170,9 +194,9 @@ function renderNPCList() {
     const npcs = getFilteredNPCs();
 
     return h('div', { class: 'vns_npc_list' },
-        npcs.length === 0 ?
-            h('div', { class: 'vns_empty' }, 'No NPCs match the current filter') :
-            ...npcs.map(npc => renderNPCCard(npc))
+        ...(npcs.length === 0 ?
+            [h('div', { class: 'vns_empty' }, 'No NPCs match the current filter')] :
+            npcs.map(npc => renderNPCCard(npc)))
     );
 }
 
@@ -235,10 +259,12 @@ function renderNPCDetail(npc) {
                     class: 'vns_btn vns_btn_small vns_btn_danger',
                     onclick: () => {
                         if (confirm(`Delete ${npc.name}?`)) {
-                            state.npcs = state.npcs.filter(n => n.id !== npc.id);
-                            saveState();
-                            UI.activeView = 'list';
-                            render();
+                            recordAction(`Delete ${npc.name}`, (tx) => {
+                                state.npcs = state.npcs.filter(n => n.id !== npc.id);
+                                saveState(tx);
+                                UI.activeView = 'list';
+                                render();
+                            });
                         }
                     }
                 }, 'Delete')
@@ -288,21 +314,13 @@ function renderNPCDetail(npc) {
                     ...['helped', 'gift_small', 'completed_quest', 'impressed'].map(evt =>
                         h('button', {
                             class: 'vns_btn vns_btn_positive',
-                            onclick: () => {
-                                applyRelationshipEvent(npc, evt);
-                                saveState();
-                                render();
-                            }
+                            onclick: () => applyNPCEvent(npc.id, evt)
                         }, RELATIONSHIP_EVENTS[evt].description)
                     ),
                     ...['insulted', 'lied', 'threatened', 'attacked'].map(evt =>
                         h('button', {
                             class: 'vns_btn vns_btn_negative',
-                            onclick: () => {
-                                applyRelationshipEvent(npc, evt);
-                                saveState();
-                                render();
-                            }
+                            onclick: () => applyNPCEvent(npc.id, evt)
                         }, RELATIONSHIP_EVENTS[evt].description)
                     )
                 )
@@ -599,19 +617,207 @@ function initCoreIntegration() {
     ValdrisCore.registerDomain('npcs', EXT_NAME);
     saveState();
 
-    // Listen for new day - process relationship decay
-    ValdrisCore.ValdrisEventBus.subscribe('newDay', () => {
-        if (!state.settings.decayEnabled) return;
+    // Supply the NPC section of the core context block (replaces core's fallback builder)
+    ValdrisCore.registerContextProvider?.({
+        id: 'npcs',
+        name: 'NPCs & Relationships (VNS)',
+        title: '## NPCS & RELATIONSHIPS',
+        priority: 60,
+        owner: EXT_NAME,
+        build: () => state.settings.contextEnabled ? buildNPCSocialContext() : ''
+    });
 
-        for (const npc of state.npcs) {
-            processDailyDecay(npc, 1);
-        }
-        saveState();
+    // Reload after core rolls chat state back (swipe, edit, delete)
+    ValdrisCore.ValdrisEventBus.on('stateRestored', () => {
+        loadState();
+        render();
     });
 
+    registerCommands();
+    registerDeltaOps();
+    registerCommandHandlers();
+    registerDayProcessor();
+    registerMacros();
+    registerStatusSource();
+
     console.log('[VNPCSocial] Core integration complete');
 }
 
+// Apply a relationship event to an NPC (shared by the public API and slash commands)
+function applyNPCEvent(npcId, event, intensity, tx) {
+    const npc = state.npcs.find(n => n.id === npcId);
+    if (!npc) return null;
+
+    const result = applyRelationshipEvent(npc, event, intensity);
+    if (result) {
+        saveState(tx);
+        render();
+        ValdrisCore?.ValdrisEventBus.emit('relationshipChanged', {
+            npcId: npc.id,
+            npcName: npc.name,
+            event,
+            description: result.description,
+            changes: result.changes
+        });
+    }
+    return result;
+}
+
+// STscript commands: /vnpc event <name> <event> [intensity=1], /vnpc get <name>
+function registerCommands() {
+    const findNPC = (name) => {
+        const npc = state.npcs.find(n => n.name.toLowerCase() === name.trim().toLowerCase());
+        if (!npc) throw new Error(`Unknown NPC '${name}'`);
+        return npc;
+    };
+    const describe = (npc) =>
+        `${npc.name}: relationship ${npc.relationship}, trust ${npc.trust}, fear ${npc.fear}, respect ${npc.respect}`;
+
+    ValdrisCore.registerValdrisCommand?.({
+        name: 'vnpc',
+        owner: EXT_NAME,
+        helpString: 'Apply relationship events to NPCs. Returns the NPC\'s updated standing.',
+        subcommands: {
+            get: {
+                usage: '<name>',
+                help: 'Current relationship values',
+                run: (args) => describe(findNPC(args.join(' ')))
+            },
+            event: {
+                usage: '<name> <event> [intensity=1]',
+                help: `Apply an event; the event is the last word (${Object.keys(RELATIONSHIP_EVENTS).join(', ')})`,
+                run: (args, namedArgs) => {
+                    if (args.length < 2) throw new Error('Usage: /vnpc event <name> <event>');
+
+                    const event = args[args.length - 1].toLowerCase();
+                    if (!RELATIONSHIP_EVENTS[event]) throw new Error(`Unknown event '${event}'`);
+
+                    const intensity = namedArgs.intensity !== undefined ? Number(namedArgs.intensity) : 1;
+                    if (!Number.isFinite(intensity)) throw new Error('intensity must be a number');
+
+                    const npc = findNPC(args.slice(0, -1).join(' '));
+                    applyNPCEvent(npc.id, event, intensity);
+                    return describe(npc);
+                }
+            }
+        }
+    });
+}
+
+// valdris block op: {"op":"npc.event","npc":"Mira","event":"gift","intensity":1}
+function registerDeltaOps() {
+    const findNPC = (name) => state.npcs.find(n => n.name.toLowerCase() === name.trim().toLowerCase());
+
+    ValdrisCore.registerDeltaOp?.('npc.event', {
+        owner: EXT_NAME,
+        description: 'Relationship event with a known NPC',
+        fields: {
+            npc: { type: 'string', required: true },
+            event: { type: 'string', required: true, values: Object.keys(RELATIONSHIP_EVENTS) },
+            intensity: { type: 'number' }
+        },
+        validate: (op) => findNPC(op.npc) ? null : `Unknown NPC '${op.npc}'`,
+        apply: (op, { tx }) => {
+            const npc = findNPC(op.npc);
+            const result = applyNPCEvent(npc.id, op.event.toLowerCase(), op.intensity ?? 1, tx);
+            return result?.description || `${npc.name}: ${op.event}`;
+        }
+    });
+}
+
+// Command bus: other extensions request relationship changes through here
+// npcs.applyEvent { npc: name or id, event, intensity? } -> { npc, description }
+function registerCommandHandlers() {
+    ValdrisCore.registerCommandHandler?.('npcs.applyEvent', {
+        owner: EXT_NAME,
+        description: 'Apply a relationship event to an NPC',
+        handler: ({ npc: ref, event, intensity = 1 } = {}, { tx }) => {
+            const npc = state.npcs.find(n => n.id === ref)
+                || state.npcs.find(n => n.name.toLowerCase() === String(ref || '').trim().toLowerCase());
+            if (!npc) throw new Error(`Unknown NPC '${ref}'`);
+
+            const key = String(event || '').toLowerCase();
+            if (!RELATIONSHIP_EVENTS[key]) throw new Error(`Unknown relationship event '${event}'`);
+
+            const result = applyNPCEvent(npc.id, key, Number(intensity) || 1, tx);
+            return { npc: npc.name, description: result?.description || `${npc.name}: ${key}` };
+        }
+    });
+}
+
+// Daily relationship decay, run by core for each new day (live or simulated)
+function registerDayProcessor() {
+    ValdrisCore.registerDailyProcessor?.('vns.decay', {
+        owner: EXT_NAME,
+        name: 'Relationship drift',
+        domain: 'npcs',
+        order: 50,
+        read: () => state.npcs,
+        process: (npcs) => {
+            if (!state.settings.decayEnabled) return [];
+
+            const changes = [];
+            for (const npc of npcs) {
+                const before = getRelationshipLevel(npc.relationship);
+                processDailyDecay(npc, 1);
+                const after = getRelationshipLevel(npc.relationship);
+                if (after.key !== before.key) changes.push(`${npc.name}: ${before.name} -> ${after.name}`);
+            }
+            return changes;
+        },
+        commit: (npcs, { tx }) => {
+            state.npcs = npcs;
+            saveState(tx);
+            render();
+        }
+    });
+}
+
+// Macros: {{valdris::npc:Mira.relationship}}, {{valdris::npc:Mira.relationship|label}} -> Friendly
+function registerMacros() {
+    ValdrisCore.registerMacroEntity?.('npc', {
+        owner: EXT_NAME,
+        description: 'NPCs by name',
+        fields: {
+            relationship: 'Relationship (-100 to 100)',
+            trust: 'Trust (-100 to 100)',
+            fear: 'Fear (0 to 100)',
+            respect: 'Respect (0 to 100)',
+            role: 'Role',
+            location: 'Last known location',
+            faction: 'Faction'
+        },
+        names: () => state.npcs.filter(n => n.alive).map(n => n.name),
+        find: (name) => state.npcs.find(n => n.name.toLowerCase() === name.toLowerCase()) || null
+    });
+
+    ValdrisCore.registerMacroHelper?.('label', {
+        owner: EXT_NAME,
+        description: 'Relationship score as its standing: Friendly, Wary...',
+        format: (value) => Number.isFinite(Number(value)) && value !== '' ? getRelationshipLevel(Number(value)).name : value,
+        suggest: (path) => /\.relationship$/.test(path)
+    });
+}
+
+// Pop-out status page: NPCs whose location matches where the player is
+function registerStatusSource() {
+    ValdrisCore.registerStatusSource?.('npc-nearby', {
+        owner: EXT_NAME,
+        section: 'npcs',
+        collect: (coreState) => {
+            const places = [coreState.player?.currentLocation, coreState.world?.currentSettlement?.name]
+                .filter(Boolean)
+                .map(place => place.toLowerCase());
+            if (!places.length) return [];
+
+            return state.npcs
+                .filter(n => n.alive && n.location && places.some(place => place.includes(n.location.toLowerCase()) || n.location.toLowerCase().includes(place)))
+                .sort((a, b) => b.relationship - a.relationship)
+                .map(n => ({ name: n.name, detail: `${NPC_ROLES[n.role]?.name || n.role}, ${getRelationshipLevel(n.relationship).name}` }));
+        }
+    });
+}
+
 // Build NPC context for AI
 export function buildNPCSocialContext() {
     const parts = [];
@@ -631,10 +837,7 @@ window.VNPCSocial = {
     getNPC: (id) => state.npcs.find(n => n.id === id),
     getNPCByName: (name) => state.npcs.find(n => n.name.toLowerCase() === name.toLowerCase()),
     addNPC: (data) => { const npc = createNPC(data); state.npcs.push(npc); saveState(); return npc; },
-    applyEvent: (npcId, event, intensity) => {
-        const npc = state.npcs.find(n => n.id === npcId);
-        if (npc) { applyRelationshipEvent(npc, event, intensity); saveState(); }
-    },
+    applyEvent: applyNPCEvent,
     buildContext: buildNPCSocialContext,
     open: () => { UI.visible = true; UI.container?.classList.remove('vns_hidden'); render(); },
     close: () => { UI.visible = false; UI.container?.classList.add('vns_hidden'); }
@@ -0,0 +1,624 @@
+/**
+ * VTC Calendar - Campaign-defined calendars
+ *
+ * Months, weekdays, leap years, moons, festivals and celestial events come
+ * from a calendar definition instead of constants, so a campaign can run on
+ * any world's calendar. The Valdris calendar ships as the default preset.
+ *
+ * Definition shape (plain JSON):
+ * {
+ *     name: 'Valdris',
+ *     era: 'AV',                                  // Suffix after the year ('' for none)
+ *     start: { year: 2847, month: 7, day: 14, hour: 18, minute: 0 },   // New games
+ *     months: [
+ *         { name: 'Frostmorn', days: 30, season: 'winter' },
+ *         { name: 'Stillnight', days: 29, season: 'winter', leapDays: 1 },
+ *         { name: 'Midwinter', days: 1, season: 'winter', intercalary: true }
+ *     ],
+ *     leapYear: { every: 4, offset: 0 },          // Leap when (year - offset) % every == 0
+ *     weekdays: ['Firstday', 'Seconday', ...],
+ *     weekdayOffset: 0,                           // Weekday index of year 1, month 1, day 1
+ *     moons: [{
+ *         id: 'lunara', name: 'Lunara', title: 'The Silver Moon',
+ *         cycle: 28,                              // Days from new to new
+ *         offset: 0,                              // Days into the cycle on year 1, month 1, day 1
+ *         color: '#c0c0c0',
+ *         phases: { full: { name: 'Full Moon', icon: '🌕', lightLevel: 4, visible: true } },
+ *         effects: { full: [{ type: 'undead', modifier: 20, description: 'Undead +20% activity' }] }
+ *     }],
+ *     festivals: [{ name, month, day, duration, description, effects: [], traditions: [] }],
+ *     events: [{
+ *         id: 'convergence', name: 'Convergence Night', icon: '✨', rarity: 'very_rare',
+ *         description: 'Both moons are full simultaneously',
+ *         condition: "moons.lunara.phase == 'full' && moons.veil.phase == 'full'",
+ *         effects: [{ type: 'magic', modifier: 2, description: 'All magical effects doubled' }]
+ *     }]
+ * }
+ *
+ * Intercalary months sit outside the week: their days have no weekday and do
+ * not move it on. Moon phases use the eight standard keys (new ... waning_crescent);
+ * a moon's `phases` only needs the entries it renames. Event conditions use the
+ * core directive expression language over the time state (month, day, year,
+ * season, moons.<id>.phase, moons.<id>.dayInCycle). Seasons other than winter,
+ * spring, summer and autumn get autumn weather and sun times.
+ */
+
+import { evaluateCondition } from '../valdris-core/index.js';
+
+const LOG_PREFIX = '[VTC:Calendar]';
+
+// Phase keys in cycle order; each covers an eighth of the cycle
+export const MOON_PHASES = [
+    'new',
+    'waxing_crescent',
+    'first_quarter',
+    'waxing_gibbous',
+    'full',
+    'waning_gibbous',
+    'last_quarter',
+    'waning_crescent'
+];
+
+// Phase display used where a moon does not rename a phase
+const DEFAULT_PHASES = {
+    new: { name: 'New Moon', icon: '🌑', lightLevel: 0, visible: true },
+    waxing_crescent: { name: 'Waxing Crescent', icon: '🌒', lightLevel: 1, visible: true },
+    first_quarter: { name: 'First Quarter', icon: '🌓', lightLevel: 2, visible: true },
+    waxing_gibbous: { name: 'Waxing Gibbous', icon: '🌔', lightLevel: 3, visible: true },
+    full: { name: 'Full Moon', icon: '🌕', lightLevel: 4, visible: true },
+    waning_gibbous: { name: 'Waning Gibbous', icon: '🌖', lightLevel: 3, visible: true },
+    last_quarter: { name: 'Last Quarter', icon: '🌗', lightLevel: 2, visible: true },
+    waning_crescent: { name: 'Waning Crescent', icon: '🌘', lightLevel: 1, visible: true }
+};
+
+// ============================================================================
+// Valdris Preset
+// ============================================================================
+
+/**
+ * The Valdris calendar: 12 months, a 7-day week, years counted AV (After
+ * Valdris, the world's founding), and two moons
+ */
+export const VALDRIS_CALENDAR = {
+    name: 'Valdris',
+    era: 'AV',
+    start: { year: 2847, month: 7, day: 14, hour: 18, minute: 0 },
+    months: [
+        { name: 'Frostmorn', days: 30, season: 'winter' },
+        { name: 'Deepsnow', days: 28, season: 'winter' },
+        { name: 'Thawbreak', days: 31, season: 'spring' },
+        { name: 'Rainbloom', days: 30, season: 'spring' },
+        { name: 'Sunrise', days: 31, season: 'spring' },
+        { name: 'Highsun', days: 30, season: 'summer' },
+        { name: 'Goldpeak', days: 31, season: 'summer' },
+        { name: 'Harvest', days: 31, season: 'autumn' },
+        { name: 'Leaffall', days: 30, season: 'autumn' },
+        { name: 'Dimlight', days: 30, season: 'autumn' },
+        { name: 'Darkeve', days: 30, season: 'winter' },
+        { name: 'Stillnight', days: 29, season: 'winter', leapDays: 1 }
+    ],
+    leapYear: { every: 4, offset: 0 },
+    weekdays: ['Firstday', 'Seconday', 'Thirdsday', 'Fourthday', 'Fifthday', 'Sixthday', 'Restday'],
+    weekdayOffset: 0,
+    moons: [
+        {
+            // Primary moon, governs tides and undead activity
+            id: 'lunara',
+            name: 'Lunara',
+            title: 'The Silver Moon',
+            cycle: 28,
+            offset: 1,
+            color: '#c0c0c0',
+            effects: {
+                new: [
+                    { type: 'undead', modifier: -10, description: 'Undead -10% activity' },
+                    { type: 'stealth', modifier: 2, description: 'Stealth +2 in darkness' },
+                    { type: 'darkvision', modifier: -10, description: 'Darkvision range -10ft' }
+                ],
+                full: [
+                    { type: 'undead', modifier: 20, description: 'Undead +20% activity' },
+                    { type: 'lycanthrope', modifier: 100, description: 'Lycanthrope transformation forced' },
+                    { type: 'tides', modifier: 2, description: 'High tides' },
+                    { type: 'moonlight', modifier: 4, description: 'Bright moonlight (dim light outdoors)' }
+                ],
+                waxing_gibbous: [
+                    { type: 'undead', modifier: 10, description: 'Undead +10% activity' }
+                ],
+                waning_gibbous: [
+                    { type: 'undead', modifier: 10, description: 'Undead +10% activity' }
+                ]
+            }
+        },
+        {
+            // Mysterious second moon, associated with shadow magic and spirits
+            id: 'veil',
+            name: 'The Veil',
+            title: 'The Shadow Moon',
+            cycle: 35,
+            offset: 25,
+            color: '#4a3a6a',
+            phases: {
+                new: { name: 'Hidden', icon: '⚫', lightLevel: 0, visible: false },
+                waxing_crescent: { name: 'Emerging', icon: '🌘', lightLevel: 0.5 },
+                first_quarter: { name: 'Half Revealed', icon: '🌗', lightLevel: 1 },
+                waxing_gibbous: { name: 'Nearly Full', icon: '🌖', lightLevel: 1.5 },
+                full: { name: 'Unveiled', icon: '🌕', lightLevel: 2 },
+                waning_gibbous: { name: 'Fading', icon: '🌔', lightLevel: 1.5 },
+                last_quarter: { name: 'Half Hidden', icon: '🌓', lightLevel: 1 },
+                waning_crescent: { name: 'Retreating', icon: '🌒', lightLevel: 0.5 }
+            },
+            effects: {
+                new: [
+                    { type: 'shadow_magic', modifier: -20, description: 'Shadow magic weakened' },
+                    { type: 'spirits', modifier: -50, description: 'Spirits dormant' }
+                ],
+                full: [
+                    { type: 'shadow_magic', modifier: 30, description: 'Shadow magic enhanced' },
+                    { type: 'spirits', modifier: 50, description: 'Spirit activity high' },
+                    { type: 'veil_thin', modifier: 1, description: 'Veil between worlds thin' }
+                ]
+            }
+        }
+    ],
+    festivals: [
+        {
+            name: 'Frostmeet', month: 1, day: 1, duration: 3,
+            description: 'New Year celebration, honoring the dead of winter',
+            effects: ['Shops closed first day', 'Feasting and gift-giving', 'Bonfires common'],
+            traditions: ['Telling tales of ancestors', 'Burning effigies of the past year']
+        },
+        {
+            name: 'Thaw Festival', month: 3, day: 15, duration: 1,
+            description: 'Celebration of spring arrival',
+            effects: ['Markets busy', 'Flower decorations everywhere'],
+            traditions: ['Planting ceremonies', 'Spring cleaning rituals']
+        },
+        {
+            name: 'Solstice of Light', month: 6, day: 21, duration: 1,
+            description: 'Longest day, celebration of Solarus',
+            effects: ['Temples of Solarus crowded', 'Healing magic enhanced'],
+            traditions: ['Dawn vigils', 'Blessing of crops']
+        },
+        {
+            name: 'Midsummer Eve', month: 7, day: 15, duration: 2,
+            description: 'Festival of fey and magic',
+            effects: ['Fey crossings more common', 'Wild magic surges possible'],
+            traditions: ['Dancing around bonfires', 'Leaving offerings for fey']
+        },
+        {
+            name: 'Harvest Moon Festival', month: 8, day: 20, duration: 3,
+            description: 'Celebration of the harvest',
+            effects: ['Food prices drop', 'Alcohol flows freely', 'Guards more lenient'],
+            traditions: ['Harvest competitions', 'Feast of plenty']
+        },
+        {
+            name: 'Veilnight', month: 10, day: 30, duration: 1,
+            description: 'Night when the veil between worlds is thinnest',
+            effects: ['Undead more active', 'Spirits can communicate', 'Necromancy enhanced'],
+            traditions: ['Wearing masks', 'Leaving food for spirits', 'Staying indoors']
+        },
+        {
+            name: 'Darkest Eve', month: 12, day: 21, duration: 1,
+            description: 'Shortest day, honoring Nyx',
+            effects: ['Temples of Nyx crowded', 'Shadow magic enhanced'],
+            traditions: ['Candlelight vigils', 'Meditation on endings']
+        },
+        {
+            name: "Year's End", month: 12, day: 29, duration: 2,
+            description: 'Final days of the year',
+            effects: ['Reflection and preparation', 'Debts traditionally settled'],
+            traditions: ['Burning regrets', 'Making resolutions']
+        }
+    ],
+    events: [
+        {
+            id: 'convergence', name: 'Convergence Night', icon: '✨', rarity: 'very_rare',
+            description: 'Both moons are full simultaneously',
+            condition: "moons.lunara.phase == 'full' && moons.veil.phase == 'full'",
+            effects: [
+                { type: 'magic', modifier: 2, description: 'All magical effects doubled' },
+                { type: 'undead', modifier: 50, description: 'Undead surge' },
+                { type: 'spirits', modifier: 100, description: 'Spirits roam freely' }
+            ]
+        },
+        {
+            id: 'veils_eclipse', name: "Veil's Eclipse", icon: '🌑', rarity: 'rare',
+            description: 'The Veil passes before Lunara',
+            condition: "moons.lunara.phase == 'full' && moons.veil.dayInCycle == 17",
+            effects: [
+                { type: 'shadow_magic', modifier: 50, description: 'Shadow magic peaks' },
+                { type: 'undead', modifier: 30, description: 'Undead empowered' },
+                { type: 'light_magic', modifier: -30, description: 'Light magic weakened' }
+            ]
+        },
+        {
+            id: 'void_night', name: 'Void Night', icon: '⬛', rarity: 'rare',
+            description: 'Both moons are new - darkest night',
+            condition: "moons.lunara.phase == 'new' && moons.veil.phase == 'new'",
+            effects: [
+                { type: 'darkness', modifier: 3, description: 'Near total darkness' },
+                { type: 'aberrations', modifier: 50, description: 'Aberrations stir' },
+                { type: 'divination', modifier: -50, description: 'Divination blocked' }
+            ]
+        },
+        {
+            id: 'silver_tide', name: 'Silver Tide', icon: '🌊', rarity: 'uncommon',
+            description: 'Lunara at perigee during full moon',
+            condition: "moons.lunara.phase == 'full' && moons.lunara.dayInCycle % 7 == 0",
+            effects: [
+                { type: 'tides', modifier: 4, description: 'Extreme tides' },
+                { type: 'water_magic', modifier: 20, description: 'Water magic enhanced' },
+                { type: 'coastal', modifier: -20, description: 'Coastal travel dangerous' }
+            ]
+        },
+        {
+            id: 'starfall', name: 'Starfall', icon: '⭐', rarity: 'annual',
+            description: 'Meteor shower visible',
+            condition: 'month == 8 && day >= 10 && day <= 15',
+            effects: [
+                { type: 'star_metal', modifier: 100, description: 'Star metal may fall' },
+                { type: 'wishes', modifier: 1, description: 'Wishes more potent' }
+            ]
+        }
+    ]
+};
+
+// Active calendar (normalized)
+let _calendar = normalizeCalendar(VALDRIS_CALENDAR);
+
+// ============================================================================
+// Active Calendar
+// ============================================================================
+
+/**
+ * Get the active calendar
+ * @returns {Object} Normalized calendar definition
+ */
+export function getCalendar() {
+    return _calendar;
+}
+
+/**
+ * Make a definition the active calendar
+ * An invalid definition leaves the active calendar unchanged.
+ *
+ * @param {Object|null} definition - Calendar definition, or null for the Valdris preset
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function setCalendar(definition) {
+    if (!definition) {
+        _calendar = normalizeCalendar(VALDRIS_CALENDAR);
+        return { valid: true, errors: [] };
+    }
+
+    const { valid, errors, calendar } = validateCalendar(definition);
+    if (!valid) {
+        console.warn(`${LOG_PREFIX} Calendar rejected:`, errors);
+        return { valid, errors };
+    }
+
+    _calendar = calendar;
+    return { valid, errors };
+}
+
+/**
+ * Copy of the Valdris preset, for editing
+ * @returns {Object}
+ */
+export function getCalendarPreset() {
+    return JSON.parse(JSON.stringify(VALDRIS_CALENDAR));
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check a calendar definition
+ * @param {Object} definition - Calendar definition
+ * @returns {{valid: boolean, errors: string[], calendar: Object|null}} Normalized calendar when valid
+ */
+export function validateCalendar(definition) {
+    const errors = [];
+    const isCount = (value) => Number.isInteger(value) && value > 0;
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return { valid: false, errors: ['Calendar must be an object'], calendar: null };
+    }
+
+    if (!Array.isArray(definition.months) || definition.months.length === 0) {
+        errors.push('months must be a non-empty list');
+    } else {
+        definition.months.forEach((month, i) => {
+            if (!month?.name || typeof month.name !== 'string') errors.push(`months[${i}] needs a name`);
+            if (!isCount(month?.days)) errors.push(`months[${i}].days must be a positive whole number`);
+            if (month?.leapDays !== undefined && !Number.isInteger(month.leapDays)) {
+                errors.push(`months[${i}].leapDays must be a whole number`);
+            }
+        });
+        if (definition.months.every(month => month?.intercalary)) {
+            errors.push('At least one month must not be intercalary');
+        }
+    }
+
+    if (!Array.isArray(definition.weekdays) || definition.weekdays.length === 0
+        || definition.weekdays.some(day => !day || typeof day !== 'string')) {
+        errors.push('weekdays must be a non-empty list of names');
+    }
+
+    if (definition.leapYear != null && !isCount(definition.leapYear.every)) {
+        errors.push('leapYear.every must be a positive whole number');
+    }
+
+    const moonIds = new Set();
+    (Array.isArray(definition.moons) ? definition.moons : []).forEach((moon, i) => {
+        if (!moon?.id || !/^[A-Za-z_][\w]*$/.test(moon.id)) {
+            errors.push(`moons[${i}].id must be a simple identifier (letters, digits, _)`);
+        } else if (moonIds.has(moon.id)) {
+            errors.push(`moons[${i}].id '${moon.id}' is used twice`);
+        } else {
+            moonIds.add(moon.id);
+        }
+        if (!isCount(moon?.cycle)) errors.push(`moons[${i}].cycle must be a positive whole number`);
+        for (const key of Object.keys(moon?.phases || {})) {
+            if (!MOON_PHASES.includes(key)) errors.push(`moons[${i}].phases has unknown phase '${key}'`);
+        }
+    });
+    if (definition.moons !== undefined && !Array.isArray(definition.moons)) errors.push('moons must be a list');
+
+    const monthCount = Array.isArray(definition.months) ? definition.months.length : 0;
+    (Array.isArray(definition.festivals) ? definition.festivals : []).forEach((festival, i) => {
+        if (!festival?.name) errors.push(`festivals[${i}] needs a name`);
+        if (!Number.isInteger(festival?.month) || festival.month < 1 || festival.month > monthCount) {
+            errors.push(`festivals[${i}].month must be 1-${monthCount}`);
+        } else {
+            const month = definition.months[festival.month - 1];
+            const maxDay = (month?.days || 0) + Math.max(0, month?.leapDays || 0);
+            if (!Number.isInteger(festival.day) || festival.day < 1 || festival.day > maxDay) {
+                errors.push(`festivals[${i}].day must be 1-${maxDay}`);
+            }
+        }
+        if (festival?.duration !== undefined && !isCount(festival.duration)) {
+            errors.push(`festivals[${i}].duration must be a positive whole number`);
+        }
+    });
+
+    (Array.isArray(definition.events) ? definition.events : []).forEach((event, i) => {
+        if (!event?.id || !event.name) errors.push(`events[${i}] needs an id and a name`);
+        const { error } = evaluateCondition(event?.condition || '', {});
+        if (error) errors.push(`events[${i}].condition: ${error}`);
+    });
+
+    if (errors.length > 0) return { valid: false, errors, calendar: null };
+    return { valid: true, errors, calendar: normalizeCalendar(definition) };
+}
+
+/**
+ * Fill in the optional parts of a definition
+ * @param {Object} definition - Valid calendar definition
+ * @returns {Object}
+ */
+function normalizeCalendar(definition) {
+    const months = definition.months.map(month => ({
+        name: month.name,
+        days: month.days,
+        season: month.season || 'autumn',
+        leapDays: month.leapDays || 0,
+        intercalary: !!month.intercalary
+    }));
+    const firstMonth = months.findIndex(month => !month.intercalary) + 1;
+
+    return {
+        name: definition.name || 'Custom',
+        era: typeof definition.era === 'string' ? definition.era : '',
+        start: {
+            year: 1,
+            month: firstMonth,
+            day: 1,
+            hour: 8,
+            minute: 0,
+            ...(definition.start || {})
+        },
+        months,
+        leapYear: definition.leapYear ? { every: definition.leapYear.every, offset: definition.leapYear.offset || 0 } : null,
+        weekdays: [...definition.weekdays],
+        weekdayOffset: Number.isInteger(definition.weekdayOffset) ? definition.weekdayOffset : 0,
+        moons: (definition.moons || []).map(moon => ({
+            id: moon.id,
+            name: moon.name || moon.id,
+            title: moon.title || '',
+            cycle: moon.cycle,
+            offset: Number(moon.offset) || 0,
+            color: moon.color || '#c0c0c0',
+            phases: Object.fromEntries(MOON_PHASES.map(key => [key, { ...DEFAULT_PHASES[key], ...(moon.phases?.[key] || {}) }])),
+            effects: moon.effects || {}
+        })),
+        festivals: (definition.festivals || []).map(festival => ({
+            duration: 1,
+            description: '',
+            effects: [],
+            traditions: [],
+            ...festival
+        })),
+        events: (definition.events || []).map(event => ({
+            description: '',
+            effects: [],
+            rarity: 'rare',
+            icon: '✨',
+            ...event
+        }))
+    };
+}
+
+// ============================================================================
+// Date Arithmetic
+// ============================================================================
+
+/**
+ * Whether a year has leap days
+ * @param {number} year - Year
+ * @returns {boolean}
+ */
+export function isLeapYear(year) {
+    const rule = _calendar.leapYear;
+    if (!rule) return false;
+    return mod(year - rule.offset, rule.every) === 0;
+}
+
+/**
+ * Number of days in a month
+ * @param {number} month - Month (1-based)
+ * @param {number} year - Year
+ * @returns {number}
+ */
+export function getMonthLength(month, year) {
+    const data = _calendar.months[month - 1];
+    if (!data) return 30;
+    return data.days + (isLeapYear(year) ? data.leapDays : 0);
+}
+
+/**
+ * Month definition by number
+ * @param {number} month - Month (1-based)
+ * @returns {Object}
+ */
+export function getMonthData(month) {
+    return _calendar.months[month - 1] || _calendar.months[0];
+}
+
+/**
+ * Number of days in a year
+ * @param {number} year - Year
+ * @param {boolean} [weekdaysOnly=false] - Leave out intercalary days
+ * @returns {number}
+ */
+export function getYearLength(year, weekdaysOnly = false) {
+    let total = 0;
+    for (let m = 1; m <= _calendar.months.length; m++) {
+        if (weekdaysOnly && _calendar.months[m - 1].intercalary) continue;
+        total += getMonthLength(m, year);
+    }
+    return total;
+}
+
+/**
+ * Days from year 1, month 1, day 1 to a date
+ * Moons and festivals count every day; the week skips intercalary days.
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-based)
+ * @param {number} day - Day of month
+ * @param {boolean} [weekdaysOnly=false] - Leave out intercalary days
+ * @returns {number} 0 for the first day of year 1
+ */
+export function getDayNumber(year, month, day, weekdaysOnly = false) {
+    // Whole years: a common year's length, plus the leap days of leap years before this one
+    const leapDays = _calendar.months.reduce((sum, m) => sum + (weekdaysOnly && m.intercalary ? 0 : m.leapDays), 0);
+    const commonLength = _calendar.months.reduce((sum, m) => sum + (weekdaysOnly && m.intercalary ? 0 : m.days), 0);
+    let total = (year - 1) * commonLength + countLeapYears(year) * leapDays;
+
+    for (let m = 1; m < month; m++) {
+        if (weekdaysOnly && _calendar.months[m - 1]?.intercalary) continue;
+        total += getMonthLength(m, year);
+    }
+
+    if (weekdaysOnly && getMonthData(month).intercalary) return total;
+    return total + day - 1;
+}
+
+/**
+ * Date of a day number (inverse of getDayNumber)
+ * @param {number} dayNumber - Days since year 1, month 1, day 1
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function getDateFromDayNumber(dayNumber) {
+    const commonLength = _calendar.months.reduce((sum, m) => sum + m.days, 0);
+    let year = Math.max(1, Math.floor(dayNumber / commonLength) + 1);
+
+    // The estimate ignores leap days, so it can only overshoot
+    while (year > 1 && getDayNumber(year, 1, 1) > dayNumber) year--;
+    while (getDayNumber(year + 1, 1, 1) <= dayNumber) year++;
+
+    let remaining = dayNumber - getDayNumber(year, 1, 1);
+    let month = 1;
+    while (month < _calendar.months.length && remaining >= getMonthLength(month, year)) {
+        remaining -= getMonthLength(month, year);
+        month++;
+    }
+
+    return { year, month, day: remaining + 1 };
+}
+
+/**
+ * Weekday of a date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-based)
+ * @param {number} day - Day of month
+ * @returns {string} Weekday name, or '' on an intercalary day
+ */
+export function getWeekday(year, month, day) {
+    if (getMonthData(month).intercalary) return '';
+    const weekdays = _calendar.weekdays;
+    return weekdays[mod(getDayNumber(year, month, day, true) + _calendar.weekdayOffset, weekdays.length)];
+}
+
+/**
+ * Moon position on a day
+ * @param {Object} moon - Moon definition
+ * @param {number} dayNumber - Days since year 1, month 1, day 1
+ * @returns {{dayInCycle: number, phase: string, daysUntilFull: number, daysUntilNew: number}}
+ */
+export function getMoonPosition(moon, dayNumber) {
+    const cycle = moon.cycle;
+    const dayInCycle = mod(dayNumber + moon.offset, cycle);
+    const full = Math.floor(cycle / 2);
+
+    return {
+        dayInCycle,
+        phase: MOON_PHASES[Math.min(7, Math.floor(dayInCycle / (cycle / 8)))],
+        daysUntilFull: mod(full - dayInCycle, cycle),
+        daysUntilNew: (cycle - dayInCycle) % cycle || cycle
+    };
+}
+
+/**
+ * Count leap years before a year
+ * @param {number} year - Year
+ * @returns {number} Leap years in 1 .. year - 1
+ */
+function countLeapYears(year) {
+    const rule = _calendar.leapYear;
+    if (!rule || year <= 1) return 0;
+    return Math.floor((year - 1 - rule.offset) / rule.every) - Math.floor(-rule.offset / rule.every);
+}
+
+/**
+ * Modulo that stays positive
+ * @param {number} value
+ * @param {number} divisor
+ * @returns {number}
+ */
+function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export default {
+    VALDRIS_CALENDAR,
+    MOON_PHASES,
+    getCalendar,
+    setCalendar,
+    getCalendarPreset,
+    validateCalendar,
+    isLeapYear,
+    getMonthLength,
+    getMonthData,
+    getYearLength,
+    getDayNumber,
+    getDateFromDayNumber,
+    getWeekday,
+    getMoonPosition
+};
@@ -15,45 +15,80 @@ import {
     registerDomain,
     getDomainState,
     setDomainState,
-    subscribe
+    subscribe,
+    registerValdrisCommand,
+    registerDeltaOp,
+    registerDailyProcessor,
+    transaction,
+    parseDuration,
+    markDirty,
+    registerBundleSection,
+    registerCommandHandler,
+    unregisterCommandHandler
 } from '../valdris-core/index.js';
 
 // Import VTC modules
 import {
     createDefaultTimeState,
-    estimateSceneDuration,
     calculateSkipToMinutes,
     advanceTime,
+    advanceTimeState,
     setTime,
     formatTime,
     getTimeOfDay,
     formatFullDate,
     formatShortDate,
     getMonthData,
-    MONTHS,
-    DAYS_OF_WEEK
+    recalculateTimeState
 } from './time-engine.js';
 
+import {
+    getCalendar,
+    setCalendar,
+    getCalendarPreset,
+    validateCalendar
+} from './calendar.js';
+
 import {
     generateWeather,
     updateWeather,
+    rerollWeather,
     setWeather,
-    getAllWeatherConditions
+    getAllWeatherConditions,
+    getWeatherCondition
 } from './weather-generator.js';
 
 import {
     getMoonPhaseData,
+    getAllMoonPhaseData,
     checkCelestialEvents,
     getUpcomingFestivals,
     getCurrentFestival,
-    getMoonVisual,
     getMoonlightLevel,
     getAllCelestialEffects,
-    updateCelestialState,
-    LUNARA,
-    VEIL
+    applyCelestialState
 } from './celestial-tracker.js';
 
+import {
+    scheduleEvent,
+    cancelScheduled,
+    getScheduled,
+    startScheduler,
+    stopScheduler,
+    describeRepeat,
+    formatMinutes,
+    toMinutes,
+    fromMinutes
+} from './scheduler.js';
+
+import { previewTimeJump } from './jump-preview.js';
+
+import {
+    estimateSceneDuration,
+    resolveSceneMinutes,
+    classifySceneDuration
+} from './scene-duration.js';
+
 // ============================================================================
 // Constants
 // ============================================================================
@@ -63,6 +98,15 @@ const EXTENSION_ID = 'vtc';
 const DOMAIN = 'time';
 const LOG_PREFIX = '[VTC]';
 
+// Chat metadata key holding the chat's calendar; absent means the Valdris preset
+const CALENDAR_META_KEY = 'valdris_calendar_v1';
+
+// Chat metadata key holding how much time each reply moved the clock, by message id
+const DURATION_META_KEY = 'valdris_scene_durations_v1';
+
+// Duration records kept per chat (oldest messages dropped first)
+const MAX_DURATION_RECORDS = 300;
+
 // Default extension settings
 const DEFAULT_SETTINGS = {
     enabled: true,
@@ -72,11 +116,14 @@ const DEFAULT_SETTINGS = {
     parseAIResponses: true,
     confirmLargeJumps: true,
     largeJumpThreshold: 240, // minutes
+    llmFallback: false, // Ask the model when no time cue is found
+    showDurationBadges: true,
     showWeather: true,
     showMoons: true,
     showUpcomingEvents: true,
     regionType: 'default',
-    use24Hour: false
+    use24Hour: false,
+    calendar: null // Calendar for new chats; null = Valdris preset
 };
 
 // ============================================================================
@@ -87,9 +134,13 @@ const UI = {
     mounted: false,
     header: null,
     panel: null,
-    panelVisible: false
+    panelVisible: false,
+    jumpDialog: null
 };
 
+// Resolves when the open jump confirmation closes, so dialogs never overlap
+let _jumpConfirmation = Promise.resolve();
+
 // Cleanup tracking
 const _cleanupFns = [];
 
@@ -110,6 +161,68 @@ function updateSettings(updates) {
     saveSettingsDebounced();
 }
 
+// ============================================================================
+// Calendar
+// ============================================================================
+
+/**
+ * Make this chat's calendar the active one
+ */
+function loadChatCalendar() {
+    const stored = getContext().chatMetadata?.[CALENDAR_META_KEY] || null;
+    const { valid, errors } = setCalendar(stored);
+    if (!valid) {
+        console.warn(`${LOG_PREFIX} Stored calendar is invalid, using the Valdris preset:`, errors);
+        setCalendar(null);
+    }
+}
+
+/**
+ * Store a calendar on this chat and fit the time state to it
+ * @param {Object|null} definition - Calendar definition, or null for the Valdris preset
+ * @returns {Promise<{valid: boolean, errors: string[]}>}
+ */
+async function applyChatCalendar(definition) {
+    const result = setCalendar(definition);
+    if (!result.valid) return result;
+
+    const metadata = getContext().chatMetadata;
+    if (metadata) {
+        if (definition) metadata[CALENDAR_META_KEY] = definition;
+        else delete metadata[CALENDAR_META_KEY];
+        markDirty(CALENDAR_META_KEY, EXTENSION_NAME);
+    }
+
+    const state = getDomainState(DOMAIN);
+    if (state) {
+        recalculateTimeState(state);
+        state.weather = generateWeather(state, getSettings().regionType);
+        await setDomainState(DOMAIN, state, EXTENSION_ID);
+    }
+
+    ValdrisEventBus.emit('calendarChanged', { calendar: getCalendar() });
+    updateHeader();
+    return result;
+}
+
+/**
+ * Reload the calendar when a campaign bundle import rewrote it
+ * @param {Object} data - stateRestored payload
+ */
+async function onStateRestored(data) {
+    // An open jump dialog was asked about state that is gone now (savepoints stay inside one transaction)
+    if (!data?.savepoint) UI.jumpDialog?.close();
+    if (!data?.keys?.includes(CALENDAR_META_KEY)) return;
+
+    loadChatCalendar();
+    const state = getDomainState(DOMAIN);
+    if (state) {
+        recalculateTimeState(state);
+        await setDomainState(DOMAIN, state, EXTENSION_ID);
+    }
+    updateHeader();
+}
+
 // ============================================================================
 // State Initialization
 // ============================================================================
@@ -118,14 +231,22 @@ function updateSettings(updates) {
  * Initialize or load time state
  */
 async function initializeTimeState() {
+    loadChatCalendar();
     let state = getDomainState(DOMAIN);
 
     if (!state) {
         console.log(`${LOG_PREFIX} Creating new time state`);
+
+        // A new game starts on the default calendar; keep it with the chat
+        const settings = getSettings();
+        const metadata = getContext().chatMetadata;
+        if (settings.calendar && metadata && !metadata[CALENDAR_META_KEY]) {
+            await applyChatCalendar(settings.calendar);
+        }
+
         state = createDefaultTimeState();
 
         // Generate initial weather
-        const settings = getSettings();
         state.weather = generateWeather(state, settings.regionType);
 
         // Save
@@ -149,35 +270,79 @@ async function onAIResponse(data) {
         return;
     }
 
-    const { message } = data;
-    if (!message) return;
+    if (!data.message) return;
+
+    // A valdris block that moves time is authoritative; prose cues would count the time twice
+    if (data.stateDelta?.ops.some(op => /^time\./i.test(op?.op || ''))) return;
+    const message = data.stateDelta ? data.stateDelta.text : data.message;
 
     try {
-        const estimation = estimateSceneDuration(message);
+        const state = getDomainState(DOMAIN);
+        if (!state) return;
+
+        // A replayed reply keeps what the user confirmed or corrected (or the model estimated), unless its text changed
+        const fingerprint = fingerprintText(message);
+        const previous = getDurationRecord(data.messageId);
+        if (data.replay && previous?.fingerprint === fingerprint && (previous.corrected || previous.confirmed || previous.source === 'llm')) {
+            if (previous.minutes > 0) await advanceTime(previous.minutes);
+            renderDurationBadge(data.messageId);
+            updateHeader();
+            return;
+        }
 
-        if (estimation.skipTo) {
-            // Handle skip to specific time
-            const state = getDomainState(DOMAIN);
-            const minutes = calculateSkipToMinutes(state, estimation.skipTo);
+        const userText = getPrecedingUserText(data.messageId);
+        let estimation = estimateSceneDuration(message, { userText });
 
-            if (settings.confirmLargeJumps && minutes > settings.largeJumpThreshold) {
-                // Would need confirmation - for now, just log
-                console.log(`${LOG_PREFIX} Large time skip detected: ${minutes} minutes to ${estimation.skipTo}`);
-                // In a full implementation, this would trigger a confirmation dialog
+        if (estimation.confidence === 'low' && settings.llmFallback) {
+            try {
+                estimation = await classifySceneDuration(message, userText);
+            } catch (error) {
+                console.warn(`${LOG_PREFIX} Model duration estimate failed, keeping the default:`, error);
             }
+        }
 
-            await advanceTime(minutes);
-            console.log(`${LOG_PREFIX} Skipped to ${estimation.skipTo} (${minutes} minutes)`);
+        const proposed = resolveSceneMinutes(estimation, state);
+        const record = {
+            minutes: proposed,
+            estimated: proposed,
+            source: estimation.source,
+            confidence: estimation.confidence,
+            cues: estimation.detectedTypes.map(type => type.phrase).filter(Boolean),
+            fingerprint
+        };
 
-        } else if (estimation.minutes > 0) {
-            if (settings.confirmLargeJumps && estimation.minutes > settings.largeJumpThreshold) {
-                console.log(`${LOG_PREFIX} Large time advance detected: ${estimation.minutes} minutes`);
+        if (proposed > 0 && settings.confirmLargeJumps && proposed > settings.largeJumpThreshold) {
+            // The user may switch chats or swipe, edit or delete the reply while the dialog is open
+            const chatId = getChatId();
+            const replyText = getContext().chat?.[data.messageId]?.mes;
+            const isCurrent = () => getChatId() === chatId && getContext().chat?.[data.messageId]?.mes === replyText;
+
+            const approved = await confirmTimeJump({
+                phrase: record.cues.join(' … '),
+                minutes: proposed,
+                skipTo: estimation.skipTo,
+                isCurrent
+            });
+            if (!isCurrent()) {
+                console.log(`${LOG_PREFIX} Chat or reply changed while the time jump was pending, dropping it`);
+                return;
+            }
+            record.confirmed = true;
+            record.minutes = approved ?? 0;
+            if (approved === null) {
+                record.rejected = true;
+                console.log(`${LOG_PREFIX} Time jump of ${proposed} minutes rejected`);
             }
+        }
 
-            await advanceTime(estimation.minutes);
-            console.log(`${LOG_PREFIX} Advanced ${estimation.minutes} minutes (${estimation.confidence} confidence)`);
+        if (record.minutes > 0) {
+            await advanceTime(record.minutes);
+            console.log(`${LOG_PREFIX} Advanced ${record.minutes} minutes (${estimation.source}, ${estimation.confidence} confidence)`);
         }
 
+        setDurationRecord(data.messageId, record);
+        renderDurationBadge(data.messageId);
+
         // Update UI
         updateHeader();
 
@@ -186,26 +351,357 @@ async function onAIResponse(data) {
     }
 }
 
+/**
+ * The user's message right before a reply
+ * @param {number} messageId - Reply message id
+ * @returns {string} '' when the reply does not answer a user message
+ */
+function getPrecedingUserText(messageId) {
+    const chat = getContext()?.chat || [];
+    for (let id = messageId - 1; id >= 0; id--) {
+        const message = chat[id];
+        if (!message || message.is_system) continue;
+        return message.is_user ? message.mes || '' : '';
+    }
+    return '';
+}
+
+/**
+ * Cheap fingerprint of a message text, to notice edits
+ * @param {string} text
+ * @returns {string}
+ */
+function fingerprintText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return `${text.length}:${hash}`;
+}
+
 // ============================================================================
-// Event Handlers
+// Duration Badges
 // ============================================================================
 
 /**
- * Handle new day event
+ * How much time a reply moved the clock
+ * @param {number} messageId - Message id
+ * @returns {Object|null} { minutes, estimated, source, confidence, cues, fingerprint, confirmed?, rejected?, corrected? }
  */
-async function onNewDay(data) {
-    const settings = getSettings();
+function getDurationRecord(messageId) {
+    return getContext()?.chatMetadata?.[DURATION_META_KEY]?.[messageId] || null;
+}
+
+/**
+ * Store how much time a reply moved the clock
+ * @param {number} messageId - Message id
+ * @param {Object} record - Duration record
+ */
+function setDurationRecord(messageId, record) {
+    const metadata = getContext()?.chatMetadata;
+    if (!metadata || messageId === undefined || messageId === null) return;
+
+    const records = metadata[DURATION_META_KEY] || (metadata[DURATION_META_KEY] = {});
+    records[messageId] = record;
+
+    const ids = Object.keys(records).map(Number).sort((a, b) => a - b);
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_DURATION_RECORDS))) {
+        delete records[id];
+    }
+    markDirty(DURATION_META_KEY, EXTENSION_NAME);
+}
+
+/**
+ * Show or refresh the duration badge on a rendered message
+ * @param {number} messageId - Message id
+ */
+function renderDurationBadge(messageId) {
+    const block = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_block`);
+    if (!block) return;
+
+    block.querySelector('.vtc-duration-badge')?.remove();
+    const record = getDurationRecord(messageId);
+    if (!record || !getSettings().showDurationBadges) return;
+
+    const badge = document.createElement('div');
+    badge.className = `vtc-duration-badge vtc-duration-badge--${record.confidence}`;
+    badge.textContent = record.rejected ? '⏱ skipped' : `⏱ +${formatDuration(record.minutes)}`;
+    badge.title = [
+        record.cues.length ? `Detected: ${record.cues.join(' … ')}` : 'No time cue found',
+        `Source: ${record.source} (${record.confidence} confidence)`,
+        record.minutes !== record.estimated ? `Estimated: ${formatDuration(record.estimated)}` : '',
+        record.corrected ? 'Corrected by you' : '',
+        'Click to correct'
+    ].filter(Boolean).join('\n');
+    badge.addEventListener('click', () => editDurationBadge(messageId, badge));
+
+    const anchor = block.querySelector('.ch_name');
+    if (anchor) anchor.insertAdjacentElement('afterend', badge);
+    else block.prepend(badge);
+}
+
+/**
+ * Show the badges of every rendered message
+ */
+function renderAllDurationBadges() {
+    document.querySelectorAll('#chat .mes[mesid]').forEach(element => {
+        renderDurationBadge(Number(element.getAttribute('mesid')));
+    });
+}
+
+/**
+ * Turn a badge into a duration input
+ * @param {number} messageId - Message id
+ * @param {HTMLElement} badge - Badge element
+ */
+function editDurationBadge(messageId, badge) {
+    const record = getDurationRecord(messageId);
+    if (!record || badge.querySelector('input')) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'vtc-duration-badge__input';
+    input.value = formatDuration(record.minutes);
+    input.title = 'Time this reply took, e.g. 2h 30m or 0. Enter to apply, Esc to cancel.';
+    badge.replaceChildren(input);
+    input.focus();
+    input.select();
+
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('blur', () => renderDurationBadge(messageId));
+    input.addEventListener('keydown', async (e) => {
+        if (e.key === 'Escape') {
+            renderDurationBadge(messageId);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            try {
+                const minutes = input.value.trim() === '0' ? 0 : parseDuration(input.value);
+                await correctSceneDuration(messageId, minutes);
+            } catch (error) {
+                input.setCustomValidity(error.message);
+                input.reportValidity();
+            }
+        }
+    });
+}
 
-    // Generate new weather
-    await updateWeather(data.date, settings.regionType);
+/**
+ * Change how much time a reply took, moving the clock by the difference
+ * @param {number} messageId - Message id
+ * @param {number} minutes - Corrected duration
+ */
+async function correctSceneDuration(messageId, minutes) {
+    const record = getDurationRecord(messageId);
+    const state = getDomainState(DOMAIN);
+    if (!record || !state) return;
 
-    // Update celestial state
-    await updateCelestialState(data.date);
+    const difference = minutes - record.minutes;
+    if (difference > 0) {
+        await advanceTime(difference, { reason: 'Duration correction' });
+    } else if (difference < 0) {
+        await setTime(fromMinutes(toMinutes(state) + difference));
+    }
 
-    // Update UI
+    setDurationRecord(messageId, { ...record, minutes, rejected: false, corrected: true });
+    renderDurationBadge(messageId);
     updateHeader();
+}
+
+// ============================================================================
+// Jump Confirmation
+// ============================================================================
+
+/**
+ * Ask the user before a large time jump, showing what it would trigger
+ * @param {Object} jump - { phrase, minutes, skipTo, isCurrent: () => false once the reply is stale }
+ * @returns {Promise<number|null>} Minutes to advance (possibly edited), or null if rejected
+ */
+async function confirmTimeJump(jump) {
+    const previous = _jumpConfirmation;
+    let release;
+    _jumpConfirmation = new Promise(resolve => { release = resolve; });
+
+    try {
+        await previous;
+        if (jump.isCurrent && !jump.isCurrent()) return null;
+        return await showJumpDialog(jump);
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Show the jump confirmation dialog
+ * @param {Object} jump - { phrase, minutes, skipTo }
+ * @returns {Promise<number|null>}
+ */
+function showJumpDialog(jump) {
+    return new Promise(resolve => {
+        const dialog = document.createElement('div');
+        dialog.className = 'vtc-jump-dialog';
+        dialog.innerHTML = `
+            <div class="vtc-jump-dialog__box">
+                <div class="vtc-panel__header">
+                    <h3>Large Time Jump</h3>
+                    <button class="vtc-panel__close" title="Reject">&times;</button>
+                </div>
+                <div class="vtc-jump-dialog__body">
+                    <div class="vtc-section">
+                        <p class="vtc-jump-dialog__phrase"></p>
+                        <div class="vtc-time-set__row">
+                            <label>Advance by:</label>
+                            <input type="text" id="vtc-jump-amount" value="${formatDuration(jump.minutes)}" />
+                        </div>
+                        <p class="vtc-muted">Proposed: ${formatDuration(jump.minutes)}${jump.skipTo ? ` (skip to ${jump.skipTo})` : ''}</p>
+                        <div class="vtc-calendar-errors"></div>
+                    </div>
+                    <div class="vtc-jump-dialog__preview"><p class="vtc-muted">Working out what happens...</p></div>
+                </div>
+                <div class="vtc-jump-dialog__actions">
+                    <button class="vtc-btn" data-jump="reject">Reject</button>
+                    <button class="vtc-btn vtc-btn--primary" data-jump="accept">Accept</button>
+                </div>
+            </div>
+        `;
+
+        // Model text, so set as text rather than markup
+        const phrase = dialog.querySelector('.vtc-jump-dialog__phrase');
+        if (jump.phrase) phrase.textContent = `“${jump.phrase}”`;
+        else phrase.remove();
+
+        const input = dialog.querySelector('#vtc-jump-amount');
+        const errors = dialog.querySelector('.vtc-calendar-errors');
+        const previewEl = dialog.querySelector('.vtc-jump-dialog__preview');
+        let previewRun = 0;
+
+        const readAmount = () => {
+            try {
+                const minutes = parseDuration(input.value);
+                if (minutes <= 0) throw new Error('Duration must be positive');
+                errors.textContent = '';
+                return minutes;
+            } catch (error) {
+                errors.textContent = error.message;
+                return null;
+            }
+        };
+
+        const refreshPreview = async () => {
+            const minutes = readAmount();
+            const state = getDomainState(DOMAIN);
+            if (minutes === null || !state) return;
+
+            // A slow preview must not overwrite a newer one
+            const run = ++previewRun;
+            const preview = await previewTimeJump(state, minutes);
+            if (run === previewRun) previewEl.innerHTML = renderJumpPreview(preview);
+        };
 
-    console.log(`${LOG_PREFIX} New day: ${formatFullDate(data.date)}`);
+        const close = (minutes) => {
+            dialog.remove();
+            document.removeEventListener('keydown', onKeyDown);
+            if (UI.jumpDialog === dialog) UI.jumpDialog = null;
+            resolve(minutes);
+        };
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') close(null);
+        };
+
+        dialog.querySelector('[data-jump="accept"]').addEventListener('click', () => {
+            const minutes = readAmount();
+            if (minutes !== null) close(minutes);
+        });
+        dialog.querySelector('[data-jump="reject"]').addEventListener('click', () => close(null));
+        dialog.querySelector('.vtc-panel__close').addEventListener('click', () => close(null));
+        dialog.close = () => close(null);
+        input.addEventListener('change', refreshPreview);
+        document.addEventListener('keydown', onKeyDown);
+
+        UI.jumpDialog = dialog;
+        document.body.appendChild(dialog);
+        refreshPreview().catch(error => {
+            console.error(`${LOG_PREFIX} Jump preview failed:`, error);
+            previewEl.innerHTML = '<p class="vtc-muted">Preview unavailable</p>';
+        });
+    });
+}
+
+/**
+ * Render a jump preview
+ * Everything in it is plain text (other extensions' sections included), so all of it is escaped.
+ *
+ * @param {Object} preview - From previewTimeJump()
+ * @returns {string} HTML
+ */
+function renderJumpPreview(preview) {
+    const list = (title, items) => items.length > 0 ? `
+        <div class="vtc-section">
+            <h4>${escapeHtml(title)}</h4>
+            <ul class="vtc-effects-list">${items.map(item => `<li>${item}</li>`).join('')}</ul>
+        </div>
+    ` : '';
+
+    return `
+        <div class="vtc-section">
+            <h4>Time</h4>
+            <p>${escapeHtml(describeDate(preview.from))} &rarr; ${escapeHtml(describeDate(preview.to))}</p>
+            <p class="vtc-muted">${preview.days === 0 ? 'Same day' : `${preview.days} day${preview.days === 1 ? '' : 's'} pass`}</p>
+        </div>
+        ${list('Festivals Passed', preview.festivals.map(f => `${escapeHtml(f.name)} <span class="vtc-muted">(in ${f.daysUntil}d)</span>`))}
+        ${list('Scheduled', preview.scheduled.map(e => `${escapeHtml(e.name)} <span class="vtc-muted">(in ${formatMinutes(e.dueIn)}${e.repeat ? `, ${escapeHtml(describeRepeat(e.repeat).toLowerCase())}` : ''} &middot; ${escapeHtml(e.owner)})</span>`))}
+        ${list('Upkeep', preview.upkeep.map(u => `<strong>${escapeHtml(u.domain || 'world')}:</strong> ${escapeHtml(u.summary)}`))}
+        ${preview.sections.map(section => list(section.title, (section.items || []).map(escapeHtml))).join('')}
+        ${preview.notes.map(note => `<p class="vtc-muted">${escapeHtml(note)}</p>`).join('')}
+    `;
+}
+
+/**
+ * Date and clock for display
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} date
+ * @returns {string} '14 Goldpeak, 2847 6:00 PM'
+ */
+function describeDate(date) {
+    return `${formatShortDate({ ...date, monthName: getMonthData(date.month).name })} ${formatTime(date.hour, date.minute)}`;
+}
+
+/**
+ * Exact duration that parseDuration reads back: '2d 4h 30m'
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatDuration(minutes) {
+    const parts = [];
+    if (minutes >= 1440) parts.push(`${Math.floor(minutes / 1440)}d`);
+    if (minutes % 1440 >= 60) parts.push(`${Math.floor((minutes % 1440) / 60)}h`);
+    if (minutes % 60) parts.push(`${minutes % 60}m`);
+    return parts.join(' ') || '0m';
+}
+
+/**
+ * Escape text for use inside innerHTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// Event Handlers
+// ============================================================================
+
+/**
+ * Current chat id
+ * @returns {string|null}
+ */
+function getChatId() {
+    const ctx = getContext();
+    return ctx?.getCurrentChatId?.() ?? ctx?.chatId ?? null;
 }
 
 /**
@@ -213,8 +709,10 @@ async function onNewDay(data) {
  */
 async function onChatChanged() {
     console.log(`${LOG_PREFIX} Chat changed, reinitializing`);
+    UI.jumpDialog?.close();
     await initializeTimeState();
     updateHeader();
+    renderAllDurationBadges();
 }
 
 // ============================================================================
@@ -255,10 +753,7 @@ function createHeader() {
                     <span class="vtc-header__weather-text">-</span>
                 </span>
                 <span class="vtc-header__separator">|</span>
-                <span class="vtc-header__moons" title="Moon Phases">
-                    <span class="vtc-header__moon vtc-header__moon--lunara" title="Lunara">🌕</span>
-                    <span class="vtc-header__moon vtc-header__moon--veil" title="The Veil">🌑</span>
-                </span>
+                <span class="vtc-header__moons" title="Moon Phases"></span>
             </div>
         </div>
         <div class="vtc-header__alerts"></div>
@@ -323,22 +818,22 @@ function updateHeader() {
         }
     }
 
-    // Moons
-    if (settings.showMoons && state.moons) {
-        const lunaraMoon = UI.header.querySelector('.vtc-header__moon--lunara');
-        const veilMoon = UI.header.querySelector('.vtc-header__moon--veil');
-
-        if (lunaraMoon && state.moons.lunara) {
-            const lunaraData = getMoonPhaseData('lunara', state.moons.lunara);
-            lunaraMoon.textContent = lunaraData.icon;
-            lunaraMoon.title = `Lunara: ${lunaraData.phaseName}`;
-        }
-
-        if (veilMoon && state.moons.veil) {
-            const veilData = getMoonPhaseData('veil', state.moons.veil);
-            veilMoon.textContent = veilData.visible ? veilData.icon : '⚫';
-            veilMoon.title = `The Veil: ${veilData.phaseName}`;
-        }
+    // Moons (one per calendar moon)
+    const moonsEl = UI.header.querySelector('.vtc-header__moons');
+    if (moonsEl && settings.showMoons && state.moons) {
+        const moons = getAllMoonPhaseData(state);
+        moonsEl.replaceChildren(...moons.map(moon => {
+            const moonEl = document.createElement('span');
+            moonEl.className = `vtc-header__moon vtc-header__moon--${moon.id}`;
+            moonEl.style.setProperty('--vtc-moon-color', moon.color);
+            moonEl.textContent = moon.visible ? moon.icon : '⚫';
+            moonEl.title = `${moon.moon}: ${moon.phaseName}`;
+            return moonEl;
+        }));
+
+        // A moonless calendar leaves no dangling separator
+        moonsEl.classList.toggle('vtc-hidden', moons.length === 0);
+        moonsEl.previousElementSibling?.classList.toggle('vtc-hidden', moons.length === 0);
     }
 
     // Alerts
@@ -437,11 +932,13 @@ function createPanel() {
                 <button class="vtc-panel__tab vtc-panel__tab--active" data-tab="time">Time</button>
                 <button class="vtc-panel__tab" data-tab="weather">Weather</button>
                 <button class="vtc-panel__tab" data-tab="celestial">Celestial</button>
+                <button class="vtc-panel__tab" data-tab="schedule">Schedule</button>
                 <button class="vtc-panel__tab" data-tab="settings">Settings</button>
             </div>
             <div class="vtc-panel__tab-content" id="vtc-tab-time"></div>
             <div class="vtc-panel__tab-content vtc-hidden" id="vtc-tab-weather"></div>
             <div class="vtc-panel__tab-content vtc-hidden" id="vtc-tab-celestial"></div>
+            <div class="vtc-panel__tab-content vtc-hidden" id="vtc-tab-schedule"></div>
             <div class="vtc-panel__tab-content vtc-hidden" id="vtc-tab-settings"></div>
         </div>
     `;
@@ -502,6 +999,9 @@ function renderTabContent(tabName) {
         case 'celestial':
             renderCelestialTab(container, state);
             break;
+        case 'schedule':
+            renderScheduleTab(container);
+            break;
         case 'settings':
             renderSettingsTab(container);
             break;
@@ -513,6 +1013,7 @@ function renderTabContent(tabName) {
  */
 function renderTimeTab(container, state) {
     const settings = getSettings();
+    const { months } = getCalendar();
 
     container.innerHTML = `
         <div class="vtc-section">
@@ -556,12 +1057,12 @@ function renderTimeTab(container, state) {
                 <div class="vtc-time-set__row">
                     <label>Month:</label>
                     <select id="vtc-set-month">
-                        ${MONTHS.map((m, i) => `<option value="${i + 1}" ${state.month === i + 1 ? 'selected' : ''}>${m.name}</option>`).join('')}
+                        ${months.map((m, i) => `<option value="${i + 1}" ${state.month === i + 1 ? 'selected' : ''}>${m.name}</option>`).join('')}
                     </select>
                 </div>
                 <div class="vtc-time-set__row">
                     <label>Day:</label>
-                    <input type="number" id="vtc-set-day" value="${state.day}" min="1" max="31" />
+                    <input type="number" id="vtc-set-day" value="${state.day}" min="1" max="${Math.max(...months.map(m => m.days + m.leapDays))}" />
                 </div>
                 <div class="vtc-time-set__row">
                     <label>Hour:</label>
@@ -588,7 +1089,7 @@ function renderTimeTab(container, state) {
     container.querySelectorAll('[data-advance]').forEach(btn => {
         btn.addEventListener('click', async () => {
             const minutes = parseInt(btn.dataset.advance);
-            await advanceTime(minutes);
+            await transaction((tx) => advanceTime(minutes, { tx }), { source: EXTENSION_ID, label: `Advance ${btn.textContent.trim()}` });
             updateHeader();
             renderTimeTab(container, getDomainState(DOMAIN));
         });
@@ -599,7 +1100,7 @@ function renderTimeTab(container, state) {
             const target = btn.dataset.skipto;
             const currentState = getDomainState(DOMAIN);
             const minutes = calculateSkipToMinutes(currentState, target);
-            await advanceTime(minutes);
+            await transaction((tx) => advanceTime(minutes, { tx }), { source: EXTENSION_ID, label: `Skip to ${btn.textContent.trim()}` });
             updateHeader();
             renderTimeTab(container, getDomainState(DOMAIN));
         });
@@ -613,7 +1114,7 @@ function renderTimeTab(container, state) {
             hour: parseInt(container.querySelector('#vtc-set-hour').value),
             minute: parseInt(container.querySelector('#vtc-set-minute').value)
         };
-        await setTime(newTime);
+        await transaction((tx) => setTime(newTime, { tx }), { source: EXTENSION_ID, label: 'Set time' });
         updateHeader();
         renderTimeTab(container, getDomainState(DOMAIN));
     });
@@ -681,7 +1182,7 @@ function renderWeatherTab(container, state) {
                 <option value="plains" ${settings.regionType === 'plains' ? 'selected' : ''}>Plains</option>
                 <option value="tundra" ${settings.regionType === 'tundra' ? 'selected' : ''}>Tundra</option>
             </select>
-            <button class="vtc-btn" id="vtc-regenerate-weather">Regenerate Weather</button>
+            <button class="vtc-btn" id="vtc-reroll-weather" title="Today's weather is seeded; this rolls it differently">Reroll Weather</button>
         </div>
     `;
 
@@ -690,8 +1191,8 @@ function renderWeatherTab(container, state) {
         updateSettings({ regionType: e.target.value });
     });
 
-    container.querySelector('#vtc-regenerate-weather')?.addEventListener('click', async () => {
-        await updateWeather(state, settings.regionType);
+    container.querySelector('#vtc-reroll-weather')?.addEventListener('click', async () => {
+        await rerollWeather(state, settings.regionType);
         updateHeader();
         renderWeatherTab(container, getDomainState(DOMAIN));
     });
@@ -701,8 +1202,7 @@ function renderWeatherTab(container, state) {
  * Render celestial tab
  */
 function renderCelestialTab(container, state) {
-    const lunaraData = state.moons?.lunara ? getMoonPhaseData('lunara', state.moons.lunara) : null;
-    const veilData = state.moons?.veil ? getMoonPhaseData('veil', state.moons.veil) : null;
+    const moons = getAllMoonPhaseData(state);
     const celestialEvents = checkCelestialEvents(state);
     const upcomingFestivals = getUpcomingFestivals(state, 30);
     const moonlight = getMoonlightLevel(state);
@@ -712,26 +1212,16 @@ function renderCelestialTab(container, state) {
         <div class="vtc-section">
             <h4>Moons</h4>
             <div class="vtc-moons">
-                ${lunaraData ? `
+                ${moons.map(moon => `
                     <div class="vtc-moon">
-                        <div class="vtc-moon__icon vtc-moon__icon--lunara">${lunaraData.icon}</div>
+                        <div class="vtc-moon__icon" style="--vtc-moon-color: ${moon.color}">${moon.visible ? moon.icon : '⚫'}</div>
                         <div class="vtc-moon__info">
-                            <div class="vtc-moon__name">${lunaraData.moon}</div>
-                            <div class="vtc-moon__phase">${lunaraData.phaseName}</div>
-                            <div class="vtc-moon__until">Full in ${lunaraData.daysUntilFull}d | New in ${lunaraData.daysUntilNew}d</div>
+                            <div class="vtc-moon__name">${moon.moon}</div>
+                            <div class="vtc-moon__phase">${moon.phaseName}</div>
+                            <div class="vtc-moon__until">Full in ${moon.daysUntilFull}d | New in ${moon.daysUntilNew}d</div>
                         </div>
                     </div>
-                ` : ''}
-                ${veilData ? `
-                    <div class="vtc-moon">
-                        <div class="vtc-moon__icon vtc-moon__icon--veil">${veilData.visible ? veilData.icon : '⚫'}</div>
-                        <div class="vtc-moon__info">
-                            <div class="vtc-moon__name">${veilData.moon}</div>
-                            <div class="vtc-moon__phase">${veilData.phaseName}</div>
-                            <div class="vtc-moon__until">Full in ${veilData.daysUntilFull}d | New in ${veilData.daysUntilNew}d</div>
-                        </div>
-                    </div>
-                ` : ''}
+                `).join('') || '<p class="vtc-muted">This calendar has no moons</p>'}
             </div>
             <div class="vtc-moonlight">
                 <span>Moonlight Level:</span>
@@ -780,6 +1270,42 @@ function renderCelestialTab(container, state) {
     `;
 }
 
+/**
+ * Render schedule tab
+ */
+function renderScheduleTab(container) {
+    const entries = getScheduled();
+
+    container.innerHTML = `
+        <div class="vtc-section">
+            <h4>Upcoming</h4>
+            ${entries.length > 0 ? `
+                <ul class="vtc-schedule-list">
+                    ${entries.map(entry => `
+                        <li class="vtc-schedule">
+                            <button class="vtc-schedule__cancel" data-cancel="${escapeHtml(entry.id)}" title="Cancel">&times;</button>
+                            <span class="vtc-schedule__name">${escapeHtml(entry.name)}</span>
+                            <span class="vtc-schedule__due">${entry.dueIn > 0 ? `in ${formatMinutes(entry.dueIn)}` : 'due'}</span>
+                            <div class="vtc-schedule__meta">
+                                ${escapeHtml(describeDate(entry.next))}
+                                ${entry.repeat ? ` · ${escapeHtml(describeRepeat(entry.repeat))}${entry.remaining !== null ? ` (${entry.remaining} left)` : ''}` : ''}
+                                · ${escapeHtml(entry.owner)}
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="vtc-muted">Nothing scheduled</p>'}
+        </div>
+    `;
+
+    container.querySelectorAll('[data-cancel]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            cancelScheduled(btn.dataset.cancel);
+            renderScheduleTab(container);
+        });
+    });
+}
+
 /**
  * Render settings tab
  */
@@ -829,6 +1355,29 @@ function renderSettingsTab(container) {
                 <label>Large jump threshold (minutes):</label>
                 <input type="number" id="vtc-setting-threshold" value="${settings.largeJumpThreshold}" min="30" max="1440" />
             </div>
+            <label class="vtc-checkbox">
+                <input type="checkbox" id="vtc-setting-llm" ${settings.llmFallback ? 'checked' : ''} />
+                Ask the model when no time cue is found
+            </label>
+            <label class="vtc-checkbox">
+                <input type="checkbox" id="vtc-setting-badges" ${settings.showDurationBadges ? 'checked' : ''} />
+                Show time taken on each reply
+            </label>
+        </div>
+
+        <div class="vtc-section">
+            <h4>Calendar</h4>
+            <p class="vtc-muted">
+                This chat uses <strong>${getCalendar().name}</strong>.
+                New chats use ${settings.calendar ? `<strong>${settings.calendar.name || 'a custom calendar'}</strong>` : 'the Valdris preset'}.
+            </p>
+            <textarea id="vtc-calendar-json" class="vtc-calendar-editor" rows="14" spellcheck="false"></textarea>
+            <ul class="vtc-calendar-errors"></ul>
+            <div class="vtc-time-controls">
+                <button class="vtc-btn vtc-btn--primary" id="vtc-calendar-apply">Apply to this chat</button>
+                <button class="vtc-btn" id="vtc-calendar-default">Use for new chats</button>
+                <button class="vtc-btn" id="vtc-calendar-preset">Load Valdris preset</button>
+            </div>
         </div>
     `;
 
@@ -851,10 +1400,69 @@ function renderSettingsTab(container) {
     bindCheckbox('#vtc-setting-parse', 'parseAIResponses');
     bindCheckbox('#vtc-setting-auto', 'autoAdvance');
     bindCheckbox('#vtc-setting-confirm', 'confirmLargeJumps');
+    bindCheckbox('#vtc-setting-llm', 'llmFallback');
+    bindCheckbox('#vtc-setting-badges', 'showDurationBadges');
+    container.querySelector('#vtc-setting-badges')?.addEventListener('change', renderAllDurationBadges);
 
     container.querySelector('#vtc-setting-threshold')?.addEventListener('change', (e) => {
         updateSettings({ largeJumpThreshold: parseInt(e.target.value) });
     });
+
+    bindCalendarEditor(container);
+}
+
+/**
+ * Wire the calendar JSON editor in the settings tab
+ * @param {HTMLElement} container - Settings tab
+ */
+function bindCalendarEditor(container) {
+    const editor = container.querySelector('#vtc-calendar-json');
+    const errorList = container.querySelector('.vtc-calendar-errors');
+    if (!editor) return;
+
+    const showJson = (definition) => {
+        editor.value = JSON.stringify(definition, null, 2);
+    };
+    const showErrors = (errors) => {
+        errorList.innerHTML = errors.map(error => `<li>${error.replace(/</g, '&lt;')}</li>`).join('');
+    };
+
+    // Read the editor; the unchanged preset is stored as null so the chat follows preset fixes
+    const readDefinition = () => {
+        let definition;
+        try {
+            definition = JSON.parse(editor.value);
+        } catch (error) {
+            showErrors([`Not valid JSON: ${error.message}`]);
+            return undefined;
+        }
+
+        const { valid, errors } = validateCalendar(definition);
+        showErrors(errors);
+        if (!valid) return undefined;
+        return JSON.stringify(definition) === JSON.stringify(getCalendarPreset()) ? null : definition;
+    };
+
+    showJson(getContext().chatMetadata?.[CALENDAR_META_KEY] || getCalendarPreset());
+
+    container.querySelector('#vtc-calendar-apply')?.addEventListener('click', async () => {
+        const definition = readDefinition();
+        if (definition === undefined) return;
+        await applyChatCalendar(definition);
+        renderSettingsTab(container);
+    });
+
+    container.querySelector('#vtc-calendar-default')?.addEventListener('click', () => {
+        const definition = readDefinition();
+        if (definition === undefined) return;
+        updateSettings({ calendar: definition });
+        renderSettingsTab(container);
+    });
+
+    container.querySelector('#vtc-calendar-preset')?.addEventListener('click', () => {
+        showJson(getCalendarPreset());
+        showErrors([]);
+    });
 }
 
 /**
@@ -912,6 +1520,7 @@ function mountUI() {
 function unmountUI() {
     if (!UI.mounted) return;
 
+    UI.jumpDialog?.close();
     UI.header?.remove();
     UI.panel?.remove();
     UI.header = null;
@@ -919,6 +1528,337 @@ function unmountUI() {
     UI.mounted = false;
 }
 
+// ============================================================================
+// Slash Commands
+// ============================================================================
+
+// Common words accepted by /vweather set that are not condition keys
+const WEATHER_ALIASES = {
+    storm: 'thunderstorm',
+    sunny: 'clear',
+    fog: 'foggy',
+    mist: 'misty',
+    drizzle: 'light_rain',
+    overcast: 'cloudy'
+};
+
+/**
+ * Describe the current time for a command's pipe value
+ * @param {Object} state - Time state
+ * @returns {string}
+ */
+function describeTime(state) {
+    if (!state) return '';
+    const time = formatTime(state.hour, state.minute);
+    return `${formatFullDate(state)}, ${time}`;
+}
+
+/**
+ * Parse /vtime set arguments into a partial time update
+ * Accepts HH:MM, YYYY-MM-DD, a month name or number with a day, and named
+ * year=, month=, day=, hour=, minute= arguments.
+ *
+ * @param {string[]} args - Tokenized arguments
+ * @param {Object} namedArgs - Named arguments
+ * @returns {Object} Partial time for setTime()
+ */
+function parseTimeArgs(args, namedArgs) {
+    const update = {};
+
+    for (const arg of args) {
+        const clock = arg.match(/^(\d{1,2}):(\d{2})$/);
+        const date = arg.match(/^(\d+)-(\d{1,2})-(\d{1,2})$/);
+        const monthIndex = getCalendar().months.findIndex(m => m.name.toLowerCase() === arg.toLowerCase());
+
+        if (clock) {
+            update.hour = Number(clock[1]);
+            update.minute = Number(clock[2]);
+        } else if (date) {
+            update.year = Number(date[1]);
+            update.month = Number(date[2]);
+            update.day = Number(date[3]);
+        } else if (monthIndex >= 0) {
+            update.month = monthIndex + 1;
+        } else if (/^\d{1,2}$/.test(arg) && update.day === undefined) {
+            update.day = Number(arg);
+        } else {
+            throw new Error(`Cannot read '${arg}' as a time or date`);
+        }
+    }
+
+    for (const key of ['year', 'month', 'day', 'hour', 'minute']) {
+        if (namedArgs[key] !== undefined && namedArgs[key] !== '') {
+            const value = Number(namedArgs[key]);
+            if (!Number.isInteger(value)) throw new Error(`${key} must be a whole number`);
+            update[key] = value;
+        }
+    }
+
+    if (Object.keys(update).length === 0) {
+        throw new Error('Nothing to set (e.g. 14:30, 1247-3-12, or hour=8)');
+    }
+
+    return update;
+}
+
+/**
+ * Resolve a condition key, display name or alias to a weather condition key
+ * @param {string} text - User input
+ * @returns {string|null}
+ */
+function resolveWeatherCondition(text) {
+    const key = text.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (getWeatherCondition(key)) return key;
+    if (WEATHER_ALIASES[key]) return WEATHER_ALIASES[key];
+
+    const byName = Object.entries(getAllWeatherConditions())
+        .find(([, data]) => data.name.toLowerCase() === text.trim().toLowerCase());
+    return byName ? byName[0] : null;
+}
+
+/**
+ * Register /vtime and /vweather
+ */
+function registerCommands() {
+    registerValdrisCommand({
+        name: 'vtime',
+        owner: EXTENSION_NAME,
+        helpString: 'Read or change the in-game time. Returns the resulting date and time.',
+        subcommands: {
+            get: {
+                help: 'Current date and time',
+                run: () => describeTime(getDomainState(DOMAIN))
+            },
+            advance: {
+                usage: '<duration>',
+                help: 'Advance time, e.g. 3h, 90m, 1d 4h',
+                run: async (args, namedArgs, rest) => {
+                    const minutes = parseDuration(rest);
+                    if (minutes <= 0) throw new Error('Duration must be positive');
+                    return describeTime(await advanceTime(minutes));
+                }
+            },
+            skip: {
+                usage: '<morning|noon|evening|night|midnight>',
+                help: 'Advance to the next occurrence of a time of day',
+                run: async (args) => {
+                    const state = getDomainState(DOMAIN);
+                    const minutes = state ? calculateSkipToMinutes(state, (args[0] || '').toLowerCase()) : 0;
+                    if (minutes <= 0) throw new Error('Skip to morning, noon, evening, night or midnight');
+                    return describeTime(await advanceTime(minutes));
+                }
+            },
+            set: {
+                usage: '[YYYY-MM-DD] [HH:MM] [year= month= day= hour= minute=]',
+                help: 'Set the date or time directly without emitting time-advanced events',
+                run: async (args, namedArgs) => describeTime(await setTime(parseTimeArgs(args, namedArgs)))
+            }
+        }
+    });
+
+    registerValdrisCommand({
+        name: 'vweather',
+        owner: EXTENSION_NAME,
+        helpString: 'Read or change the current weather. Returns the weather name.',
+        subcommands: {
+            get: {
+                help: 'Current weather',
+                run: () => getDomainState(DOMAIN)?.weather?.currentName || ''
+            },
+            set: {
+                usage: '<condition>',
+                help: `Set the weather, e.g. storm, rain, clear (${Object.keys(getAllWeatherConditions()).join(', ')})`,
+                run: async (args, namedArgs, rest) => {
+                    const condition = resolveWeatherCondition(rest);
+                    if (!condition) throw new Error(`Unknown weather '${rest}'`);
+                    const weather = await setWeather({ current: condition });
+                    if (!weather) throw new Error('No time state for this chat');
+                    return weather.currentName;
+                }
+            },
+            reroll: {
+                help: 'Roll different weather for the current date and region',
+                run: async () => {
+                    const state = getDomainState(DOMAIN);
+                    if (!state) throw new Error('No time state for this chat');
+                    const weather = await rerollWeather(state, getSettings().regionType);
+                    return weather?.currentName || '';
+                }
+            }
+        }
+    });
+}
+
+// ============================================================================
+// Command Bus
+// ============================================================================
+
+/**
+ * Let other extensions schedule and cancel timed events:
+ * time.schedule (see scheduleEvent) -> { id, next } and time.unschedule { id } -> { removed }
+ */
+function registerCommandHandlers() {
+    registerCommandHandler('time.schedule', {
+        owner: EXTENSION_ID,
+        description: 'Schedule an event at an in-game date or time, optionally repeating',
+        handler: (payload = {}, meta) => {
+            const entry = scheduleEvent({ ...payload, owner: payload.owner || meta.source }, { tx: meta.tx });
+            refreshScheduleTab();
+            return { id: entry.id, next: entry.next };
+        }
+    });
+
+    registerCommandHandler('time.unschedule', {
+        owner: EXTENSION_ID,
+        description: 'Cancel a scheduled event by id or key',
+        handler: ({ id } = {}, { tx }) => {
+            const removed = cancelScheduled(id, { tx });
+            if (!removed) throw new Error(`Nothing scheduled as '${id}'`);
+            refreshScheduleTab();
+            return { removed: id };
+        }
+    });
+
+    _cleanupFns.push(() => {
+        unregisterCommandHandler('time.schedule');
+        unregisterCommandHandler('time.unschedule');
+    });
+}
+
+/**
+ * Re-render the schedule tab if it is showing
+ */
+function refreshScheduleTab() {
+    const container = UI.panel?.querySelector('#vtc-tab-schedule');
+    if (container && !container.classList.contains('vtc-hidden')) {
+        renderScheduleTab(container);
+    }
+}
+
+// ============================================================================
+// State Delta Ops
+// ============================================================================
+
+/**
+ * Register the time and weather ops of the valdris state block
+ */
+function registerDeltaOps() {
+    registerDeltaOp('time.advance', {
+        owner: EXTENSION_NAME,
+        description: 'Time passes',
+        fields: {
+            duration: { type: 'string|number', required: true },
+            reason: { type: 'string' }
+        },
+        validate: (op) => {
+            const minutes = typeof op.duration === 'number' ? op.duration : parseDuration(op.duration);
+            return minutes > 0 ? null : 'Duration must be positive';
+        },
+        apply: async (op, { tx }) => {
+            const minutes = typeof op.duration === 'number' ? Math.round(op.duration) : parseDuration(op.duration);
+            const state = await advanceTime(minutes, { reason: op.reason || null, tx });
+            updateHeader();
+            return `Time: ${describeTime(state)}`;
+        }
+    });
+
+    registerDeltaOp('time.skip', {
+        owner: EXTENSION_NAME,
+        description: 'Skip to the next time of day',
+        fields: {
+            to: { type: 'string', required: true, values: ['morning', 'noon', 'evening', 'night', 'midnight'] }
+        },
+        apply: async (op, { tx }) => {
+            const current = getDomainState(DOMAIN);
+            if (!current) throw new Error('No time state for this chat');
+            const state = await advanceTime(calculateSkipToMinutes(current, op.to.toLowerCase()), { tx });
+            updateHeader();
+            return `Time: ${describeTime(state)}`;
+        }
+    });
+
+    registerDeltaOp('weather.set', {
+        owner: EXTENSION_NAME,
+        description: 'Weather changes',
+        fields: {
+            condition: { type: 'string', required: true }
+        },
+        validate: (op) => resolveWeatherCondition(op.condition) ? null : `Unknown weather '${op.condition}'`,
+        apply: async (op, { tx }) => {
+            const weather = await setWeather({ current: resolveWeatherCondition(op.condition) }, { tx });
+            if (!weather) throw new Error('No time state for this chat');
+            updateHeader();
+            return `Weather: ${weather.currentName}`;
+        }
+    });
+}
+
+// ============================================================================
+// Daily Processing
+// ============================================================================
+
+// Time state fields the day processor rolls; a live commit writes back only these
+const DAY_FIELDS = ['weather', 'celestialEvents', 'celestialEffects', 'upcomingFestivals'];
+
+/**
+ * Register the new-day upkeep for the time domain: weather and the sky.
+ * Core runs it first on every new day; in a simulation it also moves the
+ * calendar forward one day. A live jump has already moved the clock, so the
+ * copy is wound back to the first day crossed and stepped from there.
+ */
+function registerDayProcessor() {
+    registerDailyProcessor('vtc.day', {
+        owner: EXTENSION_NAME,
+        name: 'Calendar, weather and sky',
+        domain: DOMAIN,
+        order: 0,
+        read: () => getDomainState(DOMAIN),
+        process: (time, context) => {
+            if (!time) return [];
+            const changes = [];
+
+            if (context.simulated || context.day > 1) {
+                const { monthAdvanced, yearAdvanced } = advanceTimeState(time, 24 * 60, { silent: true });
+                if (yearAdvanced) changes.push(`The year ${time.year} begins`);
+                else if (monthAdvanced) changes.push(`The month of ${time.monthName} begins`);
+            } else if (context.days > 1) {
+                Object.assign(time, fromMinutes(toMinutes(time) - (context.days - 1) * 24 * 60));
+                recalculateTimeState(time);
+            }
+
+            const previousWeather = time.weather?.current;
+            const previousEvents = new Set((time.celestialEvents || []).map(event => event.id));
+
+            time.weather = generateWeather(time, getSettings().regionType);
+            applyCelestialState(time);
+
+            if (time.weather.current !== previousWeather) {
+                changes.push(`Weather: ${time.weather.currentName || time.weather.current}`);
+            }
+            for (const event of time.celestialEvents) {
+                if (!previousEvents.has(event.id)) changes.push(`${event.name} begins`);
+            }
+            return changes;
+        },
+        commit: async (time, { tx, simulated }) => {
+            if (!time) return;
+            const current = getDomainState(DOMAIN);
+            const oldWeather = current?.weather;
+
+            // Live, the clock may have moved on since the run read it; keep it
+            const next = current && !simulated ? { ...current } : time;
+            if (next !== time) {
+                for (const field of DAY_FIELDS) next[field] = time[field];
+            }
+
+            next.lastUpdate = Date.now();
+            await setDomainState(DOMAIN, next, EXTENSION_ID, { tx });
+            ValdrisEventBus.emit('weatherChanged', { oldWeather, newWeather: next.weather });
+            updateHeader();
+        }
+    });
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -945,19 +1885,38 @@ async function init() {
 
         // Set up event listeners
         ValdrisEventBus.on('aiResponseReceived', onAIResponse, { id: EXTENSION_ID });
-        ValdrisEventBus.on('newDay', onNewDay, { id: EXTENSION_ID });
         ValdrisEventBus.on('chatChanged', onChatChanged, { id: EXTENSION_ID });
+        ValdrisEventBus.on('stateRestored', onStateRestored, { id: EXTENSION_ID });
+        ValdrisEventBus.on('scheduleTriggered', refreshScheduleTab, { id: EXTENSION_ID });
 
         _cleanupFns.push(() => {
             ValdrisEventBus.off('aiResponseReceived', EXTENSION_ID);
-            ValdrisEventBus.off('newDay', EXTENSION_ID);
             ValdrisEventBus.off('chatChanged', EXTENSION_ID);
+            ValdrisEventBus.off('stateRestored', EXTENSION_ID);
+            ValdrisEventBus.off('scheduleTriggered', EXTENSION_ID);
         });
 
+        // Fire scheduled items as time passes
+        startScheduler();
+        _cleanupFns.push(stopScheduler);
+
+        // Messages are re-rendered on chat load, swipes and edits
+        eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, renderDurationBadge);
+        _cleanupFns.push(() => eventSource.off(event_types.CHARACTER_MESSAGE_RENDERED, renderDurationBadge));
+
+        // Campaign bundles carry the calendar with the rest of the chat
+        registerBundleSection({ id: 'calendar', name: 'Calendar (VTC)', metaKey: CALENDAR_META_KEY });
+
         // Subscribe to state changes
         const unsubscribe = subscribe(() => updateHeader());
         _cleanupFns.push(unsubscribe);
 
+        // STscript commands, valdris block ops and daily upkeep
+        registerCommands();
+        registerCommandHandlers();
+        registerDeltaOps();
+        registerDayProcessor();
+
         // Mount UI
         mountUI();
 
@@ -995,6 +1954,7 @@ export {
     // Weather functions
     generateWeather,
     updateWeather,
+    rerollWeather,
     setWeather,
 
     // Celestial functions
@@ -1003,6 +1963,11 @@ export {
     getUpcomingFestivals,
     getCurrentFestival,
 
+    // Scheduler
+    scheduleEvent,
+    cancelScheduled,
+    getScheduled,
+
     // Lifecycle
     cleanup
 };
@@ -0,0 +1,116 @@
+/**
+ * VTC Jump Preview - What a time skip will set off
+ *
+ * Before a large jump is applied, previewTimeJump() works out what it would
+ * trigger without changing anything: the days crossed, festivals passed,
+ * scheduled items that fire, and a preview run of every extension's daily
+ * upkeep (wounds healing, needs decaying, hazards running out, markets moving).
+ *
+ * Preview shape:
+ * {
+ *     minutes: 4320,
+ *     from: { year, month, day, hour, minute },
+ *     to: { year, month, day, hour, minute },
+ *     days: 3,                              // Midnights crossed
+ *     festivals: [{ name, daysUntil }],
+ *     scheduled: [{ id, name, owner, dueIn, repeat }],
+ *     upkeep: [{ domain, summary }],        // From the daily processors
+ *     notes: ['Simulation skipped: ...'],
+ *     sections: [{ title, items: [] }]      // Added by 'timeJumpPreview' listeners
+ * }
+ *
+ * Extensions that track time in their own way add to the preview by listening
+ * for 'timeJumpPreview' and pushing a section of plain text (it is escaped for display):
+ *
+ *     ValdrisEventBus.on('timeJumpPreview', (preview) => {
+ *         preview.sections.push({ title: 'Contracts', items: ['Escort to Greywater expires'] });
+ *     });
+ */
+
+import { ValdrisEventBus, simulate, MAX_SIMULATION_DAYS } from '../valdris-core/index.js';
+import { getDayNumber } from './calendar.js';
+import { getUpcomingFestivals } from './celestial-tracker.js';
+import { getScheduled, toMinutes, fromMinutes } from './scheduler.js';
+
+const LOG_PREFIX = '[VTC:JumpPreview]';
+
+// Upkeep lines shown before the rest are summarized
+const MAX_UPKEEP_LINES = 30;
+
+// ============================================================================
+// Preview
+// ============================================================================
+
+/**
+ * Work out what advancing time would trigger
+ * @param {Object} time - Current time state
+ * @param {number} minutes - Proposed jump
+ * @returns {Promise<Object>} Preview (see module header)
+ */
+export async function previewTimeJump(time, minutes) {
+    const start = toMinutes(time);
+    const to = fromMinutes(start + minutes);
+    const days = getDayNumber(to.year, to.month, to.day) - getDayNumber(time.year, time.month, time.day);
+
+    const preview = {
+        minutes,
+        from: { year: time.year, month: time.month, day: time.day, hour: time.hour, minute: time.minute },
+        to,
+        days,
+        festivals: getUpcomingFestivals(time, days)
+            .filter(festival => festival.daysUntil > 0)
+            .map(festival => ({ name: festival.name, daysUntil: festival.daysUntil })),
+        scheduled: getScheduled()
+            .filter(entry => entry.dueIn <= minutes)
+            .map(({ id, name, owner, dueIn, repeat }) => ({ id, name, owner, dueIn, repeat })),
+        upkeep: [],
+        notes: [],
+        sections: []
+    };
+
+    if (days > 0) {
+        await previewUpkeep(preview);
+    }
+
+    await ValdrisEventBus.emitAsync('timeJumpPreview', preview, { sequential: true });
+    return preview;
+}
+
+/**
+ * Fill in the daily upkeep a jump would run
+ * @param {Object} preview - Preview being built
+ */
+async function previewUpkeep(preview) {
+    const days = Math.min(preview.days, MAX_SIMULATION_DAYS);
+    if (days < preview.days) {
+        preview.notes.push(`Upkeep shown for the first ${days} of ${preview.days} days`);
+    }
+
+    try {
+        const digest = await simulate(days, { preview: true });
+
+        // The calendar and sky are described above; weather rolls would only be noise
+        const changes = digest.daily
+            .flatMap(({ changes }) => changes)
+            .filter(change => change.domain !== 'time');
+
+        preview.upkeep = changes.slice(0, MAX_UPKEEP_LINES).map(({ domain, summary }) => ({ domain, summary }));
+        if (changes.length > MAX_UPKEEP_LINES) {
+            preview.notes.push(`${changes.length - MAX_UPKEEP_LINES} more upkeep changes not shown`);
+        }
+        for (const { processor, error } of digest.errors) {
+            preview.notes.push(`${processor} could not be previewed: ${error}`);
+        }
+    } catch (error) {
+        console.warn(`${LOG_PREFIX} Upkeep preview failed:`, error);
+        preview.notes.push(`Upkeep preview unavailable: ${error?.message || error}`);
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export default {
+    previewTimeJump
+};
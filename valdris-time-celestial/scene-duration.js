@@ -0,0 +1,444 @@
+/**
+ * VTC Scene Duration - How much in-game time a message covers
+ *
+ * Reads narration for time cues and turns them into an ordered list of steps:
+ *
+ *     "An hour later they reach the ford. Later that night, wolves howl."
+ *     -> [{ minutes: 60 }, { skipTo: 'night' }]
+ *
+ * Cues are read in order and combined, so a message that moves time twice
+ * counts both. Durations may be digits or words ("two long days", "an hour
+ * and a half", "half an hour", "a few minutes"). Spans of the day ("we spend
+ * the afternoon training") and stock phrases ("by the time the candle burns
+ * down") count as well.
+ *
+ * The user's message before the reply is read too. The reply's own cues win;
+ * the user's ("I wait three hours") are used when the reply has none. With no
+ * cue in either, the kind of scene (combat, a meal, travel) gives a rough
+ * estimate, and failing that a short default.
+ *
+ * Estimate shape:
+ * {
+ *     minutes: 60,                      // Fixed minutes in the steps (skips not included)
+ *     skipTo: 'night',                  // Last skip target, or null
+ *     steps: [{ minutes: 60 }, { skipTo: 'night', soft: true }],
+ *     confidence: 'high',               // high (reply cue) | medium (user cue, scene, model) | low (default)
+ *     source: 'response',               // response | user | scene | llm | default
+ *     detectedTypes: [{ type: 'duration', phrase: 'An hour later', minutes: 60, source: 'response' }]
+ * }
+ *
+ * resolveSceneMinutes() turns the steps into minutes from a given time of
+ * day. A soft skip ("later that night", "the rest of the day") stays within
+ * the same day, so it counts for nothing once that time has already passed.
+ *
+ * classifySceneDuration() asks the model instead, for low-confidence messages
+ * when the user has turned that on.
+ */
+
+import { requestJSON } from '../valdris-core/index.js';
+import { calculateSkipToMinutes } from './time-engine.js';
+
+const EXTENSION_NAME = 'valdris-time-celestial';
+
+// Minutes assumed when nothing in either message says how long passed
+const DEFAULT_MINUTES = 3;
+
+// A soft skip longer than this means its time of day has already passed
+const SOFT_SKIP_LIMIT = 12 * 60;
+
+// Longest duration accepted from the model (30 days)
+const MAX_LLM_MINUTES = 30 * 1440;
+
+// ============================================================================
+// Vocabulary
+// ============================================================================
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, ninety: 90, hundred: 100, dozen: 12, 'a dozen': 12
+};
+
+const TENS = ['twenty', 'thirty', 'forty', 'fifty'];
+const ONES = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+// Vague amounts; minutes are scaled up ("a few minutes" is about ten)
+const VAGUE_AMOUNTS = { 'a couple of': 2, 'a couple': 2, 'couple of': 2, 'a few': 2, few: 2, several: 3, many: 5 };
+const VAGUE_MINUTE_SCALE = 5;
+
+const FRACTIONS = {
+    'half an': 0.5, 'half a': 0.5, 'a half': 0.5,
+    'a quarter of an': 0.25, 'a quarter of a': 0.25, 'quarter of an': 0.25, 'a quarter': 0.25,
+    'three quarters of an': 0.75, 'three quarters of a': 0.75
+};
+
+const UNIT_MINUTES = {
+    moment: 1, minute: 1, min: 1, hour: 60, hr: 60,
+    day: 1440, night: 1440, week: 10080, fortnight: 20160, month: 43200
+};
+
+// Words allowed between the amount and the unit: "two long days"
+const SPAN_ADJECTIVES = [
+    'long', 'short', 'full', 'whole', 'more', 'weary', 'hard', 'grueling', 'gruelling', 'tense', 'quiet',
+    'uneventful', 'endless', 'brief', 'additional', 'straight', 'further', 'exhausting', 'restless',
+    'sleepless', 'agonizing', 'peaceful', 'cold', 'rainy', 'dull'
+];
+
+// A span counts only next to one of these: "after two days", "three hours later"
+const SPAN_BEFORE = [
+    'after', 'within', 'for', 'over the next', 'over the following', 'over the course of', 'over the course of the',
+    'spend', 'spends', 'spent', 'spending', 'took', 'take', 'takes', 'taking', 'lasted', 'lasts', 'last',
+    'wait', 'waits', 'waited', 'waiting', 'sleep', 'sleeps', 'slept', 'rest', 'rests', 'rested', 'another'
+];
+const SPAN_QUALIFIERS = ['about', 'around', 'nearly', 'almost', 'roughly', 'some', 'over', 'just', 'only', 'the next', 'another', 'a good', 'the better part of', 'the'];
+const SPAN_AFTER = /^\s*(?:or\s+so\s+|more\s+)?(?:later|pass(?:es|ed)?\b|go(?:es)?\s+by|went\s+by|(?:have|has|had)\s+(?:passed|gone\s+by|elapsed|slipped\s+by)|elapse[sd]?|slip(?:s|ped)?\s+(?:by|past)|drag(?:s|ged)?\s+(?:on|by)|of\s+(?:[a-z]+ing|travel|rest|sleep|work|toil|labou?r|silence|march|study|practice))/i;
+
+// How long "the whole X" lasts, and where "the rest of the X" ends
+const PERIOD_MINUTES = { morning: 240, afternoon: 240, evening: 180, night: 480, day: 600 };
+const PERIOD_END = { morning: 'noon', afternoon: 'evening', evening: 'night', day: 'evening', night: 'morning' };
+
+/**
+ * Cues that are not a number and a unit
+ * minutes: fixed duration; skipTo: next time of day (1 = the captured period);
+ * period: the captured period's length or end; soft: same-day skip
+ */
+const PHRASE_CUES = [
+    // Spans of the day
+    { pattern: /\b(?:spen[dt]s?|spending)\s+(?:all\s+(?:the\s+)?|the\s+(?:whole\s+|entire\s+)?)(morning|afternoon|evening|night|day)\b/gi, period: 'length' },
+    { pattern: /\b(?:all|the\s+whole|the\s+entire|throughout\s+the)\s+(morning|afternoon|evening|night|day)(?:\s+long)?\b/gi, period: 'length' },
+    { pattern: /\b(?:for\s+)?the\s+rest\s+of\s+the\s+(morning|afternoon|evening|night|day)\b/gi, period: 'end' },
+
+    // Stock phrases
+    { pattern: /\bby\s+the\s+time\s+the\s+candles?\s+(?:burns?|burned|burnt|has\s+burned|had\s+burned|gutters?|guttered)(?:\s+(?:down|low|out))?/gi, minutes: 180 },
+    { pattern: /\b(?:fire|campfire|embers|hearth)\s+(?:burns?|burned|burnt|has\s+burned|had\s+burned|dies|died|has\s+died|had\s+died)\s+(?:down|low|out)\b/gi, minutes: 120 },
+    { pattern: /\bthe\s+sun\s+(?:climbs|climbed|has\s+climbed|rises|rose)\s+(?:higher|high)\b/gi, minutes: 120 },
+    { pattern: /\bmoments\s+later\b/gi, minutes: 2 },
+    { pattern: /\bthe\s+shadows\s+(?:lengthen|lengthened|grow\s+long|grew\s+long)\b/gi, skipTo: 'evening' },
+    { pattern: /\bthe\s+stars\s+(?:come|came)\s+out\b/gi, skipTo: 'night' },
+
+    // Times of day
+    { pattern: /\b(?:the\s+)?(?:next|following)\s+(?:morning|day)\b/gi, skipTo: 'morning' },
+    { pattern: /\b(?:the\s+)?next\s+(afternoon|evening|night)\b/gi, skipTo: 1 },
+    { pattern: /\b(?:later\s+that|that\s+same|later\s+in\s+the)\s+(morning|afternoon|evening|night|day)\b/gi, skipTo: 1, soft: true },
+    { pattern: /\bthat\s+(afternoon|evening|night)\b/gi, skipTo: 1, soft: true },
+    { pattern: /\b(?:by|until|till)\s+(?:morning|dawn|daybreak|first\s+light|sunrise)\b/gi, skipTo: 'morning' },
+    { pattern: /\b(?:by|until|till)\s+(?:nightfall|sundown|dusk|sunset|evening)\b/gi, skipTo: 'evening' },
+    { pattern: /\b(?:by|until|till)\s+(?:noon|midday)\b/gi, skipTo: 'noon' },
+    { pattern: /\b(?:by|until|till)\s+midnight\b/gi, skipTo: 'midnight' },
+    { pattern: /\b(?:dawn\s+breaks|sunrise|morning\s+comes|wakes?\s+(?:up|to))\b/gi, skipTo: 'morning' },
+    { pattern: /\b(?:night\s+falls|sunset|dusk\s+(?:falls|comes)|evening\s+comes)\b/gi, skipTo: 'evening' },
+    { pattern: /\b(?:midnight|dead\s+of\s+night)\b/gi, skipTo: 'midnight' },
+    { pattern: /\b(?:noon|midday|middle\s+of\s+the\s+day)\b/gi, skipTo: 'noon' }
+];
+
+/**
+ * Kinds of scene, for a rough estimate when no cue says how long passed
+ * The longest estimate found in either message is used.
+ */
+const SCENE_PATTERNS = [
+    { pattern: /\b(?:fierce|brutal|long|extended)\s*(?:combat|fight|battle)/i, estimate: 15 },
+    { pattern: /\b(?:combat|fight|battle|attack|clash|skirmish)/i, estimate: 5 },
+    { pattern: /\b(?:long\s*rest|sleep|camp\s*for\s*the\s*night|retire\s*for\s*the\s*(?:night|evening))/i, estimate: 480 },
+    { pattern: /\b(?:short\s*rest|breather|catch\s*(?:your|their|his|her|our)?\s*breath|take\s*a\s*break)/i, estimate: 60 },
+    { pattern: /\b(?:travel|journey|walk|ride|march|trek|make\s*(?:your|their|our)\s*way)/i, estimate: 120 },
+    { pattern: /\blong\s*(?:conversation|discussion|talk)/i, estimate: 45 },
+    { pattern: /\b(?:conversation|talk|discuss|speak|chat)/i, estimate: 15 },
+    { pattern: /\b(?:meal|breakfast|lunch|dinner|supper|feast|banquet)/i, estimate: 45 },
+    { pattern: /\bquick\s*(?:meal|bite|snack)/i, estimate: 15 },
+    { pattern: /\b(?:shop|browse|merchant|store|market|bazaar|trade)/i, estimate: 30 },
+    { pattern: /\b(?:search|examine|investigate|look\s*around|explore|scout)/i, estimate: 20 },
+    { pattern: /\b(?:train|practice|spar|exercise|drill)/i, estimate: 60 },
+    { pattern: /\b(?:study|read|research|learn)/i, estimate: 60 },
+    { pattern: /\b(?:craft|forge|brew|create)/i, estimate: 120 },
+    { pattern: /\b(?:meditate|pray|ritual|ceremony)/i, estimate: 30 },
+    { pattern: /\b(?:wait|waiting|bide\s*(?:your|their)\s*time)/i, estimate: 30 }
+];
+
+// "two long days", "an hour and a half", "half an hour", "twenty-three minutes"
+const SPAN_PATTERN = buildSpanPattern();
+
+// "after", "for about", "spent the next" right before a span
+const SPAN_BEFORE_PATTERN = new RegExp(
+    `\\b(?:${SPAN_BEFORE.map(word => word.replace(/ /g, '\\s+')).join('|')})(?:\\s+(?:${SPAN_QUALIFIERS.map(word => word.replace(/ /g, '\\s+')).join('|')}))*\\s+$`,
+    'i'
+);
+
+// ============================================================================
+// Estimation
+// ============================================================================
+
+/**
+ * Estimate how much time a reply covers
+ * @param {string} responseText - Reply text
+ * @param {Object} [options]
+ * @param {string} [options.userText] - The user's message before the reply
+ * @returns {Object} Estimate (see module header)
+ */
+export function estimateSceneDuration(responseText, options = {}) {
+    const userText = options.userText || '';
+    if (!responseText && !userText) {
+        return buildEstimate([], 'none', 'default', []);
+    }
+
+    const responseCues = findCues(responseText || '', 'response');
+    if (responseCues.length > 0) {
+        return buildEstimate(toSteps(responseCues), 'high', 'response', responseCues);
+    }
+
+    const userCues = findCues(userText, 'user');
+    if (userCues.length > 0) {
+        return buildEstimate(toSteps(userCues), 'medium', 'user', userCues);
+    }
+
+    const scenes = [
+        ...findScenes(responseText || '', 'response'),
+        ...findScenes(userText, 'user')
+    ];
+    if (scenes.length > 0) {
+        const minutes = Math.max(...scenes.map(scene => scene.minutes));
+        return buildEstimate([{ minutes }], 'medium', 'scene', scenes);
+    }
+
+    return buildEstimate([{ minutes: DEFAULT_MINUTES }], 'low', 'default', []);
+}
+
+/**
+ * Minutes an estimate covers from a time of day
+ * @param {Object} estimate - From estimateSceneDuration()
+ * @param {{hour: number, minute: number}} time - Current time
+ * @returns {number}
+ */
+export function resolveSceneMinutes(estimate, time) {
+    let total = 0;
+    let clock = (time?.hour || 0) * 60 + (time?.minute || 0);
+
+    for (const step of estimate?.steps || []) {
+        let minutes = step.minutes || 0;
+        if (step.skipTo) {
+            minutes = calculateSkipToMinutes({ hour: Math.floor(clock / 60), minute: clock % 60 }, step.skipTo);
+            if (step.soft && minutes > SOFT_SKIP_LIMIT) minutes = 0;
+        }
+        total += minutes;
+        clock = (clock + minutes) % 1440;
+    }
+    return total;
+}
+
+/**
+ * Ask the model how much time a reply covers
+ * @param {string} responseText - Reply text
+ * @param {string} [userText] - The user's message before the reply
+ * @returns {Promise<Object>} Estimate with source 'llm'
+ * @throws {Error} If the model gives no usable answer
+ */
+export async function classifySceneDuration(responseText, userText = '') {
+    const prompt = [
+        userText ? `The player wrote:\n${userText.slice(-600)}` : '',
+        `The narrator replied:\n${String(responseText || '').slice(-2000)}`,
+        'How many minutes of in-game time pass during this reply? Count only time that passes in the story, '
+            + 'not reading time. A few lines of dialogue is 1-5 minutes.'
+    ].filter(Boolean).join('\n\n');
+
+    const { data } = await requestJSON(prompt, {
+        source: EXTENSION_NAME,
+        system: 'You track the in-game clock of a roleplay.',
+        schema: {
+            type: 'object',
+            fields: {
+                minutes: { type: 'integer', required: true, min: 0, max: MAX_LLM_MINUTES },
+                reason: { type: 'string', default: '' }
+            }
+        },
+        example: { minutes: 90, reason: 'a long dinner with the innkeeper' },
+        maxTokens: 200
+    });
+
+    const minutes = Math.max(0, Math.min(MAX_LLM_MINUTES, Math.round(data.minutes)));
+    return buildEstimate([{ minutes }], 'medium', 'llm', [
+        { type: 'llm', phrase: data.reason || '', minutes, source: 'llm' }
+    ]);
+}
+
+// ============================================================================
+// Cue Detection
+// ============================================================================
+
+/**
+ * Find the time cues in a text, in reading order
+ * Where cues overlap, the one starting first (then the longer) is kept.
+ *
+ * @param {string} text - Message text
+ * @param {string} source - 'response' | 'user'
+ * @returns {Object[]} Cues: { type, phrase, minutes?, skipTo?, source, start, end }
+ */
+function findCues(text, source) {
+    if (!text) return [];
+    const found = [];
+
+    for (const match of text.matchAll(SPAN_PATTERN)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const before = text.slice(Math.max(0, start - 40), start);
+        const after = text.slice(end, end + 40);
+
+        if (!SPAN_BEFORE_PATTERN.test(before) && !SPAN_AFTER.test(after)) continue;
+
+        const minutes = spanMinutes(match[1], match[2], !!match[3]);
+        if (!(minutes > 0)) continue;
+
+        const tail = after.match(SPAN_AFTER)?.[0] || '';
+        found.push({ type: 'duration', phrase: (match[0] + (/later|pass|by|elapse/i.test(tail) ? tail : '')).trim(), minutes, source, start, end });
+    }
+
+    for (const cue of PHRASE_CUES) {
+        for (const match of text.matchAll(cue.pattern)) {
+            const start = match.index;
+            const entry = { phrase: match[0].trim(), source, start, end: start + match[0].length };
+            const named = match[1]?.toLowerCase();
+
+            if (cue.period === 'length') {
+                found.push({ ...entry, type: 'duration', minutes: PERIOD_MINUTES[named] });
+            } else if (cue.period === 'end') {
+                found.push({ ...entry, type: 'skipTo', skipTo: PERIOD_END[named], soft: true });
+            } else if (cue.minutes) {
+                found.push({ ...entry, type: 'duration', minutes: cue.minutes });
+            } else if (cue.skipTo) {
+                const target = cue.skipTo === 1 ? (named === 'day' ? 'morning' : named) : cue.skipTo;
+                found.push({ ...entry, type: 'skipTo', skipTo: target, ...(cue.soft ? { soft: true } : {}) });
+            }
+        }
+    }
+
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const kept = [];
+    for (const cue of found) {
+        const previous = kept[kept.length - 1];
+        if (previous && cue.start < previous.end) continue;
+        // Two mentions of the same morning are one skip, not two days
+        if (previous?.skipTo && previous.skipTo === cue.skipTo) continue;
+        kept.push(cue);
+    }
+    return kept;
+}
+
+/**
+ * Scene kinds mentioned in a text
+ * @param {string} text - Message text
+ * @param {string} source - 'response' | 'user'
+ * @returns {Object[]} { type: 'scene', phrase, minutes, source }
+ */
+function findScenes(text, source) {
+    if (!text) return [];
+    const scenes = [];
+    for (const { pattern, estimate } of SCENE_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) scenes.push({ type: 'scene', phrase: match[0].trim(), minutes: estimate, source });
+    }
+    return scenes;
+}
+
+/**
+ * Turn cues into steps
+ * @param {Object[]} cues - From findCues()
+ * @returns {Object[]}
+ */
+function toSteps(cues) {
+    return cues.map(cue => cue.skipTo ? { skipTo: cue.skipTo, ...(cue.soft ? { soft: true } : {}) } : { minutes: cue.minutes });
+}
+
+/**
+ * Assemble an estimate
+ * @param {Object[]} steps - Steps
+ * @param {string} confidence - Confidence
+ * @param {string} source - Where the steps came from
+ * @param {Object[]} cues - Everything detected
+ * @returns {Object}
+ */
+function buildEstimate(steps, confidence, source, cues) {
+    const skips = steps.filter(step => step.skipTo);
+    return {
+        minutes: steps.reduce((total, step) => total + (step.minutes || 0), 0),
+        skipTo: skips.length > 0 ? skips[skips.length - 1].skipTo : null,
+        steps,
+        confidence,
+        source,
+        detectedTypes: cues.map(({ start, end, ...cue }) => cue)
+    };
+}
+
+// ============================================================================
+// Number Parsing
+// ============================================================================
+
+/**
+ * Minutes in a span
+ * @param {string} amount - "two", "half an", "a few", "1.5"
+ * @param {string} unit - "hours", "days", ...
+ * @param {boolean} andAHalf - "... and a half" followed the unit
+ * @returns {number}
+ */
+function spanMinutes(amount, unit, andAHalf) {
+    const unitKey = unit.toLowerCase().replace(/s$/, '');
+    const perUnit = UNIT_MINUTES[unitKey];
+    const text = amount.toLowerCase().replace(/\s+/g, ' ').trim();
+
+    let count = parseAmount(text);
+    if (count === null) return 0;
+    if (VAGUE_AMOUNTS[text] !== undefined && perUnit === 1) count *= VAGUE_MINUTE_SCALE;
+    if (andAHalf) count += 0.5;
+
+    return Math.round(count * perUnit);
+}
+
+/**
+ * Read an amount
+ * @param {string} text - Lowercase amount
+ * @returns {number|null}
+ */
+function parseAmount(text) {
+    if (/^\d+(?:\.\d+)?$/.test(text)) return Number(text);
+    if (FRACTIONS[text] !== undefined) return FRACTIONS[text];
+    if (VAGUE_AMOUNTS[text] !== undefined) return VAGUE_AMOUNTS[text];
+    if (NUMBER_WORDS[text] !== undefined) return NUMBER_WORDS[text];
+
+    // "two and a half", "twenty-three", "1 and a quarter"
+    const mixed = text.match(/^(.+?) and a (half|quarter)$/);
+    if (mixed) {
+        const whole = parseAmount(mixed[1]);
+        return whole === null ? null : whole + (mixed[2] === 'half' ? 0.5 : 0.25);
+    }
+    const compound = text.match(/^([a-z]+)[\s-]([a-z]+)$/);
+    if (compound && TENS.includes(compound[1]) && ONES.includes(compound[2])) {
+        return NUMBER_WORDS[compound[1]] + NUMBER_WORDS[compound[2]];
+    }
+    return null;
+}
+
+/**
+ * Build the span regex: amount, optional adjectives, unit, optional "and a half"
+ * @returns {RegExp}
+ */
+function buildSpanPattern() {
+    const byLength = (a, b) => b.length - a.length;
+    const words = (list) => list.sort(byLength).map(word => word.replace(/ /g, '\\s+')).join('|');
+
+    const compound = `(?:${TENS.join('|')})[\\s-](?:${ONES.join('|')})`;
+    const number = `(?:\\d+(?:\\.\\d+)?|${compound}|${words(Object.keys(NUMBER_WORDS))})(?:\\s+and\\s+a\\s+(?:half|quarter))?`;
+    const amount = `(${words(Object.keys(FRACTIONS))}|${words(Object.keys(VAGUE_AMOUNTS))}|${number})`;
+    const adjectives = `(?:\\s+(?:${SPAN_ADJECTIVES.join('|')}))*`;
+    const unit = `(moments?|minutes?|mins?|hours?|hrs?|days?|nights?|weeks?|fortnights?|months?)`;
+
+    return new RegExp(`\\b${amount}${adjectives}\\s+${unit}(\\s+and\\s+a\\s+half)?\\b`, 'gi');
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export default {
+    estimateSceneDuration,
+    resolveSceneMinutes,
+    classifySceneDuration
+};
@@ -0,0 +1,625 @@
+/**
+ * VTC Scheduler - Timed events on the in-game calendar
+ *
+ * Keeps future triggers ("8:00 on 3 Leaffall", "every Restday at noon",
+ * "each full Lunara") in chat metadata and fires them when in-game time
+ * passes them. A jump of several days fires every trigger it crossed, in
+ * order; a recurring trigger crossed more than once fires once with a count.
+ *
+ * Entry shape:
+ * {
+ *     id: 'sched_...',
+ *     key: 'contract:c12:deadline',    // Optional; scheduling the same key replaces the entry
+ *     name: 'Contract deadline',
+ *     owner: 'valdris-economy-services',
+ *     event: 'contractDeadline',       // Optional bus event to emit besides 'scheduleTriggered'
+ *     payload: { contractId: 'c12' },
+ *     next: { year, month, day, hour, minute },   // Next due date on the active calendar
+ *     repeat: null | { type: 'daily' } | { type: 'weekly', weekday: 'Restday' }
+ *           | { type: 'moon', moon: 'lunara', phase: 'full' } | { type: 'interval', minutes: 360 },
+ *     remaining: null                  // Occurrences left for a recurring entry (null = forever)
+ * }
+ *
+ * Other extensions schedule through the command bus:
+ *
+ *     await ValdrisCore.dispatchCommand('time.schedule', {
+ *         name: 'Shop opens', event: 'shopOpened', payload: { shopId },
+ *         at: '08:00', repeat: 'daily'
+ *     }, { source: 'valdris-economy-services' });
+ *
+ * Every firing emits 'scheduleTriggered' { id, key, name, owner, event, payload,
+ * count, date, recurring, done }, then the entry's own event with its payload
+ * plus { scheduleId, name, count, date }. Moon triggers fire on the first day
+ * of the phase. Setting the clock directly (setTime) fires nothing: recurring
+ * entries move on to their next occurrence, one-off entries wait for the next
+ * advance.
+ */
+
+import { getContext } from '../../../extensions.js';
+import {
+    ValdrisEventBus,
+    getDomainState,
+    markDirty,
+    generateId,
+    parseDuration,
+    registerSnapshotKey,
+    registerBundleSection
+} from '../valdris-core/index.js';
+import { getCalendar, getDayNumber, getDateFromDayNumber, getMonthLength, getWeekday, getMoonPosition } from './calendar.js';
+
+const LOG_PREFIX = '[VTC:Scheduler]';
+const EXTENSION_NAME = 'valdris-time-celestial';
+
+// Chat metadata key holding the schedule
+export const SCHEDULE_META_KEY = 'valdris_schedule_v1';
+
+// Occurrences of one recurring entry fired by a single jump before it skips ahead
+const MAX_CATCH_UP = 1000;
+
+// Days searched for the next weekly or moon occurrence
+const MAX_SEARCH_DAYS = 800;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+let _unsubscribers = [];
+
+// Swipes and undo roll the schedule back; campaign bundles merge entries by id
+registerSnapshotKey(SCHEDULE_META_KEY);
+registerBundleSection({
+    id: 'schedule',
+    name: 'Schedule (VTC)',
+    read: () => getStore()?.entries ?? [],
+    write: (entries) => {
+        const store = getStore();
+        if (!store) return;
+        store.entries = Array.isArray(entries) ? entries : [];
+        requestSave();
+    }
+});
+
+// ============================================================================
+// Store
+// ============================================================================
+
+/**
+ * Get the schedule store for the current chat
+ * @returns {{entries: Object[]}|null} Null without a chat
+ */
+function getStore() {
+    const md = getContext()?.chatMetadata;
+    if (!md) return null;
+
+    if (!md[SCHEDULE_META_KEY] || !Array.isArray(md[SCHEDULE_META_KEY].entries)) {
+        md[SCHEDULE_META_KEY] = { entries: [] };
+    }
+    return md[SCHEDULE_META_KEY];
+}
+
+/**
+ * Queue the schedule for saving
+ * @param {Object} [tx] - Core transaction the change belongs to
+ */
+function requestSave(tx) {
+    markDirty(SCHEDULE_META_KEY, EXTENSION_NAME, { tx });
+}
+
+// ============================================================================
+// Scheduling
+// ============================================================================
+
+/**
+ * Schedule a trigger
+ * @param {Object} definition
+ * @param {string} definition.name - Shown in the schedule panel
+ * @param {string} [definition.owner] - Extension that owns the entry
+ * @param {string} [definition.key] - Stable key; replaces an entry with the same key
+ * @param {string} [definition.event] - Bus event to emit when it fires
+ * @param {Object} [definition.payload] - Data for the event
+ * @param {Object|string} [definition.at] - { year, month, day, hour, minute } (month may be a name),
+ *     'YYYY-MM-DD HH:MM', or 'HH:MM' for the next time the clock shows it. Missing date parts are today.
+ * @param {number|string} [definition.in] - Minutes or a duration ('3d 4h') from now, instead of `at`
+ * @param {string|Object} [definition.repeat] - 'daily', 'weekly', { every: 'week', weekday },
+ *     { every: 'moon', moon, phase } or { every: 'interval', minutes | duration }
+ * @param {number} [definition.times] - Occurrences before a recurring entry ends
+ * @param {Object} [options] - { tx: core transaction the change belongs to }
+ * @returns {Object} The stored entry
+ * @throws {Error} When the definition cannot be scheduled
+ */
+export function scheduleEvent(definition = {}, options = {}) {
+    const store = getStore();
+    const time = getDomainState('time');
+    if (!store || !time) throw new Error('No time state for this chat');
+    if (!definition.name) throw new Error('A scheduled item needs a name');
+
+    const now = toMinutes(time);
+    const explicitDate = definition.in !== undefined || hasDate(definition.at);
+    let first = resolveStart(definition, time, now);
+    const repeat = resolveRepeat(definition.repeat, fromMinutes(first));
+
+    if (repeat && repeat.type !== 'interval') {
+        // Recurring entries start on their first matching day at the given time of day
+        const from = explicitDate ? first : now;
+        first = findOccurrence(repeat, fromMinutes(first), from, explicitDate);
+        if (first === null) throw new Error('No upcoming occurrence for that schedule');
+    }
+
+    if (definition.times !== undefined && !(Number.isInteger(definition.times) && definition.times > 0)) {
+        throw new Error('times must be a positive whole number');
+    }
+
+    const entry = {
+        id: generateId('sched'),
+        key: definition.key ? String(definition.key) : null,
+        name: String(definition.name),
+        owner: definition.owner || 'unknown',
+        event: definition.event ? String(definition.event) : null,
+        payload: definition.payload && typeof definition.payload === 'object' ? definition.payload : {},
+        next: fromMinutes(first),
+        repeat,
+        remaining: repeat ? (definition.times ?? null) : null
+    };
+
+    if (entry.key) {
+        store.entries = store.entries.filter(existing => existing.key !== entry.key);
+    }
+    store.entries.push(entry);
+    requestSave(options.tx);
+
+    return entry;
+}
+
+/**
+ * Cancel a scheduled entry
+ * @param {string} idOrKey - Entry id or key
+ * @param {Object} [options] - { tx: core transaction the change belongs to }
+ * @returns {boolean} True if an entry was removed
+ */
+export function cancelScheduled(idOrKey, options = {}) {
+    const store = getStore();
+    if (!store || !idOrKey) return false;
+
+    const before = store.entries.length;
+    store.entries = store.entries.filter(entry => entry.id !== idOrKey && entry.key !== idOrKey);
+    if (store.entries.length === before) return false;
+
+    requestSave(options.tx);
+    return true;
+}
+
+/**
+ * Scheduled entries, soonest first
+ * @param {Object} [filter]
+ * @param {string} [filter.owner] - Only this owner's entries
+ * @returns {Object[]} Entry copies with `dueIn` (minutes from the current time)
+ */
+export function getScheduled({ owner } = {}) {
+    const store = getStore();
+    const time = getDomainState('time');
+    if (!store) return [];
+
+    const now = time ? toMinutes(time) : 0;
+    return store.entries
+        .filter(entry => !owner || entry.owner === owner)
+        .map(entry => ({ ...entry, dueIn: toMinutes(entry.next) - now }))
+        .sort((a, b) => a.dueIn - b.dueIn);
+}
+
+// ============================================================================
+// Processing
+// ============================================================================
+
+/**
+ * Fire everything due at or before a time
+ * @param {Object} time - Time state
+ * @returns {Object[]} The 'scheduleTriggered' payloads, in firing order
+ */
+export function processSchedule(time) {
+    const store = getStore();
+    if (!store || !time || store.entries.length === 0) return [];
+
+    const now = toMinutes(time);
+    const due = store.entries
+        .filter(entry => toMinutes(entry.next) <= now)
+        .sort((a, b) => toMinutes(a.next) - toMinutes(b.next));
+    if (due.length === 0) return [];
+
+    const fired = [];
+    const finished = new Set();
+
+    for (const entry of due) {
+        let count = 0;
+        let last = toMinutes(entry.next);
+        let next = last;
+
+        while (next !== null && next <= now && count < MAX_CATCH_UP && entry.remaining !== 0) {
+            count++;
+            last = next;
+            if (entry.remaining !== null) entry.remaining--;
+            next = entry.repeat ? nextOccurrence(entry, next) : null;
+        }
+
+        // Crossed too many times to count: carry on from the present
+        if (next !== null && next <= now) next = nextOccurrence(entry, now);
+
+        const done = next === null || entry.remaining === 0;
+        if (done) finished.add(entry.id);
+        else entry.next = fromMinutes(next);
+
+        fired.push({
+            id: entry.id,
+            key: entry.key,
+            name: entry.name,
+            owner: entry.owner,
+            event: entry.event,
+            payload: entry.payload,
+            count,
+            date: fromMinutes(last),
+            recurring: !!entry.repeat,
+            done
+        });
+    }
+
+    store.entries = store.entries.filter(entry => !finished.has(entry.id));
+    requestSave();
+
+    // The store is saved first, so listeners that schedule or cancel see the new state
+    for (const trigger of fired) {
+        ValdrisEventBus.emit('scheduleTriggered', trigger);
+        if (trigger.event) {
+            ValdrisEventBus.emit(trigger.event, {
+                ...trigger.payload,
+                scheduleId: trigger.id,
+                name: trigger.name,
+                count: trigger.count,
+                date: trigger.date
+            });
+        }
+    }
+
+    return fired;
+}
+
+/**
+ * Move recurring entries to their next occurrence after a time, firing nothing
+ * @param {Object} time - Time state
+ */
+export function rebaseSchedule(time) {
+    const store = getStore();
+    if (!store || !time) return;
+
+    const now = toMinutes(time);
+    let changed = false;
+
+    store.entries = store.entries.filter(entry => {
+        if (!entry.repeat) return true;
+
+        const next = entry.repeat.type === 'interval'
+            ? nextOccurrence(entry, now)
+            : findOccurrence(entry.repeat, entry.next, now, false);
+        if (next === null) {
+            console.warn(`${LOG_PREFIX} '${entry.name}' has no further occurrence and was dropped`);
+            changed = true;
+            return false;
+        }
+        if (next !== toMinutes(entry.next)) {
+            entry.next = fromMinutes(next);
+            changed = true;
+        }
+        return true;
+    });
+
+    if (changed) requestSave();
+}
+
+/**
+ * Start firing entries as time passes
+ */
+export function startScheduler() {
+    if (_unsubscribers.length) return;
+
+    _unsubscribers = [
+        ValdrisEventBus.on('timeAdvanced', (data) => processSchedule(data?.newTime), { id: 'vtc-scheduler' }),
+        ValdrisEventBus.on('simulationCompleted', () => processSchedule(getDomainState('time')), { id: 'vtc-scheduler' }),
+        ValdrisEventBus.on('timeSet', (data) => rebaseSchedule(data?.newTime), { id: 'vtc-scheduler' }),
+        ValdrisEventBus.on('calendarChanged', () => rebaseSchedule(getDomainState('time')), { id: 'vtc-scheduler' })
+    ];
+}
+
+/**
+ * Stop firing entries
+ */
+export function stopScheduler() {
+    _unsubscribers.forEach(unsubscribe => unsubscribe());
+    _unsubscribers = [];
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+/**
+ * Describe how an entry repeats
+ * @param {Object|null} repeat - Entry repeat rule
+ * @returns {string} '' for one-off entries
+ */
+export function describeRepeat(repeat) {
+    if (!repeat) return '';
+    switch (repeat.type) {
+        case 'daily':
+            return 'Daily';
+        case 'weekly':
+            return `Every ${repeat.weekday}`;
+        case 'moon': {
+            const moon = getCalendar().moons.find(m => m.id === repeat.moon);
+            return `Each ${moon?.phases[repeat.phase]?.name || repeat.phase} of ${moon?.name || repeat.moon}`;
+        }
+        case 'interval':
+            return `Every ${formatMinutes(repeat.minutes)}`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Short duration: '2d 4h', '35m'
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatMinutes(minutes) {
+    const total = Math.max(0, Math.round(minutes));
+    const days = Math.floor(total / MINUTES_PER_DAY);
+    const hours = Math.floor((total % MINUTES_PER_DAY) / 60);
+    const mins = total % 60;
+
+    const parts = [];
+    if (days) parts.push(`${days}d`);
+    if (hours) parts.push(`${hours}h`);
+    if (mins && days === 0) parts.push(`${mins}m`);
+    return parts.join(' ') || '0m';
+}
+
+// ============================================================================
+// Calendar Math
+// ============================================================================
+
+/**
+ * Minutes since year 1, month 1, day 1 at midnight
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} date
+ * @returns {number}
+ */
+export function toMinutes(date) {
+    return getDayNumber(date.year, date.month, date.day) * MINUTES_PER_DAY + (date.hour || 0) * 60 + (date.minute || 0);
+}
+
+/**
+ * Date of a minute count (inverse of toMinutes)
+ * @param {number} minutes
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+ */
+export function fromMinutes(minutes) {
+    const dayNumber = Math.floor(minutes / MINUTES_PER_DAY);
+    const inDay = minutes - dayNumber * MINUTES_PER_DAY;
+    return {
+        ...getDateFromDayNumber(dayNumber),
+        hour: Math.floor(inDay / 60),
+        minute: inDay % 60
+    };
+}
+
+/**
+ * Next occurrence of a recurring entry after a time
+ * @param {Object} entry - Entry
+ * @param {number} after - Minutes
+ * @returns {number|null}
+ */
+function nextOccurrence(entry, after) {
+    if (entry.repeat.type === 'interval') {
+        const base = toMinutes(entry.next);
+        return base + (Math.floor((after - base) / entry.repeat.minutes) + 1) * entry.repeat.minutes;
+    }
+    return findOccurrence(entry.repeat, entry.next, after, false);
+}
+
+/**
+ * First day-based occurrence at a time of day, searching forward from a time
+ * @param {Object} repeat - Daily, weekly or moon rule
+ * @param {{hour: number, minute: number}} timeOfDay - When on the matching day
+ * @param {number} from - Minutes to search from
+ * @param {boolean} inclusive - Whether `from` itself counts
+ * @returns {number|null}
+ */
+function findOccurrence(repeat, timeOfDay, from, inclusive) {
+    const offset = (timeOfDay.hour || 0) * 60 + (timeOfDay.minute || 0);
+    const firstDay = Math.floor(from / MINUTES_PER_DAY);
+
+    for (let day = firstDay; day <= firstDay + MAX_SEARCH_DAYS; day++) {
+        const at = day * MINUTES_PER_DAY + offset;
+        if (inclusive ? at < from : at <= from) continue;
+        if (matchesDay(repeat, day)) return at;
+    }
+    return null;
+}
+
+/**
+ * Whether a day matches a day-based rule
+ * @param {Object} repeat - Rule
+ * @param {number} dayNumber - Day
+ * @returns {boolean}
+ */
+function matchesDay(repeat, dayNumber) {
+    switch (repeat.type) {
+        case 'daily':
+            return true;
+        case 'weekly': {
+            const date = getDateFromDayNumber(dayNumber);
+            return getWeekday(date.year, date.month, date.day) === repeat.weekday;
+        }
+        case 'moon': {
+            const moon = getCalendar().moons.find(m => m.id === repeat.moon);
+            if (!moon) return false;
+            return getMoonPosition(moon, dayNumber).phase === repeat.phase
+                && getMoonPosition(moon, dayNumber - 1).phase !== repeat.phase;
+        }
+        default:
+            return false;
+    }
+}
+
+// ============================================================================
+// Input Parsing
+// ============================================================================
+
+/**
+ * Whether an `at` value names a date rather than only a time of day
+ * @param {Object|string|undefined} at
+ * @returns {boolean}
+ */
+function hasDate(at) {
+    if (typeof at === 'string') return /\d+-\d+-\d+/.test(at);
+    return !!at && (at.year !== undefined || at.month !== undefined || at.day !== undefined);
+}
+
+/**
+ * Resolve `at` / `in` to a time in minutes
+ * @param {Object} definition - Schedule definition
+ * @param {Object} time - Current time state
+ * @param {number} now - Current time in minutes
+ * @returns {number}
+ */
+function resolveStart(definition, time, now) {
+    if (definition.in !== undefined) {
+        const minutes = typeof definition.in === 'number' ? Math.round(definition.in) : parseDuration(definition.in);
+        if (!(minutes > 0)) throw new Error(`Cannot read '${definition.in}' as a duration`);
+        return now + minutes;
+    }
+
+    const at = parseAt(definition.at);
+    const date = {
+        year: at.year ?? time.year,
+        month: resolveMonth(at.month ?? time.month),
+        day: at.day ?? time.day,
+        hour: at.hour ?? 0,
+        minute: at.minute ?? 0
+    };
+
+    if (!Number.isInteger(date.year) || date.year < 1) throw new Error('year must be a whole number from 1');
+    if (date.day < 1 || date.day > getMonthLength(date.month, date.year)) {
+        throw new Error(`${getCalendar().months[date.month - 1].name} ${date.year} has no day ${date.day}`);
+    }
+    if (date.hour < 0 || date.hour > 23 || date.minute < 0 || date.minute > 59) {
+        throw new Error('Time must be between 00:00 and 23:59');
+    }
+
+    let minutes = toMinutes(date);
+
+    // A bare time of day means the next time the clock shows it
+    if (!hasDate(definition.at) && minutes <= now) minutes += MINUTES_PER_DAY;
+    return minutes;
+}
+
+/**
+ * Read an `at` value into date parts
+ * @param {Object|string|undefined} at
+ * @returns {Object} Any of year, month, day, hour, minute
+ */
+function parseAt(at) {
+    if (at === undefined || at === null || at === '') return {};
+    if (typeof at === 'object') return { ...at };
+
+    const parts = {};
+    const text = String(at).trim();
+    const date = text.match(/(\d+)-(\d{1,2})-(\d{1,2})/);
+    const clock = text.match(/(\d{1,2}):(\d{2})/);
+    if (!date && !clock) throw new Error(`Cannot read '${at}' as a date or time (YYYY-MM-DD HH:MM)`);
+
+    if (date) {
+        parts.year = Number(date[1]);
+        parts.month = Number(date[2]);
+        parts.day = Number(date[3]);
+    }
+    if (clock) {
+        parts.hour = Number(clock[1]);
+        parts.minute = Number(clock[2]);
+    }
+    return parts;
+}
+
+/**
+ * Month number from a number or a month name
+ * @param {number|string} month
+ * @returns {number}
+ */
+function resolveMonth(month) {
+    const months = getCalendar().months;
+    const index = typeof month === 'string' && !/^\d+$/.test(month)
+        ? months.findIndex(m => m.name.toLowerCase() === month.toLowerCase()) + 1
+        : Number(month);
+
+    if (!Number.isInteger(index) || index < 1 || index > months.length) {
+        throw new Error(`Unknown month '${month}'`);
+    }
+    return index;
+}
+
+/**
+ * Normalize a repeat rule
+ * @param {string|Object|undefined} repeat - Input rule
+ * @param {Object} firstDate - Date of the first occurrence (weekly rules default to its weekday)
+ * @returns {Object|null}
+ */
+function resolveRepeat(repeat, firstDate) {
+    if (!repeat) return null;
+
+    const rule = typeof repeat === 'string' ? { every: repeat } : { ...repeat };
+    const every = String(rule.every || rule.type || (rule.moon ? 'moon' : '')).toLowerCase();
+    const calendar = getCalendar();
+
+    switch (every) {
+        case 'day':
+        case 'daily':
+            return { type: 'daily' };
+
+        case 'week':
+        case 'weekly': {
+            const weekday = rule.weekday || getWeekday(firstDate.year, firstDate.month, firstDate.day);
+            const match = calendar.weekdays.find(name => name.toLowerCase() === String(weekday).toLowerCase());
+            if (!match) throw new Error(`Unknown weekday '${weekday}'`);
+            return { type: 'weekly', weekday: match };
+        }
+
+        case 'moon': {
+            const moon = calendar.moons.find(m => m.id === rule.moon || m.name.toLowerCase() === String(rule.moon).toLowerCase());
+            if (!moon) throw new Error(`Unknown moon '${rule.moon}'`);
+            if (!moon.phases[rule.phase]) throw new Error(`Unknown moon phase '${rule.phase}'`);
+            return { type: 'moon', moon: moon.id, phase: rule.phase };
+        }
+
+        case 'interval': {
+            const minutes = rule.minutes ?? parseDuration(rule.duration);
+            if (!(Number.isInteger(minutes) && minutes > 0)) throw new Error('An interval needs a positive number of minutes');
+            return { type: 'interval', minutes };
+        }
+
+        default:
+            throw new Error(`Unknown repeat '${rule.every ?? rule.type}' (daily, weekly, moon or interval)`);
+    }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export default {
+    SCHEDULE_META_KEY,
+    scheduleEvent,
+    cancelScheduled,
+    getScheduled,
+    processSchedule,
+    rebaseSchedule,
+    startScheduler,
+    stopScheduler,
+    describeRepeat,
+    formatMinutes,
+    toMinutes,
+    fromMinutes
+};
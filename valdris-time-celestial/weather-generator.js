@@ -5,11 +5,11 @@
  * - Current season
  * - Region type
  * - Previous weather (continuity)
- * - Random variation
+ * - Random variation (seeded per campaign and date, so a day re-rolls the same)
  * - Special events
  */
 
-import { ValdrisEventBus, getDomainState, setDomainState } from '../valdris-core/index.js';
+import { ValdrisEventBus, getDomainState, setDomainState, createRandom, rerollRandom } from '../valdris-core/index.js';
 
 const LOG_PREFIX = '[VTC:Weather]';
 const DOMAIN = 'time';
@@ -348,15 +348,16 @@ export function generateWeather(timeState, regionType = 'default') {
     const table = WEATHER_TABLES[season] || WEATHER_TABLES.autumn;
     const regionMod = REGION_MODIFIERS[regionType] || REGION_MODIFIERS.default;
     const previousWeather = timeState.weather || {};
+    const random = createRandom('weather', timeState);
 
     // Generate base condition
-    const condition = rollFromTable(table.conditions, 'condition', regionMod.conditions, previousWeather.current);
+    const condition = rollFromTable(random, table.conditions, 'condition', regionMod.conditions, previousWeather.current);
 
     // Generate temperature
-    const temperature = rollFromTable(table.temperatures, 'temp', regionMod.temperatures);
+    const temperature = rollFromTable(random, table.temperatures, 'temp', regionMod.temperatures);
 
     // Generate wind
-    const wind = rollFromTable(table.wind, 'wind', regionMod.wind);
+    const wind = rollFromTable(random, table.wind, 'wind', regionMod.wind);
 
     // Get condition details
     const conditionData = WEATHER_CONDITIONS[condition] || WEATHER_CONDITIONS.clear;
@@ -384,7 +385,7 @@ export function generateWeather(timeState, regionType = 'default') {
             combat: conditionData.combatModifier,
             ranged: windData.rangedPenalty
         },
-        forecast: generateForecast(season, regionType, 3)
+        forecast: generateForecast(random, season, regionType, 3)
     };
 
     return weather;
@@ -392,13 +393,14 @@ export function generateWeather(timeState, regionType = 'default') {
 
 /**
  * Roll from a weighted table with modifiers
+ * @param {Function} random - Seeded random stream
  * @param {Array} table - Table entries
  * @param {string} key - Key to extract
  * @param {Object} modifiers - Multipliers for specific values
  * @param {string} previous - Previous value for continuity
  * @returns {string}
  */
-function rollFromTable(table, key, modifiers = {}, previous = null) {
+function rollFromTable(random, table, key, modifiers = {}, previous = null) {
     // Apply modifiers to create adjusted table
     let adjustedTable = table.map(entry => {
         const mod = modifiers[entry[key]] || 1;
@@ -424,10 +426,10 @@ function rollFromTable(table, key, modifiers = {}, previous = null) {
     });
 
     // Add continuity bonus (60% chance to stay similar if previous exists)
-    if (previous && Math.random() < 0.4) {
+    if (previous && random() < 0.4) {
         const similarConditions = getSimilarConditions(previous);
         if (similarConditions.length > 0) {
-            const pick = similarConditions[Math.floor(Math.random() * similarConditions.length)];
+            const pick = random.pick(similarConditions);
             if (adjustedTable.some(e => e[key] === pick)) {
                 return pick;
             }
@@ -435,7 +437,7 @@ function rollFromTable(table, key, modifiers = {}, previous = null) {
     }
 
     // Roll
-    const roll = Math.random() * 100;
+    const roll = random() * 100;
     for (const entry of adjustedTable) {
         if (roll <= entry.max) {
             return entry[key];
@@ -545,12 +547,13 @@ function getWeatherEffects(condition, temperature, wind) {
 
 /**
  * Generate weather forecast
+ * @param {Function} random - Seeded random stream
  * @param {string} season - Current season
  * @param {string} regionType - Region type
  * @param {number} days - Days to forecast
  * @returns {Array}
  */
-function generateForecast(season, regionType, days) {
+function generateForecast(random, season, regionType, days) {
     const forecast = [];
     const table = WEATHER_TABLES[season];
     const regionMod = REGION_MODIFIERS[regionType] || REGION_MODIFIERS.default;
@@ -558,8 +561,8 @@ function generateForecast(season, regionType, days) {
     let previousCondition = null;
 
     for (let i = 1; i <= days; i++) {
-        const condition = rollFromTable(table.conditions, 'condition', regionMod.conditions, previousCondition);
-        const temp = rollFromTable(table.temperatures, 'temp', regionMod.temperatures);
+        const condition = rollFromTable(random, table.conditions, 'condition', regionMod.conditions, previousCondition);
+        const temp = rollFromTable(random, table.temperatures, 'temp', regionMod.temperatures);
 
         const conditionData = WEATHER_CONDITIONS[condition];
         const tempData = TEMPERATURES[temp];
@@ -609,12 +612,25 @@ export async function updateWeather(timeState, regionType = 'default') {
     return newWeather;
 }
 
+/**
+ * Roll different weather for the current day
+ * Regenerating alone repeats the day's seeded roll, so this advances the weather seed first.
+ * @param {Object} timeState - Time state
+ * @param {string} regionType - Region type
+ * @returns {Promise<Object>}
+ */
+export async function rerollWeather(timeState, regionType = 'default') {
+    rerollRandom('weather');
+    return updateWeather(timeState, regionType);
+}
+
 /**
  * Set weather manually
  * @param {Object} weatherOverride - Weather values to set
+ * @param {Object} options - { tx: core transaction to write in }
  * @returns {Promise<Object>}
  */
-export async function setWeather(weatherOverride) {
+export async function setWeather(weatherOverride, options = {}) {
     const state = getDomainState('time');
     if (!state) return null;
 
@@ -637,7 +653,7 @@ export async function setWeather(weatherOverride) {
         }
     }
 
-    await setDomainState('time', state, 'vtc');
+    await setDomainState('time', state, 'vtc', { tx: options.tx });
 
     ValdrisEventBus.emit('weatherChanged', {
         oldWeather,
@@ -689,6 +705,7 @@ export function getWindLevel(wind) {
 export default {
     generateWeather,
     updateWeather,
+    rerollWeather,
     setWeather,
     getWeatherCondition,
     getAllWeatherConditions,
@@ -23,13 +23,23 @@ try {
     console.warn('[Vex] Valdris Core not available');
 }
 
+// Schema migrations for valdris_vex, run by Valdris Core before each load
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill missing hint and settings fields',
+        migrate: (blob) => ValdrisCore.fillDefaults(blob, createEmptyVexState())
+    }
+];
+ValdrisCore?.registerMigrations?.('valdris_vex', STATE_MIGRATIONS);
+
 // SillyTavern
-let getContext, saveSettingsDebounced, eventSource, event_types;
+let getContext, saveMetadataDebounced, eventSource, event_types;
 
 try {
     const extModule = await import('../../../extensions.js');
     getContext = extModule.getContext;
-    saveSettingsDebounced = extModule.saveSettingsDebounced;
+    saveMetadataDebounced = extModule.saveMetadataDebounced;
 } catch (e) {
     console.error('[Vex] Failed to import extensions.js', e);
 }
@@ -38,7 +48,7 @@ try {
     const scriptModule = await import('../../../../script.js');
     eventSource = scriptModule.eventSource;
     event_types = scriptModule.event_types;
-    if (!saveSettingsDebounced) saveSettingsDebounced = scriptModule.saveSettingsDebounced;
+    if (!saveMetadataDebounced) saveMetadataDebounced = scriptModule.saveMetadata;
 } catch (e) {
     console.error('[Vex] Failed to import script.js', e);
 }
@@ -58,6 +68,7 @@ let UI = {
 function loadState() {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
+    ValdrisCore?.migrateMetadataKey?.('valdris_vex', context.chat_metadata);
     const saved = context.chat_metadata.valdris_vex;
     if (saved) state = { ...createEmptyVexState(), ...saved };
 }
@@ -66,7 +77,8 @@ function saveState() {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
     context.chat_metadata.valdris_vex = state;
-    saveSettingsDebounced?.();
+    if (ValdrisCore?.markDirty) ValdrisCore.markDirty('valdris_vex', EXT_NAME);
+    else saveMetadataDebounced?.();
 }
 
 function h(tag, attrs = {}, ...children) {
@@ -108,6 +120,8 @@ function refreshHints() {
     currentHints = [...currentHints, ...customHints].sort((a, b) => a.priority - b.priority);
 
     render();
+    // Keep the pop-out status page's hint list in step
+    ValdrisCore?.requestStatusUpdate?.();
 }
 
 function renderHintCard(hint) {
@@ -143,6 +157,7 @@ function dismissHint(hintId) {
     currentHints = currentHints.filter(h => h.id !== hintId);
     saveState();
     render();
+    ValdrisCore?.requestStatusUpdate?.();
 }
 
 function addCustomHint(message, category = 'reminder') {
@@ -302,6 +317,19 @@ function initCoreIntegration() {
         refreshHints();
     });
 
+    // Reload after core rolls chat state back (swipe, edit, delete)
+    ValdrisCore.ValdrisEventBus.on('stateRestored', () => {
+        loadState();
+        render();
+    });
+
+    // Active hints on the pop-out status page
+    ValdrisCore.registerStatusSource?.('vex-hints', {
+        owner: EXT_NAME,
+        section: 'hints',
+        collect: () => currentHints.map(hint => ({ text: hint.message, category: hint.category }))
+    });
+
     console.log('[Vex] Core integration complete');
 }
 
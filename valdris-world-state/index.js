@@ -33,13 +33,26 @@ try {
     console.warn('[VWorldState] Valdris Core not available');
 }
 
+// Schema migrations for valdris_world_state, run by Valdris Core before each load
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill missing location and environment fields',
+        migrate: (blob) => ValdrisCore.fillDefaults(blob, {
+            location: createEmptyLocationState(),
+            environment: createEmptyEnvironmentState()
+        })
+    }
+];
+ValdrisCore?.registerMigrations?.('valdris_world_state', STATE_MIGRATIONS);
+
 // SillyTavern references
-let getContext, saveSettingsDebounced, eventSource, event_types;
+let getContext, saveMetadataDebounced, eventSource, event_types;
 
 try {
     const extModule = await import('../../../extensions.js');
     getContext = extModule.getContext;
-    saveSettingsDebounced = extModule.saveSettingsDebounced;
+    saveMetadataDebounced = extModule.saveMetadataDebounced;
 } catch (e) {
     console.error('[VWorldState] Failed to import extensions.js', e);
 }
@@ -48,7 +61,7 @@ try {
     const scriptModule = await import('../../../../script.js');
     eventSource = scriptModule.eventSource;
     event_types = scriptModule.event_types;
-    if (!saveSettingsDebounced) saveSettingsDebounced = scriptModule.saveSettingsDebounced;
+    if (!saveMetadataDebounced) saveMetadataDebounced = scriptModule.saveMetadata;
 } catch (e) {
     console.error('[VWorldState] Failed to import script.js', e);
 }
@@ -77,6 +90,7 @@ function loadState() {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
 
+    ValdrisCore?.migrateMetadataKey?.('valdris_world_state', context.chat_metadata);
     const saved = context.chat_metadata.valdris_world_state;
     if (saved) {
         state = {
@@ -88,12 +102,14 @@ function loadState() {
 }
 
 // Save state to chat metadata
-function saveState() {
+// tx: the core transaction this change belongs to, if any
+function saveState(tx) {
     const context = getContext?.();
     if (!context?.chat_metadata) return;
 
     context.chat_metadata.valdris_world_state = state;
-    saveSettingsDebounced?.();
+    if (ValdrisCore?.markDirty) ValdrisCore.markDirty('valdris_world_state', EXT_NAME, { tx });
+    else saveMetadataDebounced?.();
 
     // Sync to core
     if (ValdrisCore) {
@@ -105,7 +121,7 @@ function saveState() {
             hazards: state.environment.hazards,
             laws: state.environment.laws,
             activeEffects: state.environment.activeEffects
-        });
+        }, EXT_NAME, { tx });
     }
 }
 
@@ -219,11 +235,7 @@ function renderLocationTab() {
                 settlement.faction ? h('div', { class: 'vws_settlement_faction' }, `Controlled by: ${settlement.faction}`) : null,
                 h('button', {
                     class: 'vws_btn vws_btn_danger',
-                    onclick: () => {
-                        state.location.currentSettlement = null;
-                        saveState();
-                        render();
-                    }
+                    onclick: leaveSettlement
                 }, 'Leave Settlement')
             ) :
             h('div', { class: 'vws_no_settlement' },
@@ -506,13 +518,7 @@ function openSettlementModal() {
                 class: 'vws_btn vws_btn_primary',
                 onclick: () => {
                     if (formState.name.trim()) {
-                        state.location.currentSettlement = {
-                            name: formState.name.trim(),
-                            size: formState.size,
-                            faction: formState.faction.trim() || null
-                        };
-                        saveState();
-                        render();
+                        enterSettlement(formState.name, formState.size, formState.faction);
                         closeModal();
                     }
                 }
@@ -623,6 +629,24 @@ function openPOIModal() {
     openModal('Add Point of Interest', content);
 }
 
+// Location changes (shared by the panel and slash commands)
+function enterSettlement(name, size = 'town', faction = '', tx) {
+    state.location.currentSettlement = {
+        name: name.trim(),
+        size,
+        faction: faction?.trim() || null
+    };
+    saveState(tx);
+    render();
+    return state.location.currentSettlement;
+}
+
+function leaveSettlement(tx) {
+    state.location.currentSettlement = null;
+    saveState(tx);
+    render();
+}
+
 // Main render
 function render() {
     if (!UI.container) return;
@@ -762,26 +786,161 @@ function initCoreIntegration() {
     // Register world domain
     ValdrisCore.registerDomain('world', EXT_NAME);
 
+    // Supply the world section of the core context block (replaces core's fallback builder)
+    ValdrisCore.registerContextProvider?.({
+        id: 'world',
+        name: 'World State (VWS)',
+        title: '## WORLD STATE',
+        priority: 70,
+        owner: EXT_NAME,
+        build: () => state.settings.contextEnabled ? buildWorldContext() : ''
+    });
+
     // Initial sync
     saveState();
 
-    // Subscribe to new day events
-    ValdrisCore.ValdrisEventBus.on('newDay', (data) => {
-        console.log('[VWorldState] New day:', data);
+    // Reload after core rolls chat state back (swipe, edit, delete)
+    ValdrisCore.ValdrisEventBus.on('stateRestored', () => {
+        loadState();
+        render();
+    });
+
+    registerCommands();
+    registerDeltaOps();
+    registerCommandHandlers();
+    registerDayProcessor();
+
+    console.log('[VWorldState] Core integration complete');
+}
+
+// Enter a settlement by name, reusing what is known about a previously visited one
+function arriveAt(name, size, faction, tx) {
+    name = String(name || '').trim();
+    if (!name) throw new Error('Settlement name required');
+
+    const known = (state.location.settlements || [])
+        .find(s => s.name?.toLowerCase() === name.toLowerCase());
+    const resolvedSize = size || known?.size || 'town';
+    if (!SETTLEMENT_SIZES[resolvedSize]) throw new Error(`Unknown settlement size '${resolvedSize}'`);
+
+    return enterSettlement(known?.name || name, resolvedSize, faction || known?.faction || '', tx);
+}
 
-        // Process daily environment changes
-        const result = processDailyEnvironment(state.environment, data);
-        state.environment.hazards = result.updatedHazards;
+// STscript commands: /vloc arrive <settlement> [size=town] [faction=...], /vloc leave, /vloc get
+function registerCommands() {
+    ValdrisCore.registerValdrisCommand?.({
+        name: 'vloc',
+        owner: EXT_NAME,
+        helpString: 'Read or change the current location. Returns the settlement name.',
+        subcommands: {
+            get: {
+                help: 'Current settlement, zone or region',
+                run: () => state.location.currentSettlement?.name || state.location.currentZone || state.location.currentRegion || ''
+            },
+            arrive: {
+                usage: '<settlement> [size=town] [faction=name]',
+                help: `Enter a settlement (sizes: ${Object.keys(SETTLEMENT_SIZES).join(', ')})`,
+                run: (args, namedArgs, rest) => arriveAt(rest.replace(/^"|"$/g, ''), namedArgs.size, namedArgs.faction).name
+            },
+            leave: {
+                help: 'Leave the current settlement',
+                run: () => {
+                    const name = state.location.currentSettlement?.name || '';
+                    leaveSettlement();
+                    return name;
+                }
+            }
+        }
+    });
+}
 
-        if (result.changes.length > 0) {
-            console.log('[VWorldState] Daily changes:', result.changes);
+// valdris block ops: {"op":"location.arrive","settlement":"Thornwick"}, {"op":"location.leave"}
+function registerDeltaOps() {
+    ValdrisCore.registerDeltaOp?.('location.arrive', {
+        owner: EXT_NAME,
+        description: 'Arrive in a settlement',
+        fields: {
+            settlement: { type: 'string', required: true },
+            size: { type: 'string', values: Object.keys(SETTLEMENT_SIZES) },
+            faction: { type: 'string' }
+        },
+        apply: (op, { tx }) => {
+            const settlement = arriveAt(op.settlement, op.size?.toLowerCase(), op.faction, tx);
+            return `Arrived in ${settlement.name}`;
         }
+    });
 
-        saveState();
-        render();
+    ValdrisCore.registerDeltaOp?.('location.leave', {
+        owner: EXT_NAME,
+        description: 'Leave the current settlement',
+        apply: (op, { tx }) => {
+            const name = state.location.currentSettlement?.name;
+            if (!name) return 'Not in a settlement';
+            leaveSettlement(tx);
+            return `Left ${name}`;
+        }
     });
+}
 
-    console.log('[VWorldState] Core integration complete');
+// Command bus: world.addHazard { type, days? } and world.removeHazard { type } -> { hazards }
+function registerCommandHandlers() {
+    const isHazardType = (type) => Object.values(HAZARD_TYPES).some(category => category[type]);
+
+    ValdrisCore.registerCommandHandler?.('world.addHazard', {
+        owner: EXT_NAME,
+        description: 'Add an environmental hazard (days omitted = permanent)',
+        handler: ({ type, days } = {}, { tx }) => {
+            if (!isHazardType(type)) throw new Error(`Unknown hazard '${type}'`);
+            if (days !== undefined && (!Number.isInteger(days) || days < 1)) throw new Error('days must be a positive whole number');
+
+            state.environment.hazards = state.environment.hazards || [];
+            state.environment.hazards.push(days === undefined
+                ? { type, duration: 'permanent' }
+                : { type, duration: 'temporary', daysRemaining: days });
+            saveState(tx);
+            render();
+            return { hazards: state.environment.hazards.map(hazard => hazard.type) };
+        }
+    });
+
+    ValdrisCore.registerCommandHandler?.('world.removeHazard', {
+        owner: EXT_NAME,
+        description: 'Remove an environmental hazard',
+        handler: ({ type } = {}, { tx }) => {
+            const index = (state.environment.hazards || []).findIndex(hazard => hazard.type === type);
+            if (index < 0) throw new Error(`No active hazard '${type}'`);
+
+            state.environment.hazards.splice(index, 1);
+            saveState(tx);
+            render();
+            return { hazards: state.environment.hazards.map(hazard => hazard.type) };
+        }
+    });
+}
+
+// Daily environment upkeep (hazards run out), run by core for each new day (live or simulated)
+function registerDayProcessor() {
+    const hazardName = (type) => Object.values(HAZARD_TYPES).find(category => category[type])?.[type]?.name || type;
+
+    ValdrisCore.registerDailyProcessor?.('vws.environment', {
+        owner: EXT_NAME,
+        name: 'Hazards',
+        domain: 'world',
+        order: 20,
+        read: () => state.environment,
+        process: (environment, context) => {
+            const result = processDailyEnvironment(environment, { date: context.date });
+            environment.hazards = result.updatedHazards;
+            return result.changes
+                .filter(change => change.type === 'hazard_ended')
+                .map(change => `${hazardName(change.hazard)} has passed`);
+        },
+        commit: (environment, { tx }) => {
+            state.environment = environment;
+            saveState(tx);
+            render();
+        }
+    });
 }
 
 // Build context for AI